@@ -0,0 +1,1005 @@
+// Import the request checker
+const { createValidator } = require('./validation');
+
+// Import the shared field schemas
+const {
+  object,
+  objectId,
+  idOrNone,
+  timeZone,
+  taskStatus,
+  color,
+  TASK_FIELDS,
+  SUBTASK_TITLE,
+  TASK_FILTERS,
+  SORT_OPTIONS,
+  PAGE_OPTIONS
+} = require('./fieldSchemas');
+const { PRIORITIES, MAX_LIMIT } = require('./taskQuery');
+
+// Import the allowed values of the other routes
+const { BULK_ACTIONS, MAX_BULK_IDS } = require('./bulk');
+const { EXPORT_FORMATS, IMPORT_FORMATS } = require('./importExport');
+const { ENTRY_TYPES } = require('./ical');
+const { WEBHOOK_EVENTS } = require('./webhookEvents');
+const {
+  VIEW_GROUPS,
+  VIEW_COLUMNS,
+  VIEW_SORT_FIELDS,
+  MAX_VIEW_SHARES,
+  MAX_UPDATED_WITHIN,
+  BUILT_IN_IDS
+} = require('./viewQuery');
+
+// ========================================
+// ROUTE SCHEMAS
+// ========================================
+
+// One entry for every route of the API. Each entry is used twice:
+// - validate('<operationId>') checks the requests of the route (see validation.js), invalid ones get 422
+// - openapi.js turns the list into the OpenAPI document served at /api/openapi.json and /api/docs
+//
+// Entry fields:
+//   operationId, method, path (OpenAPI style, e.g. /api/tasks/{id}), tag, summary, description
+//   auth:      'bearer' (default - Authorization header), 'none', 'stream' (header or ?token=)
+//              or 'feedToken' (the calendar feed token in ?token=)
+//   params, query, body (JSON) or form (multipart/form-data): object schemas of the request parts
+//   headers:   request headers, only documented
+//   responses: status code -> json(description, data) or file(description, ...content types)
+//              'data' is the name of a model in openapi.js (['Task'] for a list) or an inline schema
+
+// Successful JSON response - '{ success, message, data }' plus the 'extra' fields
+const json = (description, data = null, extra = {}) => ({ description, data, extra });
+
+// Response that isn't JSON (a download, a calendar, an event stream...)
+const file = (description, ...contentTypes) => ({ description, contentTypes });
+
+// Path parameters shared by many routes
+const taskParams = object({ id: objectId('Task id') }, ['id']);
+const idParams = (description) => object({ id: objectId(description) }, ['id']);
+const nestedTaskParams = (extra = {}, required = []) => object({ taskId: objectId('Task id'), ...extra }, ['taskId', ...required]);
+
+// Page of tasks: the list fields of the response
+const TASK_PAGE = {
+  count: { type: 'integer', description: 'Tasks in this page' },
+  total: { type: 'integer', description: 'Tasks matching the filters' },
+  nextCursor: { type: 'string', nullable: true, description: 'Cursor of the next page (null on the last page)' }
+};
+
+// Optimistic concurrency header of the task changes
+const IF_MATCH = {
+  'If-Match': { type: 'string', description: 'ETag of the task version the change is based on (412 and the current task on a mismatch)', example: '"3"' }
+};
+
+// Fields of a project and of a tag the client can set
+const PROJECT_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 50, 'x-trim': true },
+  color,
+  archived: { type: 'boolean' },
+  order: { type: 'integer', description: 'Position in the sidebar' }
+};
+const TAG_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 30, 'x-trim': true },
+  color
+};
+
+// Fields of a webhook the client can set
+const WEBHOOK_FIELDS = {
+  url: { type: 'string', format: 'uri', maxLength: 2000, example: 'https://example.com/hooks/tasks' },
+  events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1, uniqueItems: true },
+  description: { type: 'string', maxLength: 100 },
+  active: { type: 'boolean', description: 'false pauses the webhook' }
+};
+
+// Fields of a saved view the client can set
+const VIEW_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 50, 'x-trim': true, example: 'Bugs this week' },
+  filters: object({
+    q: { type: 'string', maxLength: 100, 'x-trim': true, description: 'Search text' },
+    status: TASK_FILTERS.status,
+    priority: { type: 'array', items: { type: 'string', enum: PRIORITIES }, uniqueItems: true },
+    project: { ...TASK_FILTERS.project, nullable: true },
+    tags: { type: 'array', items: objectId('Tag id'), uniqueItems: true },
+    tagMode: TASK_FILTERS.tagMode,
+    due: { ...TASK_FILTERS.due, nullable: true },
+    updatedWithin: { type: 'integer', minimum: 1, maximum: MAX_UPDATED_WITHIN, nullable: true, description: 'Tasks changed in the last N days' }
+  }, [], { additionalProperties: false, description: 'The filters of GET /api/tasks' }),
+  sort: { type: 'string', enum: VIEW_SORT_FIELDS, description: "Sort field ('relevance' only with a search)" },
+  order: SORT_OPTIONS.order,
+  groupBy: { type: 'string', enum: VIEW_GROUPS, description: 'How the tasks are grouped (default none)' },
+  columns: { type: 'array', items: { type: 'string', enum: VIEW_COLUMNS }, uniqueItems: true, description: 'Fields shown for each task' },
+  sharedWith: {
+    type: 'array',
+    items: { type: 'string', format: 'email' },
+    maxItems: MAX_VIEW_SHARES,
+    uniqueItems: true,
+    description: 'Emails of the users the view is shared with (replaces the list)'
+  }
+};
+
+// Id of a saved view, or the name of a built-in view
+const viewParams = object({
+  id: {
+    type: 'string',
+    pattern: `^([0-9a-fA-F]{24}|${BUILT_IN_IDS.join('|')})$`,
+    'x-message': `must be a valid id or a built-in view (${BUILT_IN_IDS.join(', ')})`,
+    description: 'View id, or the name of a built-in view'
+  }
+}, ['id']);
+
+// Time zone of the list queries sent with the views
+const viewTimeZone = object({ tz: timeZone("Time zone of the 'today' and 'week' filters (default UTC)") });
+
+// Options of a file import (multipart form fields)
+const IMPORT_OPTIONS = {
+  file: { type: 'string', format: 'binary', description: 'CSV, JSON or .ics file (5 MB at most)' },
+  mapping: { type: 'string', description: 'JSON object: task field -> column of the file (guessed when left out)' },
+  dryRun: { type: 'boolean', description: 'true checks the file without saving anything' },
+  duplicates: { type: 'string', enum: ['skip', 'import'], description: 'What to do with tasks that already exist (default skip)' },
+  tz: timeZone('Time zone of the dates without one (default UTC)')
+};
+
+const ROUTES = [
+
+  // ========================================
+  // API
+  // ========================================
+  {
+    operationId: 'getApiInfo',
+    method: 'get',
+    path: '/',
+    tag: 'API',
+    summary: 'API information and the list of endpoints',
+    auth: 'none',
+    responses: { 200: json('Name, version and endpoints of the API') }
+  },
+  {
+    operationId: 'getOpenApiDocument',
+    method: 'get',
+    path: '/api/openapi.json',
+    tag: 'API',
+    summary: 'This OpenAPI document',
+    auth: 'none',
+    responses: { 200: file('OpenAPI 3 document', 'application/json') }
+  },
+  {
+    operationId: 'getApiDocs',
+    method: 'get',
+    path: '/api/docs',
+    tag: 'API',
+    summary: 'Interactive API documentation',
+    auth: 'none',
+    responses: { 200: file('Documentation page', 'text/html') }
+  },
+
+  // ========================================
+  // AUTH
+  // ========================================
+  {
+    operationId: 'register',
+    method: 'post',
+    path: '/api/auth/register',
+    tag: 'Auth',
+    summary: 'Create account',
+    description: 'The new user is logged in straight away.',
+    auth: 'none',
+    body: object({
+      name: { type: 'string', minLength: 1, maxLength: 50, 'x-trim': true },
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', minLength: 8 }
+    }, ['name', 'email', 'password']),
+    responses: { 201: json('Account created', 'Session'), 409: json('An account with this email already exists') }
+  },
+  {
+    operationId: 'login',
+    method: 'post',
+    path: '/api/auth/login',
+    tag: 'Auth',
+    summary: 'Log in',
+    auth: 'none',
+    body: object({
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string' }
+    }, ['email', 'password']),
+    responses: { 200: json('Logged in', 'Session'), 401: json('Wrong email or password') }
+  },
+  {
+    operationId: 'refreshSession',
+    method: 'post',
+    path: '/api/auth/refresh',
+    tag: 'Auth',
+    summary: 'Get new tokens',
+    description: 'The refresh token can only be used once: the response has a new one.',
+    auth: 'none',
+    body: object({ refreshToken: { type: 'string' } }, ['refreshToken']),
+    responses: { 200: json('New tokens', 'Session'), 401: json('Invalid or expired refresh token') }
+  },
+  {
+    operationId: 'logout',
+    method: 'post',
+    path: '/api/auth/logout',
+    tag: 'Auth',
+    summary: 'Revoke refresh token',
+    auth: 'none',
+    body: object({ refreshToken: { type: 'string' } }),
+    responses: { 200: json('Logged out') }
+  },
+  {
+    operationId: 'getMe',
+    method: 'get',
+    path: '/api/auth/me',
+    tag: 'Auth',
+    summary: 'Get logged in user',
+    responses: { 200: json('The user', 'User') }
+  },
+
+  // ========================================
+  // TASKS
+  // ========================================
+  {
+    operationId: 'listTasks',
+    method: 'get',
+    path: '/api/tasks',
+    tag: 'Tasks',
+    summary: 'Get a page of tasks',
+    query: object({ ...TASK_FILTERS, ...PAGE_OPTIONS }),
+    responses: { 200: json('A page of tasks', ['Task'], TASK_PAGE) }
+  },
+  {
+    operationId: 'searchTasks',
+    method: 'get',
+    path: '/api/tasks/search',
+    tag: 'Tasks',
+    summary: 'Search tasks in titles, descriptions and tags',
+    description: 'Words, "exact phrases" and -excluded words. Sorted by relevance unless another sort is given; each result has its score and highlighted snippets.',
+    query: object({
+      q: { type: 'string', minLength: 1, 'x-trim': true, description: 'Search text' },
+      ...TASK_FILTERS,
+      ...PAGE_OPTIONS
+    }, ['q']),
+    responses: { 200: json('A page of results', ['Task'], TASK_PAGE) }
+  },
+  {
+    operationId: 'getTaskStats',
+    method: 'get',
+    path: '/api/tasks/stats',
+    tag: 'Tasks',
+    summary: 'Get task statistics',
+    query: object({
+      tz: timeZone("Time zone of 'this week' (default UTC)"),
+      project: idOrNone("Only the tasks of this project ('none' = without a project)")
+    }),
+    responses: { 200: json('Task counts', 'TaskStats') }
+  },
+  {
+    operationId: 'listTrash',
+    method: 'get',
+    path: '/api/tasks/trash',
+    tag: 'Trash',
+    summary: 'Get a page of deleted tasks with their purge dates',
+    query: object({ ...TASK_FILTERS, ...PAGE_OPTIONS }),
+    responses: {
+      200: json('A page of deleted tasks, most recently deleted first', ['Task'], {
+        ...TASK_PAGE,
+        retentionDays: { type: 'integer', description: 'Days tasks stay in the trash' }
+      })
+    }
+  },
+  {
+    operationId: 'emptyTrash',
+    method: 'delete',
+    path: '/api/tasks/trash',
+    tag: 'Trash',
+    summary: 'Empty the trash',
+    responses: { 200: json('Trash emptied', null, { deletedCount: { type: 'integer' } }) }
+  },
+  {
+    operationId: 'purgeTask',
+    method: 'delete',
+    path: '/api/tasks/trash/{id}',
+    tag: 'Trash',
+    summary: 'Delete task permanently',
+    params: taskParams,
+    responses: { 200: json('Task deleted permanently') }
+  },
+  {
+    operationId: 'restoreTask',
+    method: 'post',
+    path: '/api/tasks/{id}/restore',
+    tag: 'Trash',
+    summary: 'Restore task from the trash',
+    params: taskParams,
+    responses: { 200: json('Task restored', 'Task') }
+  },
+  {
+    operationId: 'bulkUpdateTasks',
+    method: 'post',
+    path: '/api/tasks/bulk',
+    tag: 'Tasks',
+    summary: 'Change many tasks at once',
+    description: 'Every task gets the same change. The response has one result per id, so invalid or missing ids only fail their own result.',
+    body: object({
+      ids: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: MAX_BULK_IDS, description: 'Task ids' },
+      action: { type: 'string', enum: BULK_ACTIONS },
+      value: {
+        type: 'string',
+        nullable: true,
+        description: "priority: the priority; project: the project id ('none' = no project); addTag: the tag id"
+      }
+    }, ['ids', 'action']),
+    responses: {
+      200: json('One result per id', null, {
+        action: { type: 'string' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        results: { type: 'array', items: 'BulkResult' },
+        nextOccurrences: { type: 'array', items: 'Task' }
+      })
+    }
+  },
+  {
+    operationId: 'getBoard',
+    method: 'get',
+    path: '/api/tasks/board',
+    tag: 'Board',
+    summary: 'Get the board: one column per status, with its tasks in board order',
+    description: 'The statuses come from TASK_STATUSES on the server; the last column holds the completed tasks.',
+    query: object({
+      ...TASK_FILTERS,
+      limit: { type: 'integer', minimum: 1, description: 'Tasks per column (default 100, at most 200 are returned)' }
+    }),
+    responses: { 200: json('The columns', ['BoardColumn']) }
+  },
+  {
+    operationId: 'moveTask',
+    method: 'put',
+    path: '/api/tasks/{id}/move',
+    tag: 'Board',
+    summary: 'Move a card on the board',
+    description: 'Moving the task to another column changes its status (and completes or reopens it); moving it inside its column keeps its version.',
+    params: taskParams,
+    body: object({
+      status: taskStatus('Column the task goes into'),
+      before: { ...objectId('Task the card goes above (null = bottom of the column)'), nullable: true }
+    }, ['status']),
+    responses: { 200: json('Task moved', 'Task', { nextOccurrence: { $ref: 'Task', nullable: true } }) }
+  },
+  {
+    operationId: 'exportTasks',
+    method: 'get',
+    path: '/api/tasks/export',
+    tag: 'Import / Export',
+    summary: 'Download every task matching the filters',
+    query: object({
+      format: { type: 'string', enum: EXPORT_FORMATS, description: 'File format (default csv)' },
+      q: { type: 'string', description: 'Only tasks matching this search' },
+      ...TASK_FILTERS,
+      ...SORT_OPTIONS
+    }),
+    responses: { 200: file('The tasks', 'text/csv', 'application/json') }
+  },
+  {
+    operationId: 'importTasks',
+    method: 'post',
+    path: '/api/tasks/import',
+    tag: 'Import / Export',
+    summary: 'Import tasks from a CSV, JSON or iCalendar file',
+    description: 'Every row is checked like a new task. With dryRun=true nothing is saved: use it to preview the rows.',
+    form: object({
+      ...IMPORT_OPTIONS,
+      format: { type: 'string', enum: IMPORT_FORMATS, description: 'Format of the file (read from its name when left out)' }
+    }, ['file']),
+    responses: {
+      200: json('Preview of a dry run', ['ImportRow'], { summary: 'ImportSummary' }),
+      201: json('Tasks imported', ['ImportRow'], { summary: 'ImportSummary' }),
+      413: json('The file is too large')
+    }
+  },
+  {
+    operationId: 'getTask',
+    method: 'get',
+    path: '/api/tasks/{id}',
+    tag: 'Tasks',
+    summary: 'Get single task',
+    description: 'The ETag header is the task version, to send back in If-Match.',
+    params: taskParams,
+    responses: { 200: json('The task', 'Task') }
+  },
+  {
+    operationId: 'createTask',
+    method: 'post',
+    path: '/api/tasks',
+    tag: 'Tasks',
+    summary: 'Create new task',
+    body: object(TASK_FIELDS, ['title']),
+    responses: { 201: json('Task created', 'Task') }
+  },
+  {
+    operationId: 'updateTask',
+    method: 'put',
+    path: '/api/tasks/{id}',
+    tag: 'Tasks',
+    summary: 'Update task',
+    description: 'Only the fields sent are changed. Completing a recurring task creates its next occurrence.',
+    params: taskParams,
+    headers: IF_MATCH,
+    body: object(TASK_FIELDS),
+    responses: {
+      200: json('Task updated', 'Task', { nextOccurrence: { $ref: 'Task', nullable: true } }),
+      409: json('The task changed since the version in __v (data: the current task)', 'Task'),
+      412: json('The task changed since the version in If-Match (data: the current task)', 'Task')
+    }
+  },
+  {
+    operationId: 'deleteTask',
+    method: 'delete',
+    path: '/api/tasks/{id}',
+    tag: 'Tasks',
+    summary: 'Move task to the trash',
+    params: taskParams,
+    headers: IF_MATCH,
+    responses: { 200: json('Task moved to the trash', 'Task'), 412: json('The task changed since the version in If-Match', 'Task') }
+  },
+  {
+    operationId: 'getTaskHistory',
+    method: 'get',
+    path: '/api/tasks/{id}/history',
+    tag: 'History',
+    summary: 'Get the changes made to a task, newest first',
+    params: taskParams,
+    query: object({ limit: { type: 'integer', minimum: 1, description: 'Entries to return (default 50, at most 100)' } }),
+    responses: { 200: json('History entries', ['HistoryEntry']) }
+  },
+  {
+    operationId: 'revertTask',
+    method: 'post',
+    path: '/api/tasks/{id}/history/{entryId}/revert',
+    tag: 'History',
+    summary: 'Bring task back to the version after a change',
+    params: object({ id: objectId('Task id'), entryId: objectId('History entry id') }, ['id', 'entryId']),
+    headers: IF_MATCH,
+    responses: { 200: json('Task reverted', 'Task'), 412: json('The task changed since the version in If-Match', 'Task') }
+  },
+
+  // ========================================
+  // SUBTASKS
+  // ========================================
+  {
+    operationId: 'addSubtask',
+    method: 'post',
+    path: '/api/tasks/{id}/subtasks',
+    tag: 'Subtasks',
+    summary: 'Add subtask at the end of the checklist',
+    params: taskParams,
+    body: object({ title: SUBTASK_TITLE }, ['title']),
+    responses: { 201: json('Subtask added (data: the whole task)', 'Task') }
+  },
+  {
+    operationId: 'reorderSubtasks',
+    method: 'put',
+    path: '/api/tasks/{id}/subtasks/reorder',
+    tag: 'Subtasks',
+    summary: 'Reorder subtasks',
+    params: taskParams,
+    body: object({
+      ids: { type: 'array', items: objectId('Subtask id'), uniqueItems: true, description: 'Every subtask of the task exactly once, in the new order' }
+    }, ['ids']),
+    responses: { 200: json('Subtasks reordered (data: the whole task)', 'Task') }
+  },
+  {
+    operationId: 'updateSubtask',
+    method: 'put',
+    path: '/api/tasks/{id}/subtasks/{subtaskId}',
+    tag: 'Subtasks',
+    summary: 'Rename or toggle subtask',
+    params: object({ id: objectId('Task id'), subtaskId: objectId('Subtask id') }, ['id', 'subtaskId']),
+    body: object({ title: SUBTASK_TITLE, completed: { type: 'boolean' } }),
+    responses: { 200: json('Subtask updated (data: the whole task)', 'Task') }
+  },
+  {
+    operationId: 'deleteSubtask',
+    method: 'delete',
+    path: '/api/tasks/{id}/subtasks/{subtaskId}',
+    tag: 'Subtasks',
+    summary: 'Delete subtask',
+    params: object({ id: objectId('Task id'), subtaskId: objectId('Subtask id') }, ['id', 'subtaskId']),
+    responses: { 200: json('Subtask deleted (data: the whole task)', 'Task') }
+  },
+
+  // ========================================
+  // COMMENTS
+  // ========================================
+  {
+    operationId: 'listComments',
+    method: 'get',
+    path: '/api/tasks/{taskId}/comments',
+    tag: 'Comments',
+    summary: 'Get the comments of a task, oldest first',
+    params: nestedTaskParams(),
+    responses: { 200: json('Comments', ['Comment']) }
+  },
+  {
+    operationId: 'addComment',
+    method: 'post',
+    path: '/api/tasks/{taskId}/comments',
+    tag: 'Comments',
+    summary: 'Add comment',
+    description: 'Markdown; @<email> mentions notify those users if they can open the task.',
+    params: nestedTaskParams(),
+    body: object({ content: { type: 'string', minLength: 1, maxLength: 5000, 'x-trim': true } }, ['content']),
+    responses: { 201: json('Comment added', 'Comment', { commentCount: { type: 'integer' } }) }
+  },
+  {
+    operationId: 'updateComment',
+    method: 'put',
+    path: '/api/tasks/{taskId}/comments/{commentId}',
+    tag: 'Comments',
+    summary: 'Edit comment (author only)',
+    params: nestedTaskParams({ commentId: objectId('Comment id') }, ['commentId']),
+    body: object({ content: { type: 'string', minLength: 1, maxLength: 5000, 'x-trim': true } }, ['content']),
+    responses: { 200: json('Comment updated', 'Comment'), 403: json('Only the author can edit a comment') }
+  },
+  {
+    operationId: 'deleteComment',
+    method: 'delete',
+    path: '/api/tasks/{taskId}/comments/{commentId}',
+    tag: 'Comments',
+    summary: 'Delete comment (author only)',
+    params: nestedTaskParams({ commentId: objectId('Comment id') }, ['commentId']),
+    responses: { 200: json('Comment deleted', null, { commentCount: { type: 'integer' } }), 403: json('Only the author can delete a comment') }
+  },
+
+  // ========================================
+  // ATTACHMENTS
+  // ========================================
+  {
+    operationId: 'listAttachments',
+    method: 'get',
+    path: '/api/tasks/{taskId}/attachments',
+    tag: 'Attachments',
+    summary: 'Get the files attached to a task, with the upload limits',
+    params: nestedTaskParams(),
+    responses: { 200: json('Attachments', ['Attachment'], { limits: 'AttachmentLimits' }) }
+  },
+  {
+    operationId: 'uploadAttachments',
+    method: 'post',
+    path: '/api/tasks/{taskId}/attachments',
+    tag: 'Attachments',
+    summary: 'Upload files',
+    description: 'Images, PDF and text files, 10 MB each by default.',
+    params: nestedTaskParams(),
+    form: object({
+      files: { type: 'array', items: { type: 'string', format: 'binary' }, description: 'Up to 5 files' }
+    }, ['files']),
+    responses: { 201: json('Files uploaded', ['Attachment']), 413: json('A file is too large'), 415: json('A file type is not allowed') }
+  },
+  {
+    operationId: 'downloadAttachment',
+    method: 'get',
+    path: '/api/tasks/{taskId}/attachments/{attachmentId}',
+    tag: 'Attachments',
+    summary: 'Download file',
+    params: nestedTaskParams({ attachmentId: objectId('Attachment id') }, ['attachmentId']),
+    query: object({ inline: { type: 'boolean', description: 'true shows the file in the browser instead of saving it' } }),
+    responses: { 200: file('The file', 'application/octet-stream') }
+  },
+  {
+    operationId: 'getAttachmentThumbnail',
+    method: 'get',
+    path: '/api/tasks/{taskId}/attachments/{attachmentId}/thumbnail',
+    tag: 'Attachments',
+    summary: 'Get the thumbnail of an image',
+    params: nestedTaskParams({ attachmentId: objectId('Attachment id') }, ['attachmentId']),
+    responses: { 200: file('Thumbnail', 'image/webp') }
+  },
+  {
+    operationId: 'deleteAttachment',
+    method: 'delete',
+    path: '/api/tasks/{taskId}/attachments/{attachmentId}',
+    tag: 'Attachments',
+    summary: 'Delete file',
+    params: nestedTaskParams({ attachmentId: objectId('Attachment id') }, ['attachmentId']),
+    responses: { 200: json('File deleted', null, { attachmentCount: { type: 'integer' } }) }
+  },
+
+  // ========================================
+  // PROJECTS
+  // ========================================
+  {
+    operationId: 'listProjects',
+    method: 'get',
+    path: '/api/projects',
+    tag: 'Projects',
+    summary: 'Get projects with their number of active tasks',
+    query: object({
+      archived: { type: 'string', enum: ['true', 'false', 'all'], description: 'false (default) = active projects, true = archived only' }
+    }),
+    responses: { 200: json('Projects in sidebar order', ['Project']) }
+  },
+  {
+    operationId: 'reorderProjects',
+    method: 'put',
+    path: '/api/projects/reorder',
+    tag: 'Projects',
+    summary: 'Save the sidebar order',
+    body: object({ ids: { type: 'array', items: objectId('Project id'), description: 'Project ids in the new order' } }, ['ids']),
+    responses: { 200: json('Projects reordered', ['Project']) }
+  },
+  {
+    operationId: 'getProject',
+    method: 'get',
+    path: '/api/projects/{id}',
+    tag: 'Projects',
+    summary: 'Get single project',
+    params: idParams('Project id'),
+    responses: { 200: json('The project', 'Project') }
+  },
+  {
+    operationId: 'listProjectTasks',
+    method: 'get',
+    path: '/api/projects/{id}/tasks',
+    tag: 'Projects',
+    summary: 'Get a page of the project tasks',
+    params: idParams('Project id'),
+    query: object({ ...TASK_FILTERS, ...PAGE_OPTIONS }),
+    responses: { 200: json('A page of tasks', ['Task'], TASK_PAGE) }
+  },
+  {
+    operationId: 'createProject',
+    method: 'post',
+    path: '/api/projects',
+    tag: 'Projects',
+    summary: 'Create new project',
+    body: object(PROJECT_FIELDS, ['name']),
+    responses: { 201: json('Project created', 'Project') }
+  },
+  {
+    operationId: 'updateProject',
+    method: 'put',
+    path: '/api/projects/{id}',
+    tag: 'Projects',
+    summary: 'Update project',
+    params: idParams('Project id'),
+    body: object(PROJECT_FIELDS),
+    responses: { 200: json('Project updated', 'Project') }
+  },
+  {
+    operationId: 'deleteProject',
+    method: 'delete',
+    path: '/api/projects/{id}',
+    tag: 'Projects',
+    summary: 'Delete project',
+    description: 'tasks=cascade moves its tasks to the trash; tasks=move moves them to another project (moveTo).',
+    params: idParams('Project id'),
+    query: object({
+      tasks: { type: 'string', enum: ['cascade', 'move'] },
+      moveTo: idOrNone("Destination project with tasks=move ('none' = no project)")
+    }, ['tasks']),
+    responses: { 200: json('Project deleted') }
+  },
+
+  // ========================================
+  // TAGS
+  // ========================================
+  {
+    operationId: 'listTags',
+    method: 'get',
+    path: '/api/tags',
+    tag: 'Tags',
+    summary: 'Get tags with the number of tasks using them',
+    responses: { 200: json('Tags by name', ['Tag']) }
+  },
+  {
+    operationId: 'createTag',
+    method: 'post',
+    path: '/api/tags',
+    tag: 'Tags',
+    summary: 'Create tag',
+    body: object(TAG_FIELDS, ['name']),
+    responses: { 201: json('Tag created', 'Tag'), 409: json('A tag with this name already exists') }
+  },
+  {
+    operationId: 'updateTag',
+    method: 'put',
+    path: '/api/tags/{id}',
+    tag: 'Tags',
+    summary: 'Rename or recolor tag',
+    params: idParams('Tag id'),
+    body: object(TAG_FIELDS),
+    responses: { 200: json('Tag updated', 'Tag'), 409: json('A tag with this name already exists') }
+  },
+  {
+    operationId: 'mergeTag',
+    method: 'post',
+    path: '/api/tags/{id}/merge',
+    tag: 'Tags',
+    summary: 'Merge tag into another one',
+    description: 'Its tasks get the other tag and it is deleted.',
+    params: idParams('Tag id'),
+    body: object({ into: objectId('Tag that is kept') }, ['into']),
+    responses: { 200: json('Tags merged', 'Tag') }
+  },
+  {
+    operationId: 'deleteTag',
+    method: 'delete',
+    path: '/api/tags/{id}',
+    tag: 'Tags',
+    summary: 'Delete tag and remove it from its tasks',
+    params: idParams('Tag id'),
+    responses: { 200: json('Tag deleted') }
+  },
+
+  // ========================================
+  // VIEWS
+  // ========================================
+  {
+    operationId: 'listViews',
+    method: 'get',
+    path: '/api/views',
+    tag: 'Views',
+    summary: 'Get the built-in views, the own views and the views shared with the user',
+    description: 'Each view has its list query (the parameters of GET /api/tasks it stands for) and tells if it is pinned; \'pinned\' lists the pinned views in sidebar order.',
+    query: viewTimeZone,
+    responses: { 200: json('Views', ['View'], { pinned: { type: 'array', items: { type: 'string' }, description: 'Ids of the pinned views' } }) }
+  },
+  {
+    operationId: 'createView',
+    method: 'post',
+    path: '/api/views',
+    tag: 'Views',
+    summary: 'Save a view',
+    query: viewTimeZone,
+    body: object(VIEW_FIELDS, ['name'], { additionalProperties: false }),
+    responses: { 201: json('View saved', 'View'), 400: json('Could not share with some of the emails, or too many views') }
+  },
+  {
+    operationId: 'getView',
+    method: 'get',
+    path: '/api/views/{id}',
+    tag: 'Views',
+    summary: 'Get single view',
+    params: viewParams,
+    query: viewTimeZone,
+    responses: { 200: json('The view', 'View') }
+  },
+  {
+    operationId: 'updateView',
+    method: 'put',
+    path: '/api/views/{id}',
+    tag: 'Views',
+    summary: 'Update view (owner only)',
+    params: viewParams,
+    query: viewTimeZone,
+    body: object(VIEW_FIELDS, [], { additionalProperties: false }),
+    responses: { 200: json('View updated', 'View'), 403: json('Only the owner can change a view') }
+  },
+  {
+    operationId: 'deleteView',
+    method: 'delete',
+    path: '/api/views/{id}',
+    tag: 'Views',
+    summary: 'Delete view, or leave a view shared with the user',
+    params: viewParams,
+    responses: { 200: json('View deleted (or left)'), 403: json('Built-in views can\'t be deleted') }
+  },
+  {
+    operationId: 'pinView',
+    method: 'put',
+    path: '/api/views/{id}/pin',
+    tag: 'Views',
+    summary: 'Pin view to the sidebar, or unpin it',
+    description: 'Each user pins views for themselves; a pinned view goes to the bottom of the sidebar.',
+    params: viewParams,
+    body: object({ pinned: { type: 'boolean' } }, ['pinned']),
+    responses: { 200: json('Pinned views in sidebar order', { type: 'array', items: { type: 'string' } }) }
+  },
+  {
+    operationId: 'listViewTasks',
+    method: 'get',
+    path: '/api/views/{id}/tasks',
+    tag: 'Views',
+    summary: 'Get a page of the tasks of a view',
+    description: 'The view is evaluated on the server with the query engine of GET /api/tasks. Views shared by others show the tasks of the user that match them.',
+    params: viewParams,
+    query: object({
+      tz: timeZone("Time zone of the 'today' and 'week' filters (default UTC)"),
+      limit: { type: 'integer', minimum: 1, description: `Tasks per page (default 20, at most ${MAX_LIMIT} are returned)` },
+      cursor: PAGE_OPTIONS.cursor
+    }),
+    responses: {
+      200: json('A page of tasks', ['Task'], {
+        ...TASK_PAGE,
+        query: { type: 'object', description: 'The parameters of GET /api/tasks the view stands for' }
+      })
+    }
+  },
+
+  // ========================================
+  // LIVE UPDATES
+  // ========================================
+  {
+    operationId: 'streamEvents',
+    method: 'get',
+    path: '/api/events',
+    tag: 'Live updates',
+    summary: 'Live task changes (Server-Sent Events)',
+    description: 'Events: task.created, task.updated, task.deleted, tasks.changed, resync and ready.',
+    auth: 'stream',
+    query: object({
+      token: { type: 'string', description: 'Access token (EventSource can\'t send headers)' },
+      clientId: { type: 'string', description: 'Id of the browser tab - its own changes are not sent back' },
+      lastEventId: { type: 'string', description: 'Id of the last event received, to get the missed ones' }
+    }),
+    responses: { 200: file('Event stream', 'text/event-stream') }
+  },
+
+  // ========================================
+  // CALENDAR
+  // ========================================
+  {
+    operationId: 'getCalendarFeed',
+    method: 'get',
+    path: '/api/calendar.ics',
+    tag: 'Calendar',
+    summary: 'Calendar feed of the tasks with a due date',
+    description: 'For calendar apps: protected by the feed token instead of the Authorization header. Accepts the filters of GET /api/tasks.',
+    auth: 'feedToken',
+    query: object({
+      token: { type: 'string', description: 'Feed token' },
+      type: { type: 'string', enum: ENTRY_TYPES, description: 'event (default, every calendar app) or todo' },
+      ...TASK_FILTERS
+    }),
+    responses: { 200: file('iCalendar file', 'text/calendar') }
+  },
+  {
+    operationId: 'getCalendarFeedStatus',
+    method: 'get',
+    path: '/api/calendar/feed',
+    tag: 'Calendar',
+    summary: 'Is the calendar feed turned on?',
+    responses: { 200: json('Feed status', 'CalendarFeed') }
+  },
+  {
+    operationId: 'createCalendarFeed',
+    method: 'post',
+    path: '/api/calendar/feed',
+    tag: 'Calendar',
+    summary: 'Turn on the calendar feed or reset its link',
+    description: 'The token and the feed URLs are only returned here. A new token replaces the old one.',
+    responses: { 201: json('Feed link created', 'CalendarFeed') }
+  },
+  {
+    operationId: 'deleteCalendarFeed',
+    method: 'delete',
+    path: '/api/calendar/feed',
+    tag: 'Calendar',
+    summary: 'Turn off the calendar feed',
+    responses: { 200: json('Feed turned off', 'CalendarFeed') }
+  },
+  {
+    operationId: 'importCalendar',
+    method: 'post',
+    path: '/api/calendar/import',
+    tag: 'Calendar',
+    summary: 'Create tasks from an .ics file',
+    form: object(IMPORT_OPTIONS, ['file']),
+    responses: {
+      200: json('Preview of a dry run', ['ImportRow'], { summary: 'ImportSummary' }),
+      201: json('Tasks imported', ['ImportRow'], { summary: 'ImportSummary' }),
+      413: json('The file is too large')
+    }
+  },
+
+  // ========================================
+  // WEBHOOKS
+  // ========================================
+  {
+    operationId: 'listWebhooks',
+    method: 'get',
+    path: '/api/webhooks',
+    tag: 'Webhooks',
+    summary: 'Get webhooks, with the events they can receive',
+    responses: { 200: json('Webhooks', ['Webhook'], { info: 'WebhookInfo' }) }
+  },
+  {
+    operationId: 'createWebhook',
+    method: 'post',
+    path: '/api/webhooks',
+    tag: 'Webhooks',
+    summary: 'Create webhook',
+    description: 'Without a secret one is generated. The response is the only time the secret is returned.',
+    body: object({
+      ...WEBHOOK_FIELDS,
+      secret: { type: 'string', minLength: 16, maxLength: 200, description: 'Key of the HMAC signatures' }
+    }, ['url', 'events']),
+    responses: { 201: json('Webhook created (with its secret)', 'Webhook') }
+  },
+  {
+    operationId: 'getWebhook',
+    method: 'get',
+    path: '/api/webhooks/{id}',
+    tag: 'Webhooks',
+    summary: 'Get single webhook',
+    params: idParams('Webhook id'),
+    responses: { 200: json('The webhook', 'Webhook') }
+  },
+  {
+    operationId: 'updateWebhook',
+    method: 'put',
+    path: '/api/webhooks/{id}',
+    tag: 'Webhooks',
+    summary: 'Update webhook',
+    params: idParams('Webhook id'),
+    body: object({
+      ...WEBHOOK_FIELDS,
+      rotateSecret: { type: 'boolean', description: 'true replaces the secret - the new one is returned' }
+    }),
+    responses: { 200: json('Webhook updated', 'Webhook') }
+  },
+  {
+    operationId: 'deleteWebhook',
+    method: 'delete',
+    path: '/api/webhooks/{id}',
+    tag: 'Webhooks',
+    summary: 'Delete webhook and its delivery log',
+    params: idParams('Webhook id'),
+    responses: { 200: json('Webhook deleted') }
+  },
+  {
+    operationId: 'listWebhookDeliveries',
+    method: 'get',
+    path: '/api/webhooks/{id}/deliveries',
+    tag: 'Webhooks',
+    summary: 'Delivery log with the response code of every attempt, newest first',
+    params: idParams('Webhook id'),
+    query: object({
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      limit: { type: 'integer', minimum: 1, description: 'Deliveries to return (default 50, at most 100)' }
+    }),
+    responses: { 200: json('Deliveries', ['WebhookDelivery']) }
+  },
+  {
+    operationId: 'testWebhook',
+    method: 'post',
+    path: '/api/webhooks/{id}/test',
+    tag: 'Webhooks',
+    summary: 'Send a test event',
+    description: 'Sent once, right away; the response is the delivery with the status code the webhook answered.',
+    params: idParams('Webhook id'),
+    responses: { 200: json('The test delivery', 'WebhookDelivery') }
+  }
+];
+
+// ========================================
+// VALIDATION MIDDLEWARE
+// ========================================
+
+// Routes by operationId
+const routesById = new Map(ROUTES.map(route => [route.operationId, route]));
+
+// Express middleware that checks the requests of a route against its schema
+// Usage: router.post('/', validate('createTask'), async (req, res) => { ... })
+// An unknown operationId stops the server at startup, so every route really has a schema
+const validate = (operationId) => {
+  const route = routesById.get(operationId);
+
+  if (!route) {
+    throw new Error(`No schema for route '${operationId}' in apiSchemas.js`);
+  }
+
+  return createValidator(route);
+};
+
+// List of the endpoints for the root route: 'POST /api/tasks/:id/restore' -> summary
+const listEndpoints = () => Object.fromEntries(ROUTES.map(route => [
+  `${route.method.toUpperCase()} ${route.path.replace(/{(\w+)}/g, ':$1')}`,
+  route.summary
+]));
+
+// Export the route schemas and the validation middleware
+module.exports = {
+  ROUTES,
+  validate,
+  listEndpoints
+};
@@ -0,0 +1,71 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Create the schema for Attachment documents - a file attached to a task
+// The file itself is kept by the storage adapter (see storage.js), this is its description
+const attachmentSchema = new mongoose.Schema({
+
+  // The task the file is attached to
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+
+  // The owner of the task (files are only served to them)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Name of the file on the user's computer, used when it is downloaded
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+
+  // Type of the file, checked against its content when it was uploaded
+  mimeType: {
+    type: String,
+    required: true
+  },
+
+  // Size in bytes
+  size: {
+    type: Number,
+    required: true
+  },
+
+  // Where the storage adapter keeps the file and its thumbnail (null when there is none)
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// The attachments of a task are listed oldest first
+attachmentSchema.index({ task: 1, createdAt: 1 });
+
+// Storage keys are internal - clients only see whether there is a thumbnail
+attachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.hasThumbnail = !!ret.thumbnailKey;
+    delete ret.storageKey;
+    delete ret.thumbnailKey;
+    return ret;
+  }
+});
+
+// Create and export the Attachment model - MongoDB will create an 'attachments' collection
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,282 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import our models
+const Task = require('./task');
+const Attachment = require('./attachment');
+
+// Import the upload helpers and the storage adapter
+const { receiveFiles, saveAttachment, removeAttachments, getMaxFileSize, ALLOWED_MIME_TYPES } = require('./uploads');
+const { getStorage } = require('./storage');
+
+// Import the task event helper to update the attachment count in the user's other tabs
+const { publishTaskEvent } = require('./taskEvents');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - mounted at /api/tasks/:taskId/attachments
+// mergeParams gives the routes access to ':taskId'
+const router = express.Router({ mergeParams: true });
+
+// Every attachment route requires a logged in user
+router.use(protect);
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Find the task of the request if it belongs to the logged in user
+// Attachments of a task in the trash can be read, but not added or deleted
+const findTask = (req, { includeTrash = false } = {}) => {
+  return Task.findOne({
+    _id: req.params.taskId,
+    owner: req.user._id,
+    ...(!includeTrash && { deletedAt: null })
+  });
+};
+
+// Find an attachment of the request's task (the task must belong to the logged in user)
+const findAttachment = async (req) => {
+  const task = await findTask(req, { includeTrash: true });
+  return task && Attachment.findOne({ _id: req.params.attachmentId, task: task._id });
+};
+
+// Add 'change' to the attachment count of a task and show it in the user's other tabs
+// The version is kept: a new file doesn't conflict with someone editing the task
+const updateAttachmentCount = async (req, taskId, change) => {
+  const task = await Task.findOneAndUpdate(
+    { _id: taskId },
+    { $inc: { attachmentCount: change } },
+    { new: true, timestamps: false, keepVersion: true }
+  );
+
+  publishTaskEvent(req, 'task.updated', task);
+  return task;
+};
+
+// Send a stored file
+// 'disposition' is 'attachment' (save the file) or 'inline' (show it in the browser)
+const sendFile = async (res, key, mimeType, filename, disposition) => {
+  const stream = await getStorage().createReadStream(key);
+
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+
+    // The browser must not guess another type (e.g. run a text file as HTML)
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600'
+  });
+
+  stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// ========================================
+// GET /api/tasks/:taskId/attachments - The files attached to a task, oldest first
+// ========================================
+// Also returns the upload limits, so the client can check files before sending them
+router.get('/', validate('listAttachments'), async (req, res) => {
+
+  try {
+
+    const task = await findTask(req, { includeTrash: true });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const attachments = await Attachment.find({ task: task._id }).sort({ createdAt: 1, _id: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments,
+      limits: {
+        maxFileSize: getMaxFileSize(),
+        mimeTypes: ALLOWED_MIME_TYPES
+      }
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error retrieving attachments',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/tasks/:taskId/attachments - Upload files (multipart/form-data, field 'files')
+// ========================================
+// Every file is checked before any is stored: one file of the wrong type rejects the upload (415)
+router.post('/', validate('uploadAttachments'), async (req, res, next) => {
+  // Check the task before reading the files into memory
+  try {
+    req.task = await findTask(req);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error uploading files',
+      error: error.message
+    });
+  }
+
+  if (!req.task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  next();
+}, receiveFiles, async (req, res) => {
+
+  try {
+
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error uploading files',
+        error: "No files sent - use the 'files' field of a multipart/form-data request"
+      });
+    }
+
+    const attachments = [];
+
+    try {
+      for (const file of files) {
+        attachments.push(await saveAttachment(req.task, file));
+      }
+    } catch (error) {
+      // Don't keep part of an upload
+      await removeAttachments({ _id: { $in: attachments.map(attachment => attachment._id) } });
+      throw error;
+    }
+
+    const task = await updateAttachmentCount(req, req.task._id, attachments.length);
+
+    res.status(201).json({
+      success: true,
+      message: `${attachments.length} file(s) uploaded successfully`,
+      data: attachments,
+      attachmentCount: task.attachmentCount
+    });
+
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error uploading files',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/tasks/:taskId/attachments/:attachmentId - Download a file
+// ========================================
+// Query parameters: inline=true shows the file in the browser instead of saving it
+router.get('/:attachmentId', validate('downloadAttachment'), async (req, res) => {
+
+  try {
+
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    await sendFile(res, attachment.storageKey, attachment.mimeType, attachment.filename,
+      req.query.inline === 'true' ? 'inline' : 'attachment');
+
+  } catch (error) {
+    res.status(error.code === 'ENOENT' ? 404 : 400).json({
+      success: false,
+      message: 'Error downloading attachment',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/tasks/:taskId/attachments/:attachmentId/thumbnail - Small preview of an image
+// ========================================
+router.get('/:attachmentId/thumbnail', validate('getAttachmentThumbnail'), async (req, res) => {
+
+  try {
+
+    const attachment = await findAttachment(req);
+
+    if (!attachment || !attachment.thumbnailKey) {
+      return res.status(404).json({
+        success: false,
+        message: attachment ? 'This attachment has no thumbnail' : 'Attachment not found'
+      });
+    }
+
+    await sendFile(res, attachment.thumbnailKey, 'image/webp', `${attachment.filename}.webp`, 'inline');
+
+  } catch (error) {
+    res.status(error.code === 'ENOENT' ? 404 : 400).json({
+      success: false,
+      message: 'Error loading thumbnail',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// DELETE /api/tasks/:taskId/attachments/:attachmentId - Delete a file
+// ========================================
+router.delete('/:attachmentId', validate('deleteAttachment'), async (req, res) => {
+
+  try {
+
+    const task = await findTask(req);
+    const attachment = task && await Attachment.findOne({ _id: req.params.attachmentId, task: task._id });
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: task ? 'Attachment not found' : 'Task not found'
+      });
+    }
+
+    await removeAttachments({ _id: attachment._id });
+
+    const updatedTask = await updateAttachmentCount(req, task._id, -1);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: attachment,
+      attachmentCount: updatedTask.attachmentCount
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting attachment',
+      error: error.message
+    });
+  }
+});
+
+// Export the router so it can be imported and used in server.js
+module.exports = router;
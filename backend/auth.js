@@ -0,0 +1,259 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import our User model
+const User = require('./user');
+
+// Import token helpers
+const {
+  hashToken,
+  createAccessToken,
+  createRefreshToken,
+  verifyRefreshToken
+} = require('./tokens');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - this will handle all authentication routes
+const router = express.Router();
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Create a new access/refresh token pair for a user and save the refresh token hash
+// The user document must have been loaded with .select('+refreshTokens')
+const issueTokens = async (user) => {
+  const accessToken = createAccessToken(user);
+  const refreshToken = createRefreshToken(user);
+
+  // Drop expired refresh tokens so the list doesn't grow forever
+  const now = new Date();
+  user.refreshTokens = (user.refreshTokens || []).filter(t => t.expiresAt > now);
+
+  // Remember the new refresh token (only its hash)
+  user.refreshTokens.push({
+    tokenHash: refreshToken.tokenHash,
+    expiresAt: refreshToken.expiresAt
+  });
+
+  await user.save();
+
+  return { accessToken, refreshToken: refreshToken.token };
+};
+
+// ========================================
+// POST /api/auth/register - Create a new account
+// ========================================
+router.post('/register', validate('register'), async (req, res) => {
+
+  try {
+
+    const { name, email, password } = req.body;
+
+    // Check that all fields were sent
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, email and password are required'
+      });
+    }
+
+    // Check that the email isn't already used by another account
+    const existingUser = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    // Create the user - the password is hashed by the model before saving
+    const user = await User.create({ name, email, password });
+
+    // Log the new user in straight away
+    const tokens = await issueTokens(user);
+
+    // Send 201 Created with the user and the tokens
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: { user, ...tokens }
+    });
+
+  } catch (error) {
+    // Validation errors (invalid email, short password...)
+    res.status(400).json({
+      success: false,
+      message: 'Error creating account',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/auth/login - Log in with email and password
+// ========================================
+router.post('/login', validate('login'), async (req, res) => {
+
+  try {
+
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    // Load the user with the fields that are hidden by default
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+      .select('+password +refreshTokens');
+
+    // Use the same message for unknown email and wrong password,
+    // so nobody can find out which emails have an account
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: { user, ...tokens }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/auth/refresh - Exchange a refresh token for new tokens
+// ========================================
+router.post('/refresh', validate('refreshSession'), async (req, res) => {
+
+  try {
+
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    // Check signature, expiry and type - throws if the token is invalid or is an access token
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(payload.sub).select('+refreshTokens');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // The token must still be in the user's list (it is removed on logout and after use)
+    const tokenHash = hashToken(refreshToken);
+    const storedToken = user.refreshTokens.find(t => t.tokenHash === tokenHash);
+
+    if (!storedToken) {
+      // A valid but unknown token means it was already used - it may have been stolen,
+      // so we log out every device of this user to be safe
+      user.refreshTokens = [];
+      await user.save();
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    // Rotate: the old refresh token can't be used again
+    user.refreshTokens = user.refreshTokens.filter(t => t.tokenHash !== tokenHash);
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      data: { user, ...tokens }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/auth/logout - Revoke a refresh token
+// ========================================
+// No access token is required, so a user can log out even after it expired
+router.post('/logout', validate('logout'), async (req, res) => {
+
+  try {
+
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      // Remove the token from whichever user owns it
+      await User.updateOne(
+        { 'refreshTokens.tokenHash': hashToken(refreshToken) },
+        { $pull: { refreshTokens: { tokenHash: hashToken(refreshToken) } } }
+      );
+    }
+
+    // Always answer with success - the client forgets its tokens anyway
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/auth/me - Get the logged in user
+// ========================================
+router.get('/me', protect, validate('getMe'), async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Export the router so it can be imported and used in server.js
+module.exports = router;
@@ -0,0 +1,57 @@
+// Import our User model to load the logged in user
+const User = require('./user');
+
+// Import the helper that checks access tokens
+const { verifyAccessToken } = require('./tokens');
+
+// ========================================
+// PROTECT MIDDLEWARE
+// ========================================
+
+// Middleware that only lets requests with a valid access token through
+// The token must be sent as 'Authorization: Bearer <token>'
+// On success the logged in user is available as req.user in the route handlers
+const protect = async (req, res, next) => {
+
+  // Read the token from the Authorization header
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token'
+    });
+  }
+
+  try {
+
+    // Check the signature, expiry and type of the token (refresh tokens are refused)
+    const payload = verifyAccessToken(token);
+
+    // Make sure the user still exists (it may have been deleted after the token was created)
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user not found'
+      });
+    }
+
+    // Attach the user to the request for the next handlers
+    req.user = user;
+    next();
+
+  } catch (error) {
+    // Invalid signature, expired token, malformed id...
+    res.status(401).json({
+      success: false,
+      message: 'Not authorized, token failed',
+      error: error.message
+    });
+  }
+};
+
+// Export the middleware so routers can use it
+module.exports = { protect };
@@ -0,0 +1,147 @@
+// Import our Task model
+const Task = require('./task');
+
+// Import the workflow statuses
+const { getWorkflowStatuses, getDefaultStatus, getDoneStatus } = require('./workflow');
+
+// Import the 400 error helper
+const { badRequest } = require('./taskQuery');
+
+// ========================================
+// BOARD ORDER
+// ========================================
+
+// The board shows one column per workflow status. Each task keeps its position in its column
+// in 'boardOrder': moving a card gives it a number between its new neighbours, so only the moved
+// task is written. When there is no room left between two numbers (or the neighbours were never
+// moved and have no number yet) the whole column is numbered again, BOARD_STEP apart.
+
+// Distance between two cards after the column is numbered again
+const BOARD_STEP = 1024;
+
+// Smallest distance between two neighbours before the column is numbered again
+const MIN_GAP = 1e-6;
+
+// Order of the cards in a column - tasks never moved on the board come first, newest on top
+const BOARD_SORT = { boardOrder: 1, createdAt: -1, _id: 1 };
+
+// Tasks shown per column by default, and at most
+const DEFAULT_COLUMN_LIMIT = 100;
+const MAX_COLUMN_LIMIT = 200;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// MongoDB condition for the tasks of a column
+// Tasks without a valid status (saved before the workflow existed) are in the first column,
+// or in the last one when they are completed - like getTaskStatus() in workflow.js
+const getColumnCondition = (status) => {
+  const keys = getWorkflowStatuses().map(item => item.key);
+  const withoutStatus = { status: { $nin: keys } };
+
+  if (status === getDoneStatus()) {
+    return { $or: [{ status }, { ...withoutStatus, completed: true }] };
+  }
+  if (status === getDefaultStatus()) {
+    return { $or: [{ status }, { ...withoutStatus, completed: { $ne: true } }] };
+  }
+  return { status };
+};
+
+// Add the condition of a column to a task filter (kept apart with $and, the filter may have its own $or)
+const withColumn = (filter, status) => ({
+  ...filter,
+  $and: [...(filter.$and || []), getColumnCondition(status)]
+});
+
+// Number of cards per column requested by the client
+const getColumnLimit = (query = {}) => {
+  const limit = parseInt(query.limit, 10);
+  return Math.min(limit > 0 ? limit : DEFAULT_COLUMN_LIMIT, MAX_COLUMN_LIMIT);
+};
+
+// Number for a card placed between 'previous' and 'next' (either can be missing)
+// Returns null when the neighbours leave no room - the column must be numbered again
+const getOrderBetween = (previous, next) => {
+  const before = previous ? previous.boardOrder : undefined;
+  const after = next ? next.boardOrder : undefined;
+
+  if (before === null || after === null) {
+    return null;
+  }
+  if (before === undefined && after === undefined) {
+    return 0;
+  }
+  if (before === undefined) {
+    return after - BOARD_STEP;
+  }
+  if (after === undefined) {
+    return before + BOARD_STEP;
+  }
+  return after - before > MIN_GAP ? (before + after) / 2 : null;
+};
+
+// ========================================
+// BOARD FUNCTIONS
+// ========================================
+
+// Load the columns of the board: [{ key, name, done, total, tasks }]
+// 'filter' is a task filter (see buildTaskFilter) that already has the owner
+const loadBoard = async (filter, limit = DEFAULT_COLUMN_LIMIT) => {
+  return Promise.all(getWorkflowStatuses().map(async (status) => {
+    const columnFilter = withColumn(filter, status.key);
+
+    const [tasks, total] = await Promise.all([
+      Task.find(columnFilter).sort(BOARD_SORT).limit(limit),
+      Task.countDocuments(columnFilter)
+    ]);
+
+    return { ...status, total, tasks };
+  }));
+};
+
+// Find the board order of a task moved to 'status', just before the task 'beforeId'
+// (at the end of the column when beforeId is null)
+// Returns { boardOrder, renumbered } - 'renumbered' is true when the other cards of the column
+// got new numbers too (their versions don't change: only their position moved)
+// Throws a 400 error when 'beforeId' is not in that column
+const getBoardPosition = async (ownerId, taskId, status, beforeId = null) => {
+  // The column in board order, without the task being moved
+  const column = await Task.find(withColumn({ owner: ownerId, deletedAt: null, _id: { $ne: taskId } }, status))
+    .sort(BOARD_SORT)
+    .select('_id boardOrder')
+    .lean();
+
+  const index = beforeId ? column.findIndex(task => String(task._id) === String(beforeId)) : column.length;
+
+  if (index === -1) {
+    throw badRequest(`The task to place it before is not in the '${status}' column`);
+  }
+
+  const boardOrder = getOrderBetween(column[index - 1], column[index]);
+
+  if (boardOrder !== null) {
+    return { boardOrder, renumbered: false };
+  }
+
+  // Number the column again and leave a gap for the moved task
+  // bulkWrite skips the query middleware, so the other tasks keep their versions
+  const numbered = column.map((task, position) => ({
+    _id: task._id,
+    boardOrder: (position < index ? position : position + 1) * BOARD_STEP
+  }));
+
+  await Task.bulkWrite(numbered.map(task => ({
+    updateOne: { filter: { _id: task._id }, update: { $set: { boardOrder: task.boardOrder } } }
+  })));
+
+  return { boardOrder: index * BOARD_STEP, renumbered: true };
+};
+
+// Export the board helpers
+module.exports = {
+  getColumnLimit,
+  loadBoard,
+  getBoardPosition
+};
@@ -0,0 +1,122 @@
+// Import mongoose to check ids
+const mongoose = require('mongoose');
+
+// Import the models used to check the action values
+const Project = require('./project');
+const Tag = require('./tag');
+
+// Import the query helpers shared with the task list
+const { badRequest, PRIORITIES } = require('./taskQuery');
+
+// Import the workflow statuses of completed and reopened tasks
+const { getDefaultStatus, getDoneStatus } = require('./workflow');
+
+// ========================================
+// BULK ACTION SETTINGS
+// ========================================
+
+// Actions accepted by POST /api/tasks/bulk
+// 'value' is needed by priority (high|medium|low), project (project id or 'none') and addTag (tag id)
+const BULK_ACTIONS = ['complete', 'reopen', 'delete', 'priority', 'project', 'addTag'];
+
+// Most tasks changed by one request
+const MAX_BULK_IDS = 500;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Read the list of task ids of a bulk request
+// Duplicates are removed; invalid ids are kept apart so they get their own error in the results
+const parseBulkIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw badRequest("'ids' must be a non-empty array of task ids");
+  }
+
+  const uniqueIds = [...new Set(ids.map(String))];
+
+  if (uniqueIds.length > MAX_BULK_IDS) {
+    throw badRequest(`At most ${MAX_BULK_IDS} tasks can be changed at once`);
+  }
+
+  return {
+    ids: uniqueIds,
+    validIds: uniqueIds.filter(id => mongoose.Types.ObjectId.isValid(id))
+  };
+};
+
+// Build the database update for a bulk action
+// The value is checked once for the whole request (e.g. the project must belong to the user)
+// Throws a 400 error for an unknown action or an invalid value
+const buildBulkUpdate = async (action, value, userId) => {
+  switch (action) {
+    // The status follows the completed flag, and the tasks go to the top of their new column
+    // (getBulkFilter leaves out the tasks that are already completed or active)
+    case 'complete':
+      return { completed: true, status: getDoneStatus(), boardOrder: null };
+
+    case 'reopen':
+      return { completed: false, status: getDefaultStatus(), boardOrder: null };
+
+    case 'delete':
+      // Deleted tasks go to the trash, like DELETE /api/tasks/:id
+      return { deletedAt: new Date() };
+
+    case 'priority':
+      if (!PRIORITIES.includes(value)) {
+        throw badRequest(`Invalid priority '${value}'`);
+      }
+      return { priority: value };
+
+    case 'project': {
+      // 'none' (or no value) removes the tasks from their project
+      if (!value || value === 'none') {
+        return { project: null };
+      }
+
+      const isOwn = mongoose.Types.ObjectId.isValid(value) && await Project.exists({ _id: value, owner: userId });
+      if (!isOwn) {
+        throw badRequest('Project not found');
+      }
+      return { project: value };
+    }
+
+    case 'addTag': {
+      const tag = mongoose.Types.ObjectId.isValid(value) && await Tag.findOne({ _id: value, owner: userId });
+      if (!tag) {
+        throw badRequest('Tag not found');
+      }
+
+      // Keep the copy of the tag names (used by the search) in sync, without duplicates
+      return { $addToSet: { tags: tag._id, tagNames: tag.name } };
+    }
+
+    default:
+      throw badRequest(`Invalid action '${action}' - use one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+};
+
+// Extra condition on the tasks a bulk action changes
+// Completing or reopening only changes the tasks that aren't already completed or active,
+// so an active task keeps its status (and its version) when it is "reopened"
+const getBulkFilter = (action) => {
+  switch (action) {
+    case 'complete':
+      return { completed: { $ne: true } };
+
+    case 'reopen':
+      return { completed: true };
+
+    default:
+      return {};
+  }
+};
+
+// Export the bulk helpers
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_IDS,
+  parseBulkIds,
+  buildBulkUpdate,
+  getBulkFilter
+};
@@ -0,0 +1,239 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import Node's crypto module to generate feed tokens
+const crypto = require('crypto');
+
+// Import our models
+const Task = require('./task');
+const Project = require('./project');
+const User = require('./user');
+
+// Import the iCalendar writer
+const { ENTRY_TYPES, buildCalendar } = require('./ical');
+
+// Import the task list filters (the feed accepts the same ones)
+const { buildTaskFilter } = require('./taskQuery');
+
+// Import the file import helpers (.ics files go through the same checks as CSV and JSON)
+const { getImportOptions, importFile, receiveImportFile } = require('./importExport');
+
+// Import the token hash helper
+const { hashToken } = require('./tokens');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - this will handle the calendar routes
+// It is mounted at '/api', so each route checks the login itself:
+// calendar apps can't log in, the feed is protected by its own token instead
+const router = express.Router();
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Calendar apps poll the feed, so let them (not shared proxies) cache it for a few minutes
+const FEED_CACHE_SECONDS = 5 * 60;
+
+// Base URL of the API in the feed links
+// Behind a proxy the request host may be an internal one, so it can be set with PUBLIC_API_URL
+const getBaseUrl = (req) => {
+  return (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+};
+
+// Feed status sent to the app - the token itself is only shown once, when it is created
+const toFeedStatus = (feed) => ({
+  enabled: Boolean(feed),
+  createdAt: feed ? feed.createdAt : null
+});
+
+// ========================================
+// GET /api/calendar.ics - Calendar feed of the tasks with a due date
+// ========================================
+// Subscribe to it from Google Calendar, Outlook, Apple Calendar...
+// Query: token (the feed token, required), type=event|todo (default event - most calendar apps
+// don't show to-dos), plus the filters of GET /api/tasks (e.g. project=<id>, status=active)
+router.get('/calendar.ics', validate('getCalendarFeed'), async (req, res) => {
+
+  try {
+
+    // Find the user of the token - an unknown token looks the same as a missing one
+    const token = String(req.query.token || '');
+    const user = token ? await User.findOne({ 'calendarFeed.tokenHash': hashToken(token) }) : null;
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid calendar link',
+        error: 'The calendar token is missing, wrong or was reset'
+      });
+    }
+
+    const type = req.query.type || 'event';
+    if (!ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error building calendar',
+        error: `Invalid type '${type}' (allowed: ${ENTRY_TYPES.join(', ')})`
+      });
+    }
+
+    // Only tasks with a due date can be placed in a calendar
+    const filter = { ...buildTaskFilter(req.query), owner: user._id };
+    filter.$and = [...(filter.$and || []), { dueDate: { $ne: null } }];
+
+    const [tasks, projects] = await Promise.all([
+      Task.find(filter).sort({ dueDate: 1, _id: 1 }).lean(),
+      Project.find({ owner: user._id }).select('name').lean()
+    ]);
+
+    // Categories of an entry: its project and its tags
+    const projectNames = new Map(projects.map(project => [String(project._id), project.name]));
+    const getCategories = (task) => [
+      ...(task.project && projectNames.has(String(task.project)) ? [projectNames.get(String(task.project))] : []),
+      ...(task.tagNames || [])
+    ];
+
+    const calendar = buildCalendar(tasks, { type, name: `Tasks of ${user.name}`, getCategories });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': `private, max-age=${FEED_CACHE_SECONDS}`
+    });
+    res.send(calendar);
+
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error building calendar',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/calendar/feed - Is the calendar feed turned on?
+// ========================================
+router.get('/calendar/feed', protect, validate('getCalendarFeedStatus'), async (req, res) => {
+
+  try {
+
+    const user = await User.findById(req.user._id).select('+calendarFeed');
+
+    res.status(200).json({
+      success: true,
+      data: toFeedStatus(user.calendarFeed)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/calendar/feed - Turn on the calendar feed, or get a new link
+// ========================================
+// A new token replaces the old one, so an old link that was shared stops working
+// The response is the only time the token is sent - only its hash is stored
+router.post('/calendar/feed', protect, validate('createCalendarFeed'), async (req, res) => {
+
+  try {
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const calendarFeed = { tokenHash: hashToken(token), createdAt: new Date() };
+
+    await User.updateOne({ _id: req.user._id }, { $set: { calendarFeed } });
+
+    const url = `${getBaseUrl(req)}/api/calendar.ics?token=${token}`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar link created',
+      data: {
+        ...toFeedStatus(calendarFeed),
+        token,
+        urls: {
+          event: url,
+          todo: `${url}&type=todo`
+        }
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar link',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// DELETE /api/calendar/feed - Turn off the calendar feed
+// ========================================
+router.delete('/calendar/feed', protect, validate('deleteCalendarFeed'), async (req, res) => {
+
+  try {
+
+    await User.updateOne({ _id: req.user._id }, { $set: { calendarFeed: null } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar link turned off',
+      data: toFeedStatus(null)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error turning off calendar link',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/calendar/import - Create tasks from an .ics file
+// ========================================
+// multipart/form-data with the file in the 'file' field, plus the options of
+// POST /api/tasks/import (dryRun=true for a preview, duplicates=skip|import, tz)
+// Events and to-dos become tasks; their categories become tags
+router.post('/calendar/import', protect, receiveImportFile, validate('importCalendar'), async (req, res) => {
+
+  try {
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error importing calendar',
+        error: "No file sent - use the 'file' field of a multipart/form-data request"
+      });
+    }
+
+    const result = await importFile(req, { ...getImportOptions(req), format: 'ics' });
+
+    res.status(result.dryRun ? 200 : 201).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error importing calendar',
+      error: error.message
+    });
+  }
+});
+
+// Export the router so it can be used in server.js
+module.exports = router;
@@ -0,0 +1,64 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Create the schema for Comment documents - the discussion about a task
+const commentSchema = new mongoose.Schema({
+
+  // The task the comment belongs to
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+
+  // The user who wrote the comment - only they can edit or delete it
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Name of the author when the comment was written (shown in the thread)
+  authorName: {
+    type: String,
+    default: ''
+  },
+
+  // Text of the comment, written in Markdown (the client renders it)
+  content: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+
+  // Users mentioned in the comment with '@<email>' (see mentions.js)
+  mentions: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: []
+  },
+
+  // When the content was last edited - null if it never was
+  editedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// The thread of a task is read oldest first
+commentSchema.index({ task: 1, createdAt: 1 });
+
+// The mentioned users are only used for the notifications - clients see the emails in the content
+commentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.mentions;
+    return ret;
+  }
+});
+
+// Create and export the Comment model - MongoDB will create a 'comments' collection
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,240 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import our models
+const Task = require('./task');
+const Comment = require('./comment');
+const Notification = require('./notification');
+
+// Import the mention helpers to resolve '@<email>' mentions and notify the users
+const { resolveMentions, notifyMentions } = require('./mentions');
+
+// Import the task event helper to update the comment count in the user's other tabs
+const { publishTaskEvent } = require('./taskEvents');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - mounted at /api/tasks/:taskId/comments
+// mergeParams gives the routes access to ':taskId'
+const router = express.Router({ mergeParams: true });
+
+// Every comment route requires a logged in user
+router.use(protect);
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Find the task of the request if it belongs to the logged in user
+// Comments of a task in the trash can be read, but not added or changed
+const findTask = (req, { includeTrash = false } = {}) => {
+  return Task.findOne({
+    _id: req.params.taskId,
+    owner: req.user._id,
+    ...(!includeTrash && { deletedAt: null })
+  });
+};
+
+// Add 'change' (1 or -1) to the comment count of a task and show it in the user's other tabs
+// The version is kept: a new comment doesn't conflict with someone editing the task
+const updateCommentCount = async (req, taskId, change) => {
+  const task = await Task.findOneAndUpdate(
+    { _id: taskId },
+    { $inc: { commentCount: change } },
+    { new: true, timestamps: false, keepVersion: true }
+  );
+
+  publishTaskEvent(req, 'task.updated', task);
+  return task;
+};
+
+// Find a comment of the request's task that the logged in user wrote
+// Returns { task, comment }, or sends the error response and returns null when it can't be changed
+const findOwnComment = async (req, res) => {
+  const task = await findTask(req);
+  const comment = task && await Comment.findOne({ _id: req.params.commentId, task: task._id });
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: task ? 'Comment not found' : 'Task not found'
+    });
+    return null;
+  }
+
+  // Only the author can edit or delete a comment
+  if (!comment.author.equals(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the author can change this comment'
+    });
+    return null;
+  }
+
+  return { task, comment };
+};
+
+// ========================================
+// GET /api/tasks/:taskId/comments - The comment thread of a task, oldest first
+// ========================================
+router.get('/', validate('listComments'), async (req, res) => {
+
+  try {
+
+    const task = await findTask(req, { includeTrash: true });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const comments = await Comment.find({ task: task._id }).sort({ createdAt: 1, _id: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      data: comments
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error retrieving comments',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/tasks/:taskId/comments - Add a comment
+// ========================================
+// Body: { content } - Markdown text; '@<email>' mentions notify those users
+router.post('/', validate('addComment'), async (req, res) => {
+
+  try {
+
+    const task = await findTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const content = typeof req.body.content === 'string' ? req.body.content : '';
+
+    const comment = await Comment.create({
+      task: task._id,
+      author: req.user._id,
+      authorName: req.user.name,
+      content,
+      mentions: await resolveMentions(content, task)
+    });
+
+    await notifyMentions(req, task, comment);
+
+    // The response has the new count, so the client can update the task card
+    const updatedTask = await updateCommentCount(req, task._id, 1);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comment,
+      commentCount: updatedTask.commentCount
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error adding comment',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PUT /api/tasks/:taskId/comments/:commentId - Edit a comment (author only)
+// ========================================
+// Body: { content } - users mentioned for the first time are notified
+router.put('/:commentId', validate('updateComment'), async (req, res) => {
+
+  try {
+
+    const found = await findOwnComment(req, res);
+
+    if (!found) {
+      return;
+    }
+
+    const { task, comment } = found;
+    const content = typeof req.body.content === 'string' ? req.body.content : '';
+    const previousMentions = comment.mentions;
+
+    comment.content = content;
+    comment.mentions = await resolveMentions(content, task);
+    comment.editedAt = new Date();
+
+    await comment.save();
+    await notifyMentions(req, task, comment, previousMentions);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// DELETE /api/tasks/:taskId/comments/:commentId - Delete a comment (author only)
+// ========================================
+router.delete('/:commentId', validate('deleteComment'), async (req, res) => {
+
+  try {
+
+    const found = await findOwnComment(req, res);
+
+    if (!found) {
+      return;
+    }
+
+    const { comment } = found;
+    await comment.deleteOne();
+
+    // The mentions of a deleted comment point to nothing
+    await Notification.deleteMany({ comment: comment._id });
+
+    const updatedTask = await updateCommentCount(req, comment.task, -1);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: comment,
+      commentCount: updatedTask.commentCount
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+});
+
+// Export the router so it can be imported and used in server.js
+module.exports = router;
@@ -0,0 +1,87 @@
+// ========================================
+// TIME ZONE HELPERS
+// ========================================
+
+// The server can run in any time zone, but "today" depends on where the user is.
+// These helpers compute day boundaries for an IANA time zone name (e.g. 'Europe/Rome')
+// using the built-in Intl API, so no extra library is needed.
+
+// Read the calendar parts (year, month, day, hour...) of a date as seen in a time zone
+const getZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  // Convert [{ type: 'year', value: '2024' }, ...] into { year: 2024, ... }
+  return formatter.formatToParts(date).reduce((parts, part) => {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+    return parts;
+  }, {});
+};
+
+// Difference in milliseconds between the time zone's wall clock and UTC at a given moment
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const wallClockAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return wallClockAsUTC - (date.getTime() - date.getMilliseconds());
+};
+
+// Convert a wall clock time in a time zone into a real Date
+// We check the offset twice because it can change around daylight saving switches
+const zonedTimeToDate = (year, month, day, timeZone, hour = 0, minute = 0, second = 0, millisecond = 0) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const firstTry = guess - getTimeZoneOffset(new Date(guess), timeZone);
+
+  return new Date(guess - getTimeZoneOffset(new Date(firstTry), timeZone));
+};
+
+// Check that a time zone name is known to the runtime
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get the moment the day containing 'date' starts in the given time zone
+// 'days' moves the result forward (or backward) by whole calendar days
+const startOfDay = (date, timeZone, days = 0) => {
+  const parts = getZonedParts(date, timeZone);
+
+  // Date.UTC handles month/year overflow, e.g. day 32 becomes the 1st of next month
+  const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+
+  return zonedTimeToDate(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate(), timeZone);
+};
+
+// Get the moment the current week (Monday to Sunday) starts in the given time zone
+// 'weeks' moves the result forward (or backward) by whole weeks
+const startOfWeek = (date, timeZone, weeks = 0) => {
+  const parts = getZonedParts(date, timeZone);
+
+  // getUTCDay() returns 0 for Sunday - convert it so Monday is 0 and Sunday is 6
+  const weekday = (new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() + 6) % 7;
+
+  return startOfDay(date, timeZone, weeks * 7 - weekday);
+};
+
+// Export the helpers for the task routes
+module.exports = {
+  getZonedParts,
+  zonedTimeToDate,
+  isValidTimeZone,
+  startOfDay,
+  startOfWeek
+};
@@ -0,0 +1,96 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import the task event helpers
+const { subscribe, getMissedEvents, getLastEventId } = require('./taskEvents');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - this will handle the event stream
+const router = express.Router();
+
+// Send a comment every 25 seconds so proxies don't close an idle connection
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// The browser's EventSource can't send an Authorization header,
+// so the access token may also be sent as '?token=<token>'
+const tokenFromQuery = (req, res, next) => {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Write one Server-Sent Event
+const sendEvent = (res, id, type, data) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Write a task event, unless the change was made by the same browser tab ('clientId')
+// That tab already updated itself with the response of its request
+const sendTaskEvent = (res, event, clientId) => {
+  if (!clientId || event.origin !== clientId) {
+    sendEvent(res, event.id, event.type, event.data);
+  }
+};
+
+// ========================================
+// GET /api/events - Stream of task changes
+// ========================================
+// Events: task.created, task.updated, task.deleted (data: the task),
+//         tasks.changed (many tasks changed, reload the list),
+//         resync (missed events are no longer available, reload everything),
+//         ready (sent once connected; its id is where the stream starts)
+// '?clientId=' is the id the tab sends in the 'X-Client-Id' header, to skip its own changes
+// A client that reconnects sends the id of the last event it received
+// (Last-Event-ID header, or '?lastEventId=') and first gets the events it missed
+router.get('/', tokenFromQuery, protect, validate('streamEvents'), (req, res) => {
+
+  // Keep the connection open and send events as they happen
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Don't let nginx buffer the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Send the events missed since the last connection
+  // (this runs synchronously with subscribe below, so no event can fall in between)
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const { clientId } = req.query;
+
+  if (lastEventId) {
+    const missed = getMissedEvents(req.user._id, lastEventId);
+
+    if (missed === null) {
+      sendEvent(res, getLastEventId(), 'resync', {});
+    } else {
+      missed.forEach(event => sendTaskEvent(res, event, clientId));
+    }
+  }
+
+  const unsubscribe = subscribe(req.user._id, event => sendTaskEvent(res, event, clientId));
+
+  sendEvent(res, getLastEventId(), 'ready', {});
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  // Stop sending when the client disconnects
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Export the router so it can be imported and used in server.js
+module.exports = router;
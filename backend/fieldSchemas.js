@@ -0,0 +1,140 @@
+// Import the allowed values shared with the models and the query helpers
+const { FREQUENCIES, SET_POSITIONS } = require('./recurrence');
+const { STATUSES, PRIORITIES, DUE_FILTERS, TAG_MODES, SORT_FIELDS, MAX_LIMIT } = require('./taskQuery');
+
+// ========================================
+// FIELD SCHEMAS
+// ========================================
+
+// Building blocks of the route schemas (see apiSchemas.js and validation.js for the keywords)
+// Request fields used by several routes are defined once here, so the task form, the import
+// and the API documentation all check the same limits
+
+// Object schema with its fields and the required ones
+const object = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 && { required }),
+  ...extra
+});
+
+// Id of a document
+const objectId = (description) => ({ type: 'string', format: 'objectId', description });
+
+// Id of a document, or 'none'
+const idOrNone = (description) => ({
+  type: 'string',
+  pattern: '^([0-9a-fA-F]{24}|none)$',
+  'x-message': "must be a valid id or 'none'",
+  description
+});
+
+// Date in ISO 8601 format, e.g. 2026-03-01T14:30:00.000Z
+const dateTime = (description, extra = {}) => ({ type: 'string', format: 'date-time', description, ...extra });
+
+// IANA time zone, e.g. Europe/Rome
+const timeZone = (description) => ({ type: 'string', format: 'time-zone', description, example: 'Europe/Rome' });
+
+// Workflow status of a task - a column of the board (see workflow.js)
+const taskStatus = (description) => ({ type: 'string', format: 'task-status', description, example: 'in_progress' });
+
+// Project and tag color in hex format
+const color = {
+  type: 'string',
+  pattern: '^#[0-9a-fA-F]{6}$',
+  'x-message': 'must be a hex color like #3b82f6',
+  example: '#3b82f6'
+};
+
+// ========================================
+// TASK FIELDS
+// ========================================
+
+// Recurrence rule of a repeating task (see recurrence.js)
+const recurrence = object({
+  frequency: { type: 'string', enum: FREQUENCIES },
+  interval: { type: 'integer', minimum: 1, maximum: 365, description: 'Repeat every N days/weeks/months/years' },
+  byWeekday: {
+    type: 'array',
+    items: { type: 'integer', minimum: 0, maximum: 6 },
+    uniqueItems: true,
+    nullable: true,
+    description: 'Weekly only - days of the week, 0 = Sunday ... 6 = Saturday'
+  },
+  byMonthDay: { type: 'integer', minimum: 1, maximum: 31, nullable: true, description: 'Monthly only - day of the month' },
+  setPos: { type: 'integer', enum: SET_POSITIONS, nullable: true, description: 'Monthly only - with weekday, e.g. 2 = the 2nd (-1 = the last)' },
+  weekday: { type: 'integer', minimum: 0, maximum: 6, nullable: true, description: 'Monthly only - with setPos' },
+  until: dateTime('No occurrence after this date', { nullable: true }),
+  count: { type: 'integer', minimum: 1, nullable: true, description: 'Total number of occurrences' }
+}, ['frequency'], { nullable: true, description: 'null for tasks that don\'t repeat' });
+
+// Fields of a task the client can set
+// Title and description have the same limits as the task form
+const TASK_FIELDS = {
+  title: { type: 'string', minLength: 3, maxLength: 100, 'x-trim': true, example: 'Write the report' },
+  description: { type: 'string', maxLength: 250, 'x-trim': true },
+  completed: { type: 'boolean' },
+  status: taskStatus('Column of the board - the last status is the completed one (a new status sets completed)'),
+  priority: { type: 'string', enum: PRIORITIES },
+  dueDate: dateTime('Due date in UTC (null = no due date)', { nullable: true }),
+  dueTimeZone: { ...timeZone('Time zone the due date was picked in'), nullable: true },
+  recurrence,
+  project: { ...objectId('Project of the task (null = no project)'), nullable: true },
+  tags: { type: 'array', items: objectId('Tag id') },
+  completeWithSubtasks: { type: 'boolean', description: 'Complete the task when its last subtask is completed' },
+  __v: { type: 'integer', minimum: 0, description: 'Version the change is based on (409 and the current task on a mismatch)' }
+};
+
+// Title of a subtask
+const SUBTASK_TITLE = { type: 'string', minLength: 1, maxLength: 100, 'x-trim': true };
+
+// ========================================
+// QUERY PARAMETERS
+// ========================================
+
+// Filters of the task lists (see buildTaskFilter in taskQuery.js)
+const TASK_FILTERS = {
+  status: { type: 'string', enum: STATUSES, description: 'Completion status (default all)' },
+  priority: { type: 'array', items: { type: 'string', enum: PRIORITIES }, description: 'Comma separated priorities' },
+  project: idOrNone("Project id, or 'none' for tasks without a project"),
+  tags: { type: 'array', items: objectId('Tag id'), description: 'Comma separated tag ids' },
+  tagMode: { type: 'string', enum: TAG_MODES, description: 'Tasks with any (default) or all of the tags' },
+  due: { type: 'string', enum: DUE_FILTERS },
+  dueFrom: dateTime('Due on or after this date'),
+  dueTo: dateTime('Due on or before this date'),
+  createdFrom: dateTime('Created on or after this date'),
+  createdTo: dateTime('Created on or before this date'),
+  updatedFrom: dateTime('Changed on or after this date'),
+  updatedTo: dateTime('Changed on or before this date'),
+  tz: timeZone("Time zone of the 'today' and 'week' filters (default UTC)")
+};
+
+// Sort options of the task lists
+const SORT_OPTIONS = {
+  sort: { type: 'string', enum: Object.keys(SORT_FIELDS), description: "Sort field ('relevance' only with a search)" },
+  order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort direction (default desc)' }
+};
+
+// Page options of the task lists (see buildPageOptions in taskQuery.js)
+const PAGE_OPTIONS = {
+  ...SORT_OPTIONS,
+  limit: { type: 'integer', minimum: 1, description: `Tasks per page (default 20, at most ${MAX_LIMIT} are returned)` },
+  cursor: { type: 'string', description: "The 'nextCursor' of the previous page" }
+};
+
+// Export the field schemas
+module.exports = {
+  object,
+  objectId,
+  idOrNone,
+  dateTime,
+  timeZone,
+  taskStatus,
+  color,
+  recurrence,
+  TASK_FIELDS,
+  SUBTASK_TITLE,
+  TASK_FILTERS,
+  SORT_OPTIONS,
+  PAGE_OPTIONS
+};
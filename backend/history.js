@@ -0,0 +1,138 @@
+// Import our models: the history entries, and the tasks to load them again after a change
+const TaskHistory = require('./taskHistory');
+const Task = require('./task');
+
+// Import the helper that sends task changes to the user's other tabs
+const { publishTaskEvent } = require('./taskEvents');
+
+// Import the webhook sender - every recorded change is also sent to the owner's webhooks
+const { sendTaskWebhooks } = require('./webhookSender');
+
+// ========================================
+// HISTORY SETTINGS
+// ========================================
+
+// Task fields recorded in the history (and restored when reverting)
+// Server-managed fields (owner, series, tagNames...) are left out
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'completed',
+  'status',
+  'priority',
+  'dueDate',
+  'dueTimeZone',
+  'recurrence',
+  'project',
+  'tags',
+  'subtasks',
+  'completeWithSubtasks',
+  'deletedAt'
+];
+
+// Fields that are never reverted: a revert changes the task, it doesn't restore it from the trash
+const NOT_REVERTED_FIELDS = ['deletedAt'];
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Copy the tracked fields of a task as plain JSON values (ids and dates become strings)
+const getSnapshot = (task) => {
+  const source = typeof task.toObject === 'function' ? task.toObject() : task;
+
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    const value = source[field];
+    snapshot[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    return snapshot;
+  }, {});
+};
+
+// List the fields that differ between two snapshots
+// 'before' is null for a new task: every field with a value is listed
+const diffSnapshots = (before, after) => {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before ? before[field] : null) !== JSON.stringify(after[field]))
+    .filter(field => before || (after[field] !== null && after[field] !== ''))
+    .map(field => ({
+      field,
+      from: before ? before[field] : null,
+      to: after[field]
+    }));
+};
+
+// Get the fields to set on a task to bring it back to a snapshot
+const getRevertFields = (snapshot) => {
+  const fields = { ...snapshot };
+  NOT_REVERTED_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+// ========================================
+// RECORD FUNCTION
+// ========================================
+
+// Record a change made by the logged in user (req.user)
+// 'before' is the snapshot taken before the change (null for a new task), 'task' the task after it
+// Updates that didn't change any tracked field are not recorded
+// The change is also sent to the owner's webhooks (in the background)
+// Errors are only logged: the change itself already succeeded
+const recordHistory = async (req, action, before, task, extra = {}) => {
+  try {
+    const snapshot = getSnapshot(task);
+    const changes = diffSnapshots(before, snapshot);
+
+    if (action === 'updated' && changes.length === 0) {
+      return null;
+    }
+
+    sendTaskWebhooks(action, changes, task);
+
+    return await TaskHistory.create({
+      task: task._id,
+      owner: task.owner,
+      actor: req.user._id,
+      actorName: req.user.name,
+      action,
+      changes,
+      snapshot,
+      version: task.__v,
+      ...extra
+    });
+  } catch (error) {
+    console.error('Failed to record task history:', error.message);
+    return null;
+  }
+};
+
+// Record the changes of tasks updated together with Task.updateMany() (project and tag changes)
+// 'previousTasks' are the tasks loaded before the update: they are loaded again to get the changes,
+// then each task gets its history entry, its webhooks and its 'eventType' event.
+// Tasks that were already in the trash get no event, since the other tabs don't show them
+// Returns the tasks as they are now
+const recordTaskChanges = async (req, action, previousTasks, eventType) => {
+  if (previousTasks.length === 0) {
+    return [];
+  }
+
+  const previousById = new Map(previousTasks.map(task => [String(task._id), task]));
+  const tasks = await Task.find({ _id: { $in: previousTasks.map(task => task._id) } });
+
+  for (const task of tasks) {
+    await recordHistory(req, action, getSnapshot(previousById.get(String(task._id))), task);
+  }
+
+  publishTaskEvent(req, eventType, tasks.filter(task => !previousById.get(String(task._id)).deletedAt));
+
+  return tasks;
+};
+
+// Export the history helpers
+module.exports = {
+  TRACKED_FIELDS,
+  getSnapshot,
+  diffSnapshots,
+  getRevertFields,
+  recordHistory,
+  recordTaskChanges
+};
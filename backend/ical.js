@@ -0,0 +1,496 @@
+// Import time zone helpers - due dates are written as wall clock times in the task's time zone
+const { getZonedParts, isValidTimeZone } = require('./dates');
+
+// Import the helper that creates 400 errors
+const { badRequest } = require('./taskQuery');
+
+// ========================================
+// ICALENDAR SETTINGS
+// ========================================
+// iCalendar (RFC 5545) is the format calendar apps use to subscribe to and exchange calendars.
+// Tasks are written as VTODO (to-dos, e.g. Thunderbird, Apple Reminders) or VEVENT (events,
+// e.g. Google Calendar, which doesn't show to-dos) and read back from both.
+
+// Kinds of entries the feed can write
+const ENTRY_TYPES = ['event', 'todo'];
+
+// Identifies the program that wrote the calendar
+const PRODUCT_ID = '-//Task Manager//Tasks//EN';
+
+// Domain part of the entry UIDs - the same task always gets the same UID,
+// so calendar apps update their copy instead of adding a new one
+const UID_DOMAIN = 'task-manager';
+
+// iCalendar priorities go from 1 (highest) to 9 (lowest)
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+
+// Weekday codes, indexed like Date.getDay() (0 = Sunday)
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Lines longer than this (in bytes) are folded
+const MAX_LINE_LENGTH = 75;
+
+// ========================================
+// WRITING HELPERS
+// ========================================
+
+// Escape a text value (backslashes, separators and line breaks)
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line: lines over 75 bytes continue on the next line after a space
+// We never cut inside a multi-byte character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let length = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+
+    // Continuation lines start with a space, which counts towards their length
+    if (length + size > MAX_LINE_LENGTH) {
+      parts.push(current);
+      current = ' ';
+      length = 1;
+    }
+
+    current += char;
+    length += size;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// Pad a number with zeros
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Format a moment in UTC, e.g. 20260301T143000Z
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`
+    + `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// Format a calendar day, e.g. 20260301
+const formatDay = ({ year, month, day }) => `${year}${pad(month)}${pad(day)}`;
+
+// The calendar day after 'parts' (used for the end of all-day events)
+const nextDay = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day + 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// Describe the due date of a task for the calendar
+// Tasks due at the end of a day (a date picked without a time) become all-day entries;
+// the others keep their wall clock time in their time zone, so repeating tasks stay at
+// the same hour across daylight saving changes
+// Returns { allDay, parts, timeZone }
+const getDueTime = (task) => {
+  const timeZone = task.dueTimeZone || 'UTC';
+  const parts = getZonedParts(new Date(task.dueDate), timeZone);
+
+  return {
+    allDay: parts.hour === 23 && parts.minute === 59,
+    parts,
+    timeZone
+  };
+};
+
+// Write a date property, e.g. "DUE;TZID=Europe/Rome:20260301T143000" or "DTSTART;VALUE=DATE:20260301"
+// Major calendar apps know the IANA time zone names, so no VTIMEZONE blocks are written
+const dateProperty = (name, { allDay, parts, timeZone }) => {
+  if (allDay) {
+    return `${name};VALUE=DATE:${formatDay(parts)}`;
+  }
+
+  const time = `${formatDay(parts)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+  return timeZone === 'UTC' ? `${name}:${time}Z` : `${name};TZID=${timeZone}:${time}`;
+};
+
+// Turn a task's recurrence rule into an RRULE value
+// 'occurrence' is the task's position in its series: a count limit only covers what is left
+// Returns null when the series has no occurrences left
+const toRRule = (rule, occurrence, dueTime) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+
+  if (rule.interval && rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+
+  if (rule.frequency === 'weekly' && rule.byWeekday && rule.byWeekday.length > 0) {
+    // Our weeks start on Monday (see recurrence.js)
+    parts.push(`BYDAY=${[...rule.byWeekday].sort((a, b) => a - b).map(day => WEEKDAY_CODES[day]).join(',')}`, 'WKST=MO');
+  }
+
+  if (rule.frequency === 'monthly' && rule.setPos) {
+    parts.push(`BYDAY=${rule.setPos}${WEEKDAY_CODES[rule.weekday]}`);
+  } else if (rule.frequency === 'monthly' && rule.byMonthDay) {
+    // We use the last day of short months (31 -> 30 in April); iCalendar would skip them.
+    // "The last of days 28..31" gives the same result
+    parts.push(rule.byMonthDay > 28
+      ? `BYMONTHDAY=${Array.from({ length: rule.byMonthDay - 27 }, (_, i) => 28 + i).join(',')};BYSETPOS=-1`
+      : `BYMONTHDAY=${rule.byMonthDay}`);
+  }
+
+  if (rule.count) {
+    const left = rule.count - (occurrence || 1) + 1;
+    if (left < 1) {
+      return null;
+    }
+    parts.push(`COUNT=${left}`);
+  }
+
+  if (rule.until) {
+    // UNTIL has the same form as the start: a day for all-day entries, otherwise a UTC time
+    parts.push(`UNTIL=${dueTime.allDay
+      ? formatDay(getZonedParts(new Date(rule.until), dueTime.timeZone))
+      : formatUtc(rule.until)}`);
+  }
+
+  return parts.join(';');
+};
+
+// ========================================
+// CALENDAR FEED
+// ========================================
+
+// Write the lines of one task
+// 'type' is 'event' or 'todo'; 'categories' are the names of the task's project and tags
+const taskToEntry = (task, type, categories) => {
+  const dueTime = getDueTime(task);
+  const lines = [
+    type === 'todo' ? 'BEGIN:VTODO' : 'BEGIN:VEVENT',
+    `UID:${task._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(task.updatedAt)}`,
+    `CREATED:${formatUtc(task.createdAt)}`,
+    `LAST-MODIFIED:${formatUtc(task.updatedAt)}`,
+
+    // The version of the task - calendar apps keep the entry with the highest sequence
+    `SEQUENCE:${task.__v || 0}`,
+
+    // Events have no "completed" status, so a done task is marked in the title of its event
+    `SUMMARY:${type === 'event' && task.completed ? '✓ ' : ''}${escapeText(task.title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+
+  if (categories.length > 0) {
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  }
+
+  lines.push(`PRIORITY:${PRIORITY_VALUES[task.priority] || 0}`);
+
+  // Only the open task of a series repeats - completed occurrences are separate entries
+  const rrule = task.recurrence && !task.completed ? toRRule(task.recurrence, task.occurrence, dueTime) : null;
+
+  if (type === 'todo') {
+    // A repeating to-do needs a start: it is the due date
+    if (rrule) {
+      lines.push(dateProperty('DTSTART', dueTime));
+    }
+    lines.push(dateProperty('DUE', dueTime));
+
+    // Tasks don't store when they were completed: their last change is the closest we have
+    lines.push(task.completed ? 'STATUS:COMPLETED' : 'STATUS:NEEDS-ACTION');
+    if (task.completed) {
+      lines.push(`COMPLETED:${formatUtc(task.updatedAt)}`, 'PERCENT-COMPLETE:100');
+    }
+  } else {
+    lines.push(dateProperty('DTSTART', dueTime));
+    if (dueTime.allDay) {
+      lines.push(dateProperty('DTEND', { ...dueTime, parts: nextDay(dueTime.parts) }));
+    }
+
+    // Tasks don't block time in the calendar
+    lines.push('STATUS:CONFIRMED', 'TRANSP:TRANSPARENT');
+  }
+
+  if (rrule) {
+    lines.push(`RRULE:${rrule}`);
+  }
+
+  lines.push(type === 'todo' ? 'END:VTODO' : 'END:VEVENT');
+  return lines;
+};
+
+// Write a whole calendar
+// 'tasks' must have a due date; 'getCategories(task)' returns the names of its project and tags
+// Returns the text of the .ics file (lines end with CRLF, as the format requires)
+const buildCalendar = (tasks, { type = 'event', name = 'Tasks', getCategories = () => [] } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+
+    // Ask subscribed apps to refresh every hour
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...tasks.flatMap(task => taskToEntry(task, type, getCategories(task))),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ========================================
+// READING HELPERS
+// ========================================
+
+// Undo escapeText()
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Split a list value on commas that are not escaped
+const splitList = (value) => value.split(/(?<!\\),/).map(unescapeText).map(item => item.trim()).filter(Boolean);
+
+// Read one content line into { name, params, value }, e.g. "DUE;TZID=Europe/Rome:20260301T143000"
+// Parameter values can be quoted (and then contain ':' or ';')
+const parseLine = (line) => {
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)(?:,(?:"[^"]*"|[^";:]*))*)*):(.*)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const params = {};
+  for (const [, key, value] of match[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^";:]*)/g)) {
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+};
+
+// Read a date property into the form the task import understands:
+// a day ("2026-03-01", due at the end of the day), a wall clock time ("2026-03-01T14:30:00")
+// in 'timeZone', or an exact moment ("2026-03-01T14:30:00Z")
+// Returns { dueDate, timeZone } or null when the value isn't a date
+const parseDateValue = ({ params, value }) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const date = `${year}-${month}-${day}`;
+
+  if (hour === undefined) {
+    return { dueDate: date, timeZone: isValidTimeZone(params.TZID) ? params.TZID : null };
+  }
+
+  const time = `${date}T${hour}:${minute}:${second}`;
+
+  if (utc) {
+    return { dueDate: `${time}Z`, timeZone: null };
+  }
+
+  // Times without Z are in their TZID zone - or "floating" (the import's time zone)
+  // Zones that aren't IANA names (e.g. Outlook's "W. Europe Standard Time") also fall back to it
+  return { dueDate: time, timeZone: isValidTimeZone(params.TZID) ? params.TZID : null };
+};
+
+// Turn an RRULE value into one of our recurrence rules
+// Returns null for rules we can't represent (e.g. hourly, or several days of the month)
+const parseRRule = (value) => {
+  const parts = Object.fromEntries(value.split(';').map(part => part.split('=')).map(([key, val]) => [key.toUpperCase(), val]));
+  const frequency = (parts.FREQ || '').toLowerCase();
+
+  if (!['daily', 'weekly', 'monthly', 'yearly'].includes(frequency)) {
+    return null;
+  }
+
+  const rule = { frequency };
+  const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST'];
+
+  if (parts.INTERVAL) {
+    rule.interval = parseInt(parts.INTERVAL, 10);
+  }
+  if (parts.COUNT) {
+    rule.count = parseInt(parts.COUNT, 10);
+  }
+  if (parts.UNTIL) {
+    const until = parseDateValue({ params: {}, value: parts.UNTIL });
+    if (!until) {
+      return null;
+    }
+
+    // A day means "until the end of that day"
+    rule.until = until.dueDate.length === 10 ? `${until.dueDate}T23:59:59Z` : until.dueDate;
+  }
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(item => item.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/));
+    if (days.some(item => !item)) {
+      return null;
+    }
+
+    if (frequency === 'weekly' && days.every(([, position]) => !position)) {
+      rule.byWeekday = days.map(([, , code]) => WEEKDAY_CODES.indexOf(code));
+    } else if (frequency === 'monthly' && days.length === 1 && [1, 2, 3, 4, -1].includes(Number(days[0][1]))) {
+      rule.setPos = Number(days[0][1]);
+      rule.weekday = WEEKDAY_CODES.indexOf(days[0][2]);
+    } else {
+      return null;
+    }
+    supported.push('BYDAY');
+  }
+
+  if (parts.BYMONTHDAY && frequency === 'monthly') {
+    const days = parts.BYMONTHDAY.split(',').map(Number);
+
+    // The "last of days 28..N" rule written by toRRule()
+    if (days.length > 1 && parts.BYSETPOS === '-1' && days[0] === 28) {
+      rule.byMonthDay = Math.max(...days);
+      supported.push('BYSETPOS');
+    } else if (days.length === 1 && days[0] >= 1 && days[0] <= 31) {
+      rule.byMonthDay = days[0];
+    } else {
+      return null;
+    }
+    supported.push('BYMONTHDAY');
+  }
+
+  // Any other part (BYHOUR, BYMONTH...) changes the meaning of the rule
+  return Object.keys(parts).every(key => supported.includes(key)) ? rule : null;
+};
+
+// ========================================
+// CALENDAR IMPORT
+// ========================================
+
+// Turn the properties of one VTODO/VEVENT into a task record
+// Cancelled entries are left out (returns null)
+const toRecord = ({ type, properties }, position, warnings) => {
+  const text = (name) => (properties[name] ? unescapeText(properties[name].value).trim() : undefined);
+  const status = (text('STATUS') || '').toUpperCase();
+
+  if (status === 'CANCELLED') {
+    warnings.push(`Entry ${position}: cancelled, not imported`);
+    return null;
+  }
+
+  // Done tasks are written as events with a check mark in the title (see taskToEntry)
+  const summary = text('SUMMARY') || '';
+  const checked = type === 'VEVENT' && summary.startsWith('✓ ');
+
+  const record = {
+    title: checked ? summary.slice(2) : summary,
+    description: text('DESCRIPTION'),
+    completed: checked || status === 'COMPLETED' || !!properties.COMPLETED
+  };
+
+  // 1-4 is high, 5 (or none) medium, 6-9 low
+  const priority = parseInt(text('PRIORITY'), 10);
+  if (priority >= 1 && priority <= 9) {
+    record.priority = priority <= 4 ? 'high' : priority === 5 ? 'medium' : 'low';
+  }
+
+  // To-dos are due at DUE (or start at DTSTART when they have no due date), events at their start
+  const dateProperty = type === 'VTODO' ? properties.DUE || properties.DTSTART : properties.DTSTART;
+  const due = dateProperty && parseDateValue(dateProperty);
+
+  if (dateProperty && !due) {
+    warnings.push(`Entry ${position}: invalid date '${dateProperty.value}', imported without a due date`);
+  }
+  if (due) {
+    record.dueDate = due.dueDate;
+    if (due.timeZone) {
+      record.dueTimeZone = due.timeZone;
+    }
+  }
+
+  if (properties.CATEGORIES) {
+    record.tags = splitList(properties.CATEGORIES.value);
+  }
+
+  if (properties.RRULE) {
+    const rule = due ? parseRRule(properties.RRULE.value) : null;
+
+    if (rule) {
+      record.recurrence = rule;
+    } else {
+      warnings.push(`Entry ${position}: repeat rule '${properties.RRULE.value}' is not supported, imported as a single task`);
+    }
+  }
+
+  return record;
+};
+
+// Read the to-dos and events of an .ics file as task records for the import (see importExport.js)
+// Each record has the task fields as "columns": title, description, completed, priority,
+// dueDate, dueTimeZone, tags and recurrence
+// Returns { records, warnings } - warnings are about entries imported without part of their data
+const parseCalendar = (text) => {
+  // Unfold the lines: a line starting with a space or tab continues the previous one
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0] || '')) {
+    throw badRequest('Invalid iCalendar file: it must start with BEGIN:VCALENDAR');
+  }
+
+  const records = [];
+  const warnings = [];
+
+  // The entry being read, and the nesting of other blocks inside it (e.g. VALARM)
+  let entry = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) {
+      continue;
+    }
+
+    const { name, value } = property;
+    const upperValue = value.toUpperCase();
+
+    if (name === 'BEGIN') {
+      if (entry) {
+        nested++;
+      } else if (upperValue === 'VTODO' || upperValue === 'VEVENT') {
+        entry = { type: upperValue, properties: {} };
+      }
+      continue;
+    }
+
+    if (name === 'END') {
+      if (nested > 0) {
+        nested--;
+      } else if (entry && upperValue === entry.type) {
+        const record = toRecord(entry, records.length + 1, warnings);
+        if (record) {
+          records.push(record);
+        }
+        entry = null;
+      }
+      continue;
+    }
+
+    // Keep the first value of each property (an entry can repeat e.g. CATEGORIES - those are joined)
+    if (entry && nested === 0) {
+      if (name === 'CATEGORIES' && entry.properties.CATEGORIES) {
+        entry.properties.CATEGORIES.value += `,${value}`;
+      } else if (!entry.properties[name]) {
+        entry.properties[name] = property;
+      }
+    }
+  }
+
+  return { records, warnings };
+};
+
+// Export the iCalendar helpers
+module.exports = {
+  ENTRY_TYPES,
+  buildCalendar,
+  parseCalendar
+};
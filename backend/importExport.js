@@ -0,0 +1,757 @@
+// Import multer to read the uploaded file of an import
+const multer = require('multer');
+
+// Import our models - imported tasks are validated against the task schema,
+// and their project and tag names are matched with the user's own projects and tags
+const Task = require('./task');
+const Project = require('./project');
+const Tag = require('./tag');
+
+// Import time zone helpers to read due dates written as wall clock times
+const { zonedTimeToDate, isValidTimeZone } = require('./dates');
+
+// Import the iCalendar reader - .ics files are imported like the other formats
+const { parseCalendar } = require('./ical');
+
+// Import the helpers that record the new tasks in their history and tell the user's other tabs
+const { recordHistory } = require('./history');
+const { publishTasksChanged } = require('./taskEvents');
+
+// Import the helper that creates 400 errors
+const { badRequest } = require('./taskQuery');
+
+// ========================================
+// IMPORT / EXPORT SETTINGS
+// ========================================
+
+// Formats of GET /api/tasks/export and POST /api/tasks/import
+// Calendar files (.ics) can only be imported - calendar apps subscribe to GET /api/calendar.ics instead
+const EXPORT_FORMATS = ['csv', 'json'];
+const IMPORT_FORMATS = ['csv', 'json', 'ics'];
+
+// Task fields written by the export and read by the import, in column order
+// Projects and tags are written by name, so a file can be imported into another account
+const EXPORT_FIELDS = [
+  'title', 'description', 'completed', 'priority', 'dueDate', 'dueTimeZone',
+  'project', 'tags', 'subtasks', 'recurrence', 'createdAt', 'updatedAt'
+];
+
+// Fields an imported row can set - createdAt/updatedAt are set by the server
+const IMPORT_FIELDS = EXPORT_FIELDS.filter(field => field !== 'createdAt' && field !== 'updatedAt');
+
+// Other column names recognized when guessing the mapping of a file (compared without case and spaces)
+// e.g. a spreadsheet with "Name", "Deadline" and "Labels" columns is mapped without any help
+const FIELD_ALIASES = {
+  title: ['name', 'task', 'summary'],
+  description: ['notes', 'details', 'body'],
+  completed: ['done', 'status', 'complete'],
+  priority: ['importance'],
+  dueDate: ['due', 'deadline', 'duedate', 'dueby'],
+  dueTimeZone: ['timezone', 'tz'],
+  project: ['list', 'folder'],
+  tags: ['labels', 'tag', 'categories'],
+  subtasks: ['checklist', 'steps'],
+  recurrence: ['repeat', 'repeats']
+};
+
+// Largest file and number of rows accepted by the import
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+
+// Values of the 'completed' column read as true or false
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', '', 'open', 'active', 'todo'];
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// ========================================
+// CSV HELPERS
+// ========================================
+
+// Write one CSV cell: quote it when it contains a separator, a quote or a line break
+// Cells that a spreadsheet would run as a formula get a leading apostrophe (removed again by the import)
+const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write one CSV line (with the line break)
+const toCsvLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+// Read CSV text into rows of cells (RFC 4180: quoted cells can contain separators, quotes and line breaks)
+// The separator is ',' or ';' (used by spreadsheets in many European locales), whichever the header uses more
+const parseCsv = (text) => {
+  // Excel adds a byte order mark at the start of UTF-8 files
+  const content = text.replace(/^\uFEFF/, '');
+
+  const firstLine = content.slice(0, content.search(/\r?\n|$/));
+  const separator = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      // \r\n is one line break
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw badRequest('Invalid CSV: a quoted cell is never closed');
+  }
+
+  // The last line may have no line break
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip empty lines (e.g. at the end of the file)
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Remove the apostrophe added by toCsvCell() in front of a formula character
+const unescapeCell = (value) => {
+  return typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+};
+
+// ========================================
+// EXPORT
+// ========================================
+
+// Turn a task into the exported record
+// 'projectsById' and 'tagsById' are Maps of the user's project and tag names
+const toExportRecord = (task, projectsById, tagsById) => ({
+  title: task.title,
+  description: task.description || '',
+  completed: !!task.completed,
+  priority: task.priority,
+  dueDate: task.dueDate ? new Date(task.dueDate).toISOString() : null,
+  dueTimeZone: task.dueTimeZone || null,
+  project: task.project ? projectsById.get(String(task.project)) || null : null,
+  tags: (task.tags || []).map(id => tagsById.get(String(id))).filter(Boolean),
+  subtasks: (task.subtasks || []).map(subtask => ({ title: subtask.title, completed: !!subtask.completed })),
+  recurrence: task.recurrence || null,
+  createdAt: new Date(task.createdAt).toISOString(),
+  updatedAt: new Date(task.updatedAt).toISOString()
+});
+
+// Write an exported record as CSV cells
+// Lists become text a person can edit: tags separated by commas, one "[x] subtask" per line
+const toCsvRecord = (record) => EXPORT_FIELDS.map(field => {
+  const value = record[field];
+
+  switch (field) {
+    case 'tags':
+      return value.join(', ');
+    case 'subtasks':
+      return value.map(subtask => `[${subtask.completed ? 'x' : ' '}] ${subtask.title}`).join('\n');
+    case 'recurrence':
+      return value ? JSON.stringify(value) : '';
+    case 'completed':
+      return value ? 'yes' : 'no';
+    default:
+      return value;
+  }
+});
+
+// Create the writer of an export: it turns records into the chunks of the file
+// Returns { contentType, start(), write(record), end() } - each returns the text to send
+const createExportWriter = (format) => {
+  if (format === 'json') {
+    let first = true;
+
+    return {
+      contentType: 'application/json; charset=utf-8',
+      start: () => '[\n',
+      write: (record) => {
+        const chunk = `${first ? '' : ',\n'}${JSON.stringify(record)}`;
+        first = false;
+        return chunk;
+      },
+      end: () => '\n]\n'
+    };
+  }
+
+  return {
+    contentType: 'text/csv; charset=utf-8',
+
+    // The byte order mark makes Excel read the file as UTF-8
+    start: () => `\uFEFF${toCsvLine(EXPORT_FIELDS)}`,
+    write: (record) => toCsvLine(toCsvRecord(record)),
+    end: () => ''
+  };
+};
+
+// ========================================
+// IMPORT - READING THE FILE
+// ========================================
+
+// Read an uploaded file into { columns, records, warnings }
+// Each record is an object with one value per column; CSV values are strings,
+// JSON values keep their types (e.g. 'tags' can be an array).
+// Calendar entries become records with the task fields as columns (see ical.js)
+const parseImportFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+
+  if (format === 'ics') {
+    const { records, warnings } = parseCalendar(text);
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { columns, records, warnings };
+  }
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw badRequest(`Invalid JSON: ${error.message}`);
+    }
+
+    // Accept a plain array or a response of our API ({ data: [...] })
+    const records = Array.isArray(data) ? data : data && data.data;
+
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw badRequest('A JSON import must be an array of task objects');
+    }
+
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { columns, records, warnings: [] };
+  }
+
+  const rows = parseCsv(text);
+
+  if (rows.length === 0) {
+    return { columns: [], records: [], warnings: [] };
+  }
+
+  const columns = rows[0].map(name => name.trim());
+  const records = rows.slice(1).map(cells => Object.fromEntries(
+    columns.map((column, index) => [column, unescapeCell(cells[index] ?? '')])
+  ));
+
+  return { columns, records, warnings: [] };
+};
+
+// Compare column names without case, spaces and punctuation ("Due date" = "due_date" = "dueDate")
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Guess which column holds each task field
+// Returns { field: column } for the fields that were found
+const guessMapping = (columns) => {
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach(field => {
+    const names = [field, ...(FIELD_ALIASES[field] || [])].map(normalizeName);
+    const column = columns.find(name => names.includes(normalizeName(name)));
+
+    if (column !== undefined) {
+      mapping[field] = column;
+    }
+  });
+
+  return mapping;
+};
+
+// Check a mapping sent by the client: { field: column }, only known fields and columns
+// A title column is required
+const parseMapping = (value, columns) => {
+  let mapping = value;
+
+  if (typeof value === 'string') {
+    try {
+      mapping = JSON.parse(value);
+    } catch {
+      throw badRequest("'mapping' must be a JSON object like {\"title\": \"Name\"}");
+    }
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw badRequest("'mapping' must be an object of task field: column name");
+  }
+
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw badRequest(`Unknown task field '${field}' in mapping (allowed: ${IMPORT_FIELDS.join(', ')})`);
+    }
+    if (column !== null && column !== '' && !columns.includes(column)) {
+      throw badRequest(`Column '${column}' is not in the file`);
+    }
+  });
+
+  // Empty entries mean "don't import this field"
+  const cleaned = Object.fromEntries(Object.entries(mapping).filter(([, column]) => column !== null && column !== ''));
+
+  if (!cleaned.title) {
+    throw badRequest('Choose the column that holds the task titles');
+  }
+
+  return cleaned;
+};
+
+// ========================================
+// IMPORT - CONVERTING ROWS
+// ========================================
+
+// Read a due date cell
+// "2026-03-01" is the end of that day and "2026-03-01 14:30" a wall clock time, both in 'timeZone';
+// values with an offset ("...Z", "+01:00") are exact moments
+const parseDueDate = (value, timeZone) => {
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  const wallClock = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+
+  if (wallClock) {
+    const [, year, month, day, hour, minute, second] = wallClock.map(Number);
+
+    // Date.UTC would quietly move "2026-02-30" to March
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+      return null;
+    }
+
+    return Number.isNaN(hour)
+      ? zonedTimeToDate(year, month, day, timeZone, 23, 59, 59, 999)
+      : zonedTimeToDate(year, month, day, timeZone, hour, minute, second || 0);
+  }
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Read the subtasks of a row: an array ([{ title, completed }] or titles) or text with one subtask per line
+// Lines can start with "[x]" / "[ ]" (done / not done) or a list marker ("-", "*")
+const parseSubtasks = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(/\r?\n/);
+
+  return items
+    .map(item => {
+      if (item && typeof item === 'object') {
+        return { title: String(item.title || '').trim(), completed: !!item.completed };
+      }
+
+      const match = String(item).trim().match(/^(?:[-*]\s*)?(?:\[( |x|X)\]\s*)?(.*)$/);
+      return { title: match[2].trim(), completed: (match[1] || '').toLowerCase() === 'x' };
+    })
+    .filter(subtask => subtask.title !== '');
+};
+
+// Read the tag names of a row: an array or names separated by ',' or ';'
+// The same name is kept once ('Work' and 'work' are the same tag)
+const parseTagNames = (value) => {
+  const names = (Array.isArray(value) ? value : String(value).split(/[,;]/))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+
+  const seen = new Set();
+  return names.filter(name => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+// Turn a record into task fields using the mapping
+// 'timeZone' is used for due dates without a time zone of their own
+// Returns { fields, projectName, tagNames, errors } - errors are messages about the values of this row
+const convertRecord = (record, mapping, timeZone) => {
+  const fields = {};
+  const errors = [];
+  let projectName = null;
+  let tagNames = [];
+
+  // The mapped value of a field, with empty cells read as missing
+  const valueOf = (field) => {
+    if (!mapping[field]) {
+      return undefined;
+    }
+    const value = record[mapping[field]];
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '') ? undefined : value;
+  };
+
+  const title = valueOf('title');
+  fields.title = title === undefined ? '' : String(title).trim();
+
+  const description = valueOf('description');
+  if (description !== undefined) {
+    fields.description = String(description);
+  }
+
+  const completed = valueOf('completed');
+  if (completed !== undefined) {
+    const text = String(completed).trim().toLowerCase();
+
+    if (TRUE_VALUES.includes(text)) {
+      fields.completed = true;
+    } else if (FALSE_VALUES.includes(text)) {
+      fields.completed = false;
+    } else {
+      errors.push(`completed: '${completed}' is not yes or no`);
+    }
+  }
+
+  const priority = valueOf('priority');
+  if (priority !== undefined) {
+    fields.priority = String(priority).trim().toLowerCase();
+  }
+
+  // A row's own time zone wins over the one of the import
+  const rowTimeZone = valueOf('dueTimeZone');
+  const dueTimeZone = rowTimeZone !== undefined ? String(rowTimeZone).trim() : timeZone;
+
+  const dueDate = valueOf('dueDate');
+  if (dueDate !== undefined) {
+    if (!isValidTimeZone(dueTimeZone)) {
+      errors.push(`dueTimeZone: '${dueTimeZone}' is not a valid time zone`);
+    } else {
+      const date = parseDueDate(dueDate, dueTimeZone);
+
+      if (date) {
+        fields.dueDate = date;
+        fields.dueTimeZone = dueTimeZone;
+      } else {
+        errors.push(`dueDate: '${dueDate}' is not a valid date`);
+      }
+    }
+  }
+
+  const project = valueOf('project');
+  if (project !== undefined) {
+    projectName = String(project).trim();
+    if (projectName.length > 50) {
+      errors.push('project: project names can be at most 50 characters');
+    }
+  }
+
+  const tags = valueOf('tags');
+  if (tags !== undefined) {
+    tagNames = parseTagNames(tags);
+    tagNames
+      .filter(name => name.length > 30)
+      .forEach(name => errors.push(`tags: '${name}' is longer than 30 characters`));
+  }
+
+  const subtasks = valueOf('subtasks');
+  if (subtasks !== undefined) {
+    fields.subtasks = parseSubtasks(subtasks);
+  }
+
+  const recurrence = valueOf('recurrence');
+  if (recurrence !== undefined) {
+    if (typeof recurrence === 'object') {
+      fields.recurrence = recurrence;
+    } else {
+      try {
+        fields.recurrence = JSON.parse(recurrence);
+      } catch {
+        errors.push('recurrence: must be a JSON rule like {"frequency":"weekly"}');
+      }
+    }
+  }
+
+  return { fields, projectName, tagNames, errors };
+};
+
+// Check task fields against the task schema
+// Returns the error messages ('field: message'), empty when the task is valid
+const validateTaskFields = (fields, ownerId) => {
+  const error = new Task({ ...fields, owner: ownerId }).validateSync();
+
+  if (!error) {
+    return [];
+  }
+
+  return Object.entries(error.errors)
+    // Nested errors (e.g. 'recurrence.frequency') are also reported on their parent - keep the precise one
+    .filter(([, item]) => !(item.name === 'ValidationError' && item.errors))
+    .map(([path, item]) => `${path}: ${item.message}`);
+};
+
+// Key used to find duplicates: same title (any case) and same due date
+const getDuplicateKey = (title, dueDate) => `${String(title).trim().toLowerCase()}|${dueDate ? new Date(dueDate).toISOString() : ''}`;
+
+// ========================================
+// IMPORT - PREVIEW AND SAVE
+// ========================================
+
+// Convert and check every record of a file
+// Returns one result per row: { row, status: valid|invalid|duplicate, errors, data, duplicateOf }
+// 'row' is the line number in a CSV file (the header is line 1), or the position of the task
+// in a JSON array or calendar file (from 1)
+const prepareImport = async ({ records, mapping, format, timeZone, ownerId }) => {
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`A file can have at most ${MAX_IMPORT_ROWS} tasks`);
+  }
+
+  const rows = records.map((record, index) => {
+    const { fields, projectName, tagNames, errors } = convertRecord(record, mapping, timeZone);
+
+    return {
+      row: format === 'csv' ? index + 2 : index + 1,
+      fields,
+      projectName,
+      tagNames,
+      errors: [...errors, ...validateTaskFields(fields, ownerId)]
+    };
+  });
+
+  // Tasks the user already has with the same titles (the trash doesn't count)
+  const titles = [...new Set(rows.map(row => row.fields.title).filter(Boolean))];
+  const existingTasks = await Task.find({ owner: ownerId, deletedAt: null, title: { $in: titles } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('title dueDate');
+  const existingKeys = new Set(existingTasks.map(task => getDuplicateKey(task.title, task.dueDate)));
+
+  // Rows seen so far in the file, to find rows that repeat an earlier one
+  const fileKeys = new Map();
+
+  return rows.map(row => {
+    let status = row.errors.length > 0 ? 'invalid' : 'valid';
+    let duplicateOf = null;
+
+    if (status === 'valid') {
+      const key = getDuplicateKey(row.fields.title, row.fields.dueDate);
+
+      if (existingKeys.has(key)) {
+        status = 'duplicate';
+        duplicateOf = 'existing';
+      } else if (fileKeys.has(key)) {
+        status = 'duplicate';
+        duplicateOf = fileKeys.get(key);
+      } else {
+        fileKeys.set(key, row.row);
+      }
+    }
+
+    return {
+      row: row.row,
+      status,
+      errors: row.errors,
+      duplicateOf,
+      data: { ...row.fields, project: row.projectName, tags: row.tagNames }
+    };
+  });
+};
+
+// Find the user's projects and tags used by the rows, by name (any case)
+// With 'create' the missing ones are created; otherwise only their names are returned
+// Returns { projectsByName, tagsByName, newProjects, newTags } - the Maps go from lowercase name to the document
+const resolveNames = async (rows, ownerId, create) => {
+  const uniqueNames = (names) => [...new Map(names.map(name => [name.toLowerCase(), name])).values()];
+  const projectNames = uniqueNames(rows.map(row => row.data.project).filter(Boolean));
+  const tagNames = uniqueNames(rows.flatMap(row => row.data.tags));
+
+  const [projects, tags] = await Promise.all([
+    Project.find({ owner: ownerId }).select('name order'),
+    Tag.find({ owner: ownerId }).select('name')
+  ]);
+
+  const projectsByName = new Map(projects.map(project => [project.name.toLowerCase(), project]));
+  const tagsByName = new Map(tags.map(tag => [tag.name.toLowerCase(), tag]));
+
+  const newProjects = projectNames.filter(name => !projectsByName.has(name.toLowerCase()));
+  const newTags = tagNames.filter(name => !tagsByName.has(name.toLowerCase()));
+
+  if (create) {
+    // New projects go at the bottom of the sidebar, like in POST /api/projects
+    let order = projects.reduce((last, project) => Math.max(last, project.order + 1), 0);
+
+    for (const name of newProjects) {
+      projectsByName.set(name.toLowerCase(), await Project.create({ name, order: order++, owner: ownerId }));
+    }
+
+    for (const name of newTags) {
+      tagsByName.set(name.toLowerCase(), await Tag.create({ name, owner: ownerId }));
+    }
+  }
+
+  return { projectsByName, tagsByName, newProjects, newTags };
+};
+
+// Build the documents of the rows to import, with project and tag ids
+// 'tagNames' uses the names of the existing tags, so the search index matches the tag chips
+const buildTaskDocuments = (rows, { projectsByName, tagsByName }, ownerId) => {
+  return rows.map(row => {
+    const { project, tags, ...fields } = row.data;
+    const taskTags = tags.map(name => tagsByName.get(name.toLowerCase()));
+
+    return {
+      ...fields,
+      project: project ? projectsByName.get(project.toLowerCase())._id : null,
+      tags: taskTags.map(tag => tag._id),
+      tagNames: taskTags.map(tag => tag.name),
+      owner: ownerId
+    };
+  });
+};
+
+// Read the options of an import request (the multipart form fields)
+// 'format' is read from the file name when the request doesn't name it
+// Throws a 400 error for invalid values
+const getImportOptions = (req) => {
+  const extension = (req.file.originalname.match(/\.(\w+)$/) || [])[1];
+  const format = req.body.format || (IMPORT_FORMATS.includes((extension || '').toLowerCase()) ? extension.toLowerCase() : 'csv');
+  const duplicates = req.body.duplicates || 'skip';
+  const timeZone = req.body.tz || 'UTC';
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw badRequest(`Invalid format '${format}' (allowed: ${IMPORT_FORMATS.join(', ')})`);
+  }
+  if (!['skip', 'import'].includes(duplicates)) {
+    throw badRequest("'duplicates' must be skip or import");
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw badRequest(`Invalid time zone '${timeZone}'`);
+  }
+
+  return { format, mapping: req.body.mapping, duplicates, timeZone, dryRun: req.body.dryRun === 'true' };
+};
+
+// Import the uploaded file of a request (req.file) for the logged in user
+// options: { format, mapping, duplicates, timeZone, dryRun } (see getImportOptions)
+// Returns the body of the response: the summary and one result per row
+// Throws a 400 error when the file can't be read
+const importFile = async (req, { format, mapping: requestedMapping, duplicates, timeZone, dryRun }) => {
+  const ownerId = req.user._id;
+  const { columns, records, warnings } = parseImportFile(req.file.buffer, format);
+
+  if (records.length === 0) {
+    throw badRequest('The file has no tasks');
+  }
+
+  const mapping = requestedMapping ? parseMapping(requestedMapping, columns) : guessMapping(columns);
+
+  // Convert and validate every row, and find the duplicates
+  const results = await prepareImport({ records, mapping, format, timeZone, ownerId });
+  const rowsToImport = results.filter(result =>
+    result.status === 'valid' || (result.status === 'duplicate' && duplicates === 'import'));
+
+  // A dry run only lists the projects and tags that would be created
+  const names = await resolveNames(rowsToImport, ownerId, !dryRun);
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const summary = {
+    total: results.length,
+    valid: count('valid'),
+    invalid: count('invalid'),
+    duplicate: count('duplicate'),
+    imported: 0
+  };
+
+  if (!dryRun && rowsToImport.length > 0) {
+    // insertMany keeps the order of the rows, so each row gets its task
+    const tasks = await Task.insertMany(buildTaskDocuments(rowsToImport, names, ownerId));
+    rowsToImport.forEach((result, index) => {
+      result.taskId = tasks[index]._id;
+    });
+
+    for (const task of tasks) {
+      await recordHistory(req, 'created', null, task);
+    }
+
+    // Many tasks at once: the user's other tabs reload their list
+    publishTasksChanged(req, 'import');
+    summary.imported = tasks.length;
+  }
+
+  return {
+    message: dryRun
+      ? `${rowsToImport.length} of ${results.length} task(s) can be imported`
+      : `${summary.imported} of ${results.length} task(s) imported`,
+    dryRun,
+    format,
+    columns,
+    mapping,
+    summary,
+    newProjects: names.newProjects,
+    newTags: names.newTags,
+    warnings,
+    data: results.map(result => ({ taskId: null, ...result }))
+  };
+};
+
+// ========================================
+// UPLOAD MIDDLEWARE
+// ========================================
+
+// Read the file of an import (multipart/form-data, field 'file') into req.file, in memory
+// The other form fields (format, mapping, dryRun...) end up in req.body
+const receiveImportFile = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_SIZE, files: 1 }
+  }).single('file');
+
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      message: tooLarge ? `Import files can be at most ${MAX_IMPORT_SIZE / 1024 / 1024} MB` : 'Error reading the import file',
+      error: error.code === 'LIMIT_UNEXPECTED_FILE' ? "Send one file in the 'file' field" : error.message
+    });
+  });
+};
+
+// Export the import/export helpers
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  EXPORT_FIELDS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_SIZE,
+  MAX_IMPORT_ROWS,
+  toExportRecord,
+  createExportWriter,
+  parseCsv,
+  parseImportFile,
+  guessMapping,
+  getImportOptions,
+  importFile,
+  receiveImportFile
+};
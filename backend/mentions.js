@@ -0,0 +1,76 @@
+// Import our User model to resolve the mentioned users
+const User = require('./user');
+
+// Import our Notification model to tell the mentioned users
+const Notification = require('./notification');
+
+// ========================================
+// MENTION SETTINGS
+// ========================================
+
+// A mention is '@' followed by the email of a user, e.g. "@bob@example.com can you check?"
+// Emails are unique, so a mention always points to exactly one user
+// The '@' must start a word (so "bob@example.com" alone is not a mention)
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// At most this many users are resolved per comment
+const MAX_MENTIONS = 20;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Find the emails mentioned in a comment, lowercased and without duplicates
+const parseMentions = (content) => {
+  const emails = new Set();
+
+  for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+    emails.add(match[2].toLowerCase());
+  }
+
+  return [...emails].slice(0, MAX_MENTIONS);
+};
+
+// Get the ids of the users mentioned in a comment of 'task'
+// Only users who can open the task are mentioned - tasks are private, so that is their owner.
+// Other emails stay plain text, whether or not they have an account
+const resolveMentions = async (content, task) => {
+  const emails = parseMentions(content);
+
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({ email: { $in: emails }, _id: task.owner }).select('_id');
+  return users.map(user => user._id);
+};
+
+// Create a 'mention' notification for every user mentioned in a comment
+// 'alreadyNotified' lists users that got one for an earlier version of the comment
+// The author is never notified of their own mentions, and only users who can open the task are
+const notifyMentions = async (req, task, comment, alreadyNotified = []) => {
+  const skip = new Set([String(req.user._id), ...alreadyNotified.map(String)]);
+  const recipients = comment.mentions
+    .filter(userId => !skip.has(String(userId)))
+    .filter(userId => task.owner.equals(userId));
+
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  return Notification.insertMany(recipients.map(recipient => ({
+    recipient,
+    actor: req.user._id,
+    actorName: req.user.name,
+    type: 'mention',
+    task: comment.task,
+    comment: comment._id
+  })));
+};
+
+// Export the mention helpers
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  notifyMentions
+};
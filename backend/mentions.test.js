@@ -0,0 +1,72 @@
+// Unit tests for the comment mentions (run with 'npm test')
+// No database is needed: the User and Notification queries are replaced by fakes
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Import mongoose to build the user ids
+const mongoose = require('mongoose');
+
+// Import the models to replace their query methods
+const User = require('./user');
+const Notification = require('./notification');
+const Comment = require('./comment');
+
+// Import the helpers under test
+const { parseMentions, resolveMentions, notifyMentions } = require('./mentions');
+
+// ========================================
+// TESTS
+// ========================================
+
+describe('mentions', () => {
+  const { find } = User;
+  const { insertMany } = Notification;
+  const owner = new mongoose.Types.ObjectId();
+  const stranger = new mongoose.Types.ObjectId();
+  const task = { _id: new mongoose.Types.ObjectId(), owner };
+
+  // Put the real queries back after each test
+  afterEach(() => {
+    User.find = find;
+    Notification.insertMany = insertMany;
+  });
+
+  it('reads the mentioned emails', () => {
+    assert.deepEqual(parseMentions('@Bob@Example.com and @ann@example.com, not bob@example.com or @bob@example.com'), [
+      'bob@example.com',
+      'ann@example.com'
+    ]);
+  });
+
+  it('only looks up the users who can open the task', async () => {
+    let filter;
+    User.find = (query) => {
+      filter = query;
+      return { select: async () => [{ _id: owner }] };
+    };
+
+    assert.deepEqual(await resolveMentions('@ann@example.com @bob@example.com', task), [owner]);
+    assert.deepEqual(filter, { email: { $in: ['ann@example.com', 'bob@example.com'] }, _id: owner });
+  });
+
+  it('notifies neither the author nor users who cannot open the task', async () => {
+    const notified = [];
+    Notification.insertMany = async (entries) => {
+      notified.push(...entries.map(entry => entry.recipient));
+      return entries;
+    };
+
+    const comment = new Comment({ task: task._id, author: stranger, content: 'Hi', mentions: [owner, stranger] });
+    await notifyMentions({ user: { _id: stranger, name: 'Ann' } }, task, comment);
+    assert.deepEqual(notified, [owner]);
+
+    notified.length = 0;
+    await notifyMentions({ user: { _id: owner, name: 'Bob' } }, task, comment);
+    assert.deepEqual(notified, []);
+  });
+
+  it('leaves the mentioned users out of the comments sent to clients', () => {
+    const comment = new Comment({ task: task._id, author: owner, content: '@bob@example.com', mentions: [owner] });
+    assert.equal(comment.toJSON().mentions, undefined);
+  });
+});
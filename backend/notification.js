@@ -0,0 +1,60 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Create the schema for Notification documents - something a user should know about
+// For now the only kind is 'mention': someone mentioned the user in a comment
+const notificationSchema = new mongoose.Schema({
+
+  // The user who receives the notification
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // The user who caused it, and their name at that time
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorName: {
+    type: String,
+    default: ''
+  },
+
+  // Kind of notification
+  type: {
+    type: String,
+    enum: ['mention'],
+    required: true
+  },
+
+  // The task and the comment it is about
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  // When the recipient read it - null while it is unread
+  readAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// A user's notifications are read newest first
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// Create and export the Notification model - MongoDB will create a 'notifications' collection
+module.exports = mongoose.model('Notification', notificationSchema);
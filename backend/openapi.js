@@ -0,0 +1,450 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import the route schemas
+const { ROUTES } = require('./apiSchemas');
+
+// Import the shared field schemas for the models
+const { object, objectId, dateTime, TASK_FIELDS } = require('./fieldSchemas');
+
+// Import the API version
+const { version } = require('./package.json');
+
+// Create a new router instance - this will serve the documentation
+const router = express.Router();
+
+// ========================================
+// MODELS
+// ========================================
+
+// Schemas of the objects the API returns ('components/schemas' of the document)
+// The routes refer to them by name, e.g. json('The task', 'Task') or json('Tasks', ['Task'])
+
+// Fields every document has
+const documentFields = {
+  _id: objectId('Id'),
+  createdAt: dateTime('Creation date'),
+  updatedAt: dateTime('Last change')
+};
+
+const MODELS = {
+  Task: object({
+    ...documentFields,
+    ...TASK_FIELDS,
+    subtasks: {
+      type: 'array',
+      items: object({ _id: objectId('Subtask id'), title: { type: 'string' }, completed: { type: 'boolean' } })
+    },
+    series: { ...objectId('First task of a repeating series'), nullable: true },
+    occurrence: { type: 'integer', description: 'Number of the occurrence in its series' },
+    tagNames: { type: 'array', items: { type: 'string' }, description: 'Names of the tags (kept for search)' },
+    boardOrder: { type: 'number', nullable: true, description: 'Position in its board column (null = never moved, shown first)' },
+    commentCount: { type: 'integer' },
+    attachmentCount: { type: 'integer' },
+    deletedAt: dateTime('Date the task was moved to the trash (null = not deleted)', { nullable: true }),
+    purgeAt: dateTime('Trash only - date the task is deleted permanently'),
+    score: { type: 'number', description: 'Search only - relevance of the result' },
+    snippets: { type: 'object', description: 'Search only - matching parts of the fields, highlighted with <mark>' },
+    owner: objectId('Owner')
+  }),
+  Project: object({
+    ...documentFields,
+    name: { type: 'string' },
+    color: { type: 'string', example: '#3b82f6' },
+    archived: { type: 'boolean' },
+    order: { type: 'integer' },
+    taskCount: { type: 'integer', description: 'Active tasks of the project' },
+    owner: objectId('Owner')
+  }),
+  Tag: object({
+    ...documentFields,
+    name: { type: 'string' },
+    color: { type: 'string', example: '#3b82f6' },
+    taskCount: { type: 'integer', description: 'Tasks using the tag' },
+    owner: objectId('Owner')
+  }),
+  Comment: object({
+    ...documentFields,
+    task: objectId('Task'),
+    author: objectId('Author'),
+    authorName: { type: 'string' },
+    content: { type: 'string', description: 'Markdown' },
+    editedAt: dateTime('Last edit (null = never edited)', { nullable: true })
+  }),
+  Attachment: object({
+    ...documentFields,
+    task: objectId('Task'),
+    owner: objectId('Owner'),
+    filename: { type: 'string' },
+    mimeType: { type: 'string' },
+    size: { type: 'integer', description: 'Size in bytes' },
+    hasThumbnail: { type: 'boolean' }
+  }),
+  AttachmentLimits: object({
+    maxFileSize: { type: 'integer', description: 'Bytes' },
+    mimeTypes: { type: 'array', items: { type: 'string' } }
+  }),
+  HistoryEntry: object({
+    ...documentFields,
+    task: objectId('Task'),
+    actor: objectId('User who made the change'),
+    actorName: { type: 'string' },
+    action: { type: 'string', enum: ['created', 'updated', 'deleted', 'restored', 'reverted'] },
+    changes: {
+      type: 'array',
+      items: object({ field: { type: 'string' }, from: {}, to: {} })
+    }
+  }),
+  BoardColumn: object({
+    key: { type: 'string', description: 'The status', example: 'in_progress' },
+    name: { type: 'string', example: 'In progress' },
+    done: { type: 'boolean', description: 'true for the last column - its tasks are completed' },
+    total: { type: 'integer', description: 'Tasks in the column (more than the ones returned when above the limit)' },
+    tasks: { type: 'array', items: 'Task' }
+  }),
+  TaskStats: object({
+    total: { type: 'integer' },
+    completed: { type: 'integer' },
+    active: { type: 'integer' },
+    byPriority: { type: 'object', additionalProperties: { type: 'integer' } },
+    completedByPriority: { type: 'object', additionalProperties: { type: 'integer' } },
+    overdue: { type: 'integer' },
+    dueThisWeek: { type: 'integer' },
+    subtasks: object({ total: { type: 'integer' }, completed: { type: 'integer' } })
+  }),
+  BulkResult: object({
+    id: { type: 'string' },
+    success: { type: 'boolean' },
+    data: { $ref: 'Task' },
+    error: { type: 'string' }
+  }),
+  ImportRow: object({
+    row: { type: 'integer', description: 'Line of the file (or position in the JSON array)' },
+    status: { type: 'string', enum: ['valid', 'invalid', 'duplicate'] },
+    errors: { type: 'array', items: { type: 'string' } },
+    data: { type: 'object', description: 'The task read from the row' },
+    taskId: { ...objectId('Task created from the row'), nullable: true }
+  }),
+  ImportSummary: object({
+    total: { type: 'integer' },
+    valid: { type: 'integer' },
+    invalid: { type: 'integer' },
+    duplicate: { type: 'integer' },
+    imported: { type: 'integer' }
+  }),
+  User: object({
+    ...documentFields,
+    name: { type: 'string' },
+    email: { type: 'string', format: 'email' }
+  }),
+  Session: object({
+    user: { $ref: 'User' },
+    accessToken: { type: 'string', description: 'Send it in the Authorization header' },
+    refreshToken: { type: 'string', description: 'Single use - gets new tokens from /api/auth/refresh' }
+  }),
+  CalendarFeed: object({
+    enabled: { type: 'boolean' },
+    createdAt: dateTime('Date of the current link', { nullable: true }),
+    token: { type: 'string', description: 'Only when the link is created' },
+    urls: object({ event: { type: 'string' }, todo: { type: 'string' } })
+  }),
+  Webhook: object({
+    ...documentFields,
+    url: { type: 'string' },
+    description: { type: 'string' },
+    events: { type: 'array', items: { type: 'string' } },
+    active: { type: 'boolean' },
+    secret: { type: 'string', description: 'Only when the webhook is created or its secret rotated' },
+    lastDelivery: object({
+      at: dateTime('Date of the last attempt'),
+      status: { type: 'string' },
+      responseStatus: { type: 'integer', nullable: true }
+    }, [], { nullable: true })
+  }),
+  View: object({
+    _id: { type: 'string', description: 'Id, or the name of a built-in view' },
+    createdAt: dateTime('Creation date'),
+    updatedAt: dateTime('Last change'),
+    name: { type: 'string' },
+    builtIn: { type: 'boolean', description: 'true for the smart lists every user has (they can\'t be changed)' },
+    filters: { type: 'object', description: 'The filters of GET /api/tasks' },
+    sort: { type: 'string' },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    groupBy: { type: 'string' },
+    columns: { type: 'array', items: { type: 'string' } },
+    query: { type: 'object', description: 'The parameters of GET /api/tasks the view stands for (for this user)' },
+    pinned: { type: 'boolean' },
+    isOwner: { type: 'boolean' },
+    owner: { ...object({ _id: objectId('User'), name: { type: 'string' }, email: { type: 'string' } }), nullable: true },
+    sharedWith: {
+      type: 'array',
+      items: object({ _id: objectId('User'), email: { type: 'string' } }),
+      description: 'Owner only - the users the view is shared with'
+    }
+  }),
+  WebhookInfo: object({
+    events: { type: 'array', items: { type: 'string' } },
+    signatureHeader: { type: 'string' },
+    maxAttempts: { type: 'integer' }
+  }),
+  WebhookDelivery: object({
+    ...documentFields,
+    webhook: objectId('Webhook'),
+    event: { type: 'string' },
+    payload: { type: 'object' },
+    status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+    test: { type: 'boolean' },
+    nextAttemptAt: dateTime('Next retry (null = no more retries)', { nullable: true }),
+    attempts: {
+      type: 'array',
+      items: object({
+        at: dateTime('Date of the attempt'),
+        responseStatus: { type: 'integer', nullable: true },
+        error: { type: 'string' },
+        duration: { type: 'integer', description: 'Milliseconds' }
+      })
+    }
+  }),
+  Error: object({
+    success: { type: 'boolean', example: false },
+    message: { type: 'string' },
+    error: { type: 'string', description: 'What went wrong' }
+  }),
+  ValidationError: object({
+    success: { type: 'boolean', example: false },
+    message: { type: 'string', example: 'Validation failed' },
+    error: { type: 'string', example: 'title: must be at least 3 characters long' },
+    errors: {
+      type: 'array',
+      items: object({
+        location: { type: 'string', enum: ['params', 'query', 'body'] },
+        field: { type: 'string', example: 'title' },
+        message: { type: 'string', example: 'must be at least 3 characters long' }
+      })
+    }
+  })
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Reference to a model
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Turn a schema of apiSchemas.js into an OpenAPI one
+// Model names become references: 'Task', ['Task'] (a list) or { $ref: 'Task', nullable: true }
+const toSchema = (schema) => {
+  if (typeof schema === 'string') {
+    return ref(schema);
+  }
+  if (Array.isArray(schema)) {
+    return { type: 'array', items: toSchema(schema[0]) };
+  }
+  if (schema.$ref) {
+    // OpenAPI 3.0 ignores the keywords next to $ref, so a nullable reference needs allOf
+    return schema.nullable ? { allOf: [ref(schema.$ref)], nullable: true } : ref(schema.$ref);
+  }
+
+  const result = { ...schema };
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toSchema(value)]));
+  }
+  if (schema.items) {
+    result.items = toSchema(schema.items);
+  }
+  if (typeof schema.additionalProperties === 'object') {
+    result.additionalProperties = toSchema(schema.additionalProperties);
+  }
+  return result;
+};
+
+// Turn the fields of an object schema into parameters ('path', 'query' or 'header')
+const toParameters = (location, schema) => {
+  if (!schema) {
+    return [];
+  }
+
+  const required = schema.required || [];
+  return Object.entries(schema.properties || schema).map(([name, { description, example, ...fieldSchema }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    ...(description && { description }),
+    ...(example !== undefined && { example }),
+    schema: toSchema(fieldSchema),
+    // Lists are sent comma separated: ?priority=high,medium
+    ...(fieldSchema.type === 'array' && { style: 'form', explode: false })
+  }));
+};
+
+// Response with the usual JSON envelope: { success, message, data, ... }
+const toJsonResponse = ({ description, data, extra }) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: object({
+        success: { type: 'boolean', example: true },
+        message: { type: 'string' },
+        ...(data && { data: toSchema(data) }),
+        ...Object.fromEntries(Object.entries(extra).map(([key, value]) => [key, toSchema(value)]))
+      })
+    }
+  }
+});
+
+// Response that isn't JSON
+const toFileResponse = ({ description, contentTypes }) => ({
+  description,
+  content: Object.fromEntries(contentTypes.map(type => [
+    type,
+    { schema: type.startsWith('text/') || type === 'application/json' ? { type: 'string' } : { type: 'string', format: 'binary' } }
+  ]))
+});
+
+// Error response
+const errorResponse = (description, model = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: ref(model) } }
+});
+
+// Who can call a route ('auth' of the route schema)
+const SECURITY = {
+  none: [],
+  bearer: [{ bearerAuth: [] }],
+  stream: [{ bearerAuth: [] }, { queryToken: [] }],
+  feedToken: [{ feedToken: [] }]
+};
+
+// Build the operation of one route
+const toOperation = (route) => {
+  const auth = route.auth || 'bearer';
+  const responses = {};
+
+  Object.entries(route.responses).forEach(([status, response]) => {
+    if (response.contentTypes) {
+      responses[status] = toFileResponse(response);
+    } else if (Number(status) >= 400) {
+      // Errors have their own envelope, 409 and 412 send the current task in 'data'
+      responses[status] = response.data ? toJsonResponse(response) : errorResponse(response.description);
+    } else {
+      responses[status] = toJsonResponse(response);
+    }
+  });
+
+  // Answers most routes share
+  if (route.params && !responses[404]) {
+    responses[404] = errorResponse('Not found');
+  }
+  if (auth !== 'none' && !responses[401]) {
+    responses[401] = errorResponse(auth === 'feedToken' ? 'Invalid feed token' : 'Missing or invalid access token');
+  }
+  if (route.params || route.query || route.body || route.form) {
+    responses[422] = errorResponse('The request is not valid: one error per field', 'ValidationError');
+  }
+
+  return {
+    operationId: route.operationId,
+    tags: [route.tag],
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    security: SECURITY[auth],
+    parameters: [
+      ...toParameters('path', route.params),
+      ...toParameters('query', route.query),
+      ...toParameters('header', route.headers)
+    ],
+    ...(route.body && {
+      requestBody: { required: Boolean(route.body.required), content: { 'application/json': { schema: toSchema(route.body) } } }
+    }),
+    ...(route.form && {
+      requestBody: { required: true, content: { 'multipart/form-data': { schema: toSchema(route.form) } } }
+    }),
+    responses
+  };
+};
+
+// ========================================
+// OPENAPI DOCUMENT
+// ========================================
+
+// Build the OpenAPI 3 document of the API from the route schemas
+const buildOpenApiDocument = () => {
+  const paths = {};
+
+  ROUTES.forEach(route => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = toOperation(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Task Manager API',
+      version,
+      description: 'Every request is checked against the schema of its route: invalid ones get 422 with one error per field.'
+    },
+    tags: [...new Set(ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(MODELS).map(([name, schema]) => [name, toSchema(schema)])),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from /api/auth/login' },
+        queryToken: { type: 'apiKey', in: 'query', name: 'token', description: 'Access token, for EventSource' },
+        feedToken: { type: 'apiKey', in: 'query', name: 'token', description: 'Token of the calendar feed' }
+      }
+    }
+  };
+};
+
+// The routes don't change while the server runs, so the document is built once
+const openApiDocument = buildOpenApiDocument();
+
+// Swagger UI is loaded from a CDN at an exact version, and the browser checks the files against
+// their hashes (Subresource Integrity): a changed file on the CDN is refused instead of run on the page.
+// To update it, change the version and put the 'sha384-' hashes of the new files here
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5.33.0';
+const SWAGGER_UI_CSS_HASH = 'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW';
+const SWAGGER_UI_JS_HASH = 'sha384-YDALVcy8kj8yltLBVi1vBiBAUqdxvus673gM8XKwiy6aDUJFXivF/KCufekjYbVf';
+
+// Documentation page: Swagger UI reading /api/openapi.json
+// 'Authorize' takes the access token, then the requests can be sent from the page
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Task Manager API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css" integrity="${SWAGGER_UI_CSS_HASH}" crossorigin="anonymous">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_JS_HASH}" crossorigin="anonymous"></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: 'openapi.json',
+      dom_id: '#docs',
+      deepLinking: true,
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>`;
+
+// ========================================
+// GET /api/openapi.json - The OpenAPI document
+// ========================================
+router.get('/openapi.json', (req, res) => {
+  res.status(200).json(openApiDocument);
+});
+
+// ========================================
+// GET /api/docs - Interactive documentation
+// ========================================
+router.get('/docs', (req, res) => {
+  res.status(200).type('html').send(DOCS_PAGE);
+});
+
+// Export the router so it can be used in server.js
+module.exports = router;
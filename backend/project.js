@@ -0,0 +1,49 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Create the schema for Project documents - a project groups related tasks
+const projectSchema = new mongoose.Schema({
+
+  // Project name shown in the sidebar
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Color used for the project dot and task chips (hex format, e.g. #3b82f6)
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3b82f6'],
+    default: '#3b82f6'
+  },
+
+  // Archived projects are hidden from the sidebar but keep their tasks
+  archived: {
+    type: Boolean,
+    default: false
+  },
+
+  // Position in the sidebar (lower numbers first)
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  // The user who owns the project
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// Create and export the Project model - MongoDB will create a 'projects' collection
+module.exports = mongoose.model('Project', projectSchema);
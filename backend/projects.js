@@ -0,0 +1,355 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import mongoose to validate ids
+const mongoose = require('mongoose');
+
+// Import our models
+const Project = require('./project');
+const Task = require('./task');
+
+// Import the query helpers shared with the task routes
+const { buildTaskFilter, buildPageOptions, findTaskPage } = require('./taskQuery');
+
+// Import the helper that records the changes of many tasks (history, webhooks and events)
+const { recordTaskChanges } = require('./history');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - this will handle all project-related routes
+const router = express.Router();
+
+// Every project route requires a logged in user
+router.use(protect);
+
+// ========================================
+// GET /api/projects - Retrieve the user's projects
+// ========================================
+// Query parameter 'archived': false (default) = active projects, true = archived only, all = both
+router.get('/', validate('listProjects'), async (req, res) => {
+
+  try {
+
+    // Build the filter from the 'archived' parameter
+    const filter = { owner: req.user._id };
+    const archived = req.query.archived || 'false';
+
+    if (archived !== 'all') {
+      filter.archived = archived === 'true';
+    }
+
+    // Sort by sidebar position, then oldest first for projects with the same position
+    const projects = await Project.find(filter).sort({ order: 1, createdAt: 1 });
+
+    // Count active tasks in each project with a single query
+    const counts = await Task.aggregate([
+      { $match: { owner: req.user._id, completed: false, deletedAt: null, project: { $in: projects.map(p => p._id) } } },
+      { $group: { _id: '$project', count: { $sum: 1 } } }
+    ]);
+
+    const countByProject = new Map(counts.map(c => [String(c._id), c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      data: projects.map(project => ({
+        ...project.toObject(),
+        activeTaskCount: countByProject.get(String(project._id)) || 0
+      }))
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PUT /api/projects/reorder - Save the sidebar order
+// ========================================
+// Body: { ids: [projectId, projectId, ...] } in the new order
+// Must be defined before '/:id' so 'reorder' isn't read as a project id
+router.put('/reorder', validate('reorderProjects'), async (req, res) => {
+
+  try {
+
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be an array of project ids'
+      });
+    }
+
+    // Set each project's order to its position in the array
+    // The owner condition ignores ids of other users' projects
+    await Project.bulkWrite(ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, owner: req.user._id },
+        update: { order: index }
+      }
+    })));
+
+    const projects = await Project.find({ owner: req.user._id }).sort({ order: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Projects reordered successfully',
+      data: projects
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error reordering projects',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/projects/:id - Retrieve single project
+// ========================================
+router.get('/:id', validate('getProject'), async (req, res) => {
+
+  try {
+
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid project ID',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/projects/:id/tasks - Retrieve a page of the project's tasks
+// ========================================
+// Accepts the same query parameters as GET /api/tasks (status, priority, sort, cursor...)
+router.get('/:id/tasks', validate('listProjectTasks'), async (req, res) => {
+
+  try {
+
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Same filters as the task list, limited to this project
+    const filter = { ...buildTaskFilter(req.query), owner: req.user._id, project: project._id };
+    const { tasks, total, nextCursor } = await findTaskPage(filter, buildPageOptions(req.query));
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      total,
+      nextCursor,
+      data: tasks
+    });
+
+  } catch (error) {
+    const statusCode = error.statusCode || 400;
+
+    res.status(statusCode).json({
+      success: false,
+      message: 'Error fetching project tasks',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/projects - Create new project
+// ========================================
+router.post('/', validate('createProject'), async (req, res) => {
+
+  try {
+
+    // New projects go at the bottom of the sidebar unless an order is given
+    let { order } = req.body;
+
+    if (order === undefined) {
+      const lastProject = await Project.findOne({ owner: req.user._id }).sort({ order: -1 });
+      order = lastProject ? lastProject.order + 1 : 0;
+    }
+
+    const project = await Project.create({
+      name: req.body.name,
+      color: req.body.color,
+      archived: req.body.archived,
+      order,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: project
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating project',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PUT /api/projects/:id - Update existing project
+// ========================================
+router.put('/:id', validate('updateProject'), async (req, res) => {
+
+  try {
+
+    // Only these fields can be changed by the client
+    const updates = {};
+    ['name', 'color', 'archived', 'order'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const project = await Project.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Project updated successfully',
+      data: project
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating project',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// DELETE /api/projects/:id - Delete project
+// ========================================
+// The caller decides what happens to the project's tasks with the 'tasks' query parameter:
+//   ?tasks=cascade            - move the tasks to the trash together with the project
+//   ?tasks=move&moveTo=<id>   - move the tasks to another project
+//   ?tasks=move&moveTo=none   - keep the tasks without a project
+router.delete('/:id', validate('deleteProject'), async (req, res) => {
+
+  try {
+
+    const { tasks: taskAction, moveTo } = req.query;
+
+    if (taskAction !== 'cascade' && taskAction !== 'move') {
+      return res.status(400).json({
+        success: false,
+        message: "Query parameter 'tasks' must be 'cascade' or 'move'"
+      });
+    }
+
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Check the destination project when moving tasks
+    let destination = null;
+
+    if (taskAction === 'move' && moveTo && moveTo !== 'none') {
+      destination = await Project.findOne({ _id: moveTo, owner: req.user._id });
+
+      if (!destination || destination._id.equals(project._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid destination project'
+        });
+      }
+    }
+
+    // Trash or move the tasks first, so no task is left pointing to a deleted project
+    // (tasks already in the trash are detached too, so they can still be restored)
+    const taskFilter = { owner: req.user._id, project: project._id };
+    const tasks = await Task.find(taskFilter);
+    const activeTasks = tasks.filter(task => !task.deletedAt);
+    const trashedTasks = tasks.filter(task => task.deletedAt);
+
+    // Only the tasks loaded above are changed, so their history has the right 'before' copy
+    const byIds = (list) => ({ ...taskFilter, _id: { $in: list.map(task => task._id) } });
+
+    if (taskAction === 'cascade') {
+      // Tasks go to the trash without a project, since the project itself is gone
+      await Task.updateMany(byIds(activeTasks), { deletedAt: new Date(), project: null });
+      await Task.updateMany(byIds(trashedTasks), { project: null });
+      await recordTaskChanges(req, 'deleted', activeTasks, 'task.deleted');
+      await recordTaskChanges(req, 'updated', trashedTasks, 'task.updated');
+    } else {
+      await Task.updateMany(byIds(tasks), { project: destination ? destination._id : null });
+      await recordTaskChanges(req, 'updated', tasks, 'task.updated');
+    }
+
+    const affectedTasks = taskAction === 'cascade' ? activeTasks.length : tasks.length;
+
+    await project.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: taskAction === 'cascade'
+        ? `Project deleted successfully, ${affectedTasks} task(s) moved to trash`
+        : `Project deleted successfully, ${affectedTasks} task(s) moved`,
+      data: project
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting project',
+      error: error.message
+    });
+  }
+});
+
+// Export the router so it can be imported and used in server.js
+module.exports = router;
@@ -0,0 +1,194 @@
+// Import time zone helpers - occurrences keep the same wall clock time in the task's time zone
+const { getZonedParts, zonedTimeToDate } = require('./dates');
+
+// ========================================
+// RECURRENCE RULES
+// ========================================
+
+// A recurrence rule is a small subset of iCalendar RRULE:
+//   frequency:  'daily' | 'weekly' | 'monthly' | 'yearly'
+//   interval:   repeat every N days/weeks/months/years (default 1)
+//   byWeekday:  weekly only - days of the week, 0 = Sunday ... 6 = Saturday
+//   byMonthDay: monthly only - day of the month (1-31, clamped to the month length)
+//               saved with the day of the first due date when the rule doesn't give one
+//   setPos + weekday: monthly only - e.g. setPos 2 + weekday 1 = "the 2nd Monday"
+//                     (setPos -1 means "the last")
+//   until:      no occurrence after this date
+//   count:      total number of occurrences in the series
+
+// Allowed frequencies (also used by the schema)
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Allowed values for 'setPos'
+const SET_POSITIONS = [1, 2, 3, 4, -1];
+
+// ========================================
+// CALENDAR HELPERS
+// ========================================
+
+// All calculations below work on calendar days stored as UTC dates at midnight,
+// so adding days or months never runs into daylight saving problems
+
+// Create a calendar day
+const day = (year, month, date) => new Date(Date.UTC(year, month - 1, date));
+
+// Add days to a calendar day
+const addDays = (calendarDay, days) => new Date(calendarDay.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Number of days in a month (month is 1-12)
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Find the n-th weekday of a month, e.g. the 2nd Monday
+// Returns null when it doesn't exist (e.g. a 5th Monday)
+const nthWeekdayOfMonth = (year, month, weekday, setPos) => {
+  if (setPos === -1) {
+    // Start from the last day of the month and go back to the weekday
+    const lastDay = day(year, month, daysInMonth(year, month));
+    return addDays(lastDay, -((lastDay.getUTCDay() - weekday + 7) % 7));
+  }
+
+  // Start from the first day of the month and go forward to the weekday
+  const firstDay = day(year, month, 1);
+  const result = addDays(firstDay, (weekday - firstDay.getUTCDay() + 7) % 7 + (setPos - 1) * 7);
+
+  return result.getUTCMonth() === month - 1 ? result : null;
+};
+
+// Move a (year, month) pair by a number of months
+const addMonths = (year, month, months) => {
+  const index = year * 12 + (month - 1) + months;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+};
+
+// ========================================
+// NEXT OCCURRENCE
+// ========================================
+
+// Find the calendar day of the next occurrence after 'current'
+const nextCalendarDay = (current, rule) => {
+  const interval = rule.interval || 1;
+  const year = current.getUTCFullYear();
+  const month = current.getUTCMonth() + 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(current, interval);
+
+    case 'weekly': {
+      const weekdays = [...new Set(rule.byWeekday || [])].sort((a, b) => a - b);
+
+      // Without weekdays, repeat on the same weekday every N weeks
+      if (weekdays.length === 0) {
+        return addDays(current, 7 * interval);
+      }
+
+      // Weeks start on Monday: convert weekdays so Monday is 0 and Sunday is 6
+      const toMondayBased = (weekday) => (weekday + 6) % 7;
+      const currentPosition = toMondayBased(current.getUTCDay());
+
+      // Another selected day later in the same week?
+      const laterThisWeek = weekdays
+        .map(toMondayBased)
+        .sort((a, b) => a - b)
+        .find(position => position > currentPosition);
+
+      if (laterThisWeek !== undefined) {
+        return addDays(current, laterThisWeek - currentPosition);
+      }
+
+      // Otherwise the first selected day, N weeks later
+      const firstPosition = Math.min(...weekdays.map(toMondayBased));
+      return addDays(current, 7 * interval - currentPosition + firstPosition);
+    }
+
+    case 'monthly': {
+      // "The n-th weekday" - skip months where it doesn't exist (e.g. no 5th Monday)
+      if (rule.setPos) {
+        for (let step = 1; step <= 12 * 10; step++) {
+          const target = addMonths(year, month, interval * step);
+          const result = nthWeekdayOfMonth(target.year, target.month, rule.weekday, rule.setPos);
+          if (result) {
+            return result;
+          }
+        }
+        return null;
+      }
+
+      // "Day N of the month" - use the last day for short months (e.g. 31 -> 30 in April)
+      const target = addMonths(year, month, interval);
+      const monthDay = rule.byMonthDay || current.getUTCDate();
+      return day(target.year, target.month, Math.min(monthDay, daysInMonth(target.year, target.month)));
+    }
+
+    case 'yearly': {
+      // February 29th becomes February 28th in non-leap years
+      const targetYear = year + interval;
+      return day(targetYear, month, Math.min(current.getUTCDate(), daysInMonth(targetYear, month)));
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Calculate the due date of the next occurrence of a recurring task
+// 'occurrence' is the 1-based position of the current task in the series
+// Returns null when the series has ended (until/count reached)
+const getNextOccurrence = (dueDate, timeZone, rule, occurrence = 1) => {
+  if (!dueDate || !rule || !FREQUENCIES.includes(rule.frequency)) {
+    return null;
+  }
+
+  // Stop when the series already has 'count' occurrences
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  // Work on the wall clock date/time the user sees in the task's time zone
+  const zone = timeZone || 'UTC';
+  const parts = getZonedParts(new Date(dueDate), zone);
+  const nextDay = nextCalendarDay(day(parts.year, parts.month, parts.day), rule);
+
+  if (!nextDay) {
+    return null;
+  }
+
+  // Keep the same time of day (e.g. every Monday at 9:00, even across daylight saving changes)
+  const next = zonedTimeToDate(
+    nextDay.getUTCFullYear(),
+    nextDay.getUTCMonth() + 1,
+    nextDay.getUTCDate(),
+    zone,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    new Date(dueDate).getUTCMilliseconds()
+  );
+
+  // Stop when the next occurrence is after the end date
+  if (rule.until && next > new Date(rule.until)) {
+    return null;
+  }
+
+  return next;
+};
+
+// Day of the month a monthly rule should be saved with, when it has neither 'byMonthDay' nor 'setPos'
+// It is the day of 'dueDate' (the first due date) in the task's time zone: without it the next
+// occurrences would follow the last one, and a series on the 31st would stay on the 30th after April
+// Returns null when the rule doesn't need one
+const getDefaultMonthDay = (rule, dueDate, timeZone) => {
+  if (!rule || !dueDate || rule.frequency !== 'monthly' || rule.setPos || rule.byMonthDay) {
+    return null;
+  }
+
+  return getZonedParts(new Date(dueDate), timeZone || 'UTC').day;
+};
+
+// Export the recurrence helpers
+module.exports = {
+  FREQUENCIES,
+  SET_POSITIONS,
+  getNextOccurrence,
+  getDefaultMonthDay
+};
@@ -0,0 +1,128 @@
+// Unit tests for the next occurrence of recurring tasks (run with 'npm test')
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Import mongoose to give the test task an owner
+const mongoose = require('mongoose');
+
+// Import the Task model to check the rule it saves
+const Task = require('./task');
+
+// Import the helpers under test
+const { getNextOccurrence, getDefaultMonthDay } = require('./recurrence');
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Next due date as an ISO string (null when the series has ended)
+const next = (dueDate, rule, timeZone = 'UTC', occurrence = 1) => {
+  const result = getNextOccurrence(new Date(dueDate), timeZone, rule, occurrence);
+  return result && result.toISOString();
+};
+
+// Due dates of the next 'count' occurrences, each one calculated from the previous one
+const series = (dueDate, rule, count, timeZone = 'UTC') => {
+  const dates = [];
+  let current = dueDate;
+  for (let i = 0; i < count; i++) {
+    current = next(current, rule, timeZone, i + 1);
+    dates.push(current);
+  }
+  return dates;
+};
+
+// ========================================
+// TESTS
+// ========================================
+
+describe('getNextOccurrence', () => {
+
+  it('finds the n-th weekday of the next month', () => {
+    // 2nd Monday: January 8th 2024 -> February 12th 2024
+    assert.equal(next('2024-01-08T09:00:00Z', { frequency: 'monthly', setPos: 2, weekday: 1 }), '2024-02-12T09:00:00.000Z');
+
+    // Last Friday: January 26th 2024 -> February 23rd 2024 (February 29th is a Thursday)
+    assert.equal(next('2024-01-26T09:00:00Z', { frequency: 'monthly', setPos: -1, weekday: 5 }), '2024-02-23T09:00:00.000Z');
+  });
+
+  it('clamps the day of the month to short months and goes back after them', () => {
+    const rule = { frequency: 'monthly', byMonthDay: 31 };
+
+    assert.deepEqual(series('2024-01-31T09:00:00Z', rule, 4), [
+      '2024-02-29T09:00:00.000Z',
+      '2024-03-31T09:00:00.000Z',
+      '2024-04-30T09:00:00.000Z',
+      '2024-05-31T09:00:00.000Z'
+    ]);
+  });
+
+  it('moves February 29th to February 28th in other years', () => {
+    assert.equal(next('2024-02-29T09:00:00Z', { frequency: 'yearly' }), '2025-02-28T09:00:00.000Z');
+  });
+
+  it('keeps the wall clock time across daylight saving changes', () => {
+    // 9:00 in New York: EST (UTC-5) before March 10th 2024, EDT (UTC-4) after
+    assert.equal(next('2024-03-04T14:00:00Z', { frequency: 'weekly' }, 'America/New_York'), '2024-03-11T13:00:00.000Z');
+
+    // 9:00 in Berlin: CEST (UTC+2) before October 27th 2024, CET (UTC+1) from that day
+    assert.equal(next('2024-10-26T07:00:00Z', { frequency: 'daily' }, 'Europe/Berlin'), '2024-10-27T08:00:00.000Z');
+  });
+
+  it('uses the calendar day of the task\'s time zone', () => {
+    // Monday January 1st 2024 at 8:00 in Tokyo is still Sunday in UTC
+    const rule = { frequency: 'weekly', byWeekday: [1, 3] };
+    assert.equal(next('2023-12-31T23:00:00Z', rule, 'Asia/Tokyo'), '2024-01-02T23:00:00.000Z');
+  });
+
+  it('stops after the end date', () => {
+    const rule = { frequency: 'daily', until: '2024-01-02T09:00:00Z' };
+
+    assert.equal(next('2024-01-01T09:00:00Z', rule), '2024-01-02T09:00:00.000Z');
+    assert.equal(next('2024-01-02T09:00:00Z', rule), null);
+  });
+
+  it('stops after the number of occurrences', () => {
+    const rule = { frequency: 'daily', count: 3 };
+
+    assert.equal(next('2024-01-01T09:00:00Z', rule, 'UTC', 2), '2024-01-02T09:00:00.000Z');
+    assert.equal(next('2024-01-01T09:00:00Z', rule, 'UTC', 3), null);
+  });
+});
+
+describe('getDefaultMonthDay', () => {
+
+  it('gives a monthly rule the day of its first due date', () => {
+    assert.equal(getDefaultMonthDay({ frequency: 'monthly' }, new Date('2024-01-31T09:00:00Z'), 'UTC'), 31);
+
+    // February 1st in Tokyo, January 31st in UTC
+    assert.equal(getDefaultMonthDay({ frequency: 'monthly' }, new Date('2024-01-31T15:30:00Z'), 'Asia/Tokyo'), 1);
+  });
+
+  it('leaves the other rules alone', () => {
+    const dueDate = new Date('2024-01-31T09:00:00Z');
+
+    assert.equal(getDefaultMonthDay({ frequency: 'monthly', byMonthDay: 15 }, dueDate), null);
+    assert.equal(getDefaultMonthDay({ frequency: 'monthly', setPos: 2, weekday: 1 }, dueDate), null);
+    assert.equal(getDefaultMonthDay({ frequency: 'weekly' }, dueDate), null);
+    assert.equal(getDefaultMonthDay(null, dueDate), null);
+  });
+
+  it('is saved with the task, so the series stays on the 31st', async () => {
+    const task = new Task({
+      title: 'Pay the rent',
+      owner: new mongoose.Types.ObjectId(),
+      dueDate: new Date('2024-01-31T09:00:00Z'),
+      recurrence: { frequency: 'monthly' }
+    });
+
+    await task.validate();
+    assert.equal(task.recurrence.byMonthDay, 31);
+
+    assert.deepEqual(series('2024-01-31T09:00:00Z', task.recurrence.toObject(), 3), [
+      '2024-02-29T09:00:00.000Z',
+      '2024-03-31T09:00:00.000Z',
+      '2024-04-30T09:00:00.000Z'
+    ]);
+  });
+});
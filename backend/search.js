@@ -0,0 +1,137 @@
+// ========================================
+// SEARCH HELPERS
+// ========================================
+
+// MongoDB finds and ranks the matching tasks with the text index (see task.js).
+// These helpers only build the highlighted snippets shown in the results, so the client
+// doesn't need to know how the search query is parsed.
+
+// Longest description snippet returned with a search result
+const SNIPPET_LENGTH = 160;
+
+// Escape a string so it can be used inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read the words and "quoted phrases" of a search query
+// Excluded words (-word) are not highlighted because results never contain them
+const getSearchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const excluded = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+
+    if (!excluded && term) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+// Build a regular expression matching any of the terms at the start of a word
+// The text index matches word stems ("run" finds "running"), so the rest of the word is highlighted too
+const buildTermPattern = (terms) => {
+  if (terms.length === 0) {
+    return null;
+  }
+
+  // Longest terms first, so a phrase wins over a single word it contains
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\w*`, 'gi');
+};
+
+// Split a text into segments, marking the parts that match the search
+// e.g. [{ text: 'Buy ', match: false }, { text: 'milk', match: true }]
+const highlight = (text, pattern) => {
+  const segments = [];
+  let lastIndex = 0;
+
+  if (pattern) {
+    pattern.lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        segments.push({ text: text.slice(lastIndex, match.index), match: false });
+      }
+      segments.push({ text: match[0], match: true });
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+};
+
+// Cut a long text around its first match and highlight it
+const buildSnippet = (text, pattern) => {
+  if (!text) {
+    return [];
+  }
+
+  if (text.length <= SNIPPET_LENGTH) {
+    return highlight(text, pattern);
+  }
+
+  // Start a little before the first match, on a word boundary
+  let firstMatch = null;
+  if (pattern) {
+    pattern.lastIndex = 0;
+    firstMatch = pattern.exec(text);
+  }
+
+  let start = firstMatch ? Math.max(0, firstMatch.index - 40) : 0;
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < firstMatch.index ? space + 1 : start;
+  }
+
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const segments = highlight(text.slice(start, end), pattern);
+
+  // Show that the text continues before/after the snippet
+  if (start > 0) {
+    segments.unshift({ text: '…', match: false });
+  }
+  if (end < text.length) {
+    segments.push({ text: '…', match: false });
+  }
+
+  return segments;
+};
+
+// Add the highlighted snippets to a search result
+// 'snippets.tags' lists the tag names that match the search
+const addSnippets = (task, query) => {
+  const pattern = buildTermPattern(getSearchTerms(query));
+
+  return {
+    ...task,
+    snippets: {
+      title: highlight(task.title || '', pattern),
+      description: buildSnippet(task.description || '', pattern),
+      tags: pattern
+        ? (task.tagNames || []).filter(name => {
+          pattern.lastIndex = 0;
+          return pattern.test(name);
+        })
+        : []
+    }
+  };
+};
+
+// Export the search helpers
+module.exports = {
+  getSearchTerms,
+  addSnippets
+};
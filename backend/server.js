@@ -10,6 +10,15 @@ const dotenv = require('dotenv');
 // Import our custom database connection function
 const connectDB = require('../Progetto-completo-Node.js-React-e-MongodDb-/database');
 
+// Import the job that empties the trash after the retention period
+const { startTrashPurge } = require('./trash');
+
+// Import the job that retries failed webhook deliveries
+const { startWebhookRetries } = require('./webhookSender');
+
+// Import the list of endpoints (built from the route schemas)
+const { listEndpoints } = require('./apiSchemas');
+
 // ========================================
 // INITIAL SETUP
 // ========================================
@@ -26,6 +35,12 @@ const app = express();
 // This establishes the database connection when server starts
 connectDB();
 
+// Permanently delete tasks that have been in the trash too long (runs every hour)
+startTrashPurge();
+
+// Send webhook deliveries again when their retry is due (checks every 15 seconds)
+startWebhookRetries();
+
 // ========================================
 // MIDDLEWARE SETUP
 // ========================================
@@ -48,11 +63,47 @@ app.use(express.urlencoded({ extended: true }));
 // ROUTES SETUP
 // ========================================
 
+// Mount authentication routes at '/api/auth' path
+// Register, login, refresh and logout don't need a token, task routes do
+app.use('/api/auth', require('./auth'));
+
+// Mount the comment routes of a task at '/api/tasks/:taskId/comments' path
+app.use('/api/tasks/:taskId/comments', require('./comments'));
+
+// Mount the attachment routes of a task at '/api/tasks/:taskId/attachments' path
+app.use('/api/tasks/:taskId/attachments', require('./attachments'));
+
 // Mount task routes at '/api/tasks' path
 // All routes defined in './routes/tasks' will be prefixed with '/api/tasks'
 // For example: GET /api/tasks, POST /api/tasks, etc.
 app.use('/api/tasks', require('./routes/tasks'));
 
+// Mount project routes at '/api/projects' path
+app.use('/api/projects', require('./projects'));
+
+// Mount tag routes at '/api/tags' path
+app.use('/api/tags', require('./tags'));
+
+// Mount the event stream at '/api/events' path
+// Open tabs receive task changes from here as Server-Sent Events
+app.use('/api/events', require('./events'));
+
+// Mount the API documentation at '/api' path ('/api/openapi.json' and '/api/docs')
+// The OpenAPI document is built from the same schemas that validate the requests (see apiSchemas.js)
+app.use('/api', require('./openapi'));
+
+// Mount the calendar routes at '/api' path ('/api/calendar.ics' and '/api/calendar/...')
+// The feed is read by calendar apps with its own token, the other routes need a login
+app.use('/api', require('./calendar'));
+
+// Mount webhook routes at '/api/webhooks' path
+// Task changes are POSTed to the user's webhooks (see webhookSender.js)
+app.use('/api/webhooks', require('./webhooks'));
+
+// Mount saved view routes at '/api/views' path
+// Views and the built-in smart lists are evaluated with the task list query (see viewQuery.js)
+app.use('/api/views', require('./views'));
+
 // Root route - provides API information and documentation
 // This responds to GET requests to the root URL '/'
 app.get('/', (req, res) => {
@@ -65,14 +116,15 @@ app.get('/', (req, res) => {
     // API version
     version: '1.0.0',
     
-    // Available endpoints documentation
-    endpoints: {
-      'GET /api/tasks': 'Get all tasks',
-      'GET /api/tasks/:id': 'Get single task',
-      'POST /api/tasks': 'Create new task',
-      'PUT /api/tasks/:id': 'Update task',
-      'DELETE /api/tasks/:id': 'Delete task'
-    }
+    // Interactive documentation of every endpoint, with its parameters and responses
+    docs: '/api/docs',
+
+    // OpenAPI 3 document of the API
+    openapi: '/api/openapi.json',
+
+    // Available endpoints
+    // Most routes need an 'Authorization: Bearer <accessToken>' header (see the documentation)
+    endpoints: listEndpoints()
   });
 });
 
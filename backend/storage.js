@@ -0,0 +1,77 @@
+// Import Node.js modules to work with files and paths
+const fs = require('fs');
+const path = require('path');
+
+// ========================================
+// STORAGE ADAPTERS
+// ========================================
+// Attachments are kept by a storage adapter, chosen with the STORAGE_DRIVER environment variable.
+// Every adapter has the same three async methods, so the routes don't know where files live:
+//   save(key, buffer, { contentType }) - store a file under 'key' (replacing any previous one)
+//   createReadStream(key)              - resolve to a readable stream of the file
+//   remove(key)                        - delete the file (a missing file is not an error)
+// Keys are generated by the server ('<owner>/<task>/<random id>'), never taken from a request.
+
+// Local filesystem adapter - files are stored under UPLOAD_DIR (default: backend/uploads)
+const createDiskStorage = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+
+  // Turn a key into a path, making sure it stays inside the upload folder
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream: async (key) => {
+      const filePath = resolveKey(key);
+
+      // Fail here (not while streaming) if the file is missing, so the route can answer 404
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+// Available adapters by STORAGE_DRIVER name
+// An S3-compatible adapter would be added here (e.g. 's3': createS3Storage, configured with
+// S3_BUCKET, S3_ENDPOINT and credentials) - the rest of the code doesn't need to change
+const ADAPTERS = {
+  local: createDiskStorage
+};
+
+// The adapter in use, created the first time it is needed
+let storage = null;
+
+// Get the storage adapter selected by STORAGE_DRIVER ('local' by default)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (!ADAPTERS[driver]) {
+      throw new Error(`Unknown storage driver '${driver}' (available: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    storage = ADAPTERS[driver]();
+  }
+
+  return storage;
+};
+
+// Export the storage helpers
+module.exports = {
+  getStorage
+};
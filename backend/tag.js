@@ -0,0 +1,41 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Create the schema for Tag documents - tags are free-form labels shared by many tasks
+// Tasks keep a list of tag ids (see 'tags' in task.js)
+const tagSchema = new mongoose.Schema({
+
+  // Tag name shown on the task chips
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30
+  },
+
+  // Color of the tag chip (hex format, e.g. #64748b)
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #64748b'],
+    default: '#64748b'
+  },
+
+  // The user who owns the tag
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// A user can't have two tags with the same name ('Work' and 'work' are the same tag)
+tagSchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Create and export the Tag model - MongoDB will create a 'tags' collection
+module.exports = mongoose.model('Tag', tagSchema);
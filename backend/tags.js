@@ -0,0 +1,268 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import our models
+const Tag = require('./tag');
+const Task = require('./task');
+
+// Import the helper that records the changes of many tasks (history, webhooks and events)
+const { recordTaskChanges } = require('./history');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - this will handle all tag-related routes
+const router = express.Router();
+
+// Every tag route requires a logged in user
+router.use(protect);
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Tag names are compared without case ('Work' and 'work' are the same tag)
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Find another tag of the user with the same name
+const findTagByName = (name, userId) => {
+  return Tag.findOne({ owner: userId, name: String(name || '').trim() }).collation(NAME_COLLATION);
+};
+
+// ========================================
+// GET /api/tags - Retrieve the user's tags with usage counts
+// ========================================
+router.get('/', validate('listTags'), async (req, res) => {
+
+  try {
+
+    const tags = await Tag.find({ owner: req.user._id }).collation(NAME_COLLATION).sort({ name: 1 });
+
+    // Count the tasks using each tag with a single query
+    const counts = await Task.aggregate([
+      { $match: { owner: req.user._id, deletedAt: null, tags: { $in: tags.map(tag => tag._id) } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+
+    const countByTag = new Map(counts.map(c => [String(c._id), c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags.map(tag => ({
+        ...tag.toObject(),
+        taskCount: countByTag.get(String(tag._id)) || 0
+      }))
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/tags - Create new tag
+// ========================================
+router.post('/', validate('createTag'), async (req, res) => {
+
+  try {
+
+    // Tag names are unique per user
+    if (await findTagByName(req.body.name, req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: `A tag named '${String(req.body.name).trim()}' already exists`
+      });
+    }
+
+    const tag = await Tag.create({
+      name: req.body.name,
+      color: req.body.color,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tag
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating tag',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PUT /api/tags/:id - Rename or recolor a tag
+// ========================================
+// Renaming a tag to the name of another tag is refused: merge them instead
+router.put('/:id', validate('updateTag'), async (req, res) => {
+
+  try {
+
+    // Only these fields can be changed by the client
+    const updates = {};
+    ['name', 'color'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (updates.name !== undefined) {
+      const existing = await findTagByName(updates.name, req.user._id);
+
+      if (existing && String(existing._id) !== req.params.id) {
+        return res.status(409).json({
+          success: false,
+          message: `A tag named '${existing.name}' already exists - merge the tags instead`,
+          data: existing
+        });
+      }
+    }
+
+    const tag = await Tag.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const previousName = tag.name;
+    tag.set(updates);
+    await tag.save();
+
+    // Keep the copy of the tag name on its tasks (used by the search) up to date
+    if (tag.name !== previousName) {
+      const taskFilter = { owner: req.user._id, tags: tag._id };
+      const tasks = await Task.find(taskFilter);
+      await Task.updateMany(taskFilter, { $pull: { tagNames: previousName } });
+      await Task.updateMany(taskFilter, { $addToSet: { tagNames: tag.name } });
+
+      // The tag ids don't change, so no history is recorded - the other tabs still get the new names
+      await recordTaskChanges(req, 'updated', tasks, 'task.updated');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: tag
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating tag',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/tags/:id/merge - Merge a tag into another one
+// ========================================
+// Body: { into: <tagId> }
+// Every task with this tag gets the 'into' tag instead, then this tag is deleted
+router.post('/:id/merge', validate('mergeTag'), async (req, res) => {
+
+  try {
+
+    const source = await Tag.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const target = await Tag.findOne({ _id: req.body.into, owner: req.user._id });
+
+    if (!target || target._id.equals(source._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid destination tag'
+      });
+    }
+
+    // Add the target tag first ($addToSet avoids duplicates on tasks that already have both),
+    // then remove the source tag
+    const taskFilter = { owner: req.user._id, tags: source._id };
+    const tasks = await Task.find(taskFilter);
+    await Task.updateMany(taskFilter, { $addToSet: { tags: target._id, tagNames: target.name } });
+    await Task.updateMany(taskFilter, { $pull: { tags: source._id, tagNames: source.name } });
+
+    await source.deleteOne();
+
+    await recordTaskChanges(req, 'updated', tasks, 'task.updated');
+
+    res.status(200).json({
+      success: true,
+      message: `Tag '${source.name}' merged into '${target.name}', ${tasks.length} task(s) updated`,
+      data: target
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error merging tags',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// DELETE /api/tags/:id - Delete tag
+// ========================================
+// The tag is removed from every task that uses it
+router.delete('/:id', validate('deleteTag'), async (req, res) => {
+
+  try {
+
+    const tag = await Tag.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const taskFilter = { owner: req.user._id, tags: tag._id };
+    const tasks = await Task.find(taskFilter);
+    await Task.updateMany(taskFilter, { $pull: { tags: tag._id, tagNames: tag.name } });
+
+    await tag.deleteOne();
+
+    await recordTaskChanges(req, 'updated', tasks, 'task.updated');
+
+    res.status(200).json({
+      success: true,
+      message: `Tag deleted successfully, removed from ${tasks.length} task(s)`,
+      data: tag
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting tag',
+      error: error.message
+    });
+  }
+});
+
+// Export the router so it can be imported and used in server.js
+module.exports = router;
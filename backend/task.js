@@ -1,6 +1,70 @@
 // Import mongoose library to create schemas and models for MongoDB
 const mongoose = require('mongoose');
 
+// Import time zone helper to validate the due date time zone
+const { isValidTimeZone } = require('./dates');
+
+// Import the allowed recurrence values
+const { FREQUENCIES, SET_POSITIONS, getDefaultMonthDay } = require('./recurrence');
+
+// Import the workflow statuses (the columns of the board)
+const { isWorkflowStatus, getDoneStatus, getStatusForCompleted } = require('./workflow');
+
+// Schema for the recurrence rule of a repeating task (see recurrence.js for the meaning of each field)
+// _id: false because the rule is part of the task, not a separate document
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 1
+  },
+  byWeekday: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: undefined
+  },
+  byMonthDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  setPos: {
+    type: Number,
+    enum: SET_POSITIONS
+  },
+  weekday: {
+    type: Number,
+    min: 0,
+    max: 6
+  },
+  until: Date,
+  count: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+// Schema for a subtask (checklist item) of a task
+// Subtasks keep their _id so they can be toggled, renamed and reordered one by one
+// Their order in the array is the order shown in the list
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  }
+});
+
 // Create a new schema definition - this is like a blueprint for our Task documents
 const taskSchema = new mongoose.Schema({
   
@@ -13,7 +77,11 @@ const taskSchema = new mongoose.Schema({
     required: true,
     
     // Automatically remove whitespace from beginning and end of string
-    trim: true
+    trim: true,
+    
+    // Same limits as the task form and the route schemas (see fieldSchemas.js)
+    minlength: [3, 'Title must be at least 3 characters long'],
+    maxlength: [100, 'Title cannot be more than 100 characters']
   },
   
   // Description field definition
@@ -24,6 +92,9 @@ const taskSchema = new mongoose.Schema({
     // Remove whitespace from beginning and end
     trim: true,
     
+    // Same limit as the task form
+    maxlength: [250, 'Description cannot be more than 250 characters'],
+    
     // Default value if none provided - empty string
     default: 'default value'
   },
@@ -37,6 +108,23 @@ const taskSchema = new mongoose.Schema({
     default: false
   },
   
+  // Workflow status - the column of the board (see workflow.js)
+  // Kept in sync with 'completed': a task is completed exactly when it is in the last status
+  status: {
+    type: String,
+    validate: {
+      validator: isWorkflowStatus,
+      message: 'Unknown status \'{VALUE}\''
+    }
+  },
+  
+  // Position of the task in its board column (smallest first)
+  // null until the task is moved on the board - those tasks come first, newest on top
+  boardOrder: {
+    type: Number,
+    default: null
+  },
+  
   // Priority level field definition
   priority: {
     // Data type is String
@@ -47,13 +135,198 @@ const taskSchema = new mongoose.Schema({
     
     // Default priority level if none specified
     default: 'medium'
+  },
+  
+  // Due date field - when the task should be done
+  dueDate: {
+    // Stored as a UTC date (MongoDB always stores dates in UTC)
+    type: Date,
+    
+    // null means the task has no due date
+    default: null,
+    
+    // Index it for the overdue/today/this week filters
+    index: true
+  },
+  
+  // Time zone the due date was picked in (IANA name, e.g. 'Europe/Rome')
+  // Together with dueDate it tells us the wall clock time the user chose
+  dueTimeZone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => value === null || isValidTimeZone(value),
+      message: 'Invalid time zone'
+    }
+  },
+  
+  // Recurrence rule - null for tasks that don't repeat
+  recurrence: {
+    type: recurrenceSchema,
+    default: null,
+    validate: {
+      // Monthly "n-th weekday" rules need both parts
+      validator: (rule) => !rule || !rule.setPos === (rule.weekday === undefined || rule.weekday === null),
+      message: 'setPos and weekday must be used together'
+    }
+  },
+  
+  // Series field - id of the first task of a recurring series
+  // Every occurrence generated from it points to the same series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+    index: true
+  },
+  
+  // Position of this task in its series (1 for the first one)
+  occurrence: {
+    type: Number,
+    default: 1
+  },
+  
+  // Subtasks - the steps needed to finish this task, in display order
+  subtasks: {
+    type: [subtaskSchema],
+    default: []
+  },
+  
+  // When true, completing the last open subtask completes the task too
+  // (and reopening a subtask reopens the task)
+  completeWithSubtasks: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Project field - the project (list) this task belongs to
+  project: {
+    // Reference to a document in the 'projects' collection
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    
+    // null means the task is not in any project
+    default: null,
+    
+    // Index it because the sidebar filters tasks by project
+    index: true
+  },
+  
+  // Tags field - labels of the task (a task can have many tags, a tag many tasks)
+  tags: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+    default: [],
+    
+    // Index it for the tag filters and the usage counts
+    index: true
+  },
+  
+  // Copy of the tag names, kept in sync by the task and tag routes
+  // The text index can't follow the tag ids, so search uses these names
+  tagNames: {
+    type: [String],
+    default: []
+  },
+  
+  // Number of comments on the task, kept in sync by the comment routes (see comments.js)
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Number of files attached to the task, kept in sync by the attachment routes (see attachments.js)
+  attachmentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // When the task was moved to the trash - null for tasks that aren't deleted
+  // Trashed tasks are hidden from every list and purged after the retention period (see trash.js)
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  
+  // Owner field - the user who created the task
+  owner: {
+    // Reference to a document in the 'users' collection
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    
+    // Every task belongs to a user
+    required: true,
+    
+    // Index it because every query filters by owner
+    index: true
   }
   
 }, {
   // Schema options object
   
   // Automatically add 'createdAt' and 'updatedAt' timestamps to each document
-  timestamps: true
+  timestamps: true,
+  
+  // save() only succeeds if nobody changed the task since it was loaded,
+  // and every save increments the version ('__v')
+  optimisticConcurrency: true
+});
+
+// Updates made with queries (findOneAndUpdate, updateMany...) increment the version too,
+// so the version changes every time the task changes - clients send it back in 'If-Match'
+// Updates with the 'keepVersion' option don't: they only change counters like 'commentCount' and 'attachmentCount',
+// which must not make someone editing the task see a conflict
+taskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  if (this.getOptions().keepVersion) {
+    return;
+  }
+  
+  const update = this.getUpdate() || {};
+  this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+});
+
+// The board reads each column in order
+taskSchema.index({ owner: 1, status: 1, boardOrder: 1 });
+
+// Text index for the search - a match in the title counts more than one in the description
+taskSchema.index(
+  { title: 'text', tagNames: 'text', description: 'text' },
+  { name: 'task_search', weights: { title: 10, tagNames: 5, description: 2 } }
+);
+
+// A recurring task needs a due date to calculate the next occurrences
+// The first task of a series is the series itself
+taskSchema.pre('validate', function (next) {
+  if (this.recurrence && !this.dueDate) {
+    this.invalidate('recurrence', 'A recurring task needs a due date');
+  }
+  
+  if (this.recurrence && !this.series) {
+    this.series = this._id;
+  }
+  
+  // A monthly rule keeps the day of the month of its first due date
+  const monthDay = getDefaultMonthDay(this.recurrence, this.dueDate, this.dueTimeZone);
+  if (monthDay) {
+    this.recurrence.byMonthDay = monthDay;
+  }
+  
+  // Keep the status and the completed flag in sync: a new status wins,
+  // otherwise a new, completed/reopened or older task gets the status matching its flag
+  if (this.isModified('status') && this.status) {
+    this.completed = this.status === getDoneStatus();
+  } else if (this.isNew || this.isModified('completed') || !isWorkflowStatus(this.status)) {
+    this.status = getStatusForCompleted(this.completed, this.status);
+  }
+  
+  // A task that changed column goes to the top of its new one
+  if (!this.isNew && this.isModified('status') && !this.isModified('boardOrder')) {
+    this.boardOrder = null;
+  }
+  
+  next();
 });
 
 // Create a model from our schema and export it
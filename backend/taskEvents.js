@@ -0,0 +1,130 @@
+// ========================================
+// TASK EVENTS
+// ========================================
+
+// Every change to a task is published here and sent to the owner's open connections
+// (other browser tabs and devices) by GET /api/events, with Server-Sent Events.
+//
+// Events are numbered and the latest ones are kept in memory, so a client that reconnects
+// with the id of the last event it received gets the events it missed.
+// When they are no longer available (too old, or the server restarted) the client is told to reload.
+//
+// Requests can send an 'X-Client-Id' header (one id per browser tab): that tab already has the
+// response, so the events caused by its own requests are not sent back to it.
+
+// Id of this server run (its start time), part of every event id
+// An event id from before a restart can't be replayed, because the numbering started again
+const BOOT_ID = Date.now().toString(36);
+
+// Number of recent events kept for clients that reconnect
+const HISTORY_SIZE = 1000;
+
+// Last event number used
+let sequence = 0;
+
+// Recent events (oldest first), for every user
+const history = [];
+
+// Open connections: user id -> Set of listener functions
+const listeners = new Map();
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Build an event id like 'lq2x8k1:42'
+const formatEventId = (number) => `${BOOT_ID}:${number}`;
+
+// Read the number of an event id, or null when it is from another server run (or invalid)
+const parseEventId = (eventId) => {
+  const [bootId, number] = String(eventId || '').split(':');
+  const parsed = parseInt(number, 10);
+
+  return bootId === BOOT_ID && !Number.isNaN(parsed) ? parsed : null;
+};
+
+// ========================================
+// PUBLISH AND SUBSCRIBE
+// ========================================
+
+// Send an event to every open connection of the user who made the request
+// type: 'task.created', 'task.updated', 'task.deleted' (data is the task)
+//       or 'tasks.changed' (many tasks changed at once - data is a short reason, clients reload)
+const publish = (req, type, data) => {
+  const event = {
+    id: formatEventId(++sequence),
+    number: sequence,
+    userId: String(req.user._id),
+    origin: req.get('X-Client-Id') || null,
+    type,
+    data
+  };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+
+  const userListeners = listeners.get(event.userId);
+  if (userListeners) {
+    userListeners.forEach(listener => listener(event));
+  }
+};
+
+// Publish the change of one or more tasks
+// Accepts a task document (or null, which is ignored) or a list of them
+const publishTaskEvent = (req, type, tasks) => {
+  [].concat(tasks)
+    .filter(Boolean)
+    .forEach(task => publish(req, type, task));
+};
+
+// Tell the user's clients that many tasks changed and the list should be reloaded
+const publishTasksChanged = (req, reason) => {
+  publish(req, 'tasks.changed', { reason });
+};
+
+// Listen to the events of a user
+// Returns a function that stops listening
+const subscribe = (userId, listener) => {
+  const key = String(userId);
+
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+  }
+  listeners.get(key).add(listener);
+
+  return () => {
+    const userListeners = listeners.get(key);
+    userListeners.delete(listener);
+    if (userListeners.size === 0) {
+      listeners.delete(key);
+    }
+  };
+};
+
+// Get the events of a user published after 'lastEventId'
+// Returns null when they can't be known (the id is too old or from before a restart)
+const getMissedEvents = (userId, lastEventId) => {
+  const number = parseEventId(lastEventId);
+  const oldest = history.length > 0 ? history[0].number : sequence + 1;
+
+  // Events after 'number' are only all available if the next one is still in the history
+  if (number === null || number > sequence || number + 1 < oldest) {
+    return null;
+  }
+
+  return history.filter(event => event.number > number && event.userId === String(userId));
+};
+
+// Id of the latest event - a new connection starts from here
+const getLastEventId = () => formatEventId(sequence);
+
+// Export the event helpers
+module.exports = {
+  publishTaskEvent,
+  publishTasksChanged,
+  subscribe,
+  getMissedEvents,
+  getLastEventId
+};
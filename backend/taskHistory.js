@@ -0,0 +1,85 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// One changed field of a history entry, e.g. { field: 'priority', from: 'low', to: 'high' }
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+
+  // Values before and after the change (null when the field had no value)
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Create the schema for TaskHistory documents - one entry for every change made to a task
+// Entries are written by the task routes (see history.js) and never changed afterwards
+const taskHistorySchema = new mongoose.Schema({
+
+  // The task that changed
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+
+  // The owner of the task (history is only shown to them)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // The user who made the change, and their name at that time
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorName: {
+    type: String,
+    default: ''
+  },
+
+  // What happened to the task
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'restored', 'reverted'],
+    required: true
+  },
+
+  // Field-level differences with the previous version
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+
+  // The tracked fields of the task after the change - reverting to this entry restores them
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Version (__v) of the task after the change
+  version: {
+    type: Number,
+    default: 0
+  },
+
+  // For 'reverted' entries: the entry whose version was restored
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+
+}, {
+  // 'createdAt' is the time of the change (entries are never updated)
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// The history of a task is read newest first
+taskHistorySchema.index({ task: 1, createdAt: -1 });
+
+// Create and export the TaskHistory model - MongoDB will create a 'taskhistories' collection
+module.exports = mongoose.model('TaskHistory', taskHistorySchema);
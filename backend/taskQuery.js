@@ -0,0 +1,400 @@
+// Import mongoose to build ObjectIds for cursor comparisons
+const mongoose = require('mongoose');
+
+// Import our Task model to run the queries against
+const Task = require('./task');
+
+// Import time zone helpers for the due date filters
+const { isValidTimeZone, startOfDay, startOfWeek } = require('./dates');
+
+// ========================================
+// QUERY CONFIGURATION
+// ========================================
+
+// Number of tasks returned per page when the client doesn't ask for a size
+const DEFAULT_LIMIT = 20;
+
+// Upper bound for the page size so a single request can't load the whole collection
+const MAX_LIMIT = 100;
+
+// Allowed values for the 'status' query parameter
+const STATUSES = ['all', 'active', 'completed'];
+
+// Allowed values for the 'priority' query parameter (same as the schema enum)
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Allowed values for the 'due' query parameter
+const DUE_FILTERS = ['overdue', 'today', 'week', 'scheduled', 'none'];
+
+// Allowed values for the 'tagMode' query parameter
+// any = tasks with at least one of the tags, all = tasks with every tag
+const TAG_MODES = ['any', 'all'];
+
+// Fields the client can sort by
+// 'priority' is stored as text, so we sort on a computed numeric rank instead
+// 'dueDate' can be empty, so we sort on a computed key that puts tasks without due date last
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  title: 'title',
+  priority: 'priorityRank',
+  dueDate: 'dueSortKey',
+  deletedAt: 'deletedAt',
+
+  // Only for searches: the text score computed by MongoDB (best matches first with order=desc)
+  relevance: 'score'
+};
+
+// Sort fields that hold dates (their cursor values are stored as ISO strings)
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueSortKey', 'deletedAt'];
+
+// Numeric rank of each priority level (high > medium > low)
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// Earliest and latest dates JavaScript can represent - used in place of a missing due date
+const MIN_DATE = new Date(-8640000000000000);
+const MAX_DATE = new Date(8640000000000000);
+
+// Computed sort fields: the value to add to each task for a sort direction (1 or -1)
+const COMPUTED_FIELDS = {
+  priorityRank: () => ({
+    $switch: {
+      branches: Object.entries(PRIORITY_RANK).map(([priority, rank]) => ({
+        case: { $eq: ['$priority', priority] },
+        then: rank
+      })),
+      default: 0
+    }
+  }),
+
+  // Tasks without due date always come after the others, whatever the direction
+  dueSortKey: (direction) => ({ $ifNull: ['$dueDate', direction === 1 ? MAX_DATE : MIN_DATE] })
+};
+
+// Compute the same values in JavaScript, to build the cursor from the last task of a page
+const COMPUTED_VALUES = {
+  priorityRank: (task) => PRIORITY_RANK[task.priority] || 0,
+  dueSortKey: (task, direction) => task.dueDate || (direction === 1 ? MAX_DATE : MIN_DATE)
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Create an error that the routes turn into a 400 Bad Request response
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Parse a date query parameter, throwing a 400 error if it isn't a valid date
+const parseDate = (value, name) => {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`Invalid date for '${name}'`);
+  }
+
+  return date;
+};
+
+// Add a date range condition ($gte/$lte) for a field when 'from' and/or 'to' are present
+const addDateRange = (filter, field, from, to, names) => {
+  if (from === undefined && to === undefined) {
+    return;
+  }
+
+  filter[field] = {};
+
+  if (from !== undefined) {
+    filter[field].$gte = parseDate(from, names[0]);
+  }
+
+  if (to !== undefined) {
+    filter[field].$lte = parseDate(to, names[1]);
+  }
+};
+
+// Turn the last task of a page into an opaque cursor string
+// The cursor stores the sort value and the _id (used to break ties)
+const encodeCursor = (task, sortField) => {
+  const value = task[sortField];
+  const payload = JSON.stringify([value instanceof Date ? value.toISOString() : value, String(task._id)]);
+
+  return Buffer.from(payload).toString('base64url');
+};
+
+// Read a cursor string back into a typed sort value and an ObjectId
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    // Date fields were stored as ISO strings, convert them back
+    const typedValue = DATE_SORT_FIELDS.includes(sortField)
+      ? parseDate(value, 'cursor')
+      : value;
+
+    return { value: typedValue, id: new mongoose.Types.ObjectId(id) };
+
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+};
+
+// ========================================
+// QUERY PARSING
+// ========================================
+
+// Convert a string id into an ObjectId, throwing a 400 error if it isn't valid
+const parseObjectId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw badRequest(`Invalid id for '${name}'`);
+  }
+
+  return new mongoose.Types.ObjectId(value);
+};
+
+// Build a MongoDB filter object from the request query string
+// Supported parameters:
+//   status=all|active|completed
+//   priority=high,medium (comma separated list)
+//   project=<projectId> or project=none (tasks without a project)
+//   tags=<tagId>,<tagId> (comma separated list), tagMode=any|all (default any)
+//   due=overdue|today|week|scheduled|none, dueFrom, dueTo
+//   createdFrom, createdTo, updatedFrom, updatedTo (ISO dates)
+//   tz (IANA time zone used for 'today' and 'week', default UTC)
+// 'now' can be passed to evaluate the date filters at another moment
+const buildTaskFilter = (query = {}, now = new Date()) => {
+  // Tasks in the trash are never part of the normal lists (the trash route overrides this)
+  const filter = { deletedAt: null };
+
+  // Completion status filter
+  const status = query.status || 'all';
+  if (!STATUSES.includes(status)) {
+    throw badRequest(`Invalid status '${status}'`);
+  }
+  if (status !== 'all') {
+    filter.completed = status === 'completed';
+  }
+
+  // Priority filter - accepts one or more comma separated values
+  if (query.priority) {
+    const priorities = String(query.priority).split(',').map(p => p.trim()).filter(Boolean);
+    const invalid = priorities.find(p => !PRIORITIES.includes(p));
+    if (invalid) {
+      throw badRequest(`Invalid priority '${invalid}'`);
+    }
+    filter.priority = { $in: priorities };
+  }
+
+  // Project filter - 'none' selects the tasks that are not in a project
+  if (query.project) {
+    filter.project = query.project === 'none' ? null : parseObjectId(query.project, 'project');
+  }
+
+  // Tag filter - tasks with any (or all) of the given tags
+  if (query.tags) {
+    const tagMode = query.tagMode || 'any';
+    if (!TAG_MODES.includes(tagMode)) {
+      throw badRequest(`Invalid tag mode '${tagMode}'`);
+    }
+
+    const tags = String(query.tags).split(',').map(t => t.trim()).filter(Boolean).map(t => parseObjectId(t, 'tags'));
+    filter.tags = tagMode === 'all' ? { $all: tags } : { $in: tags };
+  }
+
+  // Date range filters on creation, last update and due dates
+  addDateRange(filter, 'createdAt', query.createdFrom, query.createdTo, ['createdFrom', 'createdTo']);
+  addDateRange(filter, 'updatedAt', query.updatedFrom, query.updatedTo, ['updatedFrom', 'updatedTo']);
+  addDateRange(filter, 'dueDate', query.dueFrom, query.dueTo, ['dueFrom', 'dueTo']);
+
+  // Due date shortcuts - 'today' and 'week' depend on the user's time zone
+  // $and keeps both conditions when dueFrom/dueTo are also given
+  if (query.due) {
+    filter.$and = [...(filter.$and || []), buildDueFilter(query.due, query.tz, now)];
+  }
+
+  return filter;
+};
+
+// Build the filter for the 'due' shortcut parameter
+const buildDueFilter = (due, timeZone = 'UTC', now = new Date()) => {
+  if (!DUE_FILTERS.includes(due)) {
+    throw badRequest(`Invalid due filter '${due}'`);
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    throw badRequest(`Invalid time zone '${timeZone}'`);
+  }
+
+  switch (due) {
+    case 'overdue':
+      // Past the due date and still not completed
+      return { completed: false, dueDate: { $lt: now } };
+
+    case 'today':
+      // Due between the start of today and the start of tomorrow
+      return { dueDate: { $gte: startOfDay(now, timeZone), $lt: startOfDay(now, timeZone, 1) } };
+
+    case 'week':
+      // Due between Monday and Sunday of the current week
+      return { dueDate: { $gte: startOfWeek(now, timeZone), $lt: startOfWeek(now, timeZone, 1) } };
+
+    case 'scheduled':
+      // Any task with a due date
+      return { dueDate: { $ne: null } };
+
+    case 'none':
+    default:
+      // Tasks without a due date
+      return { dueDate: null };
+  }
+};
+
+// Read sort field, direction and page size from the request query string
+// Supported parameters: sort=createdAt|updatedAt|title|priority|dueDate|deletedAt|relevance (searches only), order=asc|desc, limit, cursor
+const buildPageOptions = (query = {}) => {
+  const sort = query.sort || 'createdAt';
+  if (!SORT_FIELDS[sort]) {
+    throw badRequest(`Invalid sort field '${sort}'`);
+  }
+  if (sort === 'relevance' && !query.q) {
+    throw badRequest("Sorting by 'relevance' needs a search query");
+  }
+
+  const order = query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw badRequest(`Invalid sort order '${order}'`);
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1) {
+      throw badRequest('Limit must be a positive number');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const sortField = SORT_FIELDS[sort];
+
+  return {
+    sortField,
+    direction: order === 'asc' ? 1 : -1,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, sortField) : null
+  };
+};
+
+// ========================================
+// PAGINATED QUERY
+// ========================================
+
+// Start the aggregation pipeline shared by the page query and the export:
+// the filter, the text score of a search and the computed sort field
+// Returns { match, pipeline, computedField }
+const startPipeline = (filter, sortField, direction, search) => {
+  // $text has to be in the first stage of the pipeline
+  const match = search ? { ...filter, $text: { $search: search } } : filter;
+  const pipeline = [{ $match: match }];
+
+  // Keep the relevance of each result (also used to sort by 'relevance')
+  if (search) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  // Add the computed sort field (priority rank or due date key) when needed
+  const computedField = COMPUTED_FIELDS[sortField];
+  if (computedField) {
+    pipeline.push({ $addFields: { [sortField]: computedField(direction) } });
+  }
+
+  return { match, pipeline, computedField };
+};
+
+// Find one page of tasks matching 'filter', using the options from buildPageOptions()
+// 'search' (optional) limits the results to tasks matching a full-text search, each with its 'score'
+// Returns { tasks, total, nextCursor } - nextCursor is null on the last page
+const findTaskPage = async (filter, { sortField, direction, limit, cursor }, search = null) => {
+  const { match, pipeline, computedField } = startPipeline(filter, sortField, direction, search);
+
+  // Skip everything up to (and including) the cursor position
+  // Tasks with the same sort value are ordered by _id so no task is skipped or repeated
+  if (cursor) {
+    const operator = direction === 1 ? '$gt' : '$lt';
+    pipeline.push({
+      $match: {
+        $or: [
+          { [sortField]: { [operator]: cursor.value } },
+          { [sortField]: cursor.value, _id: { [operator]: cursor.id } }
+        ]
+      }
+    });
+  }
+
+  // Sort and fetch one extra task to know if there is a next page
+  pipeline.push(
+    { $sort: { [sortField]: direction, _id: direction } },
+    { $limit: limit + 1 }
+  );
+
+  // Remove the helper field from the results
+  if (computedField) {
+    pipeline.push({ $project: { [sortField]: 0 } });
+  }
+
+  // Run the page query and the total count at the same time
+  // Case-insensitive collation makes alphabetical sorting ignore upper/lower case
+  // (text searches can't use a collation, their titles are sorted case-sensitively)
+  const aggregation = Task.aggregate(pipeline);
+  const [results, total] = await Promise.all([
+    search ? aggregation : aggregation.collation({ locale: 'en', strength: 2 }),
+    Task.countDocuments(match)
+  ]);
+
+  const hasMore = results.length > limit;
+  const tasks = hasMore ? results.slice(0, limit) : results;
+
+  // The cursor needs the sort value of the last task, including computed fields
+  const lastTask = tasks[tasks.length - 1];
+  const nextCursor = hasMore
+    ? encodeCursor(computedField
+      ? { ...lastTask, [sortField]: COMPUTED_VALUES[sortField](lastTask, direction) }
+      : lastTask, sortField)
+    : null;
+
+  return { tasks, total, nextCursor };
+};
+
+// Read every task matching 'filter' in the order of the page options (limit and cursor are ignored)
+// Returns a MongoDB cursor: tasks are read a batch at a time, so a large export doesn't fill the memory
+const streamTasks = (filter, { sortField, direction }, search = null) => {
+  const { pipeline, computedField } = startPipeline(filter, sortField, direction, search);
+
+  pipeline.push({ $sort: { [sortField]: direction, _id: direction } });
+
+  if (computedField) {
+    pipeline.push({ $project: { [sortField]: 0 } });
+  }
+
+  const aggregation = Task.aggregate(pipeline);
+  return (search ? aggregation : aggregation.collation({ locale: 'en', strength: 2 })).cursor();
+};
+
+// Export the query helpers so the task routes can use them
+module.exports = {
+  badRequest,
+  parseObjectId,
+  buildTaskFilter,
+  buildDueFilter,
+  buildPageOptions,
+  findTaskPage,
+  streamTasks,
+  STATUSES,
+  PRIORITIES,
+  DUE_FILTERS,
+  TAG_MODES,
+  SORT_FIELDS,
+  MAX_LIMIT
+};
@@ -0,0 +1,167 @@
+// Unit tests for the task list query helpers (run with 'npm test')
+// Uses the test runner built into Node.js - no database is needed: the Task model's
+// aggregate() and countDocuments() are replaced by fakes that return the tasks of each test
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Import mongoose to build ObjectIds like the ones stored in MongoDB
+const mongoose = require('mongoose');
+
+// Import the Task model to replace its query methods
+const Task = require('./task');
+
+// Import the helpers under test
+const { buildPageOptions, findTaskPage } = require('./taskQuery');
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Build an ObjectId from a small number so the order of the ids is easy to read
+const id = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+
+// Replace the Task queries: aggregate() answers with 'results' and remembers its pipeline
+// Returns the list of pipelines received, to check the stages that were built
+const fakeTaskQueries = (results) => {
+  const pipelines = [];
+
+  Task.aggregate = (pipeline) => {
+    pipelines.push(pipeline);
+    const answer = Promise.resolve(results);
+    answer.collation = () => answer;
+    return answer;
+  };
+  Task.countDocuments = () => Promise.resolve(results.length);
+
+  return pipelines;
+};
+
+// Find the $match stage that skips the tasks up to the cursor
+const findCursorStage = (pipeline) => pipeline.find(stage => stage.$match && stage.$match.$or);
+
+// ========================================
+// TESTS
+// ========================================
+
+describe('taskQuery cursors', () => {
+  const { aggregate, countDocuments } = Task;
+
+  // Put the real queries back after each test
+  afterEach(() => {
+    Task.aggregate = aggregate;
+    Task.countDocuments = countDocuments;
+  });
+
+  it('reads back the cursor of a page sorted by creation date', async () => {
+    const tasks = [
+      { _id: id(3), createdAt: new Date('2024-03-03T00:00:00Z') },
+      { _id: id(2), createdAt: new Date('2024-03-02T00:00:00Z') },
+      { _id: id(1), createdAt: new Date('2024-03-01T00:00:00Z') }
+    ];
+    fakeTaskQueries(tasks);
+
+    const page = await findTaskPage({}, buildPageOptions({ limit: '2' }));
+    assert.equal(page.tasks.length, 2);
+    assert.ok(page.nextCursor);
+
+    const { cursor } = buildPageOptions({ limit: '2', cursor: page.nextCursor });
+    assert.deepEqual(cursor.value, new Date('2024-03-02T00:00:00Z'));
+    assert.ok(cursor.id.equals(id(2)));
+  });
+
+  it('has no cursor on the last page', async () => {
+    fakeTaskQueries([{ _id: id(1), createdAt: new Date() }]);
+
+    const page = await findTaskPage({}, buildPageOptions({ limit: '2' }));
+    assert.equal(page.nextCursor, null);
+  });
+
+  it('stores the priority rank, not the priority text, in the cursor', async () => {
+    fakeTaskQueries([
+      { _id: id(1), priority: 'high' },
+      { _id: id(2), priority: 'medium' }
+    ]);
+
+    const page = await findTaskPage({}, buildPageOptions({ sort: 'priority', limit: '1' }));
+    const { cursor } = buildPageOptions({ sort: 'priority', cursor: page.nextCursor });
+
+    assert.equal(cursor.value, 3);
+    assert.ok(cursor.id.equals(id(1)));
+  });
+
+  it('breaks ties on _id in the direction of the sort', async () => {
+    const pipelines = fakeTaskQueries([]);
+    const options = buildPageOptions({ sort: 'priority', order: 'asc', limit: '1' });
+
+    await findTaskPage({}, { ...options, cursor: { value: 2, id: id(5) } });
+
+    const stage = findCursorStage(pipelines[0]);
+    assert.deepEqual(stage.$match.$or, [
+      { priorityRank: { $gt: 2 } },
+      { priorityRank: 2, _id: { $gt: id(5) } }
+    ]);
+    assert.deepEqual(pipelines[0].find(s => s.$sort).$sort, { priorityRank: 1, _id: 1 });
+  });
+
+  it('uses $lt for the tie-break of a descending sort', async () => {
+    const pipelines = fakeTaskQueries([]);
+    const options = buildPageOptions({ sort: 'title', order: 'desc' });
+
+    await findTaskPage({}, { ...options, cursor: { value: 'b', id: id(5) } });
+
+    const stage = findCursorStage(pipelines[0]);
+    assert.deepEqual(stage.$match.$or[1], { title: 'b', _id: { $lt: id(5) } });
+  });
+
+  it('puts tasks without a due date last in both directions', async () => {
+    for (const order of ['asc', 'desc']) {
+      const pipelines = fakeTaskQueries([
+        { _id: id(1), dueDate: null },
+        { _id: id(2), dueDate: null }
+      ]);
+
+      const page = await findTaskPage({}, buildPageOptions({ sort: 'dueDate', order, limit: '1' }));
+      const { cursor } = buildPageOptions({ sort: 'dueDate', order, cursor: page.nextCursor });
+
+      // The cursor keeps the date used in place of the missing due date
+      const expected = order === 'asc' ? 8640000000000000 : -8640000000000000;
+      assert.equal(cursor.value.getTime(), expected);
+      assert.ok(cursor.id.equals(id(1)));
+
+      // The computed key fills missing due dates with that same date
+      const computed = pipelines[0].find(s => s.$addFields && s.$addFields.dueSortKey);
+      assert.equal(computed.$addFields.dueSortKey.$ifNull[1].getTime(), expected);
+    }
+  });
+
+  it('keeps the real due date in the cursor when there is one', async () => {
+    const due = new Date('2024-05-01T09:00:00Z');
+    fakeTaskQueries([
+      { _id: id(1), dueDate: due },
+      { _id: id(2), dueDate: null }
+    ]);
+
+    const page = await findTaskPage({}, buildPageOptions({ sort: 'dueDate', order: 'asc', limit: '1' }));
+    const { cursor } = buildPageOptions({ sort: 'dueDate', order: 'asc', cursor: page.nextCursor });
+
+    assert.deepEqual(cursor.value, due);
+  });
+
+  it('removes the computed sort field from the results', async () => {
+    const pipelines = fakeTaskQueries([]);
+
+    await findTaskPage({}, buildPageOptions({ sort: 'dueDate' }));
+
+    assert.deepEqual(pipelines[0][pipelines[0].length - 1], { $project: { dueSortKey: 0 } });
+  });
+
+  it('rejects a cursor that was not made by the server', () => {
+    assert.throws(() => buildPageOptions({ cursor: 'not-a-cursor' }), { statusCode: 400, message: 'Invalid cursor' });
+
+    const badDate = Buffer.from(JSON.stringify(['yesterday', String(id(1))])).toString('base64url');
+    assert.throws(() => buildPageOptions({ cursor: badDate }), { statusCode: 400 });
+
+    const badId = Buffer.from(JSON.stringify([3, 'nope'])).toString('base64url');
+    assert.throws(() => buildPageOptions({ sort: 'priority', cursor: badId }), { statusCode: 400 });
+  });
+});
@@ -4,46 +4,909 @@ const express = require('express');
 // Import our Task model to interact with the database
 const Task = require('../Progetto-completo-Node.js-React-e-MongodDb-/task');
 
+// Import the Project model to check that tasks are assigned to the user's own projects
+const Project = require('./project');
+
+// Import the Tag model to check that tasks only use the user's own tags
+const Tag = require('./tag');
+
+// Import the helpers that turn query strings into paginated database queries
+const { buildTaskFilter, buildPageOptions, findTaskPage, streamTasks } = require('./taskQuery');
+
+// Import the helpers that write task exports and read imported files
+const {
+  EXPORT_FORMATS,
+  toExportRecord,
+  createExportWriter,
+  getImportOptions,
+  importFile,
+  receiveImportFile
+} = require('./importExport');
+
+// Import the helpers that highlight the search terms in the results
+const { addSnippets } = require('./search');
+
+// Import the recurrence helper that calculates the next due date of a repeating task
+const { getNextOccurrence, getDefaultMonthDay } = require('./recurrence');
+
+// Import the helpers that check bulk requests and build their updates
+const { parseBulkIds, buildBulkUpdate, getBulkFilter } = require('./bulk');
+
+// Import the workflow helpers that keep the status and the completed flag in sync
+const { getWorkflowStatuses, isWorkflowStatus, getTaskStatus, syncStatusFields } = require('./workflow');
+
+// Import the board helpers that load the columns and place the moved cards
+const { getColumnLimit, loadBoard, getBoardPosition } = require('./board');
+
+// Import the helpers that send task changes to the user's other tabs and devices
+const { publishTaskEvent, publishTasksChanged } = require('./taskEvents');
+
+// Import the trash helpers for permanent deletes
+const { getRetentionDays, getPurgeDate, purgeTasks } = require('./trash');
+
+// Import the history helpers to record every change made to a task
+const { getSnapshot, getRevertFields, recordHistory } = require('./history');
+
+// Import the TaskHistory model to read the history of a task
+const TaskHistory = require('./taskHistory');
+
+// Import time zone helpers used by the statistics route
+const { isValidTimeZone, startOfWeek } = require('./dates');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
 // Create a new router instance - this will handle all task-related routes
 const router = express.Router();
 
-// ========================================
-// GET /api/tasks - Retrieve all tasks
-// ========================================
-router.get('/', async (req, res) => {
+// Every task route requires a logged in user
+// After this middleware req.user is the owner of the tasks we read and write
+router.use(protect);
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Fields the server manages itself - they are ignored in request bodies
+// Subtasks have their own routes (/api/tasks/:id/subtasks) so a stale form can't overwrite them
+// 'tagNames' is copied from the tags (see setTagNames), the version ('__v') only changes on the server
+// and the comment and attachment routes keep their counts. Board positions change with PUT /api/tasks/:id/move
+// Tasks go to the trash with DELETE /api/tasks/:id (and back with the trash routes), and the dates are set by mongoose
+const PROTECTED_FIELDS = [
+  'owner', 'series', 'occurrence', 'subtasks', 'tagNames', 'commentCount', 'attachmentCount', 'boardOrder', '__v',
+  'deletedAt', 'createdAt', 'updatedAt'
+];
+
+// Copy a request body without the protected fields
+const pickTaskFields = (body) => {
+  const fields = { ...body };
+  PROTECTED_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+// Read the version of the task the client expects to change
+// 'If-Match: "<version>"' (the task's ETag) gets 412 on a mismatch, '__v' in the body gets 409
+// Returns null when the client didn't send a version (the change is always applied)
+const getExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+  
+  if (header && header.trim() !== '*') {
+    const version = parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+    return { version: Number.isNaN(version) ? -1 : version, statusCode: 412 };
+  }
+  
+  if (req.body && req.body.__v !== undefined) {
+    return { version: Number(req.body.__v), statusCode: 409 };
+  }
+  
+  return null;
+};
+
+// Send the version of a task as its ETag
+const setETag = (res, task) => {
+  res.set('ETag', `"${task.__v}"`);
+};
+
+// Refuse a change made to an old version of a task
+// The current server copy is sent back, so the client can show both versions and merge them
+const sendConflict = (res, statusCode, task) => {
+  setETag(res, task);
+  
+  res.status(statusCode).json({
+    success: false,
+    message: 'This task was changed by someone else in the meantime',
+    error: `Version mismatch: the current version is ${task.__v}`,
+    data: task
+  });
+};
+
+// Create the next task of a recurring series when one occurrence is completed
+// Returns the new task, or null when the series has ended
+// 'req' is the request that completed the task (the creation is recorded in the new task's history)
+const createNextOccurrence = async (task, req) => {
+  const dueDate = getNextOccurrence(task.dueDate, task.dueTimeZone, task.recurrence, task.occurrence);
+  
+  if (!dueDate) {
+    return null;
+  }
+  
+  const series = task.series || task._id;
+  
+  // If the task was completed, reopened and completed again, the next one already exists
+  const existing = await Task.findOne({ owner: task.owner, series, occurrence: task.occurrence + 1, deletedAt: null });
+  if (existing) {
+    return existing;
+  }
+  
+  // Copy the task details into a new, not completed task
+  const nextTask = await Task.create({
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    project: task.project,
+    tags: task.tags,
+    tagNames: task.tagNames,
+    owner: task.owner,
+    dueDate,
+    dueTimeZone: task.dueTimeZone,
+    recurrence: task.recurrence.toObject(),
+    series,
+    occurrence: task.occurrence + 1,
+    
+    // The checklist starts again from scratch
+    subtasks: task.subtasks.map(subtask => ({ title: subtask.title })),
+    completeWithSubtasks: task.completeWithSubtasks
+  });
+  
+  await recordHistory(req, 'created', null, nextTask);
+  
+  return nextTask;
+};
+
+// Save a task after one of its subtasks changed and send it to the client
+// With 'completeWithSubtasks' the task is completed when every subtask is done
+// (and reopened when one of them is reopened)
+// 'before' is the snapshot of the task taken before the change, for its history
+const saveSubtaskChange = async (task, before, req, res, message, statusCode = 200) => {
+  const wasCompleted = task.completed;
+  
+  if (task.completeWithSubtasks && task.subtasks.length > 0) {
+    task.completed = task.subtasks.every(subtask => subtask.completed);
+  }
+  
+  await task.save();
+  await recordHistory(req, 'updated', before, task);
+  
+  // Completing a recurring task this way also creates its next occurrence
+  let nextOccurrence = null;
+  
+  if (task.recurrence && task.completed && !wasCompleted) {
+    nextOccurrence = await createNextOccurrence(task, req);
+  }
+  
+  publishTaskEvent(req, 'task.updated', task);
+  publishTaskEvent(req, 'task.created', nextOccurrence);
+  
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: task,
+    nextOccurrence
+  });
+};
+
+// Check that the 'project' sent in a request body belongs to the logged in user
+// Returns true when there is no project (null/empty means "no project")
+const isOwnProject = async (projectId, userId) => {
+  if (!projectId) {
+    return true;
+  }
+  
+  return !!(await Project.exists({ _id: projectId, owner: userId }));
+};
+
+// Check that every tag id sent in a request body belongs to the logged in user,
+// and copy the tag names into 'tagNames' for the search index
+// Returns false when a tag doesn't exist or belongs to someone else
+const setTagNames = async (fields, userId) => {
+  if (fields.tags === undefined) {
+    return true;
+  }
+  
+  if (!Array.isArray(fields.tags)) {
+    return false;
+  }
+  
+  const uniqueIds = [...new Set(fields.tags.map(String))];
+  const tags = await Tag.find({ _id: { $in: uniqueIds }, owner: userId });
+  
+  if (tags.length !== uniqueIds.length) {
+    return false;
+  }
+  
+  fields.tags = uniqueIds;
+  fields.tagNames = tags.map(tag => tag.name);
+  return true;
+};
+
+// ========================================
+// GET /api/tasks - Retrieve a page of tasks
+// ========================================
+// Query parameters (all optional):
+//   status=all|active|completed, priority=high,medium, project=<id>|none
+//   tags=<id>,<id>, tagMode=any|all
+//   due=overdue|today|week|scheduled|none, tz (IANA time zone for 'today' and 'week')
+//   createdFrom, createdTo, updatedFrom, updatedTo, dueFrom, dueTo (ISO dates)
+//   sort=createdAt|updatedAt|title|priority|dueDate, order=asc|desc
+//   limit (page size, max 100), cursor (value of 'nextCursor' from the previous page)
+router.get('/', validate('listTasks'), async (req, res) => {
+  
+  // Try block - attempt to execute database operation
+  try {
+    
+    // Turn the query string into a MongoDB filter and page options
+    // These throw a 400 error if a parameter has an invalid value
+    // The owner condition makes sure users only see their own tasks
+    const filter = { ...buildTaskFilter(req.query), owner: req.user._id };
+    const pageOptions = buildPageOptions(req.query);
+    
+    // Find the requested page of tasks and the total number of matches
+    const { tasks, total, nextCursor } = await findTaskPage(filter, pageOptions);
+    
+    // Send successful HTTP response with status code 200
+    res.status(200).json({
+      // Indicate the operation was successful
+      success: true,
+      
+      // Include count of how many tasks are in this page
+      count: tasks.length,
+      
+      // Include how many tasks match the filters across all pages
+      total,
+      
+      // Cursor to request the next page (null when this is the last page)
+      nextCursor,
+      
+      // Include the actual task data
+      data: tasks
+    });
+    
+  } catch (error) {
+    // Catch block - handle any errors that occurred
+    
+    // Invalid query parameters are the client's fault (400), anything else is ours (500)
+    const statusCode = error.statusCode || 500;
+    
+    res.status(statusCode).json({
+      // Indicate the operation failed
+      success: false,
+      
+      // Generic error message for client
+      message: statusCode === 400 ? 'Invalid query parameters' : 'Server Error',
+      
+      // Specific error details for debugging
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/tasks/search - Full-text search in titles, descriptions and tag names
+// ========================================
+// Query parameter 'q' is the search text: words, "exact phrases" and -excluded words
+// Accepts the same filters and page options as GET /api/tasks
+// Results are sorted by relevance unless another 'sort' is given
+// Each result has its 'score' and 'snippets' with the matching parts highlighted
+router.get('/search', validate('searchTasks'), async (req, res) => {
+  
+  try {
+    
+    const search = String(req.query.q || '').trim();
+    
+    if (!search) {
+      return res.status(400).json({
+        success: false,
+        message: "Query parameter 'q' is required"
+      });
+    }
+    
+    // Same filters as the task list, limited to the user's tasks
+    const filter = { ...buildTaskFilter(req.query), owner: req.user._id };
+    const pageOptions = buildPageOptions({ sort: 'relevance', ...req.query, q: search });
+    
+    const { tasks, total, nextCursor } = await findTaskPage(filter, pageOptions, search);
+    
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      total,
+      nextCursor,
+      data: tasks.map(task => addSnippets(task, search))
+    });
+    
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 400 ? 'Invalid query parameters' : 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/tasks/stats - Task statistics for the dashboard
+// ========================================
+// The list is paginated, so the client can't compute totals by itself anymore.
+// Query parameter 'tz' (IANA time zone, e.g. Europe/Rome) decides when the week ends.
+// Query parameter 'project' (id or 'none') limits the statistics to one project.
+router.get('/stats', validate('getTaskStats'), async (req, res) => {
+  
+  try {
+    
+    // Use the client's time zone for "this week", or UTC if none is given
+    const timeZone = req.query.tz || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid time zone '${timeZone}'`
+      });
+    }
+    
+    // Only count the user's tasks (optionally in one project)
+    const filter = { ...buildTaskFilter({ project: req.query.project }), owner: req.user._id };
+    
+    // Count tasks grouped by priority and completion status in a single query
+    // The same query adds up the subtasks (all of them, and the completed ones)
+    const groups = await Task.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: { priority: '$priority', completed: '$completed' },
+          count: { $sum: 1 },
+          subtasks: { $sum: { $size: { $ifNull: ['$subtasks', []] } } },
+          completedSubtasks: {
+            $sum: {
+              $size: {
+                $filter: { input: { $ifNull: ['$subtasks', []] }, cond: '$$this.completed' }
+              }
+            }
+          }
+        }
+      }
+    ]);
+    
+    // Count active tasks that are past their due date
+    const now = new Date();
+    const overdue = await Task.countDocuments({
+      ...filter,
+      completed: false,
+      dueDate: { $lt: now }
+    });
+    
+    // Count active tasks due from now until the end of the week (Sunday)
+    const dueThisWeek = await Task.countDocuments({
+      ...filter,
+      completed: false,
+      dueDate: { $gte: now, $lt: startOfWeek(now, timeZone, 1) }
+    });
+    
+    // Build the totals from the grouped counts
+    const byPriority = { high: 0, medium: 0, low: 0 };
+    const completedByPriority = { high: 0, medium: 0, low: 0 };
+    const subtasks = { total: 0, completed: 0 };
+    let total = 0;
+    let completed = 0;
+    
+    groups.forEach(({ _id, count, subtasks: subtaskCount, completedSubtasks }) => {
+      total += count;
+      subtasks.total += subtaskCount;
+      subtasks.completed += completedSubtasks;
+      byPriority[_id.priority] = (byPriority[_id.priority] || 0) + count;
+      
+      if (_id.completed) {
+        completed += count;
+        completedByPriority[_id.priority] = (completedByPriority[_id.priority] || 0) + count;
+      }
+    });
+    
+    // Send the statistics to the client
+    res.status(200).json({
+      success: true,
+      data: {
+        total,
+        completed,
+        active: total - completed,
+        byPriority,
+        completedByPriority,
+        overdue,
+        dueThisWeek,
+        subtasks
+      }
+    });
+    
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 400 ? 'Invalid query parameters' : 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// TRASH
+// ========================================
+// Deleted tasks stay in the trash until they are restored, purged by the user,
+// or purged automatically after the retention period (TRASH_RETENTION_DAYS)
+// These routes are defined before '/:id' so 'trash' isn't read as a task id
+
+// GET /api/tasks/trash - Retrieve a page of deleted tasks, most recently deleted first
+// Accepts the same query parameters as GET /api/tasks
+router.get('/trash', validate('listTrash'), async (req, res) => {
+  
+  try {
+    
+    // Same filters as the task list, but only deleted tasks
+    const filter = { ...buildTaskFilter(req.query), owner: req.user._id, deletedAt: { $ne: null } };
+    const pageOptions = buildPageOptions({ sort: 'deletedAt', ...req.query });
+    
+    const { tasks, total, nextCursor } = await findTaskPage(filter, pageOptions);
+    
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      total,
+      nextCursor,
+      
+      // How long tasks stay in the trash, and when each one will be purged
+      retentionDays: getRetentionDays(),
+      data: tasks.map(task => ({ ...task, purgeAt: getPurgeDate(task.deletedAt) }))
+    });
+    
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 400 ? 'Invalid query parameters' : 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/tasks/trash - Empty the trash (deleted tasks are removed for good)
+router.delete('/trash', validate('emptyTrash'), async (req, res) => {
+  
+  try {
+    
+    const deletedCount = await purgeTasks({ owner: req.user._id });
+    
+    res.status(200).json({
+      success: true,
+      message: `${deletedCount} task(s) deleted permanently`,
+      deletedCount
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/tasks/trash/:id - Permanently delete one task from the trash
+router.delete('/trash/:id', validate('purgeTask'), async (req, res) => {
+  
+  try {
+    
+    const deletedCount = await purgeTasks({ _id: req.params.id, owner: req.user._id });
+    
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Task deleted permanently'
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting task',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/tasks/:id/restore - Take a task out of the trash
+router.post('/:id/restore', validate('restoreTask'), async (req, res) => {
+  
+  try {
+    
+    // Get the task as it was in the trash (for its history), then load the restored one
+    const previous = await Task.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id, deletedAt: { $ne: null } },
+      { deletedAt: null }
+    );
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+    
+    const task = await Task.findById(previous._id);
+    await recordHistory(req, 'restored', getSnapshot(previous), task);
+    
+    // For the other tabs the restored task is a new task in their lists
+    publishTaskEvent(req, 'task.created', task);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Task restored successfully',
+      data: task
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error restoring task',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/tasks/bulk - Change many tasks at once
+// ========================================
+// Body: { ids: [<taskId>, ...], action, value }
+//   action=complete|reopen|delete|priority|project|addTag
+//   value is the priority, the project id ('none' for no project) or the tag id
+// Every task gets the same change in a single database update.
+// The response has one result per id, so the client knows which tasks couldn't be changed
+// (e.g. a task that was deleted meanwhile).
+router.post('/bulk', validate('bulkUpdateTasks'), async (req, res) => {
+  
+  try {
+    
+    // Check the request once, before changing anything
+    const { ids, validIds } = parseBulkIds(req.body.ids);
+    const { action, value } = req.body;
+    const update = await buildBulkUpdate(action, value, req.user._id);
+    
+    // Only the user's own tasks (not in the trash) can be changed
+    const previousTasks = await Task.find({ _id: { $in: validIds }, owner: req.user._id, deletedAt: null });
+    const foundIds = previousTasks.map(task => task._id);
+    
+    if (foundIds.length > 0) {
+      await Task.updateMany(
+        // Only the tasks the action changes (e.g. 'reopen' leaves the active tasks in their status)
+        { _id: { $in: foundIds }, owner: req.user._id, deletedAt: null, ...getBulkFilter(action) },
+        update,
+        { runValidators: true }
+      );
+    }
+    
+    // Completing recurring tasks creates their next occurrences
+    const nextOccurrences = [];
+    
+    if (action === 'complete') {
+      for (const task of previousTasks) {
+        if (task.recurrence && !task.completed) {
+          const nextOccurrence = await createNextOccurrence(task, req);
+          if (nextOccurrence) {
+            nextOccurrences.push(nextOccurrence);
+          }
+        }
+      }
+    }
+    
+    // Build one result per requested id, with the task as it is now
+    const tasks = await Task.find({ _id: { $in: foundIds } });
+    const tasksById = new Map(tasks.map(task => [String(task._id), task]));
+    
+    // Record the change in the history of every task
+    const previousById = new Map(previousTasks.map(task => [String(task._id), task]));
+    
+    for (const task of tasks) {
+      await recordHistory(req, action === 'delete' ? 'deleted' : 'updated', getSnapshot(previousById.get(String(task._id))), task);
+    }
+    
+    const results = ids.map(id => {
+      if (tasksById.has(id)) {
+        return { id, success: true, data: tasksById.get(id) };
+      }
+      return { id, success: false, error: validIds.includes(id) ? 'Task not found' : 'Invalid task id' };
+    });
+    
+    const succeeded = tasks.length;
+    
+    publishTaskEvent(req, action === 'delete' ? 'task.deleted' : 'task.updated', tasks);
+    publishTaskEvent(req, 'task.created', nextOccurrences);
+    
+    res.status(200).json({
+      success: true,
+      message: `${succeeded} of ${ids.length} task(s) updated`,
+      action,
+      succeeded,
+      failed: ids.length - succeeded,
+      results,
+      
+      // New tasks of recurring series completed by this request
+      nextOccurrences
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating tasks',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// BOARD
+// ========================================
+// The board shows the tasks in one column per workflow status (see workflow.js),
+// in the order the user arranged them. '/board' is defined before '/:id' so it isn't read as a task id
+
+// GET /api/tasks/board - Columns of the board with their tasks
+// Query parameters: the filters of GET /api/tasks (e.g. project, tags, priority)
+// and 'limit' - tasks per column (default 100, max 200); 'total' is the size of each column
+router.get('/board', validate('getBoard'), async (req, res) => {
+  
+  try {
+    
+    const filter = { ...buildTaskFilter(req.query), owner: req.user._id };
+    const columns = await loadBoard(filter, getColumnLimit(req.query));
+    
+    res.status(200).json({
+      success: true,
+      data: columns
+    });
+    
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 400 ? 'Invalid query parameters' : 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/tasks/:id/move - Move a card on the board
+// Body: { status, before } - the task goes into the 'status' column, just above the task 'before'
+// (at the bottom of the column when 'before' is null or left out)
+// A new status also completes or reopens the task; moving it inside its column only changes its position,
+// so it keeps its version (someone editing the task doesn't get a conflict)
+router.put('/:id/move', validate('moveTask'), async (req, res) => {
+  
+  try {
+    
+    const { status, before = null } = req.body;
+    
+    const previous = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    const { boardOrder, renumbered } = await getBoardPosition(req.user._id, previous._id, status, before);
+    const statusChanged = status !== getTaskStatus(previous);
+    
+    const task = await Task.findOneAndUpdate(
+      { _id: previous._id, owner: req.user._id, deletedAt: null },
+      syncStatusFields({ status, boardOrder }, previous),
+      { new: true, runValidators: true, keepVersion: !statusChanged }
+    );
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    // Only a new status is a change of the task (the position is not part of its history)
+    let nextOccurrence = null;
+    
+    if (statusChanged) {
+      await recordHistory(req, 'updated', getSnapshot(previous), task);
+      
+      // Moving a recurring task to the last column completes it and creates its next occurrence
+      if (task.recurrence && task.completed && !previous.completed) {
+        nextOccurrence = await createNextOccurrence(task, req);
+      }
+    }
+    
+    publishTaskEvent(req, 'task.updated', task);
+    publishTaskEvent(req, 'task.created', nextOccurrence);
+    
+    // The other cards of the column got new positions too - the user's other tabs reload the board
+    if (renumbered) {
+      publishTasksChanged(req, 'board');
+    }
+    
+    setETag(res, task);
+    
+    res.status(200).json({
+      success: true,
+      message: statusChanged ? `Task moved to '${getWorkflowStatuses().find(item => item.key === status).name}'` : 'Task moved',
+      data: task,
+      nextOccurrence
+    });
+    
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error moving task',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// IMPORT / EXPORT
+// ========================================
+// These routes are defined before '/:id' so 'export' and 'import' aren't read as task ids
+
+// Export data is sent in chunks of about this size (characters)
+const EXPORT_CHUNK_SIZE = 64 * 1024;
+
+// Write a chunk of an export, waiting while the client is slower than the database
+// (or until it went away)
+const sendChunk = (res, chunk) => new Promise(resolve => {
+  if (res.write(chunk)) {
+    return resolve();
+  }
+  
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// GET /api/tasks/export - Download every task matching the filters as a file
+// Query parameters: format=csv|json (default csv), the filters and sort of GET /api/tasks,
+// and 'q' to export the results of a search (limit and cursor are ignored: there are no pages)
+// Tasks are streamed from the database, so a large export doesn't have to fit in memory
+router.get('/export', validate('exportTasks'), async (req, res) => {
+  
+  let cursor = null;
+  
+  try {
+    
+    const format = req.query.format || 'csv';
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        error: `Invalid format '${format}' (allowed: ${EXPORT_FORMATS.join(', ')})`
+      });
+    }
+    
+    // Same filters as the task list, limited to the user's tasks
+    const search = String(req.query.q || '').trim() || null;
+    const filter = { ...buildTaskFilter(req.query), owner: req.user._id };
+    const sortOptions = buildPageOptions({ sort: req.query.sort, order: req.query.order, q: search });
+    
+    // Projects and tags are exported by name
+    const [projects, tags] = await Promise.all([
+      Project.find({ owner: req.user._id }).select('name'),
+      Tag.find({ owner: req.user._id }).select('name')
+    ]);
+    const projectsById = new Map(projects.map(project => [String(project._id), project.name]));
+    const tagsById = new Map(tags.map(tag => [String(tag._id), tag.name]));
+    
+    const writer = createExportWriter(format);
+    
+    res.status(200).set({
+      'Content-Type': writer.contentType,
+      'Content-Disposition': `attachment; filename="tasks-${new Date().toISOString().slice(0, 10)}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+    
+    // Nothing is sent before the first chunk is full, so a failing query still gets a JSON error
+    cursor = streamTasks(filter, sortOptions, search);
+    let chunk = writer.start();
+    
+    for await (const task of cursor) {
+      // Stop reading when the client went away
+      if (res.destroyed) {
+        return;
+      }
+      
+      chunk += writer.write(toExportRecord(task, projectsById, tagsById));
+      
+      if (chunk.length >= EXPORT_CHUNK_SIZE) {
+        await sendChunk(res, chunk);
+        chunk = '';
+      }
+    }
+    
+    res.end(chunk + writer.end());
+    
+  } catch (error) {
+    // Once part of the file is sent the status can't change - end the download as failed
+    if (res.headersSent) {
+      console.error('Error streaming task export:', error.message);
+      return res.destroy(error);
+    }
+    
+    const statusCode = error.statusCode || 500;
+    
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 400 ? 'Invalid query parameters' : 'Server Error',
+      error: error.message
+    });
+  } finally {
+    if (cursor) {
+      await cursor.close().catch(() => {});
+    }
+  }
+});
+
+// POST /api/tasks/import - Create tasks from a CSV, JSON or iCalendar file
+// multipart/form-data fields:
+//   file       - the file to import (CSV with a header line, a JSON array like the export, or an .ics file)
+//   format     - csv|json|ics (default: read from the file name)
+//   mapping    - JSON object { taskField: column }, e.g. {"title":"Name","dueDate":"Deadline"}
+//                (default: guessed from the column names - the guess is returned in 'mapping')
+//   dryRun     - 'true' checks the file without saving anything (the preview of the import wizard)
+//   duplicates - skip|import: rows with the title and due date of an existing task
+//                (or of an earlier row) are skipped by default
+//   tz         - IANA time zone of due dates written without one (default UTC)
+// The response has one result per row: { row, status: valid|invalid|duplicate, errors, data, taskId }
+// Invalid rows are never imported, but they don't stop the valid ones.
+// Projects and tags are matched by name; missing ones are created ('newProjects' and 'newTags')
+router.post('/import', receiveImportFile, validate('importTasks'), async (req, res) => {
   
-  // Try block - attempt to execute database operation
   try {
     
-    // Find all tasks in the database
-    // {} means no filter - get everything
-    // .sort() orders results by createdAt field, newest first (-1 = descending)
-    const tasks = await Task.find({}).sort({ createdAt: -1 });
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error importing tasks',
+        error: "No file sent - use the 'file' field of a multipart/form-data request"
+      });
+    }
     
-    // Send successful HTTP response with status code 200
-    res.status(200).json({
-      // Indicate the operation was successful
+    const result = await importFile(req, getImportOptions(req));
+    
+    res.status(result.dryRun ? 200 : 201).json({
       success: true,
-      
-      // Include count of how many tasks were found
-      count: tasks.length,
-      
-      // Include the actual task data
-      data: tasks
+      ...result
     });
     
   } catch (error) {
-    // Catch block - handle any errors that occurred
-    
-    // Send error HTTP response with status code 500 (Internal Server Error)
-    res.status(500).json({
-      // Indicate the operation failed
+    res.status(error.statusCode || 400).json({
       success: false,
-      
-      // Generic error message for client
-      message: 'Server Error',
-      
-      // Specific error details for debugging
+      message: 'Error importing tasks',
       error: error.message
     });
   }
@@ -52,14 +915,15 @@ router.get('/', async (req, res) => {
 // ========================================
 // GET /api/tasks/:id - Retrieve single task by ID
 // ========================================
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate('getTask'), async (req, res) => {
   
   // Try block - attempt database operation
   try {
     
     // Find task by ID from URL parameters
     // req.params.id contains the ID from the URL (e.g., /api/tasks/12345)
-    const task = await Task.findById(req.params.id);
+    // Tasks of other users are treated as not found
+    const task = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
     
     // Check if task was found in database
     if (!task) {
@@ -70,6 +934,9 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    // The version lets the client send conditional updates (If-Match)
+    setETag(res, task);
+    
     // Send successful response with the found task
     res.status(200).json({
       success: true,
@@ -91,15 +958,40 @@ router.get('/:id', async (req, res) => {
 // ========================================
 // POST /api/tasks - Create new task
 // ========================================
-router.post('/', async (req, res) => {
+router.post('/', validate('createTask'), async (req, res) => {
   
   // Try block - attempt to create new task
   try {
     
+    // Tasks can only be added to the user's own projects
+    if (!(await isOwnProject(req.body.project, req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    
+    // Tasks can only use the user's own tags
+    const fields = pickTaskFields(req.body);
+    
+    if (!(await setTagNames(fields, req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+    
     // Create new task using data from request body
     // req.body contains the JSON data sent by the client
     // Task.create() validates the data against our schema and saves to database
-    const task = await Task.create(req.body);
+    // The owner always comes from the token, never from the request body
+    const task = await Task.create({ ...fields, owner: req.user._id });
+    await recordHistory(req, 'created', null, task);
+    
+    // Show the new task in the user's other tabs
+    publishTaskEvent(req, 'task.created', task);
+    
+    setETag(res, task);
     
     // Send successful response with status 201 (Created)
     res.status(201).json({
@@ -123,18 +1015,89 @@ router.post('/', async (req, res) => {
 // ========================================
 // PUT /api/tasks/:id - Update existing task
 // ========================================
-router.put('/:id', async (req, res) => {
+// With 'If-Match: "<version>"' (or '__v' in the body) the update is only applied if the task
+// is still at that version - otherwise 412 (or 409) with the current task
+router.put('/:id', validate('updateTask'), async (req, res) => {
   
   // Try block - attempt to update task
   try {
     
+    // Version the client edited (null when it didn't send one)
+    const expected = getExpectedVersion(req);
+    
+    // Copy the request body without the owner, so a task can't be given to someone else
+    const updates = pickTaskFields(req.body);
+    
+    // Tasks can only be moved to the user's own projects
+    if (!(await isOwnProject(updates.project, req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    
+    // Tasks can only use the user's own tags
+    if (!(await setTagNames(updates, req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+    
+    // Load the current version to know what changes (e.g. if the task is being completed)
+    const previous = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    // Someone else changed the task since the client loaded it
+    if (expected && previous.__v !== expected.version) {
+      return sendConflict(res, expected.statusCode, previous);
+    }
+    
+    // Completing a task moves it to the last status, and a new status sets the completed flag
+    Object.assign(updates, syncStatusFields(updates, previous));
+    
+    // A task moved to another status goes to the top of its new column
+    if (updates.status !== undefined && updates.status !== getTaskStatus(previous)) {
+      updates.boardOrder = null;
+    }
+    
+    // A recurring task needs a due date (checked on the task as it will be after the update)
+    const recurrence = updates.recurrence !== undefined ? updates.recurrence : previous.recurrence;
+    const dueDate = updates.dueDate !== undefined ? updates.dueDate : previous.dueDate;
+    
+    if (recurrence && !dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error updating task',
+        error: 'A recurring task needs a due date'
+      });
+    }
+    
+    // A task that starts repeating becomes the first task of its series
+    if (recurrence && !previous.series) {
+      updates.series = previous._id;
+    }
+    
+    // A new monthly rule keeps the day of the month of the task's due date
+    const monthDay = getDefaultMonthDay(updates.recurrence, dueDate, updates.dueTimeZone || previous.dueTimeZone);
+    if (monthDay) {
+      updates.recurrence = { ...updates.recurrence, byMonthDay: monthDay };
+    }
+    
     // Find task by ID and update with new data
-    const task = await Task.findByIdAndUpdate(
-      // First parameter: which document to update (using ID from URL)
-      req.params.id,
+    const task = await Task.findOneAndUpdate(
+      // First parameter: which document to update (using ID from URL, only if we own it)
+      // With a version, only if it didn't change since we loaded it (the version check and the write are one operation)
+      { _id: req.params.id, owner: req.user._id, deletedAt: null, ...(expected && { __v: expected.version }) },
       
       // Second parameter: new data to update with (from request body)
-      req.body,
+      updates,
       
       // Third parameter: options object
       {
@@ -148,6 +1111,12 @@ router.put('/:id', async (req, res) => {
     
     // Check if task was found and updated
     if (!task) {
+      // The task changed between our read and our write
+      const current = expected && await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+      if (current) {
+        return sendConflict(res, expected.statusCode, current);
+      }
+      
       // Return 404 if task with given ID doesn't exist
       return res.status(404).json({
         success: false,
@@ -155,11 +1124,30 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    // Record what changed in the task's history
+    await recordHistory(req, 'updated', getSnapshot(previous), task);
+    
+    // Completing a recurring task creates its next occurrence
+    let nextOccurrence = null;
+    
+    if (task.recurrence && task.completed && !previous.completed) {
+      nextOccurrence = await createNextOccurrence(task, req);
+    }
+    
+    // Show the change in the user's other tabs
+    publishTaskEvent(req, 'task.updated', task);
+    publishTaskEvent(req, 'task.created', nextOccurrence);
+    
+    setETag(res, task);
+    
     // Send successful response with updated task data
     res.status(200).json({
       success: true,
       message: 'Task updated successfully',
-      data: task
+      data: task,
+      
+      // The new task of the series (null if the task doesn't repeat or the series ended)
+      nextOccurrence
     });
     
   } catch (error) {
@@ -175,19 +1163,34 @@ router.put('/:id', async (req, res) => {
 });
 
 // ========================================
-// DELETE /api/tasks/:id - Delete task
+// DELETE /api/tasks/:id - Move task to the trash
 // ========================================
-router.delete('/:id', async (req, res) => {
+// The task is only marked as deleted, so it can be restored (POST /api/tasks/:id/restore)
+// until it is purged from the trash
+// Like updates, accepts 'If-Match: "<version>"' to only delete the version the client has seen
+router.delete('/:id', validate('deleteTask'), async (req, res) => {
   
   // Try block - attempt to delete task
   try {
     
-    // Find task by ID and remove it from database
+    const expected = getExpectedVersion(req);
+    
+    // Find task by ID and mark it as deleted
     // This returns the deleted task data or null if not found
-    const task = await Task.findByIdAndDelete(req.params.id);
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id, deletedAt: null, ...(expected && { __v: expected.version }) },
+      { deletedAt: new Date() },
+      { new: true }
+    );
     
     // Check if task existed and was deleted
     if (!task) {
+      // The task exists, but someone else changed it
+      const current = expected && await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+      if (current) {
+        return sendConflict(res, expected.statusCode, current);
+      }
+      
       // Return 404 if task with given ID doesn't exist
       return res.status(404).json({
         success: false,
@@ -195,12 +1198,18 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    // The task was not in the trash before (see the filter above)
+    await recordHistory(req, 'deleted', { ...getSnapshot(task), deletedAt: null }, task);
+    
+    // Remove the task from the user's other tabs
+    publishTaskEvent(req, 'task.deleted', task);
+    
     // Send successful response confirming deletion
     res.status(200).json({
       success: true,
-      message: 'Task deleted successfully',
+      message: 'Task moved to trash',
       
-      // Include deleted task data for confirmation
+      // Include deleted task data for confirmation (and for an "Undo" button)
       data: task
     });
     
@@ -216,5 +1225,269 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// ========================================
+// HISTORY
+// ========================================
+// Every change to a task is recorded with who made it, when, and which fields changed
+// (see history.js). A task can be brought back to the version after any of its changes.
+
+// Number of history entries sent per request (the client can ask for up to MAX_HISTORY_LIMIT)
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 100;
+
+// GET /api/tasks/:id/history - List the changes made to a task, newest first
+// Query parameters: limit (default 50, max 100)
+// Works for tasks in the trash too, so the user can see who deleted them
+router.get('/:id/history', validate('getTaskHistory'), async (req, res) => {
+  
+  try {
+    
+    const task = await Task.exists({ _id: req.params.id, owner: req.user._id });
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+    
+    // The snapshots are only needed to revert, which reads them on the server
+    const entries = await TaskHistory.find({ task: req.params.id })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .select('-snapshot');
+    
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error retrieving task history',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/tasks/:id/history/:entryId/revert - Bring a task back to the version after a change
+// Like updates, accepts 'If-Match: "<version>"' to only revert the version the client has seen
+// Projects and tags deleted since then are left out; a task in the trash must be restored first
+router.post('/:id/history/:entryId/revert', validate('revertTask'), async (req, res) => {
+  
+  try {
+    
+    const expected = getExpectedVersion(req);
+    
+    const task = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+    const entry = task && await TaskHistory.findOne({ _id: req.params.entryId, task: task._id });
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: task ? 'History entry not found' : 'Task not found'
+      });
+    }
+    
+    if (expected && task.__v !== expected.version) {
+      return sendConflict(res, expected.statusCode, task);
+    }
+    
+    const fields = getRevertFields(entry.snapshot);
+    
+    // A status removed from the workflow since then is left out (the completed flag places the task)
+    if (!isWorkflowStatus(fields.status)) {
+      delete fields.status;
+    }
+    
+    // The project or some of the tags may have been deleted meanwhile
+    if (!(await isOwnProject(fields.project, req.user._id))) {
+      fields.project = null;
+    }
+    
+    const tags = await Tag.find({ _id: { $in: fields.tags || [] }, owner: req.user._id });
+    const tagsById = new Map(tags.map(tag => [String(tag._id), tag]));
+    fields.tags = (fields.tags || []).filter(id => tagsById.has(id));
+    fields.tagNames = fields.tags.map(id => tagsById.get(id).name);
+    
+    const before = getSnapshot(task);
+    task.set(fields);
+    
+    // save() checks the version too, in case the task changed since it was loaded
+    await task.save();
+    await recordHistory(req, 'reverted', before, task, { revertedTo: entry._id });
+    
+    publishTaskEvent(req, 'task.updated', task);
+    
+    setETag(res, task);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Task reverted successfully',
+      data: task
+    });
+    
+  } catch (error) {
+    // The task changed between our read and our save
+    if (error.name === 'VersionError') {
+      const current = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+      if (current) {
+        return sendConflict(res, 409, current);
+      }
+    }
+    
+    res.status(400).json({
+      success: false,
+      message: 'Error reverting task',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// SUBTASKS
+// ========================================
+// Subtasks are stored inside their task, in display order.
+// Every route answers with the whole parent task, so the client can update the "3/5 done" progress.
+
+// POST /api/tasks/:id/subtasks - Add a subtask at the end of the checklist
+// Body: { title }
+router.post('/:id/subtasks', validate('addSubtask'), async (req, res) => {
+  
+  try {
+    
+    const task = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    const before = getSnapshot(task);
+    task.subtasks.push({ title: req.body.title });
+    
+    await saveSubtaskChange(task, before, req, res, 'Subtask added successfully', 201);
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error adding subtask',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/tasks/:id/subtasks/reorder - Save the order of the checklist
+// Body: { ids: [subtaskId, ...] } with every subtask of the task exactly once
+router.put('/:id/subtasks/reorder', validate('reorderSubtasks'), async (req, res) => {
+  
+  try {
+    
+    const task = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    // The new order must contain the same subtasks as the current one
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String) : [];
+    const currentIds = task.subtasks.map(subtask => subtask._id.toString());
+    
+    if (ids.length !== currentIds.length || new Set(ids).size !== ids.length || !ids.every(id => currentIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error reordering subtasks',
+        error: "'ids' must list every subtask of the task exactly once"
+      });
+    }
+    
+    const before = getSnapshot(task);
+    task.subtasks = ids.map(id => task.subtasks.id(id));
+    
+    await saveSubtaskChange(task, before, req, res, 'Subtasks reordered successfully');
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error reordering subtasks',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/tasks/:id/subtasks/:subtaskId - Rename or toggle a subtask
+// Body: { title, completed } (both optional)
+router.put('/:id/subtasks/:subtaskId', validate('updateSubtask'), async (req, res) => {
+  
+  try {
+    
+    const task = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+    const subtask = task && task.subtasks.id(req.params.subtaskId);
+    
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: task ? 'Subtask not found' : 'Task not found'
+      });
+    }
+    
+    const before = getSnapshot(task);
+    
+    if (req.body.title !== undefined) {
+      subtask.title = req.body.title;
+    }
+    if (req.body.completed !== undefined) {
+      subtask.completed = req.body.completed;
+    }
+    
+    await saveSubtaskChange(task, before, req, res, 'Subtask updated successfully');
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating subtask',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/tasks/:id/subtasks/:subtaskId - Remove a subtask
+router.delete('/:id/subtasks/:subtaskId', validate('deleteSubtask'), async (req, res) => {
+  
+  try {
+    
+    const task = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: null });
+    const subtask = task && task.subtasks.id(req.params.subtaskId);
+    
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: task ? 'Subtask not found' : 'Task not found'
+      });
+    }
+    
+    const before = getSnapshot(task);
+    task.subtasks.pull(subtask._id);
+    
+    await saveSubtaskChange(task, before, req, res, 'Subtask deleted successfully');
+    
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting subtask',
+      error: error.message
+    });
+  }
+});
+
 // Export the router so it can be imported and used in server.js
 module.exports = router;
\ No newline at end of file
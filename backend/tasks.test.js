@@ -0,0 +1,98 @@
+// Unit tests for the task routes (run with 'npm test')
+// No database is needed: the Task model's queries are replaced by fakes that answer with the task of each test
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Import mongoose to build the ids and to fail at once on a query that isn't faked
+const mongoose = require('mongoose');
+
+// Import the models to replace their query methods
+const Task = require('./task');
+const TaskHistory = require('./taskHistory');
+
+// Import the router under test
+const router = require('./tasks');
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Call the handlers of one route (after the login check of router.use) and wait for the response
+const callRoute = (method, path, req) => new Promise((resolve, reject) => {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  const handlers = layer.route.stack.map(entry => entry.handle);
+
+  const res = {
+    statusCode: 200,
+    set: () => res,
+    status: (statusCode) => {
+      res.statusCode = statusCode;
+      return res;
+    },
+    json: (body) => resolve({ statusCode: res.statusCode, body })
+  };
+
+  const next = (index) => (error) => {
+    if (error) {
+      return reject(error);
+    }
+    Promise.resolve(handlers[index](req, res, next(index + 1))).catch(reject);
+  };
+
+  next(0)();
+});
+
+// ========================================
+// TESTS
+// ========================================
+
+describe('PUT /api/tasks/:id', () => {
+  const { findOne, findOneAndUpdate } = Task;
+  const { create } = TaskHistory;
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Ada' };
+
+  // A query that isn't faked fails instead of waiting for a connection
+  before(() => {
+    mongoose.set('bufferCommands', false);
+  });
+
+  // Put the real queries back after each test
+  afterEach(() => {
+    Task.findOne = findOne;
+    Task.findOneAndUpdate = findOneAndUpdate;
+    TaskHistory.create = create;
+  });
+
+  // Fake the queries of the route for one task, and return the updates it writes
+  const fakeTask = (task) => {
+    const writes = [];
+
+    Task.findOne = async () => task;
+    Task.findOneAndUpdate = async (filter, updates) => {
+      writes.push(updates);
+      return new Task({ ...task.toObject(), ...updates });
+    };
+    TaskHistory.create = async (entry) => entry;
+
+    return writes;
+  };
+
+  it('ignores the trash and date fields of the body', async () => {
+    const task = new Task({ title: 'Write the report', owner: user._id });
+    const writes = fakeTask(task);
+
+    const response = await callRoute('put', '/:id', {
+      params: { id: String(task._id) },
+      query: {},
+      body: { deletedAt: '2020-01-01T00:00:00.000Z', createdAt: '2020-01-01T00:00:00.000Z', updatedAt: '2020-01-01T00:00:00.000Z' },
+      user,
+      get: () => undefined
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(Object.keys(writes[0]), []);
+
+    // The task stays out of the trash
+    assert.equal(response.body.data.deletedAt, null);
+  });
+});
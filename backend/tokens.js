@@ -0,0 +1,93 @@
+// Import jsonwebtoken to sign and verify JWT tokens
+const jwt = require('jsonwebtoken');
+
+// Import Node's crypto module to generate ids and hash refresh tokens
+const crypto = require('crypto');
+
+// ========================================
+// TOKEN CONFIGURATION
+// ========================================
+
+// We use two kinds of tokens:
+// - access token: short lived, sent with every API request in the Authorization header
+// - refresh token: long lived, only used to get a new access token when the old one expires
+// Secrets and lifetimes come from the .env file (read when needed, after dotenv.config())
+// Both kinds can share a secret, so each token also says which kind it is ('typ')
+const getConfig = () => ({
+  accessSecret: process.env.JWT_SECRET,
+  refreshSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+  accessExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  refreshExpiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d'
+});
+
+// Make sure the server doesn't sign tokens with an empty secret
+const requireSecret = (secret) => {
+  if (!secret) {
+    throw new Error('JWT_SECRET is not set in the environment');
+  }
+  return secret;
+};
+
+// ========================================
+// TOKEN FUNCTIONS
+// ========================================
+
+// Hash a refresh token before storing it in the database
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a signed access token for a user
+const createAccessToken = (user) => {
+  const { accessSecret, accessExpiresIn } = getConfig();
+
+  return jwt.sign({ sub: String(user._id), typ: 'access' }, requireSecret(accessSecret), { expiresIn: accessExpiresIn });
+};
+
+// Create a signed refresh token for a user
+// Returns the token plus its hash and expiry date, ready to be saved on the user
+const createRefreshToken = (user) => {
+  const { refreshSecret, refreshExpiresIn } = getConfig();
+
+  // 'jti' (a random id) makes every refresh token unique, even if two are created in the same second
+  const token = jwt.sign(
+    { sub: String(user._id), typ: 'refresh', jti: crypto.randomUUID() },
+    requireSecret(refreshSecret),
+    { expiresIn: refreshExpiresIn }
+  );
+
+  // Read the expiry date back from the token itself
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(exp * 1000)
+  };
+};
+
+// Verify a token of one kind and return its payload
+// Throws if it is invalid or expired, or if it is the other kind of token (a refresh token
+// can't be used as a bearer token, and an access token can't be exchanged for new tokens)
+const verifyToken = (token, secret, type) => {
+  const payload = jwt.verify(token, requireSecret(secret));
+
+  if (payload.typ !== type) {
+    throw new jwt.JsonWebTokenError(`wrong token type, expected '${type}'`);
+  }
+
+  return payload;
+};
+
+// Verify an access token and return its payload (throws if invalid, expired or not an access token)
+const verifyAccessToken = (token) => verifyToken(token, getConfig().accessSecret, 'access');
+
+// Verify a refresh token and return its payload (throws if invalid, expired or not a refresh token)
+const verifyRefreshToken = (token) => verifyToken(token, getConfig().refreshSecret, 'refresh');
+
+// Export the token helpers for the auth routes and middleware
+module.exports = {
+  hashToken,
+  createAccessToken,
+  createRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken
+};
@@ -0,0 +1,35 @@
+// Unit tests for the access and refresh tokens (run with 'npm test')
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Import the helpers under test
+const { createAccessToken, createRefreshToken, verifyAccessToken, verifyRefreshToken } = require('./tokens');
+
+// ========================================
+// TESTS
+// ========================================
+
+describe('tokens', () => {
+  const user = { _id: '64b000000000000000000001' };
+
+  // The default configuration: one secret for both kinds of tokens
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.JWT_REFRESH_SECRET;
+  });
+
+  it('verifies each kind of token with its own check', () => {
+    assert.equal(verifyAccessToken(createAccessToken(user)).sub, user._id);
+    assert.equal(verifyRefreshToken(createRefreshToken(user).token).sub, user._id);
+  });
+
+  it('refuses a refresh token used as an access token', () => {
+    const { token } = createRefreshToken(user);
+    assert.throws(() => verifyAccessToken(token), { name: 'JsonWebTokenError' });
+  });
+
+  it('refuses an access token sent to be refreshed', () => {
+    const token = createAccessToken(user);
+    assert.throws(() => verifyRefreshToken(token), { name: 'JsonWebTokenError' });
+  });
+});
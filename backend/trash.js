@@ -0,0 +1,87 @@
+// Import our Task model to purge deleted tasks
+const Task = require('./task');
+
+// Import the models stored next to a task - they are deleted with it
+const TaskHistory = require('./taskHistory');
+const Comment = require('./comment');
+const Notification = require('./notification');
+
+// Import the helper that deletes attachments together with their files
+const { removeAttachments } = require('./uploads');
+
+// ========================================
+// TRASH SETTINGS
+// ========================================
+
+// Deleted tasks stay in the trash for this many days before they are removed for good
+// Configurable with the TRASH_RETENTION_DAYS environment variable
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 1 ? 30 : days;
+};
+
+// How often the automatic purge runs (milliseconds) - once an hour
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// ========================================
+// PURGE FUNCTIONS
+// ========================================
+
+// Permanently delete the trashed tasks matching 'filter'
+// Every permanent delete goes through here, so anything stored next to a task
+// can be cleaned up in one place
+// Returns the number of deleted tasks
+const purgeTasks = async (filter) => {
+  // $and keeps the caller's own 'deletedAt' condition (if any) together with ours
+  const tasks = await Task.find({ $and: [filter, { deletedAt: { $ne: null } }] }).select('_id');
+  const ids = tasks.map(task => task._id);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const result = await Task.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+  await TaskHistory.deleteMany({ task: { $in: ids } });
+  await Comment.deleteMany({ task: { $in: ids } });
+  await Notification.deleteMany({ task: { $in: ids } });
+  await removeAttachments({ task: { $in: ids } });
+
+  return result.deletedCount;
+};
+
+// Date after which a task deleted at 'deletedAt' is purged automatically
+const getPurgeDate = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+// Permanently delete every task that has been in the trash longer than the retention period
+const purgeExpiredTasks = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  return purgeTasks({ deletedAt: { $lte: cutoff } });
+};
+
+// Run the automatic purge now and then every hour
+// Errors are only logged: the next run will try again
+const startTrashPurge = () => {
+  const run = async () => {
+    try {
+      await purgeExpiredTasks();
+    } catch (error) {
+      console.error('Trash purge failed:', error.message);
+    }
+  };
+
+  run();
+
+  // unref() lets the process exit even if the timer is still scheduled
+  setInterval(run, PURGE_INTERVAL).unref();
+};
+
+// Export the trash helpers
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  purgeTasks,
+  purgeExpiredTasks,
+  startTrashPurge
+};
@@ -0,0 +1,200 @@
+// Import crypto to generate random storage keys
+const crypto = require('crypto');
+
+// Import multer to read multipart/form-data uploads
+const multer = require('multer');
+
+// Import our Attachment model and the storage adapter
+const Attachment = require('./attachment');
+const { getStorage } = require('./storage');
+
+// sharp makes the image thumbnails - it is an optional dependency (a native module),
+// without it attachments simply have no thumbnail
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch {
+  console.warn('Attachments: sharp is not installed, image thumbnails are disabled');
+}
+
+// ========================================
+// UPLOAD SETTINGS
+// ========================================
+
+// Largest file accepted, in megabytes - configurable with ATTACHMENT_MAX_SIZE_MB
+const getMaxFileSize = () => {
+  const megabytes = parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB);
+  return Math.floor((Number.isNaN(megabytes) || megabytes <= 0 ? 10 : megabytes) * 1024 * 1024);
+};
+
+// Files accepted in one upload request
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Accepted file types: screenshots, PDFs and plain text
+// The type is detected from the content (see detectMimeType), not trusted from the client.
+// SVG is left out on purpose: it can contain scripts
+const ALLOWED_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+
+// Thumbnails fit in a square of this size (pixels)
+const THUMBNAIL_SIZE = 240;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Detect the type of a file from its first bytes
+// Returns null for content we don't recognize
+const detectMimeType = (buffer) => {
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+  const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith([0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(ascii('GIF87a')) || startsWith(ascii('GIF89a'))) {
+    return 'image/gif';
+  }
+  if (startsWith(ascii('RIFF')) && startsWith(ascii('WEBP'), 8)) {
+    return 'image/webp';
+  }
+  if (startsWith(ascii('%PDF-'))) {
+    return 'application/pdf';
+  }
+
+  // Text files have no signature - accept content without NUL bytes
+  if (buffer.length > 0 && !buffer.subarray(0, 8192).includes(0)) {
+    return 'text/plain';
+  }
+
+  return null;
+};
+
+// Make a small WebP preview of an image
+// Returns null when the file is not an image, sharp is missing or the image can't be read
+const createThumbnail = async (buffer, mimeType) => {
+  if (!sharp || !mimeType.startsWith('image/')) {
+    return null;
+  }
+
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    console.error('Failed to create thumbnail:', error.message);
+    return null;
+  }
+};
+
+// Store an uploaded file (and its thumbnail) and create its Attachment
+// 'file' comes from multer: { originalname, buffer, size }
+// Throws an error with statusCode 415 for file types that are not accepted
+const saveAttachment = async (task, file) => {
+  const mimeType = detectMimeType(file.buffer);
+
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+    const error = new Error(`'${file.originalname}' is not a supported file type (images, PDF and text files only)`);
+    error.statusCode = 415;
+    throw error;
+  }
+
+  const storage = getStorage();
+  const storageKey = `${task.owner}/${task._id}/${crypto.randomUUID()}`;
+  await storage.save(storageKey, file.buffer, { contentType: mimeType });
+
+  const thumbnail = await createThumbnail(file.buffer, mimeType);
+  const thumbnailKey = thumbnail ? `${storageKey}-thumbnail` : null;
+
+  try {
+    if (thumbnail) {
+      await storage.save(thumbnailKey, thumbnail, { contentType: 'image/webp' });
+    }
+
+    return await Attachment.create({
+      task: task._id,
+      owner: task.owner,
+      filename: file.originalname,
+      mimeType,
+      size: file.size,
+      storageKey,
+      thumbnailKey
+    });
+  } catch (error) {
+    // Don't leave files without an attachment behind
+    await Promise.all([storageKey, thumbnailKey].filter(Boolean).map(key => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+};
+
+// Delete the attachments matching 'filter' with their files
+// Files that can't be removed are only logged: the attachments are gone either way
+// Returns the number of deleted attachments
+const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter);
+
+  if (attachments.length === 0) {
+    return 0;
+  }
+
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    for (const key of [attachment.storageKey, attachment.thumbnailKey].filter(Boolean)) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`Failed to remove attachment file ${key}:`, error.message);
+      }
+    }
+  }
+
+  const result = await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  return result.deletedCount;
+};
+
+// ========================================
+// UPLOAD MIDDLEWARE
+// ========================================
+
+// Read the files of a multipart upload (field 'files') into req.files, in memory
+// Too large or too many files get a 413 / 400 response in our usual error format
+const receiveFiles = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxFileSize(), files: MAX_FILES_PER_UPLOAD }
+  }).array('files', MAX_FILES_PER_UPLOAD);
+
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      message: tooLarge
+        ? `Files can be at most ${Math.round(getMaxFileSize() / 1024 / 1024)} MB`
+        : 'Error uploading files',
+      error: error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Send at most ${MAX_FILES_PER_UPLOAD} files in the 'files' field`
+        : error.message
+    });
+  });
+};
+
+// Export the upload helpers
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  MAX_FILES_PER_UPLOAD,
+  getMaxFileSize,
+  detectMimeType,
+  saveAttachment,
+  removeAttachments,
+  receiveFiles
+};
@@ -0,0 +1,112 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Import bcrypt to hash passwords before saving them
+const bcrypt = require('bcryptjs');
+
+// Import the views pinned to the sidebar of new users
+const { DEFAULT_PINNED_VIEWS } = require('./viewQuery');
+
+// Number of bcrypt salt rounds - higher is slower but harder to brute force
+const SALT_ROUNDS = 10;
+
+// Create the schema for User documents
+const userSchema = new mongoose.Schema({
+
+  // Display name of the user
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Email is used to log in, so it must be unique
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+
+    // Store emails in lowercase so 'Bob@Mail.com' and 'bob@mail.com' are the same user
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email']
+  },
+
+  // Hashed password - never the plain text one
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+
+    // Don't return the password hash in queries unless explicitly requested
+    select: false
+  },
+
+  // Refresh tokens currently valid for this user (one per logged in device)
+  // We store a SHA-256 hash of each token, so a database leak doesn't leak sessions
+  refreshTokens: {
+    type: [{
+      tokenHash: String,
+      expiresAt: Date
+    }],
+    select: false
+  },
+
+  // Calendar feed (GET /api/calendar.ics?token=...) - null until the user turns it on
+  // Like refresh tokens, only a SHA-256 hash of the feed token is stored
+  calendarFeed: {
+    type: new mongoose.Schema({
+      tokenHash: String,
+      createdAt: Date
+    }, { _id: false }),
+    default: null,
+    select: false
+  },
+
+  // Views pinned to the sidebar, in sidebar order: ids of saved views (own or shared)
+  // and names of built-in views (see viewQuery.js)
+  pinnedViews: {
+    type: [String],
+    default: () => [...DEFAULT_PINNED_VIEWS],
+    select: false
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// Find the user of a calendar feed token quickly (most users have no feed)
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
+
+// Hash the password before saving, but only when it was set or changed
+userSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+  next();
+});
+
+// Compare a plain text password with the stored hash
+// The password field must have been selected with .select('+password')
+userSchema.methods.comparePassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Remove private fields when a user is sent as JSON
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.refreshTokens;
+    delete ret.calendarFeed;
+    delete ret.pinnedViews;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Create and export the User model - MongoDB will create a 'users' collection
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,269 @@
+// Import the time zone helper for the 'time-zone' format
+const { isValidTimeZone } = require('./dates');
+
+// Import the workflow helper for the 'task-status' format
+const { isWorkflowStatus } = require('./workflow');
+
+// ========================================
+// REQUEST VALIDATION
+// ========================================
+
+// Every route has a schema in apiSchemas.js. The schemas are plain objects in the JSON Schema dialect
+// of OpenAPI 3.0, so the same objects check the requests here and document the API (see openapi.js).
+//
+// Supported keywords:
+//   type (string, integer, number, boolean, array, object), nullable, enum
+//   strings: minLength, maxLength, pattern, format (see FORMATS)
+//   numbers: minimum, maximum
+//   arrays:  items, minItems, maxItems, uniqueItems
+//   objects: properties, required, additionalProperties (false = unknown fields are refused)
+// Two extensions (OpenAPI allows 'x-' keywords):
+//   x-trim:    lengths are checked without the spaces around the text (the models trim it when saving)
+//   x-message: message shown when the pattern doesn't match, instead of the pattern itself
+//
+// Query strings, path parameters and multipart forms only hold text, so their values are converted
+// first ('5' is a valid integer, 'true' a valid boolean, 'a,b' a valid array). JSON bodies are not converted.
+// The request itself is never changed: the routes keep reading their values as before.
+
+// Formats a string can be checked against
+const FORMATS = {
+  objectId: {
+    test: (value) => /^[0-9a-fA-F]{24}$/.test(value),
+    message: 'must be a valid id'
+  },
+  'date-time': {
+    test: (value) => !Number.isNaN(Date.parse(value)),
+    message: 'must be a valid date'
+  },
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'must be a valid email address'
+  },
+  uri: {
+    test: (value) => /^https?:\/\/\S+$/.test(value),
+    message: 'must be an http or https address'
+  },
+  'time-zone': {
+    test: isValidTimeZone,
+    message: 'must be a valid time zone (e.g. Europe/Rome)'
+  },
+
+  // The statuses come from the .env file, so they can't be a fixed enum
+  'task-status': {
+    test: isWorkflowStatus,
+    message: 'must be one of the board statuses (see GET /api/tasks/board)'
+  },
+
+  // Files of a multipart form are read by multer (req.file), not from the text fields
+  binary: {
+    test: () => true,
+    message: ''
+  }
+};
+
+// Name of each type in the error messages
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object'
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Check the type of a value
+const hasType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+// Convert a text value to the type of its schema (query strings, path parameters, form fields)
+// Values that can't be converted are returned as they are and fail the type check
+const coerce = (value, schema) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      // Comma separated lists, e.g. 'priority=high,medium'
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+// Join the path of a nested field, e.g. 'recurrence' + 'interval' = 'recurrence.interval'
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+// ========================================
+// VALIDATION FUNCTIONS
+// ========================================
+
+// Check a value against a schema
+// Errors are added to 'errors' as { field, message }; 'convert' converts text values first
+const checkValue = (schema, rawValue, path, errors, convert) => {
+  const value = convert ? coerce(rawValue, schema) : rawValue;
+  const fail = (message) => errors.push({ field: path, message });
+
+  if (value === null) {
+    if (!schema.nullable && schema.type) {
+      fail('must not be null');
+    }
+    return;
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    fail(`must be ${TYPE_NAMES[schema.type]}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.filter(item => item !== null).join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    const text = schema['x-trim'] ? value.trim() : value;
+
+    if (schema.minLength !== undefined && text.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+    } else if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(text)) {
+      fail(schema['x-message'] || `must match ${schema.pattern}`);
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(text)) {
+      fail(FORMATS[schema.format].message);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    } else if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('must not have the same item twice');
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(schema.items, item, joinPath(path, index), errors, convert));
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    checkObject(schema, value, path, errors, convert);
+  }
+};
+
+// Check the fields of an object (a JSON body, the query string, the path parameters...)
+const checkObject = (schema, value, path, errors, convert) => {
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach(key => {
+    // Files are sent apart from the text fields of a form, the route checks them
+    const isFile = properties[key] && properties[key].format === 'binary';
+
+    if (!isFile && (value[key] === undefined || value[key] === '')) {
+      errors.push({ field: joinPath(path, key), message: 'is required' });
+    }
+  });
+
+  Object.keys(value).forEach(key => {
+    // An empty query parameter or form field (e.g. '?status=') counts as not sent
+    const isEmpty = value[key] === '' && (convert || (schema.required || []).includes(key));
+
+    if (value[key] === undefined || isEmpty) {
+      return;
+    }
+
+    if (properties[key]) {
+      checkValue(properties[key], value[key], joinPath(path, key), errors, convert);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ field: joinPath(path, key), message: 'is not an allowed field' });
+    } else if (typeof schema.additionalProperties === 'object') {
+      checkValue(schema.additionalProperties, value[key], joinPath(path, key), errors, convert);
+    }
+  });
+};
+
+// Check a value against a schema
+// Returns the list of errors ({ field, message }), empty when the value is valid
+const validateValue = (schema, value, { convert = false } = {}) => {
+  const errors = [];
+  checkValue(schema, value, '', errors, convert);
+  return errors;
+};
+
+// Check the parts of a request against the schema of its route (see apiSchemas.js)
+// Returns the list of errors ({ location, field, message }), empty when the request is valid
+const validateRequest = (route, req) => {
+  const parts = [
+    // [location, schema, value, convert text values]
+    ['params', route.params, req.params, true],
+    ['query', route.query, req.query, true],
+    ['body', route.body, req.body, false],
+    ['body', route.form, req.body, true]
+  ];
+
+  return parts
+    .filter(([, schema]) => schema)
+    .flatMap(([location, schema, value, convert]) => {
+      // A JSON body must be an object (express.json() leaves it undefined when nothing was sent)
+      return validateValue(schema, value === undefined ? {} : value, { convert })
+        .map(error => ({ location, field: error.field || location, message: error.message }));
+    });
+};
+
+// Express middleware that checks a request against its route schema
+// Invalid requests get 422 Unprocessable Entity with one error per field:
+// { success: false, message, error: 'title: must be at least 3 characters long', errors: [{ location, field, message }] }
+const createValidator = (route) => (req, res, next) => {
+  const errors = validateRequest(route, req);
+
+  if (errors.length === 0) {
+    return next();
+  }
+
+  res.status(422).json({
+    success: false,
+    message: 'Validation failed',
+    error: errors.map(error => `${error.field}: ${error.message}`).join('; '),
+    errors
+  });
+};
+
+// Export the validation helpers
+module.exports = {
+  FORMATS,
+  validateValue,
+  validateRequest,
+  createValidator
+};
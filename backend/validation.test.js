@@ -0,0 +1,196 @@
+// Unit tests for the request validation behind the 422 responses (run with 'npm test')
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Import the helpers under test
+const { validateValue, validateRequest, createValidator } = require('./validation');
+
+// ========================================
+// TEST SCHEMAS
+// ========================================
+
+// A list query string, like the ones of GET /api/tasks
+const listQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+    completed: { type: 'boolean' },
+    priority: { type: 'array', items: { type: 'string', enum: ['low', 'medium', 'high'] }, uniqueItems: true },
+    status: { type: 'string', enum: ['all', 'active', 'completed'] }
+  }
+};
+
+// A JSON body with nested objects and arrays, like the task body
+const taskBody = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    title: { type: 'string', minLength: 3, maxLength: 100, 'x-trim': true },
+    dueDate: { type: 'string', format: 'date-time', nullable: true },
+    recurrence: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        frequency: { type: 'string', enum: ['daily', 'weekly'] },
+        interval: { type: 'integer', minimum: 1 }
+      }
+    },
+    subtasks: {
+      type: 'array',
+      items: { type: 'object', required: ['title'], properties: { title: { type: 'string', minLength: 1 } } }
+    },
+    labels: { type: 'object', additionalProperties: { type: 'string', maxLength: 5 } }
+  }
+};
+
+// ========================================
+// TESTS
+// ========================================
+
+describe('validateValue', () => {
+
+  describe('converting text values', () => {
+
+    it('reads numbers, booleans and comma separated lists from query strings', () => {
+      const query = { limit: '20', completed: 'false', priority: 'high, medium', status: 'active' };
+      assert.deepEqual(validateValue(listQuery, query, { convert: true }), []);
+    });
+
+    it('refuses text that is not of the type', () => {
+      const errors = validateValue(listQuery, { limit: '2x', completed: 'yes' }, { convert: true });
+
+      assert.deepEqual(errors, [
+        { field: 'limit', message: 'must be an integer' },
+        { field: 'completed', message: 'must be true or false' }
+      ]);
+    });
+
+    it('checks the limits of converted values', () => {
+      assert.deepEqual(validateValue(listQuery, { limit: '0' }, { convert: true }), [
+        { field: 'limit', message: 'must be at least 1' }
+      ]);
+      assert.deepEqual(validateValue(listQuery, { limit: '1.5' }, { convert: true }), [
+        { field: 'limit', message: 'must be an integer' }
+      ]);
+    });
+
+    it('checks each item of a converted list', () => {
+      const errors = validateValue(listQuery, { priority: 'high,urgent,high' }, { convert: true });
+
+      assert.deepEqual(errors, [
+        { field: 'priority', message: 'must not have the same item twice' },
+        { field: 'priority.1', message: 'must be one of: low, medium, high' }
+      ]);
+    });
+
+    it('treats an empty query parameter as not sent', () => {
+      assert.deepEqual(validateValue(listQuery, { status: '' }, { convert: true }), []);
+    });
+
+    it('does not convert JSON bodies', () => {
+      assert.deepEqual(validateValue(listQuery, { limit: '20' }), [{ field: 'limit', message: 'must be an integer' }]);
+    });
+  });
+
+  describe('nested fields', () => {
+
+    it('names the path of nested errors', () => {
+      const errors = validateValue(taskBody, {
+        title: 'Write the report',
+        recurrence: { frequency: 'hourly', interval: 0 },
+        subtasks: [{ title: 'Outline' }, { title: '' }, {}],
+        labels: { team: 'marketing' }
+      });
+
+      assert.deepEqual(errors, [
+        { field: 'recurrence.frequency', message: 'must be one of: daily, weekly' },
+        { field: 'recurrence.interval', message: 'must be at least 1' },
+        { field: 'subtasks.1.title', message: 'is required' },
+        { field: 'subtasks.2.title', message: 'is required' },
+        { field: 'labels.team', message: 'must be at most 5 characters long' }
+      ]);
+    });
+
+    it('checks required fields and the trimmed length', () => {
+      assert.deepEqual(validateValue(taskBody, {}), [{ field: 'title', message: 'is required' }]);
+      assert.deepEqual(validateValue(taskBody, { title: '  ab  ' }), [
+        { field: 'title', message: 'must be at least 3 characters long' }
+      ]);
+    });
+
+    it('accepts null only where the schema allows it', () => {
+      assert.deepEqual(validateValue(taskBody, { title: 'Call Bob', dueDate: null }), []);
+      assert.deepEqual(validateValue(taskBody, { title: 'Call Bob', recurrence: null }), [
+        { field: 'recurrence', message: 'must not be null' }
+      ]);
+    });
+
+    it('checks formats', () => {
+      assert.deepEqual(validateValue(taskBody, { title: 'Call Bob', dueDate: 'next week' }), [
+        { field: 'dueDate', message: 'must be a valid date' }
+      ]);
+    });
+  });
+
+  describe('additionalProperties', () => {
+
+    it('refuses unknown fields when it is false', () => {
+      assert.deepEqual(validateValue(listQuery, { sort: 'title' }, { convert: true }), [
+        { field: 'sort', message: 'is not an allowed field' }
+      ]);
+      assert.deepEqual(validateValue(taskBody, { title: 'Call Bob', recurrence: { frequency: 'daily', until: 'x' } }), [
+        { field: 'recurrence.until', message: 'is not an allowed field' }
+      ]);
+    });
+
+    it('lets unknown fields through when it is left out', () => {
+      assert.deepEqual(validateValue(taskBody, { title: 'Call Bob', owner: 'someone' }), []);
+    });
+  });
+});
+
+describe('validateRequest', () => {
+  const route = { params: { type: 'object', properties: { id: { type: 'string', format: 'objectId' } } }, query: listQuery, body: taskBody };
+
+  it('reports the location of each error', () => {
+    const errors = validateRequest(route, { params: { id: '42' }, query: { limit: 'ten' }, body: undefined });
+
+    assert.deepEqual(errors, [
+      { location: 'params', field: 'id', message: 'must be a valid id' },
+      { location: 'query', field: 'limit', message: 'must be an integer' },
+      { location: 'body', field: 'title', message: 'is required' }
+    ]);
+  });
+
+  it('names the part itself when it has the wrong type', () => {
+    const errors = validateRequest({ body: taskBody }, { body: ['not', 'an', 'object'] });
+    assert.deepEqual(errors, [{ location: 'body', field: 'body', message: 'must be an object' }]);
+  });
+});
+
+describe('createValidator', () => {
+
+  // Run the middleware and return the response it sent (null when it called next())
+  const run = (route, req) => {
+    let sent = null;
+    const res = {
+      status: (statusCode) => ({ json: (body) => { sent = { statusCode, body }; } })
+    };
+    createValidator(route)(req, res, () => {});
+    return sent;
+  };
+
+  it('answers 422 with one error per field', () => {
+    const response = run({ body: taskBody }, { body: { title: 'ab', recurrence: { interval: 'x' } } });
+
+    assert.equal(response.statusCode, 422);
+    assert.equal(response.body.message, 'Validation failed');
+    assert.equal(response.body.error, 'title: must be at least 3 characters long; recurrence.interval: must be an integer');
+    assert.equal(response.body.errors.length, 2);
+  });
+
+  it('lets valid requests through', () => {
+    assert.equal(run({ body: taskBody }, { body: { title: 'Call Bob' } }), null);
+  });
+});
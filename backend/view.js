@@ -0,0 +1,91 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Import the allowed values of the filters and of the view settings
+const { STATUSES, PRIORITIES, DUE_FILTERS, TAG_MODES } = require('./taskQuery');
+const { VIEW_GROUPS, VIEW_COLUMNS, DEFAULT_COLUMNS, VIEW_SORT_FIELDS, MAX_UPDATED_WITHIN } = require('./viewQuery');
+
+// Filters of a view - the same as the query parameters of GET /api/tasks (see toListQuery in viewQuery.js)
+// Empty fields don't filter
+const filtersSchema = new mongoose.Schema({
+
+  // Search text (titles, descriptions and tags)
+  q: { type: String, trim: true, maxlength: 100 },
+
+  status: { type: String, enum: STATUSES },
+  priority: [{ type: String, enum: PRIORITIES }],
+
+  // Project id, or 'none' for the tasks without a project
+  project: { type: String, match: [/^([0-9a-fA-F]{24}|none)$/, "Project must be an id or 'none'"] },
+
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  tagMode: { type: String, enum: TAG_MODES },
+  due: { type: String, enum: DUE_FILTERS },
+
+  // Tasks changed in the last N days (counted again every time the view is shown)
+  updatedWithin: { type: Number, min: 1, max: MAX_UPDATED_WITHIN }
+
+}, { _id: false });
+
+// Create the schema for View documents - a named list of tasks the user comes back to
+// ("Bugs this week", "Waiting for review"...). Views can be shared with other users, who
+// see the tasks of their own that match it, and pinned to the sidebar (see 'pinnedViews' in user.js)
+const viewSchema = new mongoose.Schema({
+
+  // Name shown in the sidebar
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [50, 'View name cannot exceed 50 characters']
+  },
+
+  filters: {
+    type: filtersSchema,
+    default: () => ({})
+  },
+
+  // Sort field and direction (see SORT_FIELDS in taskQuery.js)
+  sort: {
+    type: String,
+    enum: VIEW_SORT_FIELDS,
+    default: 'createdAt'
+  },
+  order: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  },
+
+  // How the tasks are grouped, and the fields shown for each task
+  groupBy: {
+    type: String,
+    enum: VIEW_GROUPS,
+    default: 'none'
+  },
+  columns: {
+    type: [{ type: String, enum: VIEW_COLUMNS }],
+    default: () => [...DEFAULT_COLUMNS]
+  },
+
+  // The user who created the view - only they can change or delete it
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Users the view is shared with
+  sharedWith: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    index: true
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// Create and export the View model - MongoDB will create a 'views' collection
+module.exports = mongoose.model('View', viewSchema);
@@ -0,0 +1,186 @@
+// Import our models to match the projects and tags of shared views
+const Project = require('./project');
+const Tag = require('./tag');
+
+// Import the allowed values of the task list query
+const { SORT_FIELDS } = require('./taskQuery');
+
+// ========================================
+// VIEW SETTINGS
+// ========================================
+
+// A saved view is a named task list query (filters + sort) with the way the list is shown
+// (grouping and visible columns). Its tasks are found with the same query engine as GET /api/tasks:
+// the view is turned into the query parameters of the list (see toListQuery) and goes through
+// buildTaskFilter, buildPageOptions and findTaskPage like any other list.
+
+// How the tasks of a view can be grouped
+const VIEW_GROUPS = ['none', 'project', 'priority', 'status', 'due'];
+
+// Fields that can be shown for each task of a view
+const VIEW_COLUMNS = ['priority', 'project', 'tags', 'dueDate', 'status', 'subtasks', 'createdAt', 'updatedAt'];
+
+// Columns shown when a view doesn't choose them
+const DEFAULT_COLUMNS = ['priority', 'project', 'dueDate'];
+
+// Fields a view can sort by (the trash date is only for the trash)
+const VIEW_SORT_FIELDS = Object.keys(SORT_FIELDS).filter(field => field !== 'deletedAt');
+
+// A user can create at most this many views, and share each one with at most this many users
+const MAX_VIEWS = 50;
+const MAX_VIEW_SHARES = 20;
+
+// Longest period of the 'updatedWithin' filter (days)
+const MAX_UPDATED_WITHIN = 365;
+
+// Milliseconds in a minute and in a day
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// ========================================
+// BUILT-IN VIEWS
+// ========================================
+
+// Smart lists every user has - they can be pinned like saved views but not changed
+// Their ids are fixed names instead of database ids
+const BUILT_IN_VIEWS = [
+  {
+    _id: 'today',
+    name: 'Today',
+    filters: { status: 'active', due: 'today' },
+    sort: 'dueDate',
+    order: 'asc',
+    groupBy: 'none',
+    columns: ['priority', 'project', 'dueDate']
+  },
+  {
+    _id: 'overdue',
+    name: 'Overdue',
+    filters: { due: 'overdue' },
+    sort: 'dueDate',
+    order: 'asc',
+    groupBy: 'project',
+    columns: ['priority', 'dueDate']
+  },
+  {
+    _id: 'high-priority',
+    name: 'High priority',
+    filters: { status: 'active', priority: ['high'] },
+    sort: 'dueDate',
+    order: 'asc',
+    groupBy: 'project',
+    columns: ['project', 'dueDate', 'status']
+  },
+  {
+    _id: 'recently-completed',
+    name: 'Recently completed',
+    filters: { status: 'completed', updatedWithin: 7 },
+    sort: 'updatedAt',
+    order: 'desc',
+    groupBy: 'none',
+    columns: ['project', 'updatedAt']
+  }
+].map(view => ({ ...view, builtIn: true }));
+
+// Ids of the built-in views
+const BUILT_IN_IDS = BUILT_IN_VIEWS.map(view => view._id);
+
+// Built-in views pinned to the sidebar of a new user
+const DEFAULT_PINNED_VIEWS = ['today', 'overdue'];
+
+// Find a built-in view by id (undefined for the ids of saved views)
+const getBuiltInView = (id) => BUILT_IN_VIEWS.find(view => view._id === id);
+
+// ========================================
+// VIEW QUERY
+// ========================================
+
+// Turn the filters and sort of a view into the query parameters of GET /api/tasks
+// 'updatedWithin' (days) becomes 'updatedFrom', counted back from 'now' every time the view is shown
+// (from the start of the minute, so the query stays the same when it is asked again right away)
+// 'tz' is the time zone of the 'today' and 'week' due filters
+const toListQuery = (view, { tz, now = new Date() } = {}) => {
+  const filters = view.filters || {};
+  const query = {};
+
+  ['q', 'status', 'project', 'due'].forEach(field => {
+    if (filters[field]) {
+      query[field] = String(filters[field]);
+    }
+  });
+
+  if (filters.priority && filters.priority.length > 0) {
+    query.priority = filters.priority.join(',');
+  }
+
+  if (filters.tags && filters.tags.length > 0) {
+    query.tags = filters.tags.map(String).join(',');
+    query.tagMode = filters.tagMode || 'any';
+  }
+
+  if (filters.updatedWithin) {
+    const minute = Math.floor(now.getTime() / MINUTE) * MINUTE;
+    query.updatedFrom = new Date(minute - filters.updatedWithin * DAY).toISOString();
+  }
+
+  if (tz) {
+    query.tz = tz;
+  }
+
+  // Best matches first only makes sense with a search text
+  query.sort = view.sort === 'relevance' && !query.q ? 'createdAt' : view.sort || 'createdAt';
+  query.order = view.order || 'desc';
+
+  return query;
+};
+
+// Match the project and tags of a view shared by another user with the viewer's own ones
+// Every user has their own projects and tags, so a shared view filters on the viewer's project
+// and tags with the same names. Without one the filter keeps the owner's id, which matches no task of the viewer.
+// Returns the filters to use for the viewer
+const getViewerFilters = async (view, userId) => {
+  const filters = view.filters ? { ...(view.filters.toObject ? view.filters.toObject() : view.filters) } : {};
+  const ownerId = view.owner && view.owner._id ? view.owner._id : view.owner;
+
+  if (view.builtIn || !ownerId || String(ownerId) === String(userId)) {
+    return filters;
+  }
+
+  const names = { locale: 'en', strength: 2 };
+
+  if (filters.project && filters.project !== 'none') {
+    const project = await Project.findById(filters.project).select('name');
+    const own = project && await Project.findOne({ owner: userId, name: project.name }).collation(names).select('_id');
+    if (own) {
+      filters.project = String(own._id);
+    }
+  }
+
+  if (filters.tags && filters.tags.length > 0) {
+    const tags = await Tag.find({ _id: { $in: filters.tags } }).select('name');
+    const own = await Tag.find({ owner: userId, name: { $in: tags.map(tag => tag.name) } }).collation(names);
+    const ownByName = new Map(own.map(tag => [tag.name.toLowerCase(), tag._id]));
+    const nameById = new Map(tags.map(tag => [String(tag._id), tag.name.toLowerCase()]));
+
+    filters.tags = filters.tags.map(id => ownByName.get(nameById.get(String(id))) || id);
+  }
+
+  return filters;
+};
+
+// Export the view settings and helpers
+module.exports = {
+  VIEW_GROUPS,
+  VIEW_COLUMNS,
+  DEFAULT_COLUMNS,
+  VIEW_SORT_FIELDS,
+  MAX_VIEWS,
+  MAX_VIEW_SHARES,
+  MAX_UPDATED_WITHIN,
+  BUILT_IN_VIEWS,
+  BUILT_IN_IDS,
+  DEFAULT_PINNED_VIEWS,
+  getBuiltInView,
+  toListQuery,
+  getViewerFilters
+};
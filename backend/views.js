@@ -0,0 +1,426 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import our models
+const View = require('./view');
+const User = require('./user');
+
+// Import the query helpers shared with the task routes - views use the same query engine
+const { badRequest, buildTaskFilter, buildPageOptions, findTaskPage } = require('./taskQuery');
+
+// Import the helpers that highlight the search terms in the results
+const { addSnippets } = require('./search');
+
+// Import the view helpers and the built-in views
+const { BUILT_IN_VIEWS, MAX_VIEWS, getBuiltInView, toListQuery, getViewerFilters } = require('./viewQuery');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - this will handle all view-related routes
+const router = express.Router();
+
+// Every view route requires a logged in user
+router.use(protect);
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Fields of the owner shown with a view, and of the users it is shared with
+// (only the email the owner typed: sharing must not tell who has an account under which name)
+const USER_FIELDS = 'name email';
+const SHARED_USER_FIELDS = 'email';
+
+// Views the logged in user can see: their own and the ones shared with them
+const visibleTo = (req) => ({ $or: [{ owner: req.user._id }, { sharedWith: req.user._id }] });
+
+// Find a view the logged in user can see - built-in views are found by name
+// Returns null when it doesn't exist or isn't theirs
+const findView = (req) => {
+  const builtIn = getBuiltInView(req.params.id);
+
+  if (builtIn) {
+    return Promise.resolve(builtIn);
+  }
+
+  return View.findOne({ _id: req.params.id, ...visibleTo(req) })
+    .populate('owner', USER_FIELDS)
+    .populate('sharedWith', SHARED_USER_FIELDS);
+};
+
+// Check if the logged in user created a view
+const isOwner = (view, req) => !view.builtIn && String(view.owner._id || view.owner) === String(req.user._id);
+
+// Ids of the views pinned to the user's sidebar, in sidebar order
+const getPinnedViews = async (userId) => {
+  const user = await User.findById(userId).select('+pinnedViews');
+  return user ? user.pinnedViews : [];
+};
+
+// Send a view as the client shows it: with its list query for this user (the parameters of
+// GET /api/tasks it stands for) and if it is pinned. Only the owner sees who the view is shared with
+const toViewResponse = async (view, req, pinnedViews) => {
+  const data = view.builtIn ? { ...view } : view.toObject();
+  const owner = isOwner(view, req);
+  const filters = await getViewerFilters(view, req.user._id);
+
+  return {
+    ...data,
+    isOwner: owner,
+    owner: view.builtIn ? null : data.owner,
+    sharedWith: owner ? data.sharedWith : [],
+    query: toListQuery({ ...data, filters }, { tz: req.query.tz }),
+    pinned: pinnedViews.includes(String(view._id))
+  };
+};
+
+// Turn the emails of the 'sharedWith' field into user ids; the owner's own email is left out
+// Throws a 400 error when some emails have no account - the error doesn't say which ones,
+// so sharing can't be used to find out if an email is registered
+const getSharedUsers = async (emails, req) => {
+  const wanted = [...new Set(emails.map(email => String(email).trim().toLowerCase()))];
+  const users = await User.find({ email: { $in: wanted } }).select('_id email');
+
+  if (users.length < wanted.length) {
+    throw badRequest('Could not share the view with some of the recipients');
+  }
+
+  return users.filter(user => !user._id.equals(req.user._id)).map(user => user._id);
+};
+
+// Only these fields can be set by the client ('sharedWith' is read by getSharedUsers)
+const getViewFields = (body) => {
+  const fields = {};
+  ['name', 'filters', 'sort', 'order', 'groupBy', 'columns'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Remove a view from the sidebar of some users (or of every user when 'userIds' is left out)
+const unpinView = (viewId, userIds = null) => {
+  const filter = userIds ? { _id: { $in: userIds } } : { pinnedViews: String(viewId) };
+  return User.updateMany(filter, { $pull: { pinnedViews: String(viewId) } });
+};
+
+// ========================================
+// GET /api/views - Retrieve the views of the user
+// ========================================
+// Built-in views first, then the user's views and the views shared with them (oldest first)
+// 'pinned' lists the pinned views in sidebar order
+// Query parameter 'tz' is the time zone of the 'today' and 'week' filters in the list queries
+router.get('/', validate('listViews'), async (req, res) => {
+
+  try {
+
+    const [views, pinnedViews] = await Promise.all([
+      View.find(visibleTo(req))
+        .populate('owner', USER_FIELDS)
+        .populate('sharedWith', SHARED_USER_FIELDS)
+        .sort({ createdAt: 1 }),
+      getPinnedViews(req.user._id)
+    ]);
+
+    const data = await Promise.all([...BUILT_IN_VIEWS, ...views].map(view => toViewResponse(view, req, pinnedViews)));
+
+    // Views deleted (or no longer shared) since they were pinned are left out
+    const ids = new Set(data.map(view => String(view._id)));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      pinned: pinnedViews.filter(id => ids.has(id)),
+      data
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/views - Save a view
+// ========================================
+// Body: { name, filters: { status, priority, project, tags, tagMode, due, q, updatedWithin },
+//         sort, order, groupBy, columns, sharedWith: [email, ...] }
+router.post('/', validate('createView'), async (req, res) => {
+
+  try {
+
+    const count = await View.countDocuments({ owner: req.user._id });
+
+    if (count >= MAX_VIEWS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error saving view',
+        error: `You can have at most ${MAX_VIEWS} views`
+      });
+    }
+
+    const sharedWith = req.body.sharedWith ? await getSharedUsers(req.body.sharedWith, req) : [];
+
+    const view = await View.create({
+      ...getViewFields(req.body),
+      sharedWith,
+      owner: req.user._id
+    });
+
+    await view.populate([{ path: 'owner', select: USER_FIELDS }, { path: 'sharedWith', select: SHARED_USER_FIELDS }]);
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      data: await toViewResponse(view, req, await getPinnedViews(req.user._id))
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error saving view',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/views/:id - Retrieve single view
+// ========================================
+router.get('/:id', validate('getView'), async (req, res) => {
+
+  try {
+
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await toViewResponse(view, req, await getPinnedViews(req.user._id))
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid view ID',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PUT /api/views/:id - Update existing view
+// ========================================
+// Body: any of the fields of POST /api/views - 'filters' and 'sharedWith' replace the previous ones
+// Only the owner can change a view; users no longer in 'sharedWith' lose it from their sidebar
+router.put('/:id', validate('updateView'), async (req, res) => {
+
+  try {
+
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    if (!isOwner(view, req)) {
+      return res.status(403).json({
+        success: false,
+        message: view.builtIn ? 'Built-in views can\'t be changed' : 'Only the owner can change a view'
+      });
+    }
+
+    view.set(getViewFields(req.body));
+
+    let removedUsers = [];
+    if (req.body.sharedWith !== undefined) {
+      const sharedWith = await getSharedUsers(req.body.sharedWith, req);
+      const kept = new Set(sharedWith.map(String));
+      removedUsers = view.sharedWith.map(user => user._id).filter(id => !kept.has(String(id)));
+      view.sharedWith = sharedWith;
+    }
+
+    await view.save();
+    await view.populate([{ path: 'owner', select: USER_FIELDS }, { path: 'sharedWith', select: SHARED_USER_FIELDS }]);
+
+    if (removedUsers.length > 0) {
+      await unpinView(view._id, removedUsers);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'View updated successfully',
+      data: await toViewResponse(view, req, await getPinnedViews(req.user._id))
+    });
+
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error updating view',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// DELETE /api/views/:id - Delete view
+// ========================================
+// The owner deletes the view for everyone; a user it is shared with only removes it from their list
+router.delete('/:id', validate('deleteView'), async (req, res) => {
+
+  try {
+
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    if (view.builtIn) {
+      return res.status(403).json({
+        success: false,
+        message: 'Built-in views can\'t be deleted - unpin them instead'
+      });
+    }
+
+    if (isOwner(view, req)) {
+      await view.deleteOne();
+      await unpinView(view._id);
+    } else {
+      await View.updateOne({ _id: view._id }, { $pull: { sharedWith: req.user._id } });
+      await unpinView(view._id, [req.user._id]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: isOwner(view, req) ? 'View deleted successfully' : 'View removed from your list',
+      data: {}
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting view',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PUT /api/views/:id/pin - Pin view to the sidebar, or unpin it
+// ========================================
+// Body: { pinned: true|false } - a pinned view goes to the bottom of the sidebar
+// Every user pins views for themselves, also the views shared with them
+router.put('/:id/pin', validate('pinView'), async (req, res) => {
+
+  try {
+
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    // Changed on the document (not with $addToSet) so users saved before views existed
+    // keep the default pins, which aren't stored for them yet
+    const user = await User.findById(req.user._id).select('+pinnedViews');
+    const id = String(view._id);
+    const others = user.pinnedViews.filter(pinnedId => pinnedId !== id);
+
+    user.pinnedViews = req.body.pinned === true ? [...others, id] : others;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: req.body.pinned === true ? 'View pinned' : 'View unpinned',
+      data: user.pinnedViews
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error pinning view',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/views/:id/tasks - Retrieve a page of the tasks of a view
+// ========================================
+// The view is turned into the query of GET /api/tasks and evaluated here, with the same filters,
+// sort and pages (query parameters 'limit' and 'cursor'). A shared view shows the user's own tasks.
+// 'query' in the response is the list query that was used
+router.get('/:id/tasks', validate('listViewTasks'), async (req, res) => {
+
+  try {
+
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    const data = view.builtIn ? view : view.toObject();
+    const filters = await getViewerFilters(view, req.user._id);
+    const query = toListQuery({ ...data, filters }, { tz: req.query.tz });
+    const search = query.q || null;
+
+    // The owner condition makes sure users only see their own tasks
+    const filter = { ...buildTaskFilter(query), owner: req.user._id };
+    const pageOptions = buildPageOptions({
+      ...query,
+      ...(req.query.limit !== undefined && { limit: req.query.limit }),
+      ...(req.query.cursor && { cursor: req.query.cursor })
+    });
+
+    const { tasks, total, nextCursor } = await findTaskPage(filter, pageOptions, search);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      total,
+      nextCursor,
+      query,
+      data: search ? tasks.map(task => addSnippets(task, search)) : tasks
+    });
+
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 400 ? 'Invalid view or query parameters' : 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// Export the router so it can be used in server.js
+module.exports = router;
@@ -0,0 +1,90 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Import the task events a webhook can subscribe to
+const { WEBHOOK_EVENTS } = require('./webhookEvents');
+
+// Create the schema for Webhook documents - an address that receives the user's task events
+// Every event is sent as a signed JSON POST request (see webhookSender.js)
+const webhookSchema = new mongoose.Schema({
+
+  // The user who owns the webhook - it only receives this user's events
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Address the events are POSTed to
+  // Only the scheme is checked here - the routes and every attempt also check that the host
+  // is a public address (see webhookTargets.js)
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot exceed 2000 characters'],
+    validate: {
+      validator: (value) => {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch {
+          return false;
+        }
+      },
+      message: 'Webhook URL must be an http or https address'
+    }
+  },
+
+  // Short note to tell the webhooks apart, e.g. "Chat bot"
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description cannot exceed 100 characters'],
+    default: ''
+  },
+
+  // Events sent to this webhook - at least one
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Choose at least one event'
+    }
+  },
+
+  // Key of the HMAC signature of every request, so the receiver can check the sender
+  // It is kept in clear (it is needed to sign) and only returned when it is created
+  secret: {
+    type: String,
+    required: true,
+    minlength: [16, 'Webhook secret must be at least 16 characters'],
+    select: false
+  },
+
+  // Paused webhooks receive nothing (deliveries already waiting for a retry are dropped)
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Outcome of the last delivery, shown in the webhook list
+  lastDelivery: {
+    type: new mongoose.Schema({
+      at: Date,
+      status: String,
+      responseStatus: Number
+    }, { _id: false }),
+    default: null
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// Events are sent to the active webhooks of a user subscribed to them
+webhookSchema.index({ owner: 1, active: 1, events: 1 });
+
+// Create and export the Webhook model - MongoDB will create a 'webhooks' collection
+module.exports = mongoose.model('Webhook', webhookSchema);
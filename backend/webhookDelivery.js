@@ -0,0 +1,102 @@
+// Import mongoose library to create schemas and models for MongoDB
+const mongoose = require('mongoose');
+
+// Delivery log entries are removed automatically after this many days
+const DELIVERY_LOG_DAYS = 30;
+
+// One attempt to send a delivery, e.g. { at, responseStatus: 502, error: '', duration: 130 }
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+
+  // HTTP status code of the response (null when no response arrived: timeout, refused connection...)
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+
+  // Why the request failed (the response body is never kept, only its status code)
+  error: {
+    type: String,
+    default: ''
+  },
+
+  // Time until the response, in milliseconds
+  duration: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Create the schema for WebhookDelivery documents - one event sent (or to be sent) to one webhook
+// Deliveries are written by webhookSender.js and form the delivery log of a webhook
+const webhookDeliverySchema = new mongoose.Schema({
+
+  // The webhook that receives the event, and its owner
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Event name, e.g. 'task.completed', and its data (the 'data' of the request body)
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // pending: waiting for its first attempt or a retry
+  // succeeded: the webhook answered with a 2xx status
+  // failed: every attempt failed (or the webhook was paused or deleted meanwhile)
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+
+  // Test events are sent once, without retries
+  test: {
+    type: Boolean,
+    default: false
+  },
+
+  // Every attempt so far, oldest first
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+
+  // When the next attempt is due (null once the delivery succeeded or failed)
+  // While an attempt is running this is pushed forward, so no other run sends it at the same time
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  // Automatically add 'createdAt' and 'updatedAt' timestamps
+  timestamps: true
+});
+
+// The delivery log of a webhook is read newest first
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// The retry job looks for the pending deliveries that are due
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// MongoDB deletes old log entries by itself (TTL index)
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_DAYS * 24 * 60 * 60 });
+
+// Create and export the WebhookDelivery model - MongoDB will create a 'webhookdeliveries' collection
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,87 @@
+// Import Node's crypto module to sign the webhook requests
+const crypto = require('crypto');
+
+// ========================================
+// WEBHOOK EVENTS
+// ========================================
+
+// Task events a webhook can subscribe to:
+//   task.created   - a task was created (also by an import or a repeating task)
+//   task.updated   - any change to a task, including the ones below
+//   task.completed - a task was marked as completed
+//   task.reopened  - a completed task was marked as not completed
+//   task.deleted   - a task was moved to the trash
+//   task.restored  - a task was restored from the trash
+const WEBHOOK_EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.completed',
+  'task.reopened',
+  'task.deleted',
+  'task.restored'
+];
+
+// Event of the "send test event" button - sent to one webhook, whatever its events
+const TEST_EVENT = 'webhook.test';
+
+// Header with the signature of a request
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Get the webhook events of a task change recorded in the history (see history.js)
+// 'action' is the history action and 'changes' its list of changed fields
+const getTaskWebhookEvents = (action, changes = []) => {
+  switch (action) {
+    case 'created':
+      return ['task.created'];
+
+    case 'deleted':
+      return ['task.deleted'];
+
+    case 'restored':
+      return ['task.restored'];
+
+    case 'updated':
+    case 'reverted': {
+      const completed = changes.find(change => change.field === 'completed');
+
+      // A revert to the current version changes nothing
+      if (changes.length === 0) {
+        return [];
+      }
+      if (!completed) {
+        return ['task.updated'];
+      }
+      return ['task.updated', completed.to ? 'task.completed' : 'task.reopened'];
+    }
+
+    default:
+      return [];
+  }
+};
+
+// Sign the body of a request with the webhook secret
+// The header looks like 't=1767225600,v1=5257a869...': 't' is the time of the attempt (Unix seconds)
+// and 'v1' the hex HMAC-SHA256 of '<t>.<body>'. The receiver computes the same HMAC with its copy
+// of the secret, compares it in constant time and rejects old timestamps, so a request that was
+// captured can't be replayed later
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Create the secret of a new webhook
+const createWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Export the webhook event helpers
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  SIGNATURE_HEADER,
+  getTaskWebhookEvents,
+  signPayload,
+  createWebhookSecret
+};
@@ -0,0 +1,275 @@
+// Import Node's HTTP clients to send the webhook requests
+const http = require('http');
+const https = require('https');
+
+// Import our models
+const Webhook = require('./webhook');
+const WebhookDelivery = require('./webhookDelivery');
+
+// Import the webhook event helpers
+const { TEST_EVENT, SIGNATURE_HEADER, getTaskWebhookEvents, signPayload } = require('./webhookEvents');
+
+// Import the checks that keep webhooks away from the server's own network
+const { checkWebhookUrl, lookupPublicAddress } = require('./webhookTargets');
+
+// ========================================
+// DELIVERY SETTINGS
+// ========================================
+
+// A delivery is tried at most this many times
+// Failed attempts are retried with exponential backoff: 1, 2, 4, 8, 16, 32 and 64 minutes later
+// (about two hours in total), so a receiver that is down for a while still gets every event
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 60 * 1000;
+
+// A webhook has this long to answer (milliseconds)
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// How long a running attempt keeps its delivery - if the server stops during the attempt,
+// the retry job sends the delivery again after this time
+const ATTEMPT_LEASE = 2 * 60 * 1000;
+
+// How often the retry job looks for due deliveries, and how many it sends per run
+const RETRY_INTERVAL = 15 * 1000;
+const RETRY_BATCH_SIZE = 20;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Delay before the next attempt, after 'attemptCount' failed attempts
+const getRetryDelay = (attemptCount) => RETRY_BASE_DELAY * 2 ** (attemptCount - 1);
+
+// Build the JSON body of a delivery
+// 'id' is the same for every attempt, so the receiver can ignore an event it already handled
+const buildBody = (delivery) => JSON.stringify({
+  id: String(delivery._id),
+  event: delivery.event,
+  createdAt: delivery.createdAt,
+  data: delivery.payload
+});
+
+// POST a body to a webhook URL and resolve with the status code of the response
+// The connection only goes to public addresses (see lookupPublicAddress), a redirect is reported
+// as a failed attempt instead of being followed, and the response body is never read:
+// only the status code is kept, so the delivery log can't be used to read internal pages
+const postToUrl = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: lookupPublicAddress
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  // The whole request (including a slow response) has REQUEST_TIMEOUT
+  const timer = setTimeout(() => {
+    request.destroy(new Error(`No response within ${REQUEST_TIMEOUT / 1000} seconds`));
+  }, REQUEST_TIMEOUT);
+
+  request.on('close', () => clearTimeout(timer));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// POST a delivery to its webhook once
+// Returns the attempt for the delivery log - a request that fails is an attempt too
+const postDelivery = async (delivery, webhook) => {
+  const body = buildBody(delivery);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt), responseStatus: null, error: '', duration: 0 };
+
+  try {
+    // Checked before every attempt, not only when the webhook was saved: the host may point elsewhere now
+    await checkWebhookUrl(webhook.url);
+
+    attempt.responseStatus = await postToUrl(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TaskManager-Webhooks/1.0',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery._id),
+      'X-Webhook-Attempt': String(delivery.attempts.length + 1),
+      [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+    }, body);
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.duration = Date.now() - startedAt;
+  return attempt;
+};
+
+// Make one attempt of a delivery and record it
+// The delivery must already be claimed (its nextAttemptAt pushed forward, see ATTEMPT_LEASE)
+// Returns the updated delivery
+const attemptDelivery = async (delivery, webhook) => {
+  const attempt = await postDelivery(delivery, webhook);
+  const succeeded = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+
+  delivery.attempts.push(attempt);
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.test || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts.length));
+  }
+
+  await delivery.save();
+
+  // Outcome of the last attempt, shown in the webhook list
+  await Webhook.updateOne({ _id: webhook._id }, {
+    $set: { lastDelivery: { at: attempt.at, status: delivery.status, responseStatus: attempt.responseStatus } }
+  });
+
+  return delivery;
+};
+
+// Create the deliveries of an event for some webhooks and send them right away
+// They are created claimed, so the retry job only takes them over if the first attempt never finishes
+const createDeliveries = async (webhooks, event, payload, extra = {}) => {
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    owner: webhook.owner,
+    event,
+    payload,
+    nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE),
+    ...extra
+  })));
+
+  return deliveries.map((delivery, index) => ({ delivery, webhook: webhooks[index] }));
+};
+
+// ========================================
+// SEND FUNCTIONS
+// ========================================
+
+// Send the webhook events of a task change to the owner's webhooks
+// Called by recordHistory() for every recorded change - 'action' and 'changes' are the history entry's
+// It doesn't wait for the webhooks to answer, and errors are only logged: the change itself already succeeded
+const sendTaskWebhooks = async (action, changes, task) => {
+  try {
+    const events = getTaskWebhookEvents(action, changes);
+    if (events.length === 0) {
+      return;
+    }
+
+    const webhooks = await Webhook.find({ owner: task.owner, active: true, events: { $in: events } }).select('+secret');
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    // The task as the API returns it, and the changed fields (from/to)
+    const taskData = JSON.parse(JSON.stringify(task));
+
+    // One delivery for every event a webhook is subscribed to
+    for (const event of events) {
+      const subscribed = webhooks.filter(webhook => webhook.events.includes(event));
+
+      if (subscribed.length > 0) {
+        const created = await createDeliveries(subscribed, event, { task: taskData, changes });
+
+        created.forEach(({ delivery, webhook }) => {
+          attemptDelivery(delivery, webhook).catch(error => {
+            console.error('Webhook delivery failed:', error.message);
+          });
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Failed to send task webhooks:', error.message);
+  }
+};
+
+// Send a test event to one webhook and wait for its answer (a single attempt, no retries)
+// 'webhook' must include its secret
+// Returns the delivery with the attempt
+const sendTestWebhook = async (webhook, user) => {
+  const [{ delivery }] = await createDeliveries([webhook], TEST_EVENT, {
+    message: 'This is a test event from Task Manager',
+    webhook: { id: String(webhook._id), description: webhook.description },
+    sentBy: user.name
+  }, { test: true });
+
+  return attemptDelivery(delivery, webhook);
+};
+
+// ========================================
+// RETRY JOB
+// ========================================
+
+// Send the pending deliveries whose next attempt is due
+// Each delivery is claimed first, so two servers (or two runs) never send the same attempt
+// Returns the number of attempts made
+const retryDueDeliveries = async (now = new Date()) => {
+  let count = 0;
+
+  while (count < RETRY_BATCH_SIZE) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!delivery) {
+      break;
+    }
+
+    // Deliveries of a webhook that was paused or deleted meanwhile are not sent
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+    if (!webhook || !webhook.active) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      await delivery.save();
+    } else {
+      await attemptDelivery(delivery, webhook);
+    }
+
+    count += 1;
+  }
+
+  return count;
+};
+
+// Run the retry job every RETRY_INTERVAL
+// Errors are only logged: the next run will try again
+const startWebhookRetries = () => {
+  let running = false;
+
+  const run = async () => {
+    // A slow run (webhooks that time out) must not overlap with the next one
+    if (running) {
+      return;
+    }
+
+    try {
+      running = true;
+      await retryDueDeliveries();
+    } catch (error) {
+      console.error('Webhook retries failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  // unref() lets the process exit even if the timer is still scheduled
+  setInterval(run, RETRY_INTERVAL).unref();
+};
+
+// Export the webhook sending helpers
+module.exports = {
+  MAX_ATTEMPTS,
+  getRetryDelay,
+  sendTaskWebhooks,
+  sendTestWebhook,
+  retryDueDeliveries,
+  startWebhookRetries
+};
@@ -0,0 +1,191 @@
+// Unit tests for the webhook deliveries (run with 'npm test')
+// No database is needed: the Webhook and WebhookDelivery queries are replaced by fakes.
+// The webhooks are sent to a receiver started by the tests on 127.0.0.1 (let through with WEBHOOK_ALLOWED_HOSTS)
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// Import mongoose to build the ids
+const mongoose = require('mongoose');
+
+// Import the models to replace their query methods
+const Webhook = require('./webhook');
+const WebhookDelivery = require('./webhookDelivery');
+
+// Import the helpers under test
+const { MAX_ATTEMPTS, getRetryDelay, sendTestWebhook, retryDueDeliveries } = require('./webhookSender');
+const { SIGNATURE_HEADER } = require('./webhookEvents');
+
+// ========================================
+// TEST RECEIVER
+// ========================================
+
+// The requests received, and the status code of the next answers
+const received = [];
+let answerStatus = 200;
+
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(answerStatus);
+    res.end('receiver page');
+  });
+});
+
+// ========================================
+// TESTS
+// ========================================
+
+describe('webhook deliveries', () => {
+  const { insertMany, findOneAndUpdate } = WebhookDelivery;
+  const { save } = WebhookDelivery.prototype;
+  const { updateOne, findById } = Webhook;
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Ada' };
+  let webhook;
+  let webhookUpdates;
+
+  before(async () => {
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  });
+
+  after(() => {
+    receiver.close();
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+  });
+
+  // Fake the queries: deliveries are only kept in memory, webhook updates are remembered
+  beforeEach(() => {
+    received.length = 0;
+    answerStatus = 200;
+    webhookUpdates = [];
+
+    webhook = new Webhook({
+      owner: user._id,
+      url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+      events: ['task.created'],
+      secret: 'whsec_test'
+    });
+
+    WebhookDelivery.insertMany = async (entries) => entries.map(entry => new WebhookDelivery(entry));
+    WebhookDelivery.prototype.save = async function () {
+      return this;
+    };
+    Webhook.updateOne = async (filter, update) => {
+      webhookUpdates.push(update);
+      return { modifiedCount: 1 };
+    };
+  });
+
+  // Put the real queries back after each test
+  afterEach(() => {
+    WebhookDelivery.insertMany = insertMany;
+    WebhookDelivery.findOneAndUpdate = findOneAndUpdate;
+    WebhookDelivery.prototype.save = save;
+    Webhook.updateOne = updateOne;
+    Webhook.findById = findById;
+  });
+
+  // Answer the retry job with 'delivery' once, then with nothing
+  const fakeDueDelivery = (delivery) => {
+    const pending = [delivery];
+    WebhookDelivery.findOneAndUpdate = async () => pending.shift() || null;
+    Webhook.findById = () => ({ select: async () => webhook });
+  };
+
+  it('signs the body with the webhook secret', async () => {
+    const delivery = await sendTestWebhook(webhook, user);
+    const [request] = received;
+
+    assert.equal(request.headers['x-webhook-event'], 'webhook.test');
+    assert.equal(request.headers['x-webhook-delivery'], String(delivery._id));
+
+    // 't=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">'
+    const [, timestamp, signature] = request.headers[SIGNATURE_HEADER.toLowerCase()].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(signature, expected);
+
+    assert.equal(JSON.parse(request.body).id, String(delivery._id));
+  });
+
+  it('records each attempt in the delivery log', async () => {
+    const delivery = await sendTestWebhook(webhook, user);
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts.length, 1);
+
+    const [attempt] = delivery.attempts;
+    assert.equal(attempt.responseStatus, 200);
+    assert.equal(attempt.error, '');
+    assert.ok(attempt.duration >= 0);
+
+    // The response body is never kept
+    assert.equal(attempt.responseBody, undefined);
+
+    assert.deepEqual(webhookUpdates[0].$set.lastDelivery, { at: attempt.at, status: 'succeeded', responseStatus: 200 });
+  });
+
+  it('records a request that fails as an attempt', async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+    try {
+      const delivery = await sendTestWebhook(webhook, user);
+
+      assert.equal(received.length, 0);
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts[0].responseStatus, null);
+      assert.match(delivery.attempts[0].error, /public address/);
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    }
+  });
+
+  it('waits twice as long before each retry', () => {
+    assert.deepEqual([1, 2, 3, 7].map(getRetryDelay), [60000, 120000, 240000, 3840000]);
+  });
+
+  it('retries a failed delivery later', async () => {
+    answerStatus = 500;
+    const delivery = new WebhookDelivery({ webhook: webhook._id, owner: user._id, event: 'task.created', payload: {} });
+    fakeDueDelivery(delivery);
+
+    const startedAt = Date.now();
+    assert.equal(await retryDueDeliveries(), 1);
+
+    assert.equal(received[0].headers['x-webhook-attempt'], '1');
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts[0].responseStatus, 500);
+
+    const delay = delivery.nextAttemptAt.getTime() - startedAt;
+    assert.ok(delay >= getRetryDelay(1) && delay < getRetryDelay(1) + 5000, `retry in ${delay} ms`);
+  });
+
+  it('gives up after the last attempt', async () => {
+    answerStatus = 503;
+    const delivery = new WebhookDelivery({ webhook: webhook._id, owner: user._id, event: 'task.created', payload: {} });
+    for (let i = 1; i < MAX_ATTEMPTS; i++) {
+      delivery.attempts.push({ at: new Date(), responseStatus: 503 });
+    }
+    fakeDueDelivery(delivery);
+
+    await retryDueDeliveries();
+
+    assert.equal(received[0].headers['x-webhook-attempt'], String(MAX_ATTEMPTS));
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.nextAttemptAt, null);
+  });
+
+  it('does not send the deliveries of a paused webhook', async () => {
+    webhook.active = false;
+    const delivery = new WebhookDelivery({ webhook: webhook._id, owner: user._id, event: 'task.created', payload: {} });
+    fakeDueDelivery(delivery);
+
+    await retryDueDeliveries();
+
+    assert.equal(received.length, 0);
+    assert.equal(delivery.status, 'failed');
+  });
+});
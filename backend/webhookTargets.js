@@ -0,0 +1,132 @@
+// Import Node's DNS and net modules to resolve webhook hosts and check their addresses
+const dns = require('dns');
+const net = require('net');
+
+// Import the helper that creates 400 errors
+const { badRequest } = require('./taskQuery');
+
+// ========================================
+// BLOCKED ADDRESSES
+// ========================================
+
+// Webhooks are sent by the server, so a webhook pointing to the server itself or to its network
+// would let any user send requests to internal services (and the cloud metadata address).
+// Only public addresses are allowed: these ranges are refused
+const BLOCKED_RANGES = [
+  // IPv4
+  ['0.0.0.0', 8, 'ipv4'],         // "this network"
+  ['10.0.0.0', 8, 'ipv4'],        // private
+  ['100.64.0.0', 10, 'ipv4'],     // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],       // loopback
+  ['169.254.0.0', 16, 'ipv4'],    // link-local, including the metadata address 169.254.169.254
+  ['172.16.0.0', 12, 'ipv4'],     // private
+  ['192.0.0.0', 24, 'ipv4'],      // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'],    // private
+  ['198.18.0.0', 15, 'ipv4'],     // benchmarking
+  ['224.0.0.0', 4, 'ipv4'],       // multicast
+  ['240.0.0.0', 4, 'ipv4'],       // reserved and broadcast
+
+  // IPv6
+  ['::', 128, 'ipv6'],            // unspecified
+  ['::1', 128, 'ipv6'],           // loopback
+  ['64:ff9b::', 96, 'ipv6'],      // NAT64 (would hide an IPv4 address)
+  ['fc00::', 7, 'ipv6'],          // unique local, including the metadata address fd00:ec2::254
+  ['fe80::', 10, 'ipv6'],         // link-local
+  ['ff00::', 8, 'ipv6']           // multicast
+];
+
+// IPv4-mapped IPv6 addresses (e.g. ::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+// Message of the error for a webhook URL that isn't public (the address itself isn't shown)
+const BLOCKED_MESSAGE = 'Webhook URL must be a public address, not a local or private network';
+
+// Hosts trusted to receive webhooks on any address (e.g. a receiver on the company network)
+// Configurable with the WEBHOOK_ALLOWED_HOSTS environment variable: host names or IP addresses
+// separated by commas, compared with the host of the URL. Empty by default
+const getAllowedHosts = () => {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase().replace(/^\[(.*)\]$/, '$1'))
+    .filter(Boolean);
+};
+
+// Check if a host is in WEBHOOK_ALLOWED_HOSTS
+const isAllowedHost = (host) => getAllowedHosts().includes(host.toLowerCase());
+
+// ========================================
+// ADDRESS CHECKS
+// ========================================
+
+// Check if an IP address can receive webhooks (false for anything that isn't an IP address)
+const isPublicAddress = (address) => {
+  const version = net.isIP(address);
+  return version !== 0 && !blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Check a webhook URL: http or https, and a host whose addresses are all public (or an allowed host)
+// Host names are resolved, so a name pointing to an internal address is refused too
+// Throws a 400 error otherwise
+const checkWebhookUrl = async (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw badRequest('Webhook URL must be an http or https address');
+  }
+
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw badRequest('Webhook URL must be an http or https address');
+  }
+
+  // IPv6 hosts are written in brackets in URLs
+  const host = target.hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (isAllowedHost(host)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch {
+    throw badRequest(`Webhook host ${host} could not be found`);
+  }
+
+  if (!addresses.every(isPublicAddress)) {
+    throw badRequest(BLOCKED_MESSAGE);
+  }
+};
+
+// DNS lookup for the webhook requests (the 'lookup' option of http.request)
+// Works like dns.lookup, but fails when the host resolves to an address that isn't public.
+// The check runs on the address the request really connects to, so a host name can't be
+// pointed to an internal address between checkWebhookUrl() and the request
+const lookupPublicAddress = (hostname, options, callback) => {
+  if (isAllowedHost(hostname)) {
+    return dns.lookup(hostname, options, callback);
+  }
+
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    // With { all: true } the addresses come as a list
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+
+    if (!addresses.every(isPublicAddress)) {
+      return callback(badRequest(BLOCKED_MESSAGE));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// Export the webhook address helpers
+module.exports = {
+  isPublicAddress,
+  checkWebhookUrl,
+  lookupPublicAddress
+};
@@ -0,0 +1,80 @@
+// Unit tests for the webhook address checks (run with 'npm test')
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Import the helpers under test
+const { isPublicAddress, checkWebhookUrl, lookupPublicAddress } = require('./webhookTargets');
+
+// ========================================
+// TESTS
+// ========================================
+
+describe('webhook addresses', () => {
+
+  it('accepts public addresses', () => {
+    ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'].forEach(address => {
+      assert.equal(isPublicAddress(address), true, address);
+    });
+  });
+
+  it('refuses loopback, private, link-local and metadata addresses', () => {
+    [
+      '127.0.0.1', '0.0.0.0', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.10',
+      '100.64.0.1', '169.254.169.254', '224.0.0.1', '255.255.255.255',
+      '::1', '::', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1', '64:ff9b::a00:1'
+    ].forEach(address => {
+      assert.equal(isPublicAddress(address), false, address);
+    });
+  });
+
+  it('refuses anything that is not an IP address', () => {
+    assert.equal(isPublicAddress('localhost'), false);
+  });
+
+  it('checks the host of a webhook URL', async () => {
+    await checkWebhookUrl('https://93.184.216.34/hooks');
+
+    await assert.rejects(checkWebhookUrl('http://127.0.0.1:5000/api'), { statusCode: 400 });
+    await assert.rejects(checkWebhookUrl('http://169.254.169.254/latest/meta-data'), { statusCode: 400 });
+    await assert.rejects(checkWebhookUrl('http://[::1]:8080/'), { statusCode: 400 });
+    await assert.rejects(checkWebhookUrl('ftp://93.184.216.34/'), { statusCode: 400 });
+    await assert.rejects(checkWebhookUrl('not a url'), { statusCode: 400 });
+  });
+
+  it('resolves host names before checking them', async () => {
+    await assert.rejects(checkWebhookUrl('http://localhost:5000/'), { statusCode: 400 });
+  });
+
+  it('fails the connection lookup of a host with a local address', (t, done) => {
+    lookupPublicAddress('localhost', { all: true }, (error) => {
+      assert.equal(error.statusCode, 400);
+      done();
+    });
+  });
+});
+
+describe('WEBHOOK_ALLOWED_HOSTS', () => {
+
+  // The allowlist is empty by default
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+  });
+
+  it('lets the listed hosts receive webhooks on a private address', async () => {
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'hooks.internal, 10.0.0.5, LOCALHOST';
+
+    await checkWebhookUrl('http://10.0.0.5:8080/hooks');
+    await checkWebhookUrl('http://localhost:5000/');
+    await assert.rejects(checkWebhookUrl('http://10.0.0.6/'), { statusCode: 400 });
+  });
+
+  it('lets the connection lookup of a listed host through', (t, done) => {
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+
+    lookupPublicAddress('localhost', { all: true }, (error, addresses) => {
+      assert.equal(error, null);
+      assert.ok(addresses.length > 0);
+      done();
+    });
+  });
+});
@@ -0,0 +1,327 @@
+// Import Express framework to create router
+const express = require('express');
+
+// Import our models
+const Webhook = require('./webhook');
+const WebhookDelivery = require('./webhookDelivery');
+
+// Import the webhook helpers
+const { WEBHOOK_EVENTS, SIGNATURE_HEADER, createWebhookSecret } = require('./webhookEvents');
+const { MAX_ATTEMPTS, sendTestWebhook } = require('./webhookSender');
+const { checkWebhookUrl } = require('./webhookTargets');
+
+// Import the middleware that checks the access token
+const { protect } = require('./authMiddleware');
+
+// Import the middleware that checks the requests against the route schemas
+const { validate } = require('./apiSchemas');
+
+// Create a new router instance - this will handle all webhook-related routes
+const router = express.Router();
+
+// Every webhook route requires a logged in user
+router.use(protect);
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// A user can have at most this many webhooks
+const MAX_WEBHOOKS = 10;
+
+// Delivery log entries returned by default, and at most
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 100;
+
+// How the receivers can check the requests - sent with the webhook list
+const DELIVERY_INFO = {
+  events: WEBHOOK_EVENTS,
+  signatureHeader: SIGNATURE_HEADER,
+  maxAttempts: MAX_ATTEMPTS
+};
+
+// Find a webhook of the logged in user (null when it doesn't exist or isn't theirs)
+const findWebhook = (req, withSecret = false) => {
+  const query = Webhook.findOne({ _id: req.params.id, owner: req.user._id });
+  return withSecret ? query.select('+secret') : query;
+};
+
+// Only these fields can be set by the client
+const getWebhookFields = (body) => {
+  const fields = {};
+  ['url', 'description', 'events', 'active'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// ========================================
+// GET /api/webhooks - Retrieve the user's webhooks
+// ========================================
+// Also returns the events that can be chosen and how requests are signed ('info')
+router.get('/', validate('listWebhooks'), async (req, res) => {
+
+  try {
+
+    const webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      info: DELIVERY_INFO,
+      data: webhooks
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/webhooks - Create new webhook
+// ========================================
+// Body: { url, events: ['task.created', ...], description, secret }
+// Without a secret one is generated - the response is the only time it is sent
+// The URL must be a public address (not the server itself or its private network)
+router.post('/', validate('createWebhook'), async (req, res) => {
+
+  try {
+
+    await checkWebhookUrl(req.body.url);
+
+    const count = await Webhook.countDocuments({ owner: req.user._id });
+
+    if (count >= MAX_WEBHOOKS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error creating webhook',
+        error: `You can have at most ${MAX_WEBHOOKS} webhooks`
+      });
+    }
+
+    const secret = req.body.secret ? String(req.body.secret) : createWebhookSecret();
+
+    const webhook = await Webhook.create({
+      ...getWebhookFields(req.body),
+      secret,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: { ...webhook.toJSON(), secret }
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating webhook',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/webhooks/:id - Retrieve single webhook
+// ========================================
+router.get('/:id', validate('getWebhook'), async (req, res) => {
+
+  try {
+
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: webhook
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid webhook ID',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PUT /api/webhooks/:id - Update existing webhook
+// ========================================
+// Body: any of url, events, description, active (false pauses it)
+// rotateSecret: true replaces the secret - the new one is sent in the response
+router.put('/:id', validate('updateWebhook'), async (req, res) => {
+
+  try {
+
+    const updates = getWebhookFields(req.body);
+    const secret = req.body.rotateSecret === true ? createWebhookSecret() : null;
+
+    if (updates.url !== undefined) {
+      await checkWebhookUrl(updates.url);
+    }
+
+    if (secret) {
+      updates.secret = secret;
+    }
+
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: secret ? { ...webhook.toJSON(), secret } : webhook
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating webhook',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// DELETE /api/webhooks/:id - Delete webhook and its delivery log
+// ========================================
+// Deliveries waiting for a retry are not sent anymore
+router.delete('/:id', validate('deleteWebhook'), async (req, res) => {
+
+  try {
+
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      data: {}
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting webhook',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/webhooks/:id/deliveries - Delivery log of a webhook, newest first
+// ========================================
+// Every attempt is listed with the response status code (null when there was no response)
+// Query: status=pending|succeeded|failed, limit (default 50, max 100)
+router.get('/:id/deliveries', validate('listWebhookDeliveries'), async (req, res) => {
+
+  try {
+
+    const webhook = await findWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_DELIVERY_LIMIT, MAX_DELIVERY_LIMIT);
+    // Entries logged before response bodies stopped being kept may still have one: it is left out
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-attempts.responseBody')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching deliveries',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POST /api/webhooks/:id/test - Send a test event
+// ========================================
+// Sends a 'webhook.test' event right away (once, even to a paused webhook) and waits for the answer
+// The response is the delivery, with the status code the webhook answered
+router.post('/:id/test', validate('testWebhook'), async (req, res) => {
+
+  try {
+
+    const webhook = await findWebhook(req, true);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await sendTestWebhook(webhook, req.user);
+    const [attempt] = delivery.attempts;
+
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? `Test event delivered (status ${attempt.responseStatus})`
+        : `Test event failed: ${attempt.error || `status ${attempt.responseStatus}`}`,
+      data: delivery
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error sending test event',
+      error: error.message
+    });
+  }
+});
+
+// Export the router so it can be used in server.js
+module.exports = router;
@@ -0,0 +1,112 @@
+// ========================================
+// WORKFLOW STATUSES
+// ========================================
+
+// Every task is in one of the statuses of the workflow - the columns of the board
+// The statuses come from TASK_STATUSES in the .env file (read when needed, after dotenv.config()):
+// a comma separated list of keys in board order, each with an optional name, e.g. 'todo:To do,doing,done'
+// - new tasks start in the first status
+// - the last status is the terminal one: a task is 'completed' exactly when it is in that status
+const DEFAULT_STATUSES = 'backlog,todo:To do,in_progress,review,done';
+
+// A status key: lowercase letters, digits and '_' (e.g. 'in_progress')
+const STATUS_KEY = /^[a-z][a-z0-9_]*$/;
+
+// Name shown on the board: 'in_progress' -> 'In progress'
+const toStatusName = (key) => {
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Read a list of statuses: 'todo:To do,doing' -> [{ key: 'todo', name: 'To do' }, { key: 'doing', name: 'Doing' }]
+// Invalid or repeated keys are skipped
+const parseStatuses = (text) => {
+  const statuses = [];
+
+  text.split(',').forEach(item => {
+    const [rawKey, ...nameParts] = item.split(':');
+    const key = rawKey.trim().toLowerCase();
+    const name = nameParts.join(':').trim();
+
+    if (STATUS_KEY.test(key) && !statuses.some(status => status.key === key)) {
+      statuses.push({ key, name: name || toStatusName(key) });
+    }
+  });
+
+  return statuses;
+};
+
+// Get the statuses of the workflow: [{ key, name, done }]
+// At least two statuses are needed, otherwise the default list is used
+const getWorkflowStatuses = () => {
+  const configured = parseStatuses(process.env.TASK_STATUSES || DEFAULT_STATUSES);
+  const statuses = configured.length >= 2 ? configured : parseStatuses(DEFAULT_STATUSES);
+
+  return statuses.map((status, index) => ({ ...status, done: index === statuses.length - 1 }));
+};
+
+// Status of the new and reopened tasks
+const getDefaultStatus = () => getWorkflowStatuses()[0].key;
+
+// Terminal status - the tasks in it are completed
+const getDoneStatus = () => getWorkflowStatuses().slice(-1)[0].key;
+
+// Check that a status is one of the workflow
+const isWorkflowStatus = (status) => getWorkflowStatuses().some(item => item.key === status);
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Status that matches a completed flag
+// Completing a task moves it to the terminal status; reopening it keeps its status,
+// unless it is the terminal one (or not a status anymore), then it goes back to the first status
+const getStatusForCompleted = (completed, currentStatus) => {
+  if (completed) {
+    return getDoneStatus();
+  }
+
+  return isWorkflowStatus(currentStatus) && currentStatus !== getDoneStatus()
+    ? currentStatus
+    : getDefaultStatus();
+};
+
+// Status a task is shown in
+// Tasks saved before the workflow existed (or whose status was removed from TASK_STATUSES)
+// are placed by their completed flag
+const getTaskStatus = (task) => {
+  const doneStatus = getDoneStatus();
+
+  if (isWorkflowStatus(task.status) && (task.status === doneStatus) === !!task.completed) {
+    return task.status;
+  }
+
+  return getStatusForCompleted(task.completed, task.status);
+};
+
+// Keep 'status' and 'completed' in sync in the changes made to a task
+// 'changes' are the fields being set, 'current' the task before the change (null for a new task)
+// A status wins over the completed flag; a completed flag alone moves the task to a matching status
+// Returns the changes with both fields set (or neither, when the change touches none of them)
+const syncStatusFields = (changes, current = null) => {
+  if (changes.status !== undefined && changes.status !== null) {
+    return { ...changes, completed: changes.status === getDoneStatus() };
+  }
+
+  if (changes.completed !== undefined) {
+    return { ...changes, status: getStatusForCompleted(!!changes.completed, current && current.status) };
+  }
+
+  return changes;
+};
+
+// Export the workflow helpers
+module.exports = {
+  getWorkflowStatuses,
+  getDefaultStatus,
+  getDoneStatus,
+  isWorkflowStatus,
+  getStatusForCompleted,
+  getTaskStatus,
+  syncStatusFields
+};
@@ -0,0 +1,66 @@
+// ========================================
+// SERVICE WORKER
+// ========================================
+
+// Keeps the app itself (HTML, scripts, styles, icons) on the device, so it starts without a network
+// and can be installed as an app. The tasks are not cached here: the app keeps them in IndexedDB
+// and the API (another origin) is never answered from this cache.
+
+// Change the version to drop the files cached by an older service worker
+const CACHE_NAME = 'task-manager-v1';
+
+// Files cached at install time - the built scripts and styles are added the first time they load
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+// Cache the app shell, and take over without waiting for the old tabs to close
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Remove the caches of older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: network first, so a new version shows up as soon as it is deployed (the cached page offline)
+// Other files of the app: cache first - their names change with every build
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Only the app's own files - API requests (also when the API has the same address) go to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put('/index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
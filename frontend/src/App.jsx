@@ -1,6 +1,6 @@
 
 // Import React hooks for state management and lifecycle
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 
 // Import our custom CSS styles
 import './App.css';
@@ -9,10 +9,343 @@ import './App.css';
 import TaskForm from './components/TaskForm';
 import TaskList from './components/TaskList';
 import TaskStats from './components/TaskStats'; //it's a plus, you don't need to create it.
+import LoginForm from './components/LoginForm';
+import ProjectSidebar from './components/ProjectSidebar';
+import TrashView from './components/TrashView';
+import ImportWizard from './components/ImportWizard';
+import CalendarDialog from './components/CalendarDialog';
+import KanbanBoard from './components/KanbanBoard';
+import ConflictDialog from './components/ConflictDialog';
+import TaskDetail from './components/TaskDetail';
+import SavedView from './components/SavedView';
+import ViewDialog from './components/ViewDialog';
+
+// Import icons from react-icons library
+import { FiLogOut, FiRotateCcw, FiX, FiWifiOff, FiCalendar, FiList, FiColumns, FiCloudOff } from 'react-icons/fi';
 
 // Import our API service for backend communication
 import * as taskService from './services/taskService';
 
+// Import our auth service for login, register and session handling
+import * as authService from './services/authService';
+
+// Import the event stream that brings changes made in other tabs and devices
+import { subscribeToTaskEvents } from './services/eventService';
+
+// Import our project service for the sidebar
+import * as projectService from './services/projectService';
+
+// Import our tag service for the tag picker and tag filters
+import * as tagService from './services/tagService';
+
+// Import our comment service for the comment threads
+import * as commentService from './services/commentService';
+
+// Import our attachment service for the files of a task
+import * as attachmentService from './services/attachmentService';
+
+// Import the calendar feed service (the link calendar apps subscribe to)
+import * as calendarService from './services/calendarService';
+
+// Import our view service for the saved views and the smart lists
+import * as viewService from './services/viewService';
+
+// Import the offline copy of the tasks and the queue of changes made offline
+import * as offlineService from './services/offlineService';
+
+// Import the client store (the data loaded from the server, shared by every component)
+import {
+  useQuery,
+  fetchQuery,
+  getState,
+  selectQuery,
+  selectEntity,
+  setQueryData,
+  setEntities,
+  invalidateQueries,
+  cancelQuery,
+  observeQuery,
+  setActiveQuery,
+  resetStore
+} from './queryStore';
+
+// Import the queries of the app and the hooks that read them
+import {
+  taskKeys,
+  TASKS,
+  PROJECTS,
+  TAGS,
+  TASK_LIST,
+  BOARD,
+  STATS,
+  selectTask,
+  useTaskList,
+  useProjects,
+  useViews
+} from './taskStore';
+
+// Import the router - the page shown (project, list or board, view, trash, one task) comes from the URL
+import { useLocation, navigate, matchRoute, getTasksPath, getViewPath } from './router';
+
+// Import due date helpers to check tasks against the 'due' filter
+import { matchesDueFilter } from './dueDates';
+
+// Import the board helper that moves a card before the server answers
+import { placeCard } from './boardMoves';
+
+// Import the helper that turns a task into form fields (for the offline conflict dialog)
+import { toTaskData } from './taskMerge';
+
+// How long the "Undo" button is shown after a delete (milliseconds)
+const UNDO_DELAY = 6000;
+
+// Wait this long after changes from other tabs before refreshing the counts (milliseconds)
+// A burst of changes (e.g. a bulk action) then only refreshes them once
+const COUNTS_REFRESH_DELAY = 500;
+
+// Load a page of tasks - with a search text ('q') the search endpoint ranks them by relevance
+// The tasks of a saved view ('view') are found by the server from the view itself
+const loadTaskPage = (listQuery) => {
+  if (listQuery.view) {
+    return viewService.getViewTasks(listQuery.view, listQuery);
+  }
+  return listQuery.q ? taskService.searchTasks(listQuery) : taskService.getTasks(listQuery);
+};
+
+// Check if a task belongs in the list for the current query
+// Used to keep the loaded pages correct after creating or updating a task
+// The search text ('q') can only be checked by the server, so it is ignored here
+const matchesQuery = (task, query) => {
+  if (!query) {
+    return true;
+  }
+  
+  if (query.status === 'active' && task.completed) {
+    return false;
+  }
+  
+  if (query.status === 'completed' && !task.completed) {
+    return false;
+  }
+  
+  if (query.priority && !query.priority.split(',').includes(task.priority)) {
+    return false;
+  }
+  
+  // 'none' means tasks without a project, otherwise the task must be in that project
+  if (query.project && (task.project || 'none') !== query.project) {
+    return false;
+  }
+  
+  // 'any' needs one of the tags, 'all' needs every tag
+  if (query.tags) {
+    const tagIds = query.tags.split(',');
+    const taskTags = task.tags || [];
+    const matches = query.tagMode === 'all'
+      ? tagIds.every(id => taskTags.includes(id))
+      : tagIds.some(id => taskTags.includes(id));
+    
+    if (!matches) {
+      return false;
+    }
+  }
+  
+  if (!matchesDueFilter(task, query.due)) {
+    return false;
+  }
+  
+  // Views such as "Recently completed" only show tasks changed since a date
+  if (query.updatedFrom && task.updatedAt < query.updatedFrom) {
+    return false;
+  }
+  
+  return true;
+};
+
+// Turn a list query into the filters of a saved view (see filtersSchema in view.js)
+const toViewFilters = (listQuery) => {
+  const filters = {};
+  
+  ['q', 'project', 'due'].forEach(field => {
+    if (listQuery[field]) {
+      filters[field] = listQuery[field];
+    }
+  });
+  
+  if (listQuery.status && listQuery.status !== 'all') {
+    filters.status = listQuery.status;
+  }
+  if (listQuery.priority) {
+    filters.priority = listQuery.priority.split(',');
+  }
+  if (listQuery.tags) {
+    filters.tags = listQuery.tags.split(',');
+    filters.tagMode = listQuery.tagMode || 'any';
+  }
+  
+  return filters;
+};
+
+// Rank of each priority when sorting by priority
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// Sort tasks saved on this device like the server sorts the list (see SORT_FIELDS in taskQuery.js)
+// Tasks without a due date come last when sorting by due date; ties keep the newest first
+const sortTasks = (list, query) => {
+  const direction = query.order === 'asc' ? 1 : -1;
+  
+  const sortValue = (task) => {
+    switch (query.sort) {
+      case 'priority':
+        return PRIORITY_RANK[task.priority] || 0;
+      case 'title':
+        return task.title.toLowerCase();
+      case 'dueDate':
+        return task.dueDate || null;
+      case 'updatedAt':
+        return task.updatedAt;
+      default:
+        return task.createdAt;
+    }
+  };
+  
+  return [...list].sort((a, b) => {
+    const valueA = sortValue(a);
+    const valueB = sortValue(b);
+    
+    if (valueA === valueB) {
+      return String(b.createdAt).localeCompare(String(a.createdAt));
+    }
+    if (valueA === null || valueB === null) {
+      return valueA === null ? 1 : -1;
+    }
+    return (valueA < valueB ? -1 : 1) * direction;
+  });
+};
+
+// Build a page from the tasks saved on this device for a list query
+// It is shown at once while the server answers, and instead of the server's page while offline
+// (a search only looks for the text in titles and descriptions)
+const getCachedPage = async (listQuery) => {
+  const cached = await offlineService.getCachedTasks();
+  const text = (listQuery.q || '').toLowerCase();
+  
+  const data = sortTasks(cached.filter(task => (
+    matchesQuery(task, listQuery) &&
+    (!text || `${task.title} ${task.description || ''}`.toLowerCase().includes(text))
+  )), listQuery);
+  
+  return { data, total: data.length, nextCursor: null };
+};
+
+// Check if a change completed a recurring task - the server then creates its next occurrence
+const completesRecurringTask = (before, after) => {
+  return !!(after.recurrence && after.completed && !(before && before.completed));
+};
+
+// Put a task back in a loaded list ({ data, total, nextCursor }) at the place it had
+// (unless it came back meanwhile, e.g. from another tab)
+const insertTaskAt = (list, task, index) => {
+  if (list.data.some(item => item._id === task._id)) {
+    return list;
+  }
+  return { ...list, data: [...list.data.slice(0, index), task, ...list.data.slice(index)], total: list.total + 1 };
+};
+
+// Remove a task from a loaded list ({ data, total, nextCursor }), if it is in it
+const removeTaskFrom = (list, taskId) => {
+  if (!list.data.some(task => task._id === taskId)) {
+    return list;
+  }
+  return { ...list, data: list.data.filter(task => task._id !== taskId), total: list.total - 1 };
+};
+
+// Describe a change for the error shown when it is undone, e.g. 'mark "Buy milk" as complete'
+const describeChange = (task, taskData) => {
+  const keys = Object.keys(taskData);
+  
+  if (keys.length === 1 && keys[0] === 'completed') {
+    return `mark "${task.title}" as ${taskData.completed ? 'complete' : 'not complete'}`;
+  }
+  return `save the changes to "${task.title}"`;
+};
+
+// Put the changes still waiting to be sent over a page from the server, so they don't disappear
+// until they reach it: tasks changed offline replace the server's copy, tasks created offline come first
+const withPendingChanges = (serverTasks, cachedTasks, listQuery) => {
+  const pending = cachedTasks.filter(task => task.pending);
+  const pendingById = new Map(pending.map(task => [task._id, task]));
+  const created = pending.filter(task => offlineService.isTempId(task._id) && matchesQuery(task, listQuery));
+  
+  return [...created, ...serverTasks.map(task => pendingById.get(task._id) || task)];
+};
+
+// Load the first page of a list query - the changes not sent yet stay visible,
+// and the page is kept on this device
+const loadListPage = async (listQuery) => {
+  const page = await loadTaskPage(listQuery);
+  const cached = await offlineService.getCachedTasks();
+  
+  // When the page is the whole list, saved tasks that should be in it but aren't were deleted
+  // or changed elsewhere
+  offlineService.cacheTasks(page.data);
+  if (!page.nextCursor && !listQuery.q) {
+    const pageIds = new Set(page.data.map(task => task._id));
+    offlineService.uncacheTasks(cached
+      .filter(task => !task.pending && !pageIds.has(task._id) && matchesQuery(task, listQuery))
+      .map(task => task._id));
+  }
+  
+  return { ...page, data: withPendingChanges(page.data, cached, listQuery) };
+};
+
+// Load the user's projects (active and archived) - offline, the ones saved on this device
+const loadProjects = async () => {
+  try {
+    const projects = await projectService.getProjects('all');
+    offlineService.cacheValue('projects', projects);
+    return projects;
+  } catch (err) {
+    if (offlineService.isNetworkError(err)) {
+      return await offlineService.getCachedValue('projects') || [];
+    }
+    throw err;
+  }
+};
+
+// Load the user's tags with their usage counts - offline, the ones saved on this device
+const loadTags = async () => {
+  try {
+    const tags = await tagService.getTags();
+    offlineService.cacheValue('tags', tags);
+    return tags;
+  } catch (err) {
+    if (offlineService.isNetworkError(err)) {
+      return await offlineService.getCachedValue('tags') || [];
+    }
+    throw err;
+  }
+};
+
+// Load the views with the ids of the pinned ones - offline, the ones saved on this device
+const loadViews = async () => {
+  try {
+    const views = await viewService.getViews();
+    offlineService.cacheValue('views', views);
+    return views;
+  } catch (err) {
+    if (offlineService.isNetworkError(err)) {
+      return await offlineService.getCachedValue('views') || { views: [], pinned: [] };
+    }
+    throw err;
+  }
+};
+
+// Sort tags by name, like the server sends them
+const sortTags = (tags) => {
+  return [...tags].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+};
+
 // Main App component - this is the root of our application
 function App() {
   
@@ -20,12 +353,64 @@ function App() {
   // STATE MANAGEMENT
   // ========================================
   
-  // State to store all tasks from the database
-  // useState returns [currentValue, setterFunction]
-  const [tasks, setTasks] = useState([]);
+  // Logged in user (null when logged out)
+  // Start from the saved session so the page doesn't flash the login screen on reload
+  const [user, setUser] = useState(() => authService.getSession()?.user || null);
+  
+  // True once the saved session has been checked with the server
+  const [authChecked, setAuthChecked] = useState(false);
+  
+  // Filter and sort settings chosen in TaskList
+  // They stay null until TaskList reports its initial settings
+  const [listSettings, setListSettings] = useState(null);
+  
+  // ========================================
+  // ROUTES
+  // ========================================
+  
+  // The address bar decides what is shown (see router): back/forward, bookmarks and shared links
+  // all work. The trash and a task page are shown over the page they were opened from (kept in
+  // the history entry as 'from'); opened from a link, they are shown over all tasks.
+  const location = useLocation();
+  const route = matchRoute(location.pathname);
+  const pageHref = route.name === 'tasks'
+    ? location.pathname + location.search
+    : (location.state && location.state.from) || '/';
+  const [pagePath, pageSearch = ''] = pageHref.split(/(?=\?)/);
+  const page = matchRoute(pagePath);
+  
+  // Project selected in the sidebar: 'all', 'none' (no project) or a project id
+  const selectedProject = page.project;
+  
+  // Saved or built-in view shown instead of the list (null when none is), and its settings
+  // (undefined until the views are loaded, or when it was deleted or isn't shared anymore)
+  const viewId = page.viewId || null;
+  const { views } = useViews();
+  const savedView = viewId ? views.find(item => item._id === viewId) : undefined;
+  
+  // Current list query: TaskList settings plus the selected project
+  // A view has its own query (from the server); 'view' makes its pages come from the view
+  const query = useMemo(() => {
+    if (viewId) {
+      return savedView ? { ...savedView.query, view: savedView._id } : null;
+    }
+    if (!listSettings) {
+      return null;
+    }
+    return selectedProject === 'all' ? listSettings : { ...listSettings, project: selectedProject };
+  }, [listSettings, selectedProject, viewId, savedView]);
+  
+  // How the tasks are shown: 'list' or 'board' (one column per workflow status)
+  const view = page.view;
+  
+  // True while the trash is shown instead of the tasks
+  const showTrash = route.name === 'trash';
   
-  // State to handle loading status during API calls
-  const [loading, setLoading] = useState(true);
+  // Task of the task page (null on the other pages)
+  const taskId = route.name === 'task' ? route.taskId : null;
+  
+  // State to handle loading status while fetching the next page
+  const [loadingMore, setLoadingMore] = useState(false);
   
   // State to handle and display error messages
   const [error, setError] = useState('');
@@ -33,42 +418,343 @@ function App() {
   // State to store task being edited (null when not editing)
   const [editingTask, setEditingTask] = useState(null);
   
+  // True while the import wizard is open
+  const [showImport, setShowImport] = useState(false);
+  
+  // True while the calendar link dialog is open
+  const [showCalendar, setShowCalendar] = useState(false);
+  
+  // View dialog: { view } - the view being changed, or null to save the list shown (null when closed)
+  const [viewDialog, setViewDialog] = useState(null);
+  
+  // Last deleted tasks, shown with an "Undo" button for a few seconds (empty when hidden)
+  const [deletedTasks, setDeletedTasks] = useState([]);
+  
+  // Deleted tasks loaded so far, and how long they are kept
+  const [trash, setTrash] = useState({ tasks: [], total: 0, nextCursor: null, retentionDays: 30 });
+  
+  // State to handle loading status while fetching the trash
+  const [loadingTrash, setLoadingTrash] = useState(false);
+  
+  // State of the live updates connection: 'connected' or 'reconnecting'
+  const [syncStatus, setSyncStatus] = useState('connected');
+  
+  // True while the server can't be reached - the saved tasks are shown and changes are queued
+  const [isOffline, setIsOffline] = useState(() => !navigator.onLine);
+  
+  // Number of changes made offline that are waiting to be sent
+  const [pendingChanges, setPendingChanges] = useState(0);
+  
+  // Changes made offline that the server refused because the task changed meanwhile
+  // The first one is shown in the conflict dialog
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  
+  // Handlers for the live updates and the connection, kept up to date on every render (see LIVE UPDATES)
+  const taskEventHandlers = useRef(null);
+  
+  // Timer of the pending counts refresh after live updates
+  const countsTimer = useRef(null);
+  
+  // Tasks changed in the list before the server answered, by task id (see OPTIMISTIC UPDATES):
+  // { latest: id of the newest change, confirmed: the task as the server last sent it, requests: the last request }
+  const optimisticChanges = useRef(new Map());
+  
+  // Id of the latest change shown before the server answered
+  const latestChange = useRef(0);
+  
+  // ========================================
+  // SERVER DATA
+  // ========================================
+  
+  // The data loaded from the server lives in the store (see queryStore and taskStore): components read
+  // it with the store hooks, and requests of the same data are only sent once. After a change, the
+  // queries it affects are invalidated and loaded again in the background.
+  
+  // The pages of the list loaded so far for the current query (see fetchTasks)
+  // 'total' counts every task matching the filters; 'nextCursor' loads the next page (null on the last one)
+  const { tasks, nextCursor, error: listError } = useTaskList();
+  
+  // True once the user is logged in and the session was checked
+  const loggedIn = !!(user && authChecked);
+  
+  // The user's projects (active and archived) for the sidebar, and tags (with usage counts) for the tag picker
+  const projectsQuery = useQuery(taskKeys.projects(), loadProjects, { entity: PROJECTS, enabled: loggedIn });
+  useQuery(taskKeys.tags(), loadTags, { entity: TAGS, enabled: loggedIn });
+  const projects = useProjects();
+  
+  // The saved and built-in views for the sidebar and the view pages
+  const viewsQuery = useQuery(taskKeys.views(), loadViews, { enabled: loggedIn });
+  
+  // Statistics of the selected project
+  useQuery(taskKeys.stats(selectedProject), () => (
+    taskService.getTaskStats(selectedProject === 'all' ? {} : { project: selectedProject })
+  ), { enabled: loggedIn });
+  
+  // Columns of the board with their cards (loaded while the board is shown)
+  // The list filters don't apply: the board shows every task of the selected project
+  const boardQuery = useQuery(taskKeys.board(selectedProject), () => (
+    taskService.getBoard(selectedProject === 'all' ? {} : { project: selectedProject })
+  ), { enabled: loggedIn && view === 'board' });
+  
+  // The task of the task page - also loaded when it isn't in the list (e.g. opened from a link)
+  useQuery(taskKeys.detail(taskId), () => taskService.getTaskById(taskId), {
+    entity: TASKS,
+    enabled: loggedIn && !!taskId
+  });
+  
   // ========================================
-  // LOAD TASKS ON COMPONENT MOUNT
+  // RESTORE SESSION ON COMPONENT MOUNT
   // ========================================
   
-  // useEffect runs when component mounts and when dependencies change
+  // Check the saved session and listen for the session ending
   useEffect(() => {
-    // Call function to fetch tasks from API
-    fetchTasks();
+    // When the session ends (logout or expired refresh token) go back to the login screen
+    // The URL stays, so logging in again shows the same page (see handleLogout)
+    const unsubscribe = authService.onSessionEnd(() => {
+      setUser(null);
+      setEditingTask(null);
+      setDeletedTasks([]);
+      setShowImport(false);
+      setShowCalendar(false);
+      setViewDialog(null);
+      setSyncStatus('connected');
+      setSyncConflicts([]);
+      
+      // The data loaded (and the tasks saved on this device) belong to the user who logged out
+      resetStore();
+      offlineService.clearCache();
+    });
+    
+    // Count the changes waiting to be sent (shown in the header)
+    const stopCounting = offlineService.onQueueChange(setPendingChanges);
+    
+    // If a session was saved, refresh it to make sure it is still valid
+    // Offline the saved session is kept: the app works with the saved tasks until the server is back
+    if (authService.getSession()) {
+      authService.refreshSession()
+        .then(setUser)
+        .catch((err) => {
+          if (!offlineService.isNetworkError(err)) {
+            authService.clearSession();
+          }
+        })
+        .finally(() => setAuthChecked(true));
+    } else {
+      setAuthChecked(true);
+    }
+    
+    // Stop listening when the component unmounts
+    return () => {
+      unsubscribe();
+      stopCounting();
+    };
   }, []); // Empty dependency array means run only once on mount
   
+  // ========================================
+  // LOAD TASKS WHEN THE QUERY CHANGES
+  // ========================================
+  
+  // Every time a user logs in, remove the saved data of another user
+  // (projects and tags load themselves, see SERVER DATA; changes made offline are sent once the
+  // live updates connect, see handleSyncStatus)
+  useEffect(() => {
+    if (user && authChecked) {
+      offlineService.prepareCache(user._id);
+    }
+  }, [user, authChecked]);
+  
+  // Load the trash when it is shown (also when the page is opened at /trash)
+  useEffect(() => {
+    if (loggedIn && showTrash) {
+      fetchTrash();
+    }
+  }, [loggedIn, showTrash]);
+  
+  // Show the statistics and the board of the selected project
+  useEffect(() => {
+    setActiveQuery(STATS, taskKeys.stats(selectedProject));
+    setActiveQuery(BOARD, taskKeys.board(selectedProject));
+  }, [selectedProject]);
+  
+  // Reload the first page every time TaskList changes filter or sort, or another project is selected
+  // (TaskList is only shown to logged in users, so query is null until then)
+  // A query loaded before shows its pages at once while they are loaded again
+  useEffect(() => {
+    if (!query) {
+      return;
+    }
+    
+    setActiveQuery(TASK_LIST, taskKeys.list(query));
+    fetchTasks(query);
+    
+    // Loaded again in the background while shown (after changes, and when the window gets the focus)
+    return observeQuery(taskKeys.list(query));
+  }, [query]);
+  
+  // Show the errors of the list, also of the reloads in the background (offline the saved tasks stay)
+  useEffect(() => {
+    if (!listError) {
+      return;
+    }
+    if (offlineService.isNetworkError(listError)) {
+      setIsOffline(true);
+      return;
+    }
+    console.error('Error fetching tasks:', listError);
+    setError('Failed to load tasks. Please try again.');
+  }, [listError]);
+  
+  // Projects are needed to use the app - show their errors (tags and statistics are not essential)
+  useEffect(() => {
+    if (projectsQuery.error) {
+      console.error('Error fetching projects:', projectsQuery.error);
+      setError('Failed to load projects. Please try again.');
+    }
+  }, [projectsQuery.error]);
+  
+  // Show the errors of the board
+  useEffect(() => {
+    if (boardQuery.error && !offlineService.isNetworkError(boardQuery.error)) {
+      console.error('Error fetching board:', boardQuery.error);
+      setError('Failed to load the board. Please try again.');
+    }
+  }, [boardQuery.error]);
+  
+  // Show the errors of the views
+  useEffect(() => {
+    if (viewsQuery.error && !offlineService.isNetworkError(viewsQuery.error)) {
+      console.error('Error fetching views:', viewsQuery.error);
+      setError('Failed to load your views. Please try again.');
+    }
+  }, [viewsQuery.error]);
+  
+  // ========================================
+  // LIVE UPDATES
+  // ========================================
+  
+  // Listen to the task changes made in other tabs and devices while logged in
+  // The connection reconnects by itself; the handlers are read from a ref,
+  // so they always see the current list and query
+  useEffect(() => {
+    if (!user || !authChecked) {
+      return;
+    }
+    
+    const unsubscribe = subscribeToTaskEvents({
+      onEvent: (event) => taskEventHandlers.current.onEvent(event),
+      onResync: () => taskEventHandlers.current.onResync(),
+      onStatus: (status) => taskEventHandlers.current.onStatus(status)
+    });
+    
+    // The browser tells when the network comes and goes
+    const handleOnline = () => taskEventHandlers.current.onOnline();
+    const handleOffline = () => setIsOffline(true);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearTimeout(countsTimer.current);
+    };
+  }, [user, authChecked]);
+  
+  // Give the live updates the handlers of this render
+  useEffect(() => {
+    taskEventHandlers.current = {
+      onEvent: handleTaskEvent,
+      onResync: handleResync,
+      onStatus: handleSyncStatus,
+      onOnline: handleBackOnline
+    };
+  });
+  
+  // Hide the "Undo" button a few seconds after a delete
+  // (a new delete restarts the timer, because deletedTasks changes)
+  useEffect(() => {
+    if (deletedTasks.length === 0) {
+      return;
+    }
+    
+    const timer = setTimeout(() => setDeletedTasks([]), UNDO_DELAY);
+    return () => clearTimeout(timer);
+  }, [deletedTasks]);
+  
   // ========================================
   // API FUNCTIONS
   // ========================================
   
-  // Function to fetch all tasks from the backend
-  const fetchTasks = async () => {
+  // Function to fetch the first page of tasks for a query
+  // The store sends the request (once, even if asked again meanwhile) and keeps only the newest answer;
+  // errors are shown by the effect on listError
+  const fetchTasks = async (listQuery) => {
+    const key = taskKeys.list(listQuery);
+    const hasPage = () => selectQuery(getState(), key).data !== undefined;
+    
+    // Clear any previous errors
+    setError('');
+    
+    // Call our API service to get the first page
+    const request = fetchQuery(key, () => loadListPage(listQuery), { entity: TASKS });
+    
+    // Show the tasks saved on this device at once, for a query never loaded before
+    // (the loading message only shows without them)
+    if (!hasPage()) {
+      const cachedPage = await getCachedPage(listQuery);
+      if (cachedPage.data.length > 0 && !hasPage()) {
+        setQueryData(key, cachedPage, { entity: TASKS });
+      }
+    }
+    
+    await request.catch(() => {
+      // The error is kept in the query
+    });
+  };
+  
+  // Change the list shown - 'change' gets the loaded pages ({ data, total, nextCursor }) and returns new ones
+  const updateTaskList = (change) => {
+    if (query) {
+      setQueryData(taskKeys.list(query), list => (list ? change(list) : list));
+    }
+  };
+  
+  // Function to append the next page of tasks to the list
+  const loadMoreTasks = async () => {
+    // Nothing to load, or a page is already being loaded
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+    
+    const key = taskKeys.list(query);
+    
     try {
-      // Set loading to true while fetching
-      setLoading(true);
-      
-      // Clear any previous errors
+      setLoadingMore(true);
       setError('');
       
-      // Call our API service to get tasks
-      const fetchedTasks = await taskService.getAllTasks();
+      // Ask the server for the page after the last one we have
+      const page = await loadTaskPage({ ...query, cursor: nextCursor });
       
-      // Update state with fetched tasks
-      setTasks(fetchedTasks);
+      // Add the new tasks at the end of the list they were loaded for (the query may have changed meanwhile)
+      setQueryData(key, list => (list ? { ...page, data: [...list.data, ...page.data] } : list));
+      offlineService.cacheTasks(page.data);
       
     } catch (err) {
-      // Handle any errors during fetch
-      console.error('Error fetching tasks:', err);
-      setError('Failed to load tasks. Please try again.');
+      console.error('Error loading more tasks:', err);
+      setError('Failed to load more tasks. Please try again.');
     } finally {
-      // Always set loading to false when done (success or error)
-      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+  
+  // Tasks changed - load the statistics, the project and tag counts and the board again
+  // ('tags: false' when the change can't touch the tags)
+  const refreshCounts = ({ tags = true } = {}) => {
+    invalidateQueries(taskKeys.stats());
+    invalidateQueries(taskKeys.projects());
+    invalidateQueries(taskKeys.board());
+    if (tags) {
+      invalidateQueries(taskKeys.tags());
     }
   };
   
@@ -79,10 +765,23 @@ function App() {
       setError('');
       
       // Call API service to create new task
-      const newTask = await taskService.createTask(taskData);
+      // Offline it is queued and shown with a temporary id until it reaches the server
+      const { task: newTask, queued } = await offlineService.createTask(taskData);
+      if (queued) {
+        setIsOffline(true);
+      }
+      
+      // Add new task to beginning of tasks array if it matches the current filters
+      // (search results come from the server, so new tasks are not added to them)
+      if (query && matchesQuery(newTask, query) && !query.q) {
+        updateTaskList(list => ({ ...list, data: [newTask, ...list.data], total: list.total + 1 }));
+      }
+      
+      // Refresh statistics, project task counts, tag usage counts and the board
+      refreshCounts();
       
-      // Add new task to beginning of tasks array (newest first)
-      setTasks([newTask, ...tasks]);
+      // The form uploads its files to the new task
+      return newTask;
       
     } catch (err) {
       // Handle creation errors
@@ -91,50 +790,157 @@ function App() {
     }
   };
   
+  // Put a task changed on the server into the loaded list
+  // If it no longer matches the filters (e.g. completed while showing active) remove it
+  // 'createdNext' is true when the change completed a recurring task (the list is reloaded with its next occurrence)
+  const showUpdatedTask = (updatedTask, createdNext = completesRecurringTask(
+    tasks.find(task => task._id === updatedTask._id), updatedTask
+  )) => {
+    // Keep the new version on this device
+    offlineService.cacheTasks([updatedTask]);
+    
+    // The new version shows in every list that has the task
+    setEntities(TASKS, [updatedTask]);
+    
+    if (createdNext) {
+      // Completing a recurring task creates its next occurrence on the server - reload the list
+      invalidateQueries(taskKeys.lists());
+    } else if (!matchesQuery(updatedTask, query)) {
+      updateTaskList(list => removeTaskFrom(list, updatedTask._id));
+    }
+    
+    // Refresh statistics and project task counts (and the board, where the task may change column)
+    refreshCounts({ tags: false });
+  };
+  
   // Function to update an existing task
-  const handleUpdateTask = async (taskId, taskData) => {
+  // 'version' is the version the form was editing - a conflict (409/412) is thrown back to TaskForm,
+  // which lets the user merge
+  // The change is shown in the list at once and undone if the server refuses it (see OPTIMISTIC UPDATES)
+  const handleUpdateTask = async (taskId, taskData, version) => {
+    // (the task may not be in the list, e.g. on its page opened from a link)
+    const currentTask = tasks.find(task => task._id === taskId) || selectTask(getState(), taskId);
+    const changeId = showChangeNow(taskId, currentTask, task => ({ ...task, ...taskData }));
+    
     try {
       // Clear any previous errors
       setError('');
       
-      // Call API service to update task
-      const updatedTask = await taskService.updateTask(taskId, taskData);
-      
-      // Update the task in our tasks array
-      setTasks(tasks.map(task => 
-        task._id === taskId ? updatedTask : task
+      // Call API service to update task (queued while offline)
+      const { task: updatedTask, queued } = await sendInOrder(taskId, () => (
+        offlineService.updateTask(taskId, taskData, version)
       ));
+      if (queued) {
+        setIsOffline(true);
+      }
+      
+      // Update the task in our tasks array (unless a newer change of the task is on its way)
+      confirmChange(taskId, changeId, updatedTask);
+      
+      // The task's tags may have changed - refresh the usage counts
+      invalidateQueries(taskKeys.tags());
       
       // Clear editing state
       setEditingTask(null);
       
     } catch (err) {
-      // Handle update errors
+      // Someone else changed the task - show their version in the list and let the form merge
+      if ((err.status === 409 || err.status === 412) && err.data) {
+        confirmChange(taskId, changeId, err.data);
+        throw err;
+      }
+      
+      // Handle update errors - the task goes back to the server's version
       console.error('Error updating task:', err);
-      setError('Failed to update task. Please try again.');
+      undoChange(taskId, changeId);
+      
+      const action = describeChange(currentTask || { title: taskData.title || 'the task' }, taskData);
+      setError(`Failed to ${action}${err.detail ? `: ${err.detail}` : ''}. The change was undone - please try again.`);
     }
   };
   
   // Function to delete a task
+  // The task leaves the list at once and comes back at its place if the server refuses the delete
   const handleDeleteTask = async (taskId) => {
+    const index = tasks.findIndex(task => task._id === taskId);
+    const removedTask = tasks[index];
+    
+    // Remove task from the list
+    if (removedTask) {
+      updateTaskList(list => removeTaskFrom(list, taskId));
+    }
+    
     try {
       // Clear any previous errors
       setError('');
       
-      // Call API service to delete task
-      await taskService.deleteTask(taskId);
+      // Call API service to delete task - it is moved to the trash (queued while offline)
+      // It waits for the changes of the task still on their way
+      const { task: deleted, queued } = await sendInOrder(taskId, () => offlineService.deleteTask(taskId));
       
-      // Remove task from our tasks array
-      setTasks(tasks.filter(task => task._id !== taskId));
+      // Offer to undo the delete (a queued delete can only be undone from the trash, once it is sent)
+      if (queued) {
+        setIsOffline(true);
+      } else {
+        setDeletedTasks([deleted]);
+      }
+      
+      // Refresh statistics, project task counts, tag usage counts and the board
+      refreshCounts();
       
     } catch (err) {
-      // Handle deletion errors
+      // Handle deletion errors - put the task back where it was
       console.error('Error deleting task:', err);
-      setError('Failed to delete task. Please try again.');
+      
+      if (removedTask) {
+        updateTaskList(list => insertTaskAt(list, removedTask, index));
+      }
+      
+      const name = removedTask ? `"${removedTask.title}"` : 'the task';
+      setError(`Failed to move ${name} to the trash${err.detail ? `: ${err.detail}` : ''}. ` +
+        'It is back in the list - please try again.');
+    }
+  };
+  
+  // Function to undo the last delete - restores the tasks and reloads the list
+  // (restored tasks go back to their place in the current sort order)
+  const handleUndoDelete = async () => {
+    const restoring = deletedTasks;
+    setDeletedTasks([]);
+    
+    try {
+      setError('');
+      await Promise.all(restoring.map(task => taskService.restoreTask(task._id)));
+      reloadTasks();
+    } catch (err) {
+      console.error('Error restoring task:', err);
+      setError('Failed to restore task. You can still find it in the trash.');
     }
   };
   
+  // Function to run a bulk action on the selected tasks
+  // Returns the bulk response (one result per task) so TaskList can keep the failed ones selected
+  // Errors are thrown to the bulk toolbar, which shows them
+  const handleBulkAction = async (ids, action, value) => {
+    const result = await taskService.bulkUpdateTasks(ids, action, value);
+    
+    // Deleted tasks can be restored with the "Undo" button, like a single delete
+    if (action === 'delete') {
+      const deleted = result.results.filter(item => item.success).map(item => item.data);
+      if (deleted.length > 0) {
+        setDeletedTasks(deleted);
+      }
+    }
+    
+    // Many tasks changed (and may leave the current filters) - reload the list and counts
+    reloadTasks();
+    
+    return result;
+  };
+  
   // Function to toggle task completion status
+  // The checkbox changes at once - clicking it quickly several times sends each change in turn,
+  // and the list shows the last one
   const handleToggleComplete = async (taskId, completed) => {
     try {
       // Update task with new completion status
@@ -157,6 +963,625 @@ function App() {
     setEditingTask(null);
   };
   
+  // ========================================
+  // SUBTASK FUNCTIONS
+  // ========================================
+  
+  // Each subtask request returns the whole parent task (with its new progress)
+  // Errors are thrown to the checklist, which shows them
+  
+  // Add a subtask to a task
+  const handleAddSubtask = async (taskId, title) => {
+    showUpdatedTask(await taskService.addSubtask(taskId, title));
+  };
+  
+  // Rename or toggle a subtask - may complete or reopen the parent task
+  const handleUpdateSubtask = async (taskId, subtaskId, changes) => {
+    showUpdatedTask(await taskService.updateSubtask(taskId, subtaskId, changes));
+  };
+  
+  // Save a new order for a task's subtasks
+  const handleReorderSubtasks = async (taskId, ids) => {
+    showUpdatedTask(await taskService.reorderSubtasks(taskId, ids));
+  };
+  
+  // Delete a subtask
+  const handleDeleteSubtask = async (taskId, subtaskId) => {
+    showUpdatedTask(await taskService.deleteSubtask(taskId, subtaskId));
+  };
+  
+  // ========================================
+  // HISTORY FUNCTIONS
+  // ========================================
+  
+  // The history panel loads the history itself with taskService.getTaskHistory
+  // (passed as is, so the panel doesn't reload it on every render)
+  
+  // Bring a task back to an earlier version - errors are thrown to the history panel
+  const handleRevertTask = async (taskId, entryId) => {
+    showUpdatedTask(await taskService.revertTask(taskId, entryId));
+    
+    // The task's tags may have changed - refresh the usage counts
+    invalidateQueries(taskKeys.tags());
+  };
+  
+  // ========================================
+  // COMMENT FUNCTIONS
+  // ========================================
+  
+  // The comment thread loads the comments itself with commentService.getComments
+  // Errors are thrown to the thread, which shows them
+  
+  // Show new counts of a task on its card, e.g. { commentCount: 3 }
+  const updateTaskCounts = (taskId, counts) => {
+    const task = selectTask(getState(), taskId);
+    if (task) {
+      setEntities(TASKS, [{ ...task, ...counts }]);
+    }
+  };
+  
+  // Add a comment - returns it to the thread
+  const handleAddComment = async (taskId, content) => {
+    const response = await commentService.addComment(taskId, content);
+    updateTaskCounts(taskId, { commentCount: response.commentCount });
+    return response.data;
+  };
+  
+  // Edit a comment - returns the updated comment to the thread
+  const handleUpdateComment = (taskId, commentId, content) => {
+    return commentService.updateComment(taskId, commentId, content);
+  };
+  
+  // Delete a comment
+  const handleDeleteComment = async (taskId, commentId) => {
+    const response = await commentService.deleteComment(taskId, commentId);
+    updateTaskCounts(taskId, { commentCount: response.commentCount });
+  };
+  
+  // ========================================
+  // ATTACHMENT FUNCTIONS
+  // ========================================
+  
+  // The attachment zone loads the files, thumbnails and downloads itself with attachmentService
+  // Errors are thrown to the zone, which shows them
+  
+  // Upload files to a task - returns the new attachments
+  const handleUploadAttachments = async (taskId, files, onProgress) => {
+    const response = await attachmentService.uploadAttachments(taskId, files, onProgress);
+    updateTaskCounts(taskId, { attachmentCount: response.attachmentCount });
+    return response.data;
+  };
+  
+  // Delete a file of a task
+  const handleDeleteAttachment = async (taskId, attachmentId) => {
+    const response = await attachmentService.deleteAttachment(taskId, attachmentId);
+    updateTaskCounts(taskId, { attachmentCount: response.attachmentCount });
+  };
+  
+  // ========================================
+  // IMPORT / EXPORT FUNCTIONS
+  // ========================================
+  
+  // Download every task matching the current list query as a CSV or JSON file
+  const handleExportTasks = async (format) => {
+    try {
+      setError('');
+      
+      const blob = await taskService.exportTasks(query, format);
+      
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      
+    } catch (err) {
+      console.error('Error exporting tasks:', err);
+      setError('Failed to export tasks. Please try again.');
+    }
+  };
+  
+  // Check an import file without saving anything (the previews of the import wizard)
+  const handlePreviewImport = (file, options) => taskService.importTasks(file, { ...options, dryRun: true });
+  
+  // Import the tasks of a file - new tasks, projects and tags show up everywhere
+  const handleImportTasks = async (file, options) => {
+    const response = await taskService.importTasks(file, options);
+    reloadTasks();
+    return response;
+  };
+  
+  // ========================================
+  // TRASH FUNCTIONS
+  // ========================================
+  
+  // Load the first page of the trash, or the next one when 'cursor' is given
+  const fetchTrash = async (cursor = null) => {
+    try {
+      setLoadingTrash(!cursor);
+      setError('');
+      
+      const page = await taskService.getTrash(cursor ? { cursor } : {});
+      
+      setTrash(prev => ({
+        tasks: cursor ? [...prev.tasks, ...page.data] : page.data,
+        total: page.total,
+        nextCursor: page.nextCursor,
+        retentionDays: page.retentionDays
+      }));
+      
+    } catch (err) {
+      console.error('Error fetching trash:', err);
+      setError('Failed to load the trash. Please try again.');
+    } finally {
+      setLoadingTrash(false);
+    }
+  };
+  
+  // Show the trash instead of the tasks (it loads itself, see LOAD TASKS WHEN THE QUERY CHANGES)
+  // Closing it goes back to the page it was opened from
+  const handleShowTrash = () => {
+    setEditingTask(null);
+    if (!showTrash) {
+      navigate('/trash', { state: { from: pageHref } });
+    }
+  };
+  
+  // Go back to the tasks of a project (or all tasks), keeping the view and the list filters
+  const handleSelectProject = (project) => {
+    navigate(getTasksPath(project, view) + pageSearch);
+  };
+  
+  // Close the trash or the task page: back to the page it was opened from
+  // (back in the history when it was opened in the app, so forward opens it again)
+  const handleClosePage = () => {
+    if (location.state && location.state.from) {
+      window.history.back();
+    } else {
+      navigate(pageHref);
+    }
+  };
+  
+  // Edit the task of the task page in the form
+  const handleEditFromPage = (task) => {
+    handleClosePage();
+    setEditingTask(task);
+  };
+  
+  // Reload the list and every count (after a restore, or when many tasks changed elsewhere)
+  // (a restored task goes back to its place in the current sort order)
+  const reloadTasks = () => {
+    invalidateQueries(taskKeys.lists());
+    refreshCounts();
+  };
+  
+  // Remove a task from the loaded trash
+  const removeFromTrash = (taskId) => {
+    setTrash(prev => ({
+      ...prev,
+      tasks: prev.tasks.filter(task => task._id !== taskId),
+      total: prev.total - 1
+    }));
+  };
+  
+  // Restore a task from the trash view
+  // Errors are thrown to TrashView, which shows them
+  const handleRestoreTask = async (taskId) => {
+    await taskService.restoreTask(taskId);
+    removeFromTrash(taskId);
+    reloadTasks();
+  };
+  
+  // Delete a task in the trash permanently
+  const handlePurgeTask = async (taskId) => {
+    await taskService.purgeTask(taskId);
+    removeFromTrash(taskId);
+  };
+  
+  // Delete every task in the trash permanently
+  const handleEmptyTrash = async () => {
+    await taskService.emptyTrash();
+    setTrash(prev => ({ ...prev, tasks: [], total: 0, nextCursor: null }));
+  };
+  
+  // ========================================
+  // OPTIMISTIC UPDATES
+  // ========================================
+  
+  // Changes are shown before the server answers. Each task keeps its pending changes in optimisticChanges:
+  // requests for one task are sent one after the other (so the server applies them in the order they
+  // were made), only the answer to the newest change is shown, and a refused change goes back to
+  // the last version the server confirmed.
+  
+  // Show a change of a loaded task now - 'change' gets the task and returns the changed copy
+  // Returns the id of the change, for confirmChange and undoChange
+  const showChangeNow = (taskId, currentTask, change) => {
+    const changeId = ++latestChange.current;
+    const pending = optimisticChanges.current.get(taskId);
+    
+    if (pending) {
+      pending.latest = changeId;
+    } else {
+      optimisticChanges.current.set(taskId, { latest: changeId, confirmed: currentTask, requests: Promise.resolve() });
+    }
+    
+    if (currentTask) {
+      setEntities(TASKS, [change(currentTask)]);
+    }
+    
+    return changeId;
+  };
+  
+  // Send a request for a task once the previous requests for it are answered (even if they failed)
+  const sendInOrder = (taskId, send) => {
+    const pending = optimisticChanges.current.get(taskId);
+    
+    if (!pending) {
+      return send();
+    }
+    
+    const request = pending.requests.catch(() => {}).then(send);
+    pending.requests = request;
+    return request;
+  };
+  
+  // The server answered a change with the saved task
+  // An older change is only remembered (a newer one is on its way); the newest one is shown
+  const confirmChange = (taskId, changeId, savedTask) => {
+    const pending = optimisticChanges.current.get(taskId);
+    
+    if (!pending) {
+      showUpdatedTask(savedTask);
+      return;
+    }
+    
+    // An older change may have completed a recurring task: its next occurrence must be loaded too
+    pending.createdNext = pending.createdNext || completesRecurringTask(pending.confirmed, savedTask);
+    pending.confirmed = savedTask;
+    
+    if (pending.latest === changeId) {
+      optimisticChanges.current.delete(taskId);
+      showUpdatedTask(savedTask, pending.createdNext);
+    } else {
+      offlineService.cacheTasks([savedTask]);
+    }
+  };
+  
+  // The server refused a change: if it is the newest one, show the last version the server confirmed
+  // (a newer change still on its way will bring the task's final version)
+  const undoChange = (taskId, changeId) => {
+    const pending = optimisticChanges.current.get(taskId);
+    
+    if (!pending || pending.latest !== changeId) {
+      return;
+    }
+    
+    optimisticChanges.current.delete(taskId);
+    
+    if (pending.createdNext) {
+      invalidateQueries(taskKeys.lists());
+    } else if (pending.confirmed) {
+      showUpdatedTask(pending.confirmed, false);
+    }
+  };
+  
+  // ========================================
+  // BOARD FUNCTIONS
+  // ========================================
+  
+  // The board loads itself while shown (see SERVER DATA) and again after tasks changed (refreshCounts)
+  
+  // Move a card to a column (status) just above the card 'beforeId' (at the bottom when null)
+  // The card moves at once; if the server refuses the move the board is loaded again
+  const handleMoveTask = async (taskId, status, beforeId) => {
+    const boardKey = taskKeys.board(selectedProject);
+    
+    // A board request started before the move would bring the card back - it is ignored
+    cancelQuery(boardKey);
+    setQueryData(boardKey, columns => placeCard(columns || [], taskId, status, beforeId));
+    
+    try {
+      setError('');
+      
+      const movedTask = await taskService.moveTask(taskId, status, beforeId);
+      
+      // The new status may complete or reopen the task - update the list and the counts
+      // (this also reloads the board, with the next occurrence of a completed recurring task)
+      showUpdatedTask(movedTask);
+      
+    } catch (err) {
+      console.error('Error moving task:', err);
+      setError(err.detail ? `Failed to move task: ${err.detail}` : 'Failed to move task. Please try again.');
+      invalidateQueries(taskKeys.board());
+    }
+  };
+  
+  // Switch between the list and the board
+  const handleChangeView = (nextView) => {
+    navigate(getTasksPath(selectedProject, nextView) + pageSearch);
+    
+    // The board loads itself when shown (see SERVER DATA); the list may have missed changes
+    // made on the board to tasks it doesn't have loaded
+    if (nextView === 'list') {
+      invalidateQueries(taskKeys.lists());
+    }
+  };
+  
+  // ========================================
+  // OFFLINE FUNCTIONS
+  // ========================================
+  
+  // Send the changes made offline, in order
+  // Refused changes are shown: conflicts in the merge dialog, other errors in the error banner
+  const syncOfflineChanges = async () => {
+    const report = await offlineService.flushMutations();
+    
+    if (report.offline) {
+      setIsOffline(true);
+    }
+    
+    if (report.conflicts.length > 0) {
+      setSyncConflicts(prev => [...prev, ...report.conflicts]);
+    }
+    
+    if (report.failed.length > 0) {
+      setError(`${report.failed.length} change(s) made offline could not be saved: ` +
+        report.failed.map(item => item.message).join('; '));
+    }
+    
+    // Tasks created offline have their server ids now - reload the list and every count
+    if (report.synced + report.conflicts.length + report.failed.length > 0) {
+      reloadTasks();
+    }
+  };
+  
+  // The network is back - send the waiting changes
+  const handleBackOnline = () => {
+    setIsOffline(false);
+    syncOfflineChanges();
+  };
+  
+  // The live updates connection changed
+  // 'connected' means the server can be reached: changes left from offline (also from an earlier visit) are sent
+  const handleSyncStatus = (status) => {
+    setSyncStatus(status);
+    if (status === 'connected' && (isOffline || pendingChanges > 0)) {
+      handleBackOnline();
+    }
+  };
+  
+  // Save the merged version of a change refused while syncing - it is based on the server's copy
+  const handleMergeConflict = async (merged) => {
+    const [conflict] = syncConflicts;
+    setSyncConflicts(prev => prev.slice(1));
+    
+    try {
+      setError('');
+      const { task } = await offlineService.updateTask(conflict.taskId, { ...merged, ...conflict.extra }, conflict.server.__v);
+      showUpdatedTask(task);
+      invalidateQueries(taskKeys.tags());
+    } catch (err) {
+      // Changed once more meanwhile - ask again with the newest version
+      if ((err.status === 409 || err.status === 412) && err.data) {
+        setSyncConflicts(prev => [...prev, { ...conflict, base: toTaskData(conflict.server), mine: merged, server: err.data }]);
+        return;
+      }
+      
+      console.error('Error saving merged task:', err);
+      setError('Failed to save the merged task. Please try again.');
+    }
+  };
+  
+  // Drop a change refused while syncing - the server's version (already shown) stays
+  const handleDropConflict = () => {
+    setSyncConflicts(prev => prev.slice(1));
+  };
+  
+  // ========================================
+  // LIVE UPDATE FUNCTIONS
+  // ========================================
+  
+  // Refresh statistics, project and tag counts (and the board or the trash, if shown) after changes from other tabs
+  const scheduleCountsRefresh = () => {
+    clearTimeout(countsTimer.current);
+    countsTimer.current = setTimeout(() => {
+      refreshCounts();
+      if (showTrash) {
+        fetchTrash();
+      }
+    }, COUNTS_REFRESH_DELAY);
+  };
+  
+  // Merge a task changed in another tab or device into the loaded list
+  // 'tasks.changed' means many tasks changed at once (e.g. an import) - reload instead
+  const handleTaskEvent = ({ type, data }) => {
+    if (type === 'tasks.changed') {
+      handleResync();
+      return;
+    }
+    
+    const isLoaded = tasks.some(task => task._id === data._id);
+    
+    // Keep the saved copy up to date
+    if (type === 'task.deleted') {
+      offlineService.uncacheTasks([data._id]);
+    } else {
+      offlineService.cacheTasks([data]);
+    }
+    
+    // A change of this tab is still on its way - it stays shown, and is undone to this version if refused
+    const optimistic = optimisticChanges.current.get(data._id);
+    if (optimistic && type !== 'task.deleted') {
+      optimistic.confirmed = data;
+      scheduleCountsRefresh();
+      return;
+    }
+    
+    // Search results are ranked by the server: changed results are updated, new tasks aren't added
+    const belongs = type !== 'task.deleted' && matchesQuery(data, query) && (isLoaded || !query?.q);
+    
+    // The new version shows in every list that has the task
+    if (type !== 'task.deleted') {
+      setEntities(TASKS, [data]);
+    }
+    
+    if (isLoaded && !belongs) {
+      updateTaskList(list => removeTaskFrom(list, data._id));
+    } else if (!isLoaded && belongs) {
+      // New tasks appear at the top, like the ones created in this tab
+      updateTaskList(list => insertTaskAt(list, data, 0));
+    }
+    
+    scheduleCountsRefresh();
+  };
+  
+  // Changes were missed while disconnected and can't be replayed - reload everything
+  const handleResync = () => {
+    reloadTasks();
+    if (showTrash) {
+      fetchTrash();
+    }
+  };
+  
+  // ========================================
+  // TAG FUNCTIONS
+  // ========================================
+  
+  // Create a tag from the tag picker and return it, so it can be added to the task
+  // Errors are thrown to the tag picker, which shows them
+  const handleCreateTag = async (name) => {
+    const newTag = await tagService.createTag({ name });
+    setQueryData(taskKeys.tags(), prev => sortTags([...(prev || []), { ...newTag, taskCount: 0 }]));
+    return newTag;
+  };
+  
+  // ========================================
+  // PROJECT FUNCTIONS
+  // ========================================
+  
+  // Create a project and add it to the sidebar
+  // Errors are thrown to ProjectSidebar, which shows them
+  const handleCreateProject = async (projectData) => {
+    const newProject = await projectService.createProject(projectData);
+    setQueryData(taskKeys.projects(), prev => [...(prev || []), { ...newProject, activeTaskCount: 0 }]);
+  };
+  
+  // Update a project (rename, recolor, archive)
+  const handleUpdateProject = async (projectId, projectData) => {
+    const updatedProject = await projectService.updateProject(projectId, projectData);
+    const project = selectEntity(getState(), PROJECTS, projectId);
+    
+    // Shown in the sidebar and everywhere the project is named
+    setEntities(PROJECTS, [{ ...project, ...updatedProject }]);
+  };
+  
+  // Delete a project - taskAction decides if its tasks are trashed or moved
+  const handleDeleteProject = async (projectId, taskAction, moveTo) => {
+    await projectService.deleteProject(projectId, taskAction, moveTo);
+    
+    // Go back to all tasks if the deleted project was selected
+    if (selectedProject === projectId) {
+      navigate(getTasksPath('all', view) + pageSearch, { replace: true });
+    }
+    
+    // Tasks may have been trashed or moved - reload the lists and every count
+    reloadTasks();
+  };
+  
+  // Move a project one position up (-1) or down (+1) in the sidebar
+  const handleMoveProject = async (projectId, direction) => {
+    const activeIds = projects.filter(project => !project.archived).map(project => project._id);
+    const from = activeIds.indexOf(projectId);
+    const to = from + direction;
+    
+    if (from === -1 || to < 0 || to >= activeIds.length) {
+      return;
+    }
+    
+    // Swap the two projects and save the new order
+    [activeIds[from], activeIds[to]] = [activeIds[to], activeIds[from]];
+    await projectService.reorderProjects(activeIds);
+    await invalidateQueries(taskKeys.projects());
+  };
+  
+  // ========================================
+  // VIEW FUNCTIONS
+  // ========================================
+  
+  // Show a saved or built-in view
+  const handleSelectView = (id) => {
+    navigate(getViewPath(id));
+  };
+  
+  // Pin a view to the sidebar, or unpin it
+  // Errors are thrown to the sidebar and the view page, which show them
+  const handlePinView = async (id, pinned) => {
+    const pinnedIds = await viewService.pinView(id, pinned);
+    setQueryData(taskKeys.views(), prev => prev && {
+      views: prev.views.map(item => ({ ...item, pinned: pinnedIds.includes(item._id) })),
+      pinned: pinnedIds
+    });
+  };
+  
+  // Save the view dialog: a new view gets the filters and sort of the list shown and is opened,
+  // a changed view keeps its filters. Errors are thrown to the dialog, which shows them
+  const handleSaveView = async ({ pinned, ...viewData }) => {
+    const editing = viewDialog.view;
+    const saved = editing
+      ? await viewService.updateView(editing._id, viewData)
+      : await viewService.createView({ ...viewData, filters: toViewFilters(query) });
+    
+    if (saved.pinned !== pinned) {
+      await viewService.pinView(saved._id, pinned);
+    }
+    
+    // Its list query comes from the server - the views are loaded again (and the tasks, if it changed)
+    await invalidateQueries(taskKeys.views());
+    setViewDialog(null);
+    if (!editing) {
+      navigate(getViewPath(saved._id));
+    }
+  };
+  
+  // Delete a view (or remove a view shared with the user from their list)
+  // Errors are thrown to the view page, which shows them
+  const handleDeleteView = async (viewToDelete) => {
+    await viewService.deleteView(viewToDelete._id);
+    
+    // Back to all tasks if the view was shown
+    if (viewId === viewToDelete._id) {
+      navigate('/', { replace: true });
+    }
+    await invalidateQueries(taskKeys.views());
+  };
+  
+  // ========================================
+  // AUTH FUNCTIONS
+  // ========================================
+  
+  // Log in and show the user's tasks
+  // Errors are thrown to LoginForm, which shows them under the form
+  const handleLogin = async (credentials) => {
+    const loggedInUser = await authService.login(credentials);
+    setError('');
+    setUser(loggedInUser);
+  };
+  
+  // Create an account and log in
+  const handleRegister = async (data) => {
+    const newUser = await authService.register(data);
+    setError('');
+    setUser(newUser);
+  };
+  
+  // Log out - the session listener resets the state
+  // The next user starts from all tasks (the projects and tasks in the URL were this user's)
+  const handleLogout = async () => {
+    await authService.logout();
+    navigate('/', { replace: true });
+  };
+  
   // ========================================
   // RENDER COMPONENT
   // ========================================
@@ -167,60 +1592,300 @@ function App() {
       <header className="app-header">
         <h1>Task Manager</h1>
         <p>Organize your tasks efficiently</p>
+        
+        {/* Logged in user and logout button */}
+        {user && (
+          <div className="user-bar">
+            {/* Offline: the saved tasks are shown and changes wait on this device */}
+            {isOffline || pendingChanges > 0 ? (
+              <span className="sync-status" title="Your changes are saved on this device and sent when the connection is back">
+                <FiCloudOff />
+                {isOffline ? 'Offline' : 'Sending changes...'}
+                {pendingChanges > 0 && ` · ${pendingChanges} change(s) waiting`}
+              </span>
+            ) : syncStatus === 'reconnecting' && (
+              // Live updates are paused until the connection is back
+              <span className="sync-status" title="Changes from other tabs will show up when the connection is back">
+                <FiWifiOff />
+                Reconnecting...
+              </span>
+            )}
+            <span className="user-name">{user.name}</span>
+            <button onClick={() => setShowCalendar(true)} className="btn btn-secondary logout-btn" title="Show your tasks in a calendar app">
+              <FiCalendar className="btn-icon" />
+              Calendar
+            </button>
+            <button onClick={handleLogout} className="btn btn-secondary logout-btn">
+              <FiLogOut className="btn-icon" />
+              Log out
+            </button>
+          </div>
+        )}
       </header>
       
       {/* Main content area */}
       <main className="app-main">
         
-        {/* Display error message if any */}
-        {error && (
-          <div className="error-message">
-            {error}
-            {/* Button to retry loading tasks */}
-            <button onClick={fetchTasks} className="retry-btn">
-              Retry
-            </button>
+        {!authChecked ? (
+          // Checking the saved session with the server
+          <div className="loading">Loading...</div>
+        ) : !user ? (
+          // Logged out - show the login/register form
+          <section className="form-section">
+            <LoginForm onLogin={handleLogin} onRegister={handleRegister} />
+          </section>
+        ) : (
+          <div className="app-layout">
+            
+            {/* Project sidebar */}
+            <aside className="sidebar-section">
+              <ProjectSidebar
+                selectedProject={showTrash || viewId ? null : selectedProject}
+                selectedView={showTrash ? null : viewId}
+                trashSelected={showTrash}
+                onSelect={handleSelectProject}
+                onSelectView={handleSelectView}
+                onPinView={handlePinView}
+                onSelectTrash={handleShowTrash}
+                onCreate={handleCreateProject}
+                onUpdate={handleUpdateProject}
+                onDelete={handleDeleteProject}
+                onMove={handleMoveProject}
+              />
+            </aside>
+            
+            {/* Tasks of the selected project */}
+            <div className="app-content">
+              
+              {/* Display error message if any */}
+              {error && (
+                <div className="error-message">
+                  {error}
+                  {/* Button to retry loading tasks (or the trash) */}
+                  <button
+                    onClick={() => (showTrash ? fetchTrash() : reloadTasks())}
+                    className="retry-btn"
+                  >
+                    Retry
+                  </button>
+                </div>
+              )}
+              
+              {/* Deleted tasks */}
+              {showTrash && (
+                <section className="list-section">
+                  <TrashView
+                    tasks={trash.tasks}
+                    total={trash.total}
+                    retentionDays={trash.retentionDays}
+                    loading={loadingTrash}
+                    hasMore={!!trash.nextCursor}
+                    onLoadMore={() => fetchTrash(trash.nextCursor)}
+                    onRestore={handleRestoreTask}
+                    onPurge={handlePurgeTask}
+                    onEmpty={handleEmptyTrash}
+                    onClose={handleClosePage}
+                  />
+                </section>
+              )}
+              
+              {/* Tasks are hidden (not removed) while the trash is shown, so TaskList keeps its settings */}
+              <div className="task-view" hidden={showTrash}>
+                {/* Task creation/editing form */}
+                <section className="form-section">
+                  <TaskForm
+                    onSubmit={editingTask ? 
+                      // If editing, call update function (with the version the form started from)
+                      (data, version) => handleUpdateTask(editingTask._id, data, version) : 
+                      // If not editing, call create function
+                      handleCreateTask
+                    }
+                    initialData={editingTask}
+                    isEditing={!!editingTask}
+                    onCancel={handleCancelEdit}
+                    onCreateTag={handleCreateTag}
+                    onLoadAttachments={attachmentService.getAttachments}
+                    onUploadAttachments={handleUploadAttachments}
+                    onDownloadAttachment={attachmentService.downloadAttachment}
+                    onLoadThumbnail={attachmentService.getAttachmentThumbnail}
+                    onDeleteAttachment={handleDeleteAttachment}
+                    defaultProject={selectedProject === 'all' || selectedProject === 'none' ? '' : selectedProject}
+                  />
+                </section>
+              
+                {/* Task statistics */}
+                <section className="stats-section">
+                  <TaskStats />
+                </section>
+              
+                {/* List or board (a saved view has its own layout) */}
+                <div className="view-switch" role="group" aria-label="Show tasks as" hidden={!!viewId}>
+                  <button
+                    onClick={() => handleChangeView('list')}
+                    className={`btn btn-secondary ${view === 'list' ? 'active' : ''}`}
+                    aria-pressed={view === 'list'}
+                  >
+                    <FiList className="btn-icon" />
+                    List
+                  </button>
+                  <button
+                    onClick={() => handleChangeView('board')}
+                    className={`btn btn-secondary ${view === 'board' ? 'active' : ''}`}
+                    aria-pressed={view === 'board'}
+                  >
+                    <FiColumns className="btn-icon" />
+                    Board
+                  </button>
+                </div>
+                
+                {/* Saved or built-in view - its tasks grouped, with the columns chosen for it */}
+                {viewId && (
+                  <section className="list-section">
+                    {savedView ? (
+                      <SavedView
+                        view={savedView}
+                        loadingMore={loadingMore}
+                        onLoadMore={loadMoreTasks}
+                        onToggleComplete={handleToggleComplete}
+                        onEdit={handleEditTask}
+                        onDelete={handleDeleteTask}
+                        onEditView={(item) => setViewDialog({ view: item })}
+                        onPinView={handlePinView}
+                        onDeleteView={handleDeleteView}
+                      />
+                    ) : viewsQuery.data ? (
+                      // Deleted, or not shared with the user anymore
+                      <div className="empty-state">
+                        <h3>View not found</h3>
+                        <p>This view was deleted or isn&apos;t shared with you anymore.</p>
+                      </div>
+                    ) : (
+                      <div className="loading">Loading view...</div>
+                    )}
+                  </section>
+                )}
+                
+                {/* Task board - one column per status */}
+                {view === 'board' && (
+                  <section className="list-section board-section">
+                    <KanbanBoard
+                      onMove={handleMoveTask}
+                      onEdit={handleEditTask}
+                    />
+                  </section>
+                )}
+              
+                {/* Task list - hidden (not removed) while the board or a view is shown, so it keeps its settings */}
+                <section className="list-section" hidden={view === 'board' || !!viewId}>
+                  {/* TaskList stays mounted while loading so it keeps its filter and sort settings */}
+                  {/* (it reads the loaded tasks from the store) */}
+                  <TaskList
+                    listParams={pageSearch}
+                    loadingMore={loadingMore}
+                    onQueryChange={setListSettings}
+                    onLoadMore={loadMoreTasks}
+                    onToggleComplete={handleToggleComplete}
+                    onEdit={handleEditTask}
+                    onDelete={handleDeleteTask}
+                    onBulkAction={handleBulkAction}
+                    onAddSubtask={handleAddSubtask}
+                    onUpdateSubtask={handleUpdateSubtask}
+                    onReorderSubtasks={handleReorderSubtasks}
+                    onDeleteSubtask={handleDeleteSubtask}
+                    onLoadHistory={taskService.getTaskHistory}
+                    onRevertTask={handleRevertTask}
+                    currentUserId={user._id}
+                    onLoadComments={commentService.getComments}
+                    onAddComment={handleAddComment}
+                    onUpdateComment={handleUpdateComment}
+                    onDeleteComment={handleDeleteComment}
+                    onExport={handleExportTasks}
+                    onImport={() => setShowImport(true)}
+                    onSaveView={() => setViewDialog({ view: null })}
+                  />
+                </section>
+              </div>
+              
+            </div>
+            
           </div>
         )}
         
-        {/* Task creation/editing form */}
-        <section className="form-section">
-          <TaskForm
-            onSubmit={editingTask ? 
-              // If editing, call update function
-              (data) => handleUpdateTask(editingTask._id, data) : 
-              // If not editing, call create function
-              handleCreateTask
-            }
-            initialData={editingTask}
-            isEditing={!!editingTask}
-            onCancel={handleCancelEdit}
-          />
-        </section>
-        
-        {/* Task statistics */}
-        <section className="stats-section">
-          <TaskStats tasks={tasks} />
-        </section>
-        
-        {/* Task list */}
-        <section className="list-section">
-          {loading ? (
-            // Show loading message while fetching
-            <div className="loading">Loading tasks...</div>
-          ) : (
-            // Show task list when loaded
-            <TaskList
-              tasks={tasks}
-              onToggleComplete={handleToggleComplete}
-              onEdit={handleEditTask}
-              onDelete={handleDeleteTask}
-            />
-          )}
-        </section>
-        
       </main>
       
+      {/* Task page (/tasks/:id) - shown over the page it was opened from */}
+      {loggedIn && taskId && (
+        <TaskDetail
+          key={taskId}
+          taskId={taskId}
+          onToggleComplete={handleToggleComplete}
+          onEdit={handleEditFromPage}
+          onClose={handleClosePage}
+        />
+      )}
+      
+      {/* Import wizard - closing it keeps the tasks imported so far */}
+      {showImport && (
+        <ImportWizard
+          onPreview={handlePreviewImport}
+          onImport={handleImportTasks}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+      
+      {/* Calendar link dialog */}
+      {showCalendar && (
+        <CalendarDialog
+          onLoadFeed={calendarService.getCalendarFeed}
+          onCreateFeed={calendarService.createCalendarFeed}
+          onDeleteFeed={calendarService.deleteCalendarFeed}
+          onClose={() => setShowCalendar(false)}
+        />
+      )}
+      
+      {/* Save the list shown as a view, or change a view */}
+      {viewDialog && (
+        <ViewDialog
+          view={viewDialog.view}
+          filters={query ? toViewFilters(query) : {}}
+          sort={query && query.sort}
+          order={query && query.order}
+          onSave={handleSaveView}
+          onClose={() => setViewDialog(null)}
+        />
+      )}
+      
+      {/* A change made offline conflicts with a change made elsewhere meanwhile */}
+      {syncConflicts.length > 0 && (
+        <ConflictDialog
+          key={`${syncConflicts[0].taskId}-${syncConflicts[0].server.__v}`}
+          title={`"${syncConflicts[0].server.title}" was changed while you were offline`}
+          base={syncConflicts[0].base}
+          mine={syncConflicts[0].mine}
+          server={toTaskData(syncConflicts[0].server)}
+          onMerge={handleMergeConflict}
+          onUseServer={handleDropConflict}
+        />
+      )}
+      
+      {/* "Undo" toast shown for a few seconds after a delete */}
+      {deletedTasks.length > 0 && (
+        <div className="toast" role="status">
+          <span className="toast-message">
+            {deletedTasks.length === 1
+              ? <>&quot;{deletedTasks[0].title}&quot; moved to trash</>
+              : `${deletedTasks.length} tasks moved to trash`}
+          </span>
+          <button onClick={handleUndoDelete} className="btn btn-secondary toast-btn">
+            <FiRotateCcw className="btn-icon" />
+            Undo
+          </button>
+          <button onClick={() => setDeletedTasks([])} className="toast-close" aria-label="Dismiss">
+            <FiX />
+          </button>
+        </div>
+      )}
+      
       {/* Footer */}
       <footer className="app-footer">
         <p>Built with React and Node.js</p>
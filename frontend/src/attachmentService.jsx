@@ -0,0 +1,101 @@
+// Import the configured axios instance (base URL, token and error interceptors)
+import { api } from './taskService';
+
+// ========================================
+// ATTACHMENT SETTINGS
+// ========================================
+
+// Upload limits used before the server sent its own (e.g. for a task that isn't created yet)
+// The server checks every file again - it detects the real type from the content
+export const DEFAULT_ATTACHMENT_LIMITS = {
+  maxFileSize: 10 * 1024 * 1024,
+  mimeTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain']
+};
+
+// Files sent in one upload request (the server accepts up to 5)
+export const MAX_FILES_PER_UPLOAD = 5;
+
+// Uploads and downloads can take longer than the usual 5 second request timeout
+const FILE_TIMEOUT = 120000;
+
+// ========================================
+// ATTACHMENT API FUNCTIONS
+// ========================================
+
+// Get the files attached to a task
+// Returns { data: attachments, limits: { maxFileSize, mimeTypes } }
+export const getAttachments = async (taskId) => {
+  try {
+    const response = await api.get(`/tasks/${taskId}/attachments`, { fullResponse: true });
+    return { data: response.data, limits: response.limits };
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    throw error;
+  }
+};
+
+// Upload files to a task (at most MAX_FILES_PER_UPLOAD per call)
+// onProgress(percent) is called while the files are sent
+// Returns the whole response: 'data' has the new attachments, 'attachmentCount' the task's new count
+export const uploadAttachments = async (taskId, files, onProgress) => {
+  try {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    const response = await api.post(`/tasks/${taskId}/attachments`, formData, {
+      fullResponse: true,
+      timeout: FILE_TIMEOUT,
+
+      // Lets the browser set the multipart boundary instead of the default JSON type
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress: (e) => {
+        if (onProgress && e.total) {
+          onProgress(Math.round((e.loaded / e.total) * 100));
+        }
+      }
+    });
+    return response;
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    throw error;
+  }
+};
+
+// Download a file - returns it as a Blob
+export const downloadAttachment = async (taskId, attachmentId) => {
+  try {
+    const response = await api.get(`/tasks/${taskId}/attachments/${attachmentId}`, {
+      responseType: 'blob',
+      timeout: FILE_TIMEOUT
+    });
+    return response;
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    throw error;
+  }
+};
+
+// Get the thumbnail of an image attachment as a Blob
+export const getAttachmentThumbnail = async (taskId, attachmentId) => {
+  try {
+    const response = await api.get(`/tasks/${taskId}/attachments/${attachmentId}/thumbnail`, {
+      responseType: 'blob'
+    });
+    return response;
+  } catch (error) {
+    console.error('Error fetching thumbnail:', error);
+    throw error;
+  }
+};
+
+// Delete a file
+// Returns the whole response, with the task's new 'attachmentCount'
+export const deleteAttachment = async (taskId, attachmentId) => {
+  try {
+    const response = await api.delete(`/tasks/${taskId}/attachments/${attachmentId}`, { fullResponse: true });
+    return response;
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    throw error;
+  }
+};
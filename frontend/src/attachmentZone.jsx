@@ -0,0 +1,305 @@
+// Import React hooks for state management, loading and the file input
+import React, { useState, useEffect, useRef } from 'react';
+
+// Import icons from react-icons library
+import { FiPaperclip, FiFile, FiDownload, FiTrash2, FiX, FiUploadCloud } from 'react-icons/fi';
+
+// Import the upload limits used until the server sends its own
+import { DEFAULT_ATTACHMENT_LIMITS, MAX_FILES_PER_UPLOAD } from './attachmentService';
+
+// Show a size in bytes as text, e.g. "1.2 MB"
+const formatSize = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Thumbnail of an image attachment, loaded with the user's token and shown from a local URL
+const Thumbnail = ({ taskId, attachment, onLoadThumbnail }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    onLoadThumbnail(taskId, attachment._id)
+      .then(blob => {
+        if (!cancelled) {
+          objectUrl = URL.createObjectURL(blob);
+          setUrl(objectUrl);
+        }
+      })
+      .catch(() => {
+        // Without a thumbnail the file icon is shown
+      });
+
+    // Free the image when the attachment is no longer shown
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [taskId, attachment._id, onLoadThumbnail]);
+
+  return url
+    ? <img src={url} alt="" className="attachment-thumbnail" />
+    : <FiFile className="attachment-icon" />;
+};
+
+// AttachmentZone component - the files of a task in TaskForm, with a drag-and-drop zone
+// For an existing task (taskId) files are uploaded as soon as they are dropped;
+// for a new task they are kept in 'pendingFiles' and uploaded by TaskForm after the task is created
+const AttachmentZone = ({
+  taskId,
+  pendingFiles = [],
+  onPendingFilesChange,
+  onLoadAttachments,
+  onUploadAttachments,
+  onDownloadAttachment,
+  onLoadThumbnail,
+  onDeleteAttachment,
+  disabled = false
+}) => {
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Files already attached to the task, and the limits sent by the server
+  const [attachments, setAttachments] = useState([]);
+  const [limits, setLimits] = useState(DEFAULT_ATTACHMENT_LIMITS);
+
+  // True while files are dragged over the zone
+  const [dragging, setDragging] = useState(false);
+
+  // Upload progress in percent (null when nothing is uploading), and other running actions
+  const [progress, setProgress] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Error message for the last failed action
+  const [error, setError] = useState('');
+
+  // Hidden file input opened by the "browse" button
+  const fileInput = useRef(null);
+
+  // ========================================
+  // LOAD ATTACHMENTS
+  // ========================================
+
+  useEffect(() => {
+    if (!taskId) {
+      setAttachments([]);
+      return;
+    }
+
+    let cancelled = false;
+
+    onLoadAttachments(taskId)
+      .then(result => {
+        if (!cancelled) {
+          setAttachments(result.data);
+          setLimits(result.limits || DEFAULT_ATTACHMENT_LIMITS);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load attachments.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId, onLoadAttachments]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Check dropped or picked files against the limits, then upload or queue them
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList);
+    const rejected = files.filter(file => file.size > limits.maxFileSize || !limits.mimeTypes.includes(file.type));
+    const accepted = files.filter(file => !rejected.includes(file));
+
+    setError(rejected.length > 0
+      ? `Not added: ${rejected.map(file => file.name).join(', ')} - images, PDF and text files up to ${formatSize(limits.maxFileSize)} only`
+      : '');
+
+    if (accepted.length === 0) {
+      return;
+    }
+
+    // New task: keep the files until it is created
+    if (!taskId) {
+      onPendingFilesChange([...pendingFiles, ...accepted]);
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setProgress(0);
+
+      // The server takes a few files per request
+      for (let start = 0; start < accepted.length; start += MAX_FILES_PER_UPLOAD) {
+        const uploaded = await onUploadAttachments(taskId, accepted.slice(start, start + MAX_FILES_PER_UPLOAD), setProgress);
+        setAttachments(prev => [...prev, ...uploaded]);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to upload files.');
+    } finally {
+      setBusy(false);
+      setProgress(null);
+    }
+  };
+
+  // Save a file on the user's computer
+  const handleDownload = async (attachment) => {
+    try {
+      setError('');
+      const blob = await onDownloadAttachment(taskId, attachment._id);
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || 'Failed to download the file.');
+    }
+  };
+
+  // Delete a file of the task
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete "${attachment.filename}"?`)) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError('');
+      await onDeleteAttachment(taskId, attachment._id);
+      setAttachments(prev => prev.filter(item => item._id !== attachment._id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete the file.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Drag and drop - preventDefault() stops the browser from opening the file
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled && !busy) {
+      setDragging(true);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled && !busy) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  const isDisabled = disabled || busy;
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="attachment-zone">
+
+      {/* Files of the task */}
+      {attachments.length > 0 && (
+        <ul className="attachment-list">
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="attachment-item">
+              {attachment.hasThumbnail
+                ? <Thumbnail taskId={taskId} attachment={attachment} onLoadThumbnail={onLoadThumbnail} />
+                : <FiFile className="attachment-icon" />}
+              <span className="attachment-name" title={attachment.filename}>{attachment.filename}</span>
+              <span className="attachment-size">{formatSize(attachment.size)}</span>
+              <button type="button" onClick={() => handleDownload(attachment)} aria-label={`Download ${attachment.filename}`} title="Download">
+                <FiDownload />
+              </button>
+              <button type="button" onClick={() => handleDelete(attachment)} disabled={isDisabled} aria-label={`Delete ${attachment.filename}`} title="Delete">
+                <FiTrash2 />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Files waiting for the new task to be created */}
+      {pendingFiles.length > 0 && (
+        <ul className="attachment-list">
+          {pendingFiles.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="attachment-item pending">
+              <FiPaperclip className="attachment-icon" />
+              <span className="attachment-name" title={file.name}>{file.name}</span>
+              <span className="attachment-size">{formatSize(file.size)}</span>
+              <button
+                type="button"
+                onClick={() => onPendingFilesChange(pendingFiles.filter((_, i) => i !== index))}
+                disabled={isDisabled}
+                aria-label={`Remove ${file.name}`}
+                title="Remove"
+              >
+                <FiX />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Drop zone - also opens the file picker */}
+      <div
+        className={`drop-zone ${dragging ? 'dragging' : ''} ${isDisabled ? 'disabled' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        <FiUploadCloud className="drop-zone-icon" />
+        {progress !== null ? (
+          <span>Uploading... {progress}%</span>
+        ) : (
+          <span>
+            Drop screenshots or PDFs here, or
+            <button type="button" className="link-btn" onClick={() => fileInput.current.click()} disabled={isDisabled}>
+              browse
+            </button>
+          </span>
+        )}
+        <input
+          ref={fileInput}
+          type="file"
+          multiple
+          accept={limits.mimeTypes.join(',')}
+          onChange={(e) => {
+            addFiles(e.target.files);
+
+            // Allow picking the same file again
+            e.target.value = '';
+          }}
+          hidden
+        />
+      </div>
+
+      {error && <span className="error-text">{error}</span>}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default AttachmentZone;
@@ -0,0 +1,160 @@
+// Import axios for making HTTP requests
+import axios from 'axios';
+
+// ========================================
+// API CONFIGURATION
+// ========================================
+
+// Get API base URL from environment variables (same as taskService)
+// eslint-disable-next-line no-undef
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Separate axios instance for the auth endpoints
+// It has no token/refresh interceptors, so a failing refresh can't trigger another refresh
+const authApi = axios.create({
+  baseURL: `${API_URL}/api/auth`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+  timeout: 5000,
+});
+
+// Key used to keep the session in localStorage between page reloads
+const STORAGE_KEY = 'taskManagerSession';
+
+// ========================================
+// SESSION STORAGE
+// ========================================
+
+// Functions called when the session ends (logout or refresh failure)
+const sessionListeners = new Set();
+
+// Read the saved session: { user, accessToken, refreshToken } or null
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Get the current access token (or null when logged out)
+export const getAccessToken = () => getSession()?.accessToken || null;
+
+// Save the session returned by login/register/refresh
+const saveSession = ({ user, accessToken, refreshToken }) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ user, accessToken, refreshToken }));
+};
+
+// Forget the session and tell the listeners (e.g. App shows the login screen)
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  sessionListeners.forEach(listener => listener());
+};
+
+// Register a function to call when the session ends
+// Returns a function that removes the listener
+export const onSessionEnd = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+// Turn an axios error into an Error with the server's message
+const toError = (error, fallbackMessage) => {
+  if (error.response) {
+    return new Error(error.response.data.message || fallbackMessage);
+  }
+  if (error.request) {
+    // The server can't be reached - callers keep the saved session (the app works offline)
+    const networkError = new Error('Network error. Please check your internet connection.');
+    networkError.isNetworkError = true;
+    return networkError;
+  }
+  return new Error(fallbackMessage);
+};
+
+// ========================================
+// AUTH FUNCTIONS
+// ========================================
+
+// Create a new account and log in
+export const register = async ({ name, email, password }) => {
+  try {
+    const response = await authApi.post('/register', { name, email, password });
+    saveSession(response.data.data);
+    return response.data.data.user;
+  } catch (error) {
+    console.error('Error registering:', error);
+    throw toError(error, 'Registration failed. Please try again.');
+  }
+};
+
+// Log in with email and password
+export const login = async ({ email, password }) => {
+  try {
+    const response = await authApi.post('/login', { email, password });
+    saveSession(response.data.data);
+    return response.data.data.user;
+  } catch (error) {
+    console.error('Error logging in:', error);
+    throw toError(error, 'Login failed. Please try again.');
+  }
+};
+
+// Log out: revoke the refresh token on the server and forget the session
+export const logout = async () => {
+  const session = getSession();
+  try {
+    if (session?.refreshToken) {
+      await authApi.post('/logout', { refreshToken: session.refreshToken });
+    }
+  } catch (error) {
+    // Even if the server can't be reached we still log out locally
+    console.error('Error logging out:', error);
+  } finally {
+    clearSession();
+  }
+};
+
+// Refresh request currently running (shared so parallel 401s only refresh once)
+let refreshPromise = null;
+
+// Name of the lock that lets one tab at a time refresh the session
+const REFRESH_LOCK = 'taskManagerRefresh';
+
+// Run a refresh while holding the lock shared by every tab of the app
+// The refresh token changes on every refresh and the server logs out every device when an old one
+// is used again, so two tabs must never send the same token (browsers without Web Locks refresh directly)
+const withRefreshLock = (refresh) => (navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh());
+
+// Get new tokens with the refresh token
+// Returns the logged in user, or throws if the session can't be refreshed
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    // The refresh token this tab has now - if another tab refreshes first, its new tokens are used instead
+    const currentToken = getSession()?.refreshToken;
+
+    refreshPromise = withRefreshLock(async () => {
+      // Read again once the lock is ours: the session is shared through localStorage
+      const session = getSession();
+      if (!session?.refreshToken) {
+        throw new Error('Not logged in');
+      }
+      if (session.refreshToken !== currentToken) {
+        return session.user;
+      }
+
+      try {
+        const response = await authApi.post('/refresh', { refreshToken: session.refreshToken });
+        saveSession(response.data.data);
+        return response.data.data.user;
+      } catch (error) {
+        throw toError(error, 'Your session has expired. Please log in again.');
+      }
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
@@ -0,0 +1,64 @@
+// ========================================
+// BOARD HELPERS
+// ========================================
+
+// The board columns have the same shape as the server sends them (GET /api/tasks/board):
+// [{ key, name, done, total, tasks }] - one column per workflow status, cards in board order.
+// A move is described like the server expects it: the card goes into the 'status' column,
+// just above the card 'beforeId' (at the bottom when beforeId is null).
+
+// Find the column a card is in
+export const findCardColumn = (columns, taskId) => {
+  return columns.find(column => column.tasks.some(task => task._id === taskId)) || null;
+};
+
+// Cards of a column without the card being moved
+export const getCardsWithout = (column, taskId) => {
+  return column.tasks.filter(task => task._id !== taskId);
+};
+
+// Check if a move would leave the card where it already is
+export const isSamePlace = (columns, taskId, status, beforeId) => {
+  const column = findCardColumn(columns, taskId);
+
+  if (!column || column.key !== status) {
+    return false;
+  }
+
+  const index = column.tasks.findIndex(task => task._id === taskId);
+  const next = column.tasks[index + 1];
+
+  // The last loaded card of a longer column goes below the cards that aren't loaded
+  if (!next) {
+    return beforeId === null && column.total <= column.tasks.length;
+  }
+
+  return next._id === beforeId;
+};
+
+// Move a card in the loaded columns, like the server will (shown before the server answers)
+// The card gets the status of its new column, and is completed exactly when that column is the last one
+export const placeCard = (columns, taskId, status, beforeId) => {
+  const from = findCardColumn(columns, taskId);
+
+  if (!from) {
+    return columns;
+  }
+
+  const card = from.tasks.find(task => task._id === taskId);
+  const target = columns.find(column => column.key === status);
+  const moved = { ...card, status, completed: !!(target && target.done) };
+
+  return columns.map(column => {
+    const tasks = getCardsWithout(column, taskId);
+    let total = column.total - (column === from ? 1 : 0);
+
+    if (column.key === status) {
+      const index = beforeId ? tasks.findIndex(task => task._id === beforeId) : -1;
+      tasks.splice(index === -1 ? tasks.length : index, 0, moved);
+      total += 1;
+    }
+
+    return { ...column, tasks, total };
+  });
+};
@@ -0,0 +1,166 @@
+// Import React hooks for state management
+import React, { useState } from 'react';
+
+// Import icons from react-icons library
+import {
+  FiCheck,
+  FiRotateCcw,
+  FiTrash2,
+  FiX
+} from 'react-icons/fi';
+
+// Import the store hooks for the project and tag choices
+import { useProjects, useTags } from './taskStore';
+
+// BulkToolbar component - actions for the tasks selected in the list
+// onAction(action, value) sends the change to the server and resolves with the bulk response
+// (one result per task); tasks that couldn't be changed are reported here
+const BulkToolbar = ({
+  count,
+  allSelected,
+  onAction,
+  onSelectAll,
+  onClear
+}) => {
+
+  // The user's projects and tags, read from the store
+  const projects = useProjects();
+  const tags = useTags();
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // True while a request is running (buttons are disabled)
+  const [busy, setBusy] = useState(false);
+
+  // Error or warning for the last action
+  const [error, setError] = useState('');
+
+  const activeProjects = projects.filter(project => !project.archived);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Run a bulk action and report the tasks that couldn't be changed
+  const runAction = async (action, value) => {
+    try {
+      setBusy(true);
+      setError('');
+
+      const result = await onAction(action, value);
+
+      if (result.failed > 0) {
+        setError(`${result.failed} task(s) couldn't be changed - they may have been deleted meanwhile.`);
+      }
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The select menus run their action as soon as an option is picked, then go back to the label
+  const handleSelectAction = (action) => (e) => {
+    const { value } = e.target;
+    e.target.value = '';
+
+    if (value) {
+      runAction(action, value);
+    }
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="bulk-toolbar" role="toolbar" aria-label="Actions for selected tasks">
+
+      <span className="bulk-count">{count} selected</span>
+
+      {!allSelected && (
+        <button type="button" onClick={onSelectAll} className="link-btn" disabled={busy}>
+          Select all
+        </button>
+      )}
+      <button type="button" onClick={onClear} className="link-btn" disabled={busy}>
+        Clear
+      </button>
+
+      <div className="bulk-actions">
+        <button type="button" onClick={() => runAction('complete')} className="btn btn-secondary" disabled={busy}>
+          <FiCheck className="btn-icon" />
+          Complete
+        </button>
+        <button type="button" onClick={() => runAction('reopen')} className="btn btn-secondary" disabled={busy}>
+          <FiRotateCcw className="btn-icon" />
+          Reopen
+        </button>
+
+        <select
+          defaultValue=""
+          onChange={handleSelectAction('priority')}
+          className="control-select"
+          disabled={busy}
+          aria-label="Set priority"
+        >
+          <option value="" disabled>Priority...</option>
+          <option value="high">High</option>
+          <option value="medium">Medium</option>
+          <option value="low">Low</option>
+        </select>
+
+        <select
+          defaultValue=""
+          onChange={handleSelectAction('project')}
+          className="control-select"
+          disabled={busy}
+          aria-label="Move to project"
+        >
+          <option value="" disabled>Move to...</option>
+          <option value="none">No project</option>
+          {activeProjects.map(project => (
+            <option key={project._id} value={project._id}>{project.name}</option>
+          ))}
+        </select>
+
+        {tags.length > 0 && (
+          <select
+            defaultValue=""
+            onChange={handleSelectAction('addTag')}
+            className="control-select"
+            disabled={busy}
+            aria-label="Add tag"
+          >
+            <option value="" disabled>Add tag...</option>
+            {tags.map(tag => (
+              <option key={tag._id} value={tag._id}>{tag.name}</option>
+            ))}
+          </select>
+        )}
+
+        <button type="button" onClick={() => runAction('delete')} className="btn btn-danger" disabled={busy}>
+          <FiTrash2 className="btn-icon" />
+          Delete
+        </button>
+      </div>
+
+      {busy && <span className="loading-spinner"></span>}
+
+      {error && (
+        <div className="form-error bulk-error">
+          {error}
+          <button type="button" onClick={() => setError('')} className="toast-close" aria-label="Dismiss">
+            <FiX />
+          </button>
+        </div>
+      )}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default BulkToolbar;
@@ -0,0 +1,203 @@
+// Import React hooks for state management and loading
+import React, { useState, useEffect } from 'react';
+
+// Import icons from react-icons library
+import { FiCalendar, FiCopy, FiRefreshCw, FiX, FiAlertCircle } from 'react-icons/fi';
+
+// CalendarDialog component - turns the calendar feed on and off
+// Calendar apps subscribe to the feed link and show the tasks with a due date.
+// The server only keeps a hash of the link's token, so the link is shown right after
+// it is created; later the user can only replace it with a new one
+const CalendarDialog = ({ onLoadFeed, onCreateFeed, onDeleteFeed, onClose }) => {
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Feed status from the server: { enabled, createdAt } (null while loading)
+  const [feed, setFeed] = useState(null);
+
+  // Links of a feed created in this dialog: { event, todo }
+  const [urls, setUrls] = useState(null);
+
+  // Entries of the subscribed calendar: 'event' (all calendar apps) or 'todo' (apps with a task list)
+  const [type, setType] = useState('event');
+
+  // True while the server is working, the message of the last failure, and "Copied!" feedback
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  // ========================================
+  // LOAD FEED STATUS
+  // ========================================
+
+  useEffect(() => {
+    let cancelled = false;
+
+    onLoadFeed()
+      .then(status => {
+        if (!cancelled) {
+          setFeed(status);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load the calendar link.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [onLoadFeed]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Create the link, or replace it - calendars subscribed to the old link stop updating
+  const handleCreate = async () => {
+    if (feed.enabled && !window.confirm('Create a new link? Calendars subscribed to the current link will stop updating.')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError('');
+      const created = await onCreateFeed();
+      setFeed(created);
+      setUrls(created.urls);
+      setCopied(false);
+    } catch (err) {
+      setError(err.message || 'Failed to create the calendar link.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Turn the feed off
+  const handleDelete = async () => {
+    if (!window.confirm('Turn off the calendar link? Subscribed calendars will stop showing your tasks.')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError('');
+      setFeed(await onDeleteFeed());
+      setUrls(null);
+    } catch (err) {
+      setError(err.message || 'Failed to turn off the calendar link.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Copy the link - the input stays selectable when the clipboard isn't available
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(urls[type]);
+      setCopied(true);
+    } catch {
+      setError('Copying failed - select the link and copy it by hand.');
+    }
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="modal-overlay" role="presentation">
+      <div className="modal calendar-dialog" role="dialog" aria-modal="true" aria-labelledby="calendar-title">
+
+        <h3 id="calendar-title">
+          <FiCalendar className="form-icon" />
+          Calendar link
+        </h3>
+
+        <p className="calendar-info">
+          Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your tasks with a due date there.
+          Calendar apps refresh it every few hours. To add events from a calendar file, use Import.
+        </p>
+
+        {!feed && !error && <div className="loading">Loading...</div>}
+
+        {/* The new link - shown only once */}
+        {urls && (
+          <div className="calendar-link">
+            <div className="form-group">
+              <label htmlFor="calendar-type">Show tasks as</label>
+              <select
+                id="calendar-type"
+                value={type}
+                onChange={(e) => {
+                  setType(e.target.value);
+                  setCopied(false);
+                }}
+                className="form-select"
+              >
+                <option value="event">Events (every calendar app)</option>
+                <option value="todo">To-dos (apps with a task list)</option>
+              </select>
+            </div>
+            <div className="calendar-url">
+              <input
+                type="text"
+                value={urls[type]}
+                readOnly
+                onFocus={(e) => e.target.select()}
+                aria-label="Calendar link"
+                className="form-input"
+              />
+              <button type="button" onClick={handleCopy} className="btn btn-secondary">
+                <FiCopy className="btn-icon" />
+                {copied ? 'Copied!' : 'Copy'}
+              </button>
+            </div>
+            <p className="calendar-warning">
+              Keep this link private: anyone who has it can see your tasks. It won&apos;t be shown again.
+            </p>
+          </div>
+        )}
+
+        {feed && feed.enabled && !urls && (
+          <p className="calendar-info">
+            Your calendar link was created on {new Date(feed.createdAt).toLocaleDateString()}.
+            Lost it? Create a new one - the old link will stop working.
+          </p>
+        )}
+
+        {error && (
+          <p className="error-text">
+            <FiAlertCircle className="btn-icon" />
+            {error}
+          </p>
+        )}
+
+        <div className="form-actions">
+          {feed && (
+            <button type="button" onClick={handleCreate} className="btn btn-primary" disabled={busy}>
+              {feed.enabled ? <FiRefreshCw className="btn-icon" /> : <FiCalendar className="btn-icon" />}
+              {feed.enabled ? 'Create new link' : 'Create link'}
+            </button>
+          )}
+          {feed && feed.enabled && (
+            <button type="button" onClick={handleDelete} className="btn btn-secondary" disabled={busy}>
+              Turn off
+            </button>
+          )}
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={busy}>
+            <FiX className="btn-icon" />
+            Close
+          </button>
+        </div>
+
+      </div>
+    </div>
+  );
+};
+
+// Export component as default
+export default CalendarDialog;
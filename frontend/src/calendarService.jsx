@@ -0,0 +1,42 @@
+// Import the configured axios instance (base URL, token and error interceptors)
+import { api } from './taskService';
+
+// ========================================
+// CALENDAR FEED API FUNCTIONS
+// ========================================
+// The feed (GET /api/calendar.ics?token=...) is read by calendar apps, not by this app -
+// these functions only turn it on and off. Calendar files are imported with taskService.importTasks
+
+// Is the feed turned on? Returns { enabled, createdAt }
+export const getCalendarFeed = async () => {
+  try {
+    const response = await api.get('/calendar/feed');
+    return response;
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    throw error;
+  }
+};
+
+// Turn on the feed, or replace its link with a new one (the old link stops working)
+// Returns { enabled, createdAt, token, urls: { event, todo } } - the link can't be fetched again later
+export const createCalendarFeed = async () => {
+  try {
+    const response = await api.post('/calendar/feed');
+    return response;
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    throw error;
+  }
+};
+
+// Turn off the feed - subscribed calendars stop receiving the tasks
+export const deleteCalendarFeed = async () => {
+  try {
+    const response = await api.delete('/calendar/feed');
+    return response;
+  } catch (error) {
+    console.error('Error turning off calendar feed:', error);
+    throw error;
+  }
+};
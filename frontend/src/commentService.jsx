@@ -0,0 +1,61 @@
+// Import the configured axios instance (base URL, token and error interceptors)
+import { api } from './taskService';
+
+// ========================================
+// COMMENT API FUNCTIONS
+// ========================================
+// Comments are written in Markdown; '@<email>' mentions notify those users
+
+// Get the comments of a task, oldest first
+export const getComments = async (taskId) => {
+  try {
+    const response = await api.get(`/tasks/${taskId}/comments`);
+    return response;
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    throw error;
+  }
+};
+
+// Add a comment to a task
+// Returns the whole response: 'data' is the comment, 'commentCount' the task's new count
+export const addComment = async (taskId, content) => {
+  try {
+    if (!content || content.trim() === '') {
+      throw new Error('Comment cannot be empty');
+    }
+
+    const response = await api.post(`/tasks/${taskId}/comments`, { content }, { fullResponse: true });
+    return response;
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    throw error;
+  }
+};
+
+// Edit one of the user's comments
+export const updateComment = async (taskId, commentId, content) => {
+  try {
+    if (!content || content.trim() === '') {
+      throw new Error('Comment cannot be empty');
+    }
+
+    const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { content });
+    return response;
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    throw error;
+  }
+};
+
+// Delete one of the user's comments
+// Returns the whole response, with the task's new 'commentCount'
+export const deleteComment = async (taskId, commentId) => {
+  try {
+    const response = await api.delete(`/tasks/${taskId}/comments/${commentId}`, { fullResponse: true });
+    return response;
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,252 @@
+// Import React hooks for state management and loading
+import React, { useState, useEffect } from 'react';
+
+// Import icons from react-icons library
+import { FiEdit2, FiTrash2, FiSend } from 'react-icons/fi';
+
+// Import the Markdown renderer for the comment text
+import { renderMarkdown } from './markdown';
+
+// CommentThread component - the discussion shown under a task
+// Comments are loaded through the parent (onLoadComments) and loaded again when the
+// comment count of the task changes (e.g. someone commented in another tab)
+// Only the author of a comment can edit or delete it
+const CommentThread = ({
+  task,
+  currentUserId,
+  onLoadComments,
+  onAddComment,
+  onUpdateComment,
+  onDeleteComment
+}) => {
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Comments of the task, oldest first
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Text of the new comment
+  const [newContent, setNewContent] = useState('');
+
+  // Comment being edited and its text
+  const [editingId, setEditingId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+
+  // True while a request is running (buttons are disabled)
+  const [busy, setBusy] = useState(false);
+
+  // Error message for the last failed action
+  const [error, setError] = useState('');
+
+  // ========================================
+  // LOAD COMMENTS
+  // ========================================
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const loaded = await onLoadComments(task._id);
+        if (!cancelled) {
+          setComments(loaded);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load comments.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    load();
+
+    // A newer load replaces this one
+    return () => {
+      cancelled = true;
+    };
+  }, [task._id, task.commentCount, onLoadComments]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Run a parent action and show its error in the thread
+  const runAction = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Add a comment at the end of the thread
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    const content = newContent.trim();
+    if (!content) {
+      return;
+    }
+
+    const added = await runAction(async () => {
+      const comment = await onAddComment(task._id, content);
+      setComments(prev => [...prev, comment]);
+    });
+
+    if (added) {
+      setNewContent('');
+    }
+  };
+
+  // Start editing one of the user's comments
+  const startEditing = (comment) => {
+    setEditingId(comment._id);
+    setEditContent(comment.content);
+  };
+
+  // Save the edited comment
+  const handleSaveEdit = async (commentId) => {
+    const content = editContent.trim();
+    if (!content) {
+      return;
+    }
+
+    const saved = await runAction(async () => {
+      const updated = await onUpdateComment(task._id, commentId, content);
+      setComments(prev => prev.map(comment => comment._id === commentId ? updated : comment));
+    });
+
+    if (saved) {
+      setEditingId(null);
+    }
+  };
+
+  // Delete one of the user's comments
+  const handleDelete = (commentId) => {
+    if (!window.confirm('Delete this comment?')) {
+      return;
+    }
+
+    runAction(async () => {
+      await onDeleteComment(task._id, commentId);
+      setComments(prev => prev.filter(comment => comment._id !== commentId));
+    });
+  };
+
+  // Ctrl+Enter (Cmd+Enter on Mac) sends the comment
+  const submitOnCtrlEnter = (submit) => (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      submit(e);
+    }
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="comment-thread">
+
+      {loading && comments.length === 0 ? (
+        <p className="comment-empty">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="comment-empty">No comments yet - start the discussion.</p>
+      ) : (
+        <ol className="comment-list">
+          {comments.map(comment => (
+            <li key={comment._id} className="comment">
+
+              <div className="comment-header">
+                <strong>{comment.authorName || 'Someone'}</strong>
+                <time dateTime={comment.createdAt} className="comment-time">
+                  {new Date(comment.createdAt).toLocaleString()}
+                </time>
+                {comment.editedAt && <span className="comment-time">(edited)</span>}
+
+                {/* Only the author can change a comment */}
+                {comment.author === currentUserId && editingId !== comment._id && (
+                  <span className="comment-actions">
+                    <button onClick={() => startEditing(comment)} disabled={busy} aria-label="Edit comment" title="Edit">
+                      <FiEdit2 />
+                    </button>
+                    <button onClick={() => handleDelete(comment._id)} disabled={busy} aria-label="Delete comment" title="Delete">
+                      <FiTrash2 />
+                    </button>
+                  </span>
+                )}
+              </div>
+
+              {editingId === comment._id ? (
+                <div className="comment-edit">
+                  <textarea
+                    value={editContent}
+                    onChange={(e) => setEditContent(e.target.value)}
+                    onKeyDown={submitOnCtrlEnter(() => handleSaveEdit(comment._id))}
+                    className="form-textarea"
+                    rows="3"
+                    maxLength={5000}
+                    disabled={busy}
+                    autoFocus
+                  />
+                  <div className="comment-form-actions">
+                    <button onClick={() => handleSaveEdit(comment._id)} className="btn btn-primary" disabled={busy || !editContent.trim()}>
+                      Save
+                    </button>
+                    <button onClick={() => setEditingId(null)} className="btn btn-secondary" disabled={busy}>
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="comment-body">{renderMarkdown(comment.content)}</div>
+              )}
+
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {/* New comment */}
+      <form onSubmit={handleAdd} className="comment-form">
+        <textarea
+          value={newContent}
+          onChange={(e) => setNewContent(e.target.value)}
+          onKeyDown={submitOnCtrlEnter(handleAdd)}
+          className="form-textarea"
+          placeholder="Write a comment... (Markdown supported, @email to mention someone)"
+          rows="2"
+          maxLength={5000}
+          disabled={busy}
+        />
+        <div className="comment-form-actions">
+          <span className="comment-hint">Ctrl+Enter to send</span>
+          <button type="submit" className="btn btn-primary" disabled={busy || !newContent.trim()}>
+            <FiSend className="btn-icon" />
+            Comment
+          </button>
+        </div>
+      </form>
+
+      {error && <span className="error-text">{error}</span>}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default CommentThread;
@@ -0,0 +1,150 @@
+// Import React hooks for state management
+import React, { useState } from 'react';
+
+// Import icons from react-icons library
+import { FiAlertTriangle, FiCheck, FiX } from 'react-icons/fi';
+
+// Import the helpers that compare and merge the versions of a task
+import { compareVersions, mergeVersions } from './taskMerge';
+
+// Import recurrence helper for the repeat summary
+import { describeRecurrence } from './recurrence';
+
+// Import the store hooks for the project and tag names
+import { useProjects, useTags } from './taskStore';
+
+// ConflictDialog component - shown by TaskForm when the task was changed by someone else
+// while it was being edited (and by App for changes made offline). Every field that differs is shown
+// side by side and the user picks which version to keep; fields changed on one side only are picked automatically.
+// base, mine and server are task data in the shape TaskForm sends (see toTaskData)
+// Without onCancel there is no "Keep editing" button - the user has to pick a version
+const ConflictDialog = ({
+  title = 'This task was changed by someone else',
+  base,
+  mine,
+  server,
+  onMerge,
+  onUseServer,
+  onCancel
+}) => {
+
+  // The user's projects and tags, read from the store
+  const projects = useProjects();
+  const tags = useTags();
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Fields that differ between my version and the server's
+  const [fields] = useState(() => compareVersions(base, mine, server));
+
+  // Side picked for each field: { title: 'mine', priority: 'server', ... }
+  const [choices, setChoices] = useState(() => (
+    fields.reduce((picked, field) => ({ ...picked, [field.key]: field.choice }), {})
+  ));
+
+  const projectsById = new Map(projects.map(project => [project._id, project]));
+  const tagsById = new Map(tags.map(tag => [tag._id, tag]));
+
+  // ========================================
+  // DISPLAY HELPERS
+  // ========================================
+
+  // Show the value of a field as text
+  const formatValue = (key, value) => {
+    switch (key) {
+      case 'dueDate':
+        return value ? new Date(value).toLocaleString() : 'No due date';
+      case 'recurrence':
+        return value ? describeRecurrence(value) : 'Does not repeat';
+      case 'project':
+        return value ? projectsById.get(value)?.name || 'Unknown project' : 'No project';
+      case 'tags':
+        return value.length > 0
+          ? value.map(id => tagsById.get(id)?.name || 'Unknown tag').join(', ')
+          : 'No tags';
+      case 'completeWithSubtasks':
+        return value ? 'Yes' : 'No';
+      default:
+        return value || '(empty)';
+    }
+  };
+
+  const conflicts = fields.filter(field => field.conflict).length;
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="modal-overlay" role="presentation">
+      <div className="modal conflict-dialog" role="dialog" aria-modal="true" aria-labelledby="conflict-title">
+
+        <h3 id="conflict-title">
+          <FiAlertTriangle className="form-icon" />
+          {title}
+        </h3>
+        <p className="conflict-info">
+          {conflicts > 0
+            ? `${conflicts} field(s) were changed on both sides - pick the version to keep.`
+            : 'The changes don’t overlap - check the merged version and save it.'}
+        </p>
+
+        {fields.length === 0 ? (
+          <p className="conflict-info">Both versions are the same.</p>
+        ) : (
+          <table className="conflict-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Your version</th>
+                <th>Current version</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(field => (
+                <tr key={field.key} className={field.conflict ? 'conflict' : ''}>
+                  <th scope="row">{field.label}</th>
+                  {['mine', 'server'].map(side => (
+                    <td key={side} className={choices[field.key] === side ? 'chosen' : ''}>
+                      <label className="conflict-choice">
+                        <input
+                          type="radio"
+                          name={`conflict-${field.key}`}
+                          checked={choices[field.key] === side}
+                          onChange={() => setChoices(prev => ({ ...prev, [field.key]: side }))}
+                        />
+                        <span>{formatValue(field.key, side === 'mine' ? mine[field.key] : server[field.key])}</span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="form-actions">
+          <button type="button" onClick={() => onMerge(mergeVersions(mine, server, choices))} className="btn btn-primary">
+            <FiCheck className="btn-icon" />
+            Save merged version
+          </button>
+          <button type="button" onClick={onUseServer} className="btn btn-secondary">
+            Discard my changes
+          </button>
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="btn btn-secondary">
+              <FiX className="btn-icon" />
+              Keep editing
+            </button>
+          )}
+        </div>
+
+      </div>
+    </div>
+  );
+};
+
+// Export component as default
+export default ConflictDialog;
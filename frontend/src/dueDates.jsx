@@ -0,0 +1,120 @@
+// ========================================
+// DUE DATE HELPERS
+// ========================================
+
+// Due dates are stored on the server as UTC dates together with the time zone they
+// were picked in. In the browser we always show and compare them in local time.
+
+// Time zone of this browser (IANA name, e.g. 'Europe/Rome')
+export const getTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Start of the local day, moved by 'days' days
+const startOfDay = (date, days = 0) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Start of the local week (Monday), moved by 'weeks' weeks
+const startOfWeek = (date, weeks = 0) => {
+  // getDay() returns 0 for Sunday - convert it so Monday is 0 and Sunday is 6
+  const weekday = (date.getDay() + 6) % 7;
+  return startOfDay(date, weeks * 7 - weekday);
+};
+
+// Get the due status of a task:
+// 'overdue', 'today', 'week' (later this week), 'later', or null when it has no due date
+// Completed tasks are never overdue
+export const getDueStatus = (task, now = new Date()) => {
+  if (!task.dueDate) {
+    return null;
+  }
+
+  const dueDate = new Date(task.dueDate);
+
+  if (!task.completed && dueDate < now) {
+    return 'overdue';
+  }
+  if (dueDate >= startOfDay(now) && dueDate < startOfDay(now, 1)) {
+    return 'today';
+  }
+  if (dueDate >= startOfWeek(now) && dueDate < startOfWeek(now, 1)) {
+    return 'week';
+  }
+  return 'later';
+};
+
+// Check if a task matches a 'due' list filter (same rules as the server)
+export const matchesDueFilter = (task, due, now = new Date()) => {
+  if (!due) {
+    return true;
+  }
+
+  const dueDate = task.dueDate ? new Date(task.dueDate) : null;
+
+  switch (due) {
+    case 'overdue':
+      return getDueStatus(task, now) === 'overdue';
+    case 'today':
+      return !!dueDate && dueDate >= startOfDay(now) && dueDate < startOfDay(now, 1);
+    case 'week':
+      return !!dueDate && dueDate >= startOfWeek(now) && dueDate < startOfWeek(now, 1);
+    case 'scheduled':
+      return !!dueDate;
+    case 'none':
+    default:
+      return !dueDate;
+  }
+};
+
+// Format a due date for the task list, e.g. "Today 14:00", "Tomorrow", "Mon 12 May"
+export const formatDueDate = (dateString, now = new Date()) => {
+  const date = new Date(dateString);
+
+  // Due dates without a chosen time are saved at 23:59 - don't show that time
+  const hasTime = !(date.getHours() === 23 && date.getMinutes() === 59);
+  const time = hasTime ? ` ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : '';
+
+  if (date >= startOfDay(now) && date < startOfDay(now, 1)) {
+    return `Today${time}`;
+  }
+  if (date >= startOfDay(now, 1) && date < startOfDay(now, 2)) {
+    return `Tomorrow${time}`;
+  }
+  if (date >= startOfDay(now, -1) && date < startOfDay(now)) {
+    return `Yesterday${time}`;
+  }
+
+  return `${date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}${time}`;
+};
+
+// Split a due date into the values of the form's date and time inputs ('YYYY-MM-DD', 'HH:MM')
+// The time is left empty for end-of-day due dates (no time chosen)
+export const toDateInputs = (dateString) => {
+  if (!dateString) {
+    return { dueDate: '', dueTime: '' };
+  }
+
+  const date = new Date(dateString);
+  const pad = (value) => String(value).padStart(2, '0');
+  const hasTime = !(date.getHours() === 23 && date.getMinutes() === 59);
+
+  return {
+    dueDate: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    dueTime: hasTime ? `${pad(date.getHours())}:${pad(date.getMinutes())}` : ''
+  };
+};
+
+// Combine the form's date and time inputs into an ISO date for the server
+// Without a time the task is due at the end of the day (23:59 local time)
+export const fromDateInputs = (dueDate, dueTime) => {
+  if (!dueDate) {
+    return null;
+  }
+
+  const [year, month, day] = dueDate.split('-').map(Number);
+  const [hours, minutes] = dueTime ? dueTime.split(':').map(Number) : [23, 59];
+
+  return new Date(year, month - 1, day, hours, minutes, dueTime ? 0 : 59, dueTime ? 0 : 999).toISOString();
+};
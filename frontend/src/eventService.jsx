@@ -0,0 +1,121 @@
+// Import session helpers to authenticate the event stream
+import { getAccessToken, refreshSession } from './authService';
+
+// Import the id this tab sends with its requests (its own changes are not sent back)
+import { CLIENT_ID } from './taskService';
+
+// ========================================
+// EVENT STREAM CONFIGURATION
+// ========================================
+
+// Get API base URL from environment variables (same as the other services)
+// eslint-disable-next-line no-undef
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Wait before reconnecting: 1s, 2s, 4s... up to 30s (plus a little randomness,
+// so many tabs don't all reconnect at the same moment after a server restart)
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// Task events sent by the server (see backend/events.js)
+const TASK_EVENTS = ['task.created', 'task.updated', 'task.deleted', 'tasks.changed'];
+
+// Check if an access token (JWT) has expired, from the 'exp' claim of its payload
+const isTokenExpired = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000 <= Date.now();
+  } catch {
+    return true;
+  }
+};
+
+// ========================================
+// SUBSCRIBE FUNCTION
+// ========================================
+
+// Listen to the changes made to the user's tasks in other tabs and devices
+// Handlers:
+//   onEvent({ type, data }) - a task changed ('tasks.changed': many tasks changed, reload)
+//   onResync()              - events were missed and can't be replayed, reload everything
+//   onStatus(status)        - 'connected' or 'reconnecting'
+// The connection is opened again after an error, and the server replays the events
+// missed meanwhile (or asks for a resync)
+// Returns a function that closes the connection
+export const subscribeToTaskEvents = ({ onEvent, onResync, onStatus }) => {
+  let source = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let lastEventId = null;
+  let closed = false;
+
+  const connect = () => {
+    const params = new URLSearchParams({ token: getAccessToken() || '', clientId: CLIENT_ID });
+    if (lastEventId) {
+      params.set('lastEventId', lastEventId);
+    }
+
+    source = new EventSource(`${API_URL}/api/events?${params}`);
+
+    // Remember where the stream is, to continue from there after a reconnect
+    const track = (handler) => (e) => {
+      if (e.lastEventId) {
+        lastEventId = e.lastEventId;
+      }
+      handler(e);
+    };
+
+    source.addEventListener('ready', track(() => {
+      attempt = 0;
+      onStatus?.('connected');
+    }));
+
+    source.addEventListener('resync', track(() => onResync?.()));
+
+    TASK_EVENTS.forEach(type => {
+      source.addEventListener(type, track((e) => onEvent({ type, data: JSON.parse(e.data) })));
+    });
+
+    // The browser would reconnect by itself, but with the token it had - reconnect ourselves
+    source.onerror = () => {
+      source.close();
+      onStatus?.('reconnecting');
+      scheduleReconnect();
+    };
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) {
+      return;
+    }
+
+    const delay = Math.min(MIN_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY) * (1 + Math.random() * 0.2);
+    attempt += 1;
+
+    retryTimer = setTimeout(async () => {
+      // The access token may have expired while connected - get a new one first
+      const token = getAccessToken();
+      if (!token || isTokenExpired(token)) {
+        try {
+          await refreshSession();
+        } catch (error) {
+          console.error('Event stream: session refresh failed:', error);
+        }
+      }
+
+      if (!closed) {
+        connect();
+      }
+    }, delay);
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (source) {
+      source.close();
+    }
+  };
+};
@@ -0,0 +1,220 @@
+// Import React hooks for state management and loading
+import React, { useState, useEffect } from 'react';
+
+// Import icons from react-icons library
+import { FiRotateCcw } from 'react-icons/fi';
+
+// Import recurrence helper for the repeat summary
+import { describeRecurrence } from './recurrence';
+
+// Import the store hooks for the project and tag names
+import { useProjects, useTags } from './taskStore';
+
+// Names of the task fields shown in the history
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  completed: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  dueTimeZone: 'Time zone',
+  recurrence: 'Repeat',
+  project: 'Project',
+  tags: 'Tags',
+  subtasks: 'Subtasks',
+  completeWithSubtasks: 'Complete with subtasks'
+};
+
+// What each kind of entry says, e.g. "Anna updated the task"
+const ACTION_LABELS = {
+  created: 'created the task',
+  updated: 'updated the task',
+  deleted: 'moved the task to the trash',
+  restored: 'restored the task from the trash',
+  reverted: 'restored an earlier version'
+};
+
+// Long descriptions are shortened in the list of changes
+const MAX_TEXT_LENGTH = 60;
+
+// HistoryPanel component - the list of changes shown under a task
+// The history is loaded through the parent (onLoadHistory) and loaded again when the
+// task changes; onRevert brings the task back to the version after an entry
+const HistoryPanel = ({ task, onLoadHistory, onRevert }) => {
+
+  // The user's projects and tags, read from the store
+  const projects = useProjects();
+  const tags = useTags();
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // History entries, newest first
+  const [entries, setEntries] = useState([]);
+
+  // True while the history is loading, and while a revert is running
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  // Error message for the last failed action
+  const [error, setError] = useState('');
+
+  const projectsById = new Map(projects.map(project => [project._id, project]));
+  const tagsById = new Map(tags.map(tag => [tag._id, tag]));
+
+  // ========================================
+  // LOAD HISTORY
+  // ========================================
+
+  // Load the history when the panel opens and after every change to the task (new version)
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const history = await onLoadHistory(task._id);
+        if (!cancelled) {
+          setEntries(history);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load the history.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    load();
+
+    // A newer load replaces this one
+    return () => {
+      cancelled = true;
+    };
+  }, [task._id, task.__v, onLoadHistory]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Bring the task back to the version after an entry
+  const handleRevert = async (entry) => {
+    if (!window.confirm(`Restore the version from ${new Date(entry.createdAt).toLocaleString()}?`)) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError('');
+      await onRevert(task._id, entry._id);
+    } catch (err) {
+      setError(err.message || 'Failed to restore this version.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ========================================
+  // DISPLAY HELPERS
+  // ========================================
+
+  // Show the value of a field as text
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') {
+      return '(empty)';
+    }
+
+    switch (field) {
+      case 'completed':
+        return value ? 'Done' : 'Not done';
+      case 'completeWithSubtasks':
+        return value ? 'Yes' : 'No';
+      case 'dueDate':
+        return new Date(value).toLocaleString();
+      case 'recurrence':
+        return describeRecurrence(value);
+      case 'project':
+        return projectsById.get(value)?.name || 'Deleted project';
+      case 'tags':
+        return value.length > 0
+          ? value.map(id => tagsById.get(id)?.name || 'Deleted tag').join(', ')
+          : 'No tags';
+      case 'subtasks':
+        return `${value.filter(subtask => subtask.completed).length}/${value.length} done`;
+      default: {
+        const text = String(value);
+        return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}…` : text;
+      }
+    }
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="history-panel">
+
+      {error && <span className="error-text">{error}</span>}
+
+      {loading && entries.length === 0 ? (
+        <p className="history-empty">Loading history...</p>
+      ) : entries.length === 0 ? (
+        <p className="history-empty">No changes recorded yet.</p>
+      ) : (
+        <ol className="history-list">
+          {entries.map((entry, index) => (
+            <li key={entry._id} className={`history-entry ${entry.action}`}>
+
+              <div className="history-header">
+                <span>
+                  <strong>{entry.actorName || 'Someone'}</strong> {ACTION_LABELS[entry.action]}
+                </span>
+                <time dateTime={entry.createdAt} className="history-time">
+                  {new Date(entry.createdAt).toLocaleString()}
+                </time>
+
+                {/* The newest entry is the current version */}
+                {index > 0 && (
+                  <button
+                    onClick={() => handleRevert(entry)}
+                    className="history-revert"
+                    disabled={busy}
+                    title="Bring the task back to the version after this change"
+                  >
+                    <FiRotateCcw />
+                    Restore this version
+                  </button>
+                )}
+              </div>
+
+              {/* Changed fields (moving to and from the trash is already said by the action) */}
+              {entry.action !== 'created' && (
+                <ul className="history-changes">
+                  {entry.changes.filter(change => FIELD_LABELS[change.field]).map(change => (
+                    <li key={change.field}>
+                      <span className="history-field">{FIELD_LABELS[change.field]}:</span>{' '}
+                      <del>{formatValue(change.field, change.from)}</del>
+                      {' → '}
+                      <ins>{formatValue(change.field, change.to)}</ins>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+            </li>
+          ))}
+        </ol>
+      )}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default HistoryPanel;
@@ -0,0 +1,377 @@
+// Import React hooks for state management and the file input
+import React, { useState, useRef } from 'react';
+
+// Import icons from react-icons library
+import { FiUpload, FiCheck, FiX, FiAlertCircle, FiArrowLeft } from 'react-icons/fi';
+
+// Task fields a column can be imported into, in the order of the mapping step
+const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'completed', label: 'Completed' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'dueDate', label: 'Due date' },
+  { key: 'dueTimeZone', label: 'Time zone' },
+  { key: 'project', label: 'Project' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'subtasks', label: 'Subtasks' },
+  { key: 'recurrence', label: 'Repeat rule' }
+];
+
+// Rows shown in the preview table - the summary counts every row
+const PREVIEW_ROWS = 100;
+
+// Label of each row status in the preview
+const STATUS_LABELS = {
+  valid: 'Ready',
+  invalid: 'Error',
+  duplicate: 'Duplicate'
+};
+
+// ImportWizard component - imports tasks from a CSV, JSON or calendar (.ics) file in three steps:
+// 1. pick the file, 2. choose the column of each task field, 3. check the preview and import
+// Calendar files have fixed fields, so they skip step 2
+// Every step before the import is a dry run on the server, so the rows are checked exactly
+// as they will be imported
+const ImportWizard = ({ onPreview, onImport, onClose }) => {
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Current step: 'file', 'mapping', 'preview' or 'done'
+  const [step, setStep] = useState('file');
+
+  // The picked file and the import options
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [duplicates, setDuplicates] = useState('skip');
+
+  // Dry run response (columns, summary, rows...) and the final import response
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // Show only the rows with a problem in the preview
+  const [problemsOnly, setProblemsOnly] = useState(false);
+
+  // True while the server is working, and the message of the last failure
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Hidden file input opened by the "Choose file" button
+  const fileInput = useRef(null);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Run a server request with the busy state and error message handled
+  const run = async (request) => {
+    try {
+      setBusy(true);
+      setError('');
+      return await request();
+    } catch (err) {
+      setError(err.detail || err.message || 'The import failed.');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Step 1: read the columns of the file - the server guesses the mapping
+  const handleFile = async (pickedFile) => {
+    if (!pickedFile) {
+      return;
+    }
+
+    const response = await run(() => onPreview(pickedFile, {}));
+
+    if (response) {
+      setFile(pickedFile);
+      setPreview(response);
+      setMapping(response.mapping);
+
+      // This first dry run already checked every row with the guessed mapping
+      setStep(response.format === 'ics' ? 'preview' : 'mapping');
+    }
+  };
+
+  // Step 2: check every row with the chosen mapping
+  const handleCheck = async () => {
+    const response = await run(() => onPreview(file, { mapping, duplicates }));
+
+    if (response) {
+      setPreview(response);
+      setStep('preview');
+    }
+  };
+
+  // Step 3: import the rows that passed the checks
+  const handleImport = async () => {
+    const response = await run(() => onImport(file, { mapping, duplicates }));
+
+    if (response) {
+      setResult(response);
+      setStep('done');
+    }
+  };
+
+  // Change the column of a task field ('' = don't import it)
+  const handleMappingChange = (field, column) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (column) {
+        next[field] = column;
+      } else {
+        delete next[field];
+      }
+      return next;
+    });
+  };
+
+  // ========================================
+  // DISPLAY HELPERS
+  // ========================================
+
+  // Rows that the import will create
+  const getImportCount = (summary) => summary.valid + (duplicates === 'import' ? summary.duplicate : 0);
+
+  // Short description of a row for the preview table
+  const describeRow = (row) => {
+    const parts = [];
+    if (row.data.project) {
+      parts.push(`Project: ${row.data.project}`);
+    }
+    if (row.data.tags && row.data.tags.length > 0) {
+      parts.push(`Tags: ${row.data.tags.join(', ')}`);
+    }
+    if (row.data.dueDate) {
+      parts.push(`Due ${new Date(row.data.dueDate).toLocaleString()}`);
+    }
+    return parts.join(' · ');
+  };
+
+  const rows = preview
+    ? preview.data.filter(row => !problemsOnly || row.status !== 'valid').slice(0, PREVIEW_ROWS)
+    : [];
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="modal-overlay" role="presentation">
+      <div className="modal import-wizard" role="dialog" aria-modal="true" aria-labelledby="import-title">
+
+        <h3 id="import-title">
+          <FiUpload className="form-icon" />
+          Import tasks
+        </h3>
+
+        {/* Steps */}
+        <ol className="import-steps">
+          {['file', 'mapping', 'preview'].map((name, index) => (
+            <li key={name} className={step === name ? 'current' : ''}>
+              {index + 1}. {name === 'file' ? 'File' : name === 'mapping' ? 'Columns' : 'Preview'}
+            </li>
+          ))}
+        </ol>
+
+        {/* Step 1 - pick a file */}
+        {step === 'file' && (
+          <div className="import-step">
+            <p className="import-info">
+              Choose a CSV file with a header line (e.g. from a spreadsheet), a JSON file exported from this app
+              or a calendar file (.ics) - its events and to-dos become tasks.
+              Nothing is imported until you have checked the preview.
+            </p>
+            <button type="button" onClick={() => fileInput.current.click()} className="btn btn-primary" disabled={busy}>
+              <FiUpload className="btn-icon" />
+              {busy ? 'Reading file...' : 'Choose file'}
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".csv,.json,.ics,text/csv,application/json,text/calendar"
+              onChange={(e) => {
+                handleFile(e.target.files[0]);
+
+                // Allow picking the same file again
+                e.target.value = '';
+              }}
+              hidden
+            />
+          </div>
+        )}
+
+        {/* Step 2 - choose the column of each field */}
+        {step === 'mapping' && (
+          <div className="import-step">
+            <p className="import-info">
+              {file.name}: {preview.summary.total} row(s). Choose the column that holds each task field.
+            </p>
+            <div className="import-mapping">
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.key} className="form-group">
+                  <label htmlFor={`import-${field.key}`}>
+                    {field.label}{field.key === 'title' && ' *'}
+                  </label>
+                  <select
+                    id={`import-${field.key}`}
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">Don&apos;t import</option>
+                    {preview.columns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="import-duplicates">Tasks with the same title and due date as an existing task</label>
+              <select
+                id="import-duplicates"
+                value={duplicates}
+                onChange={(e) => setDuplicates(e.target.value)}
+                className="form-select"
+              >
+                <option value="skip">Skip them</option>
+                <option value="import">Import them anyway</option>
+              </select>
+            </div>
+          </div>
+        )}
+
+        {/* Step 3 - check the rows */}
+        {step === 'preview' && (
+          <div className="import-step">
+            <p className="import-summary">
+              <span className="import-status valid">{preview.summary.valid} ready</span>
+              <span className="import-status invalid">{preview.summary.invalid} with errors</span>
+              <span className="import-status duplicate">{preview.summary.duplicate} duplicate(s)</span>
+            </p>
+
+            {(preview.newProjects.length > 0 || preview.newTags.length > 0) && (
+              <p className="import-info">
+                {preview.newProjects.length > 0 && <>New projects: {preview.newProjects.join(', ')}. </>}
+                {preview.newTags.length > 0 && <>New tags: {preview.newTags.join(', ')}.</>}
+              </p>
+            )}
+
+            {/* Parts of the file that can't be imported (e.g. repeat rules this app doesn't have) */}
+            {preview.warnings.length > 0 && (
+              <ul className="import-warnings">
+                {preview.warnings.map(warning => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            )}
+
+            <label className="form-checkbox">
+              <input type="checkbox" checked={problemsOnly} onChange={(e) => setProblemsOnly(e.target.checked)} />
+              Only show rows with problems
+            </label>
+
+            <div className="import-table-wrapper">
+              <table className="import-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Status</th>
+                    <th>Task</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.row} className={row.status}>
+                      <td>{row.row}</td>
+                      <td>
+                        <span className={`import-status ${row.status}`}>{STATUS_LABELS[row.status]}</span>
+                      </td>
+                      <td>
+                        <strong>{row.data.title || '(no title)'}</strong>
+                        {describeRow(row) && <span className="import-row-details">{describeRow(row)}</span>}
+                        {row.errors.map(message => (
+                          <span key={message} className="error-text">{message}</span>
+                        ))}
+                        {row.status === 'duplicate' && (
+                          <span className="import-row-details">
+                            {row.duplicateOf === 'existing' ? 'You already have this task' : `Same as row ${row.duplicateOf}`}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {preview.data.length > PREVIEW_ROWS && (
+              <p className="import-info">Only the first {PREVIEW_ROWS} rows are shown.</p>
+            )}
+          </div>
+        )}
+
+        {/* Done */}
+        {step === 'done' && (
+          <div className="import-step">
+            <p className="import-info">
+              <FiCheck className="btn-icon" />
+              {result.message}
+              {result.summary.invalid > 0 && ` - ${result.summary.invalid} row(s) with errors were left out`}
+            </p>
+          </div>
+        )}
+
+        {error && (
+          <p className="error-text">
+            <FiAlertCircle className="btn-icon" />
+            {error}
+          </p>
+        )}
+
+        <div className="form-actions">
+          {step === 'mapping' && (
+            <button type="button" onClick={handleCheck} className="btn btn-primary" disabled={busy || !mapping.title}>
+              {busy ? 'Checking...' : 'Check rows'}
+            </button>
+          )}
+          {step === 'preview' && (
+            <>
+              <button
+                type="button"
+                onClick={handleImport}
+                className="btn btn-primary"
+                disabled={busy || getImportCount(preview.summary) === 0}
+              >
+                <FiCheck className="btn-icon" />
+                {busy ? 'Importing...' : `Import ${getImportCount(preview.summary)} task(s)`}
+              </button>
+              <button
+                type="button"
+                onClick={() => setStep(preview.format === 'ics' ? 'file' : 'mapping')}
+                className="btn btn-secondary"
+                disabled={busy}
+              >
+                <FiArrowLeft className="btn-icon" />
+                Back
+              </button>
+            </>
+          )}
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={busy}>
+            <FiX className="btn-icon" />
+            {step === 'done' ? 'Close' : 'Cancel'}
+          </button>
+        </div>
+
+      </div>
+    </div>
+  );
+};
+
+// Export component as default
+export default ImportWizard;
@@ -0,0 +1,372 @@
+// Import React hooks for state management and focus handling
+import React, { useState, useEffect, useRef } from 'react';
+
+// Import icons from react-icons library
+import { FiEdit2, FiCalendar, FiRepeat, FiCheckSquare, FiMove } from 'react-icons/fi';
+
+// Import the helpers that work out where a card goes
+import { findCardColumn, getCardsWithout, isSamePlace } from './boardMoves';
+
+// Import due date helpers for highlighting and labels
+import { getDueStatus, formatDueDate } from './dueDates';
+
+// Import the store hooks for the columns and the project chips
+import { useBoard, useProjects } from './taskStore';
+
+// KanbanBoard component - the tasks in one column per workflow status
+// Cards are moved with the mouse (drag and drop) or the keyboard:
+// Space or Enter picks a card up, the arrow keys move it, Space or Enter drops it and Escape cancels.
+// The parent loads the columns into the store, saves the move (onMove) and updates the columns
+const KanbanBoard = ({ onMove, onEdit }) => {
+
+  // The columns shown and the user's projects, read from the store
+  const { columns, loading } = useBoard();
+  const projects = useProjects();
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Card dragged with the mouse (its id), null when nothing is dragged
+  const [draggedId, setDraggedId] = useState(null);
+
+  // Where the dragged card would be dropped: { status, beforeId }
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Card picked up with the keyboard: { taskId, status, index }
+  // 'index' is its place in the 'status' column, counted without the card itself
+  const [grabbed, setGrabbed] = useState(null);
+
+  // Message read by screen readers after each keyboard step
+  const [announcement, setAnnouncement] = useState('');
+
+  // Card elements by task id, to give the focus back to a card after it moved to another column
+  const cardRefs = useRef({});
+
+  // Card that gets the focus once the columns are updated
+  const focusAfterMove = useRef(null);
+
+  // Project names and colors for the chips on the cards
+  const projectsById = new Map(projects.map(project => [project._id, project]));
+
+  // ========================================
+  // FOCUS AFTER A MOVE
+  // ========================================
+
+  // A card moved to another column is a new element - give it the focus back
+  useEffect(() => {
+    const taskId = focusAfterMove.current;
+
+    if (taskId && cardRefs.current[taskId]) {
+      cardRefs.current[taskId].focus();
+      focusAfterMove.current = null;
+    }
+  }, [columns]);
+
+  // ========================================
+  // HELPER FUNCTIONS
+  // ========================================
+
+  // Save a move unless it leaves the card where it is
+  const moveCard = (taskId, status, beforeId) => {
+    if (!isSamePlace(columns, taskId, status, beforeId)) {
+      focusAfterMove.current = taskId;
+      onMove(taskId, status, beforeId);
+    }
+  };
+
+  // Card above which a keyboard move drops, null for the bottom of the column
+  const getGrabbedBeforeId = ({ taskId, status, index }) => {
+    const column = columns.find(item => item.key === status);
+    const card = getCardsWithout(column, taskId)[index];
+    return card ? card._id : null;
+  };
+
+  // Describe where a card picked up with the keyboard is, e.g. "Review, position 2 of 4"
+  const describePlace = ({ taskId, status, index }) => {
+    const column = columns.find(item => item.key === status);
+    const count = getCardsWithout(column, taskId).length + 1;
+    return `${column.name}, position ${index + 1} of ${count}`;
+  };
+
+  // ========================================
+  // MOUSE DRAG AND DROP
+  // ========================================
+
+  // Start dragging a card
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task._id);
+    setDraggedId(task._id);
+    setGrabbed(null);
+  };
+
+  // Show where the card would go: above the first card whose middle is below the pointer
+  const handleDragOver = (e, column) => {
+    if (!draggedId) {
+      return;
+    }
+
+    // Allow dropping here
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    const cards = Array.from(e.currentTarget.querySelectorAll('[data-task-id]'))
+      .filter(element => element.dataset.taskId !== draggedId);
+
+    const next = cards.find(element => {
+      const box = element.getBoundingClientRect();
+      return e.clientY < box.top + box.height / 2;
+    });
+
+    const beforeId = next ? next.dataset.taskId : null;
+
+    if (!dropTarget || dropTarget.status !== column.key || dropTarget.beforeId !== beforeId) {
+      setDropTarget({ status: column.key, beforeId });
+    }
+  };
+
+  // Drop the card where the marker is
+  const handleDrop = (e) => {
+    e.preventDefault();
+
+    if (draggedId && dropTarget) {
+      moveCard(draggedId, dropTarget.status, dropTarget.beforeId);
+    }
+
+    handleDragEnd();
+  };
+
+  // The drag is over (dropped, or cancelled with Escape)
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  // ========================================
+  // KEYBOARD DRAG AND DROP
+  // ========================================
+
+  // Keys on a card: pick it up, move it, drop it or cancel
+  const handleCardKeyDown = (e, task) => {
+    // Keys pressed on the buttons inside the card are theirs
+    if (e.target !== e.currentTarget) {
+      return;
+    }
+
+    const isPickKey = e.key === ' ' || e.key === 'Enter';
+
+    // Pick the card up where it is
+    if (!grabbed || grabbed.taskId !== task._id) {
+      if (isPickKey) {
+        e.preventDefault();
+
+        const column = findCardColumn(columns, task._id);
+        const place = { taskId: task._id, status: column.key, index: column.tasks.indexOf(task) };
+
+        setGrabbed(place);
+        setAnnouncement(`Picked up "${task.title}". ${describePlace(place)}. ` +
+          'Use the arrow keys to move it, Space to drop it, Escape to cancel.');
+      }
+      return;
+    }
+
+    if (isPickKey) {
+      // Drop the card
+      e.preventDefault();
+
+      const column = columns.find(item => item.key === grabbed.status);
+      setAnnouncement(`"${task.title}" dropped in ${describePlace(grabbed)}.`);
+      moveCard(task._id, column.key, getGrabbedBeforeId(grabbed));
+      setGrabbed(null);
+      return;
+    }
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      setGrabbed(null);
+      setAnnouncement(`Move cancelled. "${task.title}" is back in its place.`);
+      return;
+    }
+
+    const columnIndex = columns.findIndex(item => item.key === grabbed.status);
+    const columnSize = (index) => getCardsWithout(columns[index], task._id).length;
+    let place = null;
+
+    if (e.key === 'ArrowUp' && grabbed.index > 0) {
+      place = { ...grabbed, index: grabbed.index - 1 };
+    } else if (e.key === 'ArrowDown' && grabbed.index < columnSize(columnIndex)) {
+      place = { ...grabbed, index: grabbed.index + 1 };
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      // Next column, at the same height (or at its bottom when it is shorter)
+      const nextIndex = columnIndex + (e.key === 'ArrowLeft' ? -1 : 1);
+
+      if (nextIndex >= 0 && nextIndex < columns.length) {
+        place = {
+          ...grabbed,
+          status: columns[nextIndex].key,
+          index: Math.min(grabbed.index, columnSize(nextIndex))
+        };
+      }
+    }
+
+    if (e.key.startsWith('Arrow')) {
+      e.preventDefault();
+
+      if (place) {
+        setGrabbed(place);
+        setAnnouncement(describePlace(place));
+      }
+    }
+  };
+
+  // Leaving a picked up card (e.g. with Tab) cancels the move
+  const handleCardBlur = (task) => {
+    if (grabbed && grabbed.taskId === task._id) {
+      setGrabbed(null);
+      setAnnouncement(`Move cancelled. "${task.title}" is back in its place.`);
+    }
+  };
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  // Marker of the place a card is being moved to (mouse or keyboard)
+  const target = grabbed
+    ? { status: grabbed.status, beforeId: getGrabbedBeforeId(grabbed) }
+    : dropTarget;
+
+  const renderDropMarker = () => <li className="board-drop-marker" aria-hidden="true"></li>;
+
+  // One card of a column
+  const renderCard = (task) => {
+    const isGrabbed = grabbed && grabbed.taskId === task._id;
+    const dueStatus = getDueStatus(task);
+    const subtasks = task.subtasks || [];
+
+    return (
+      <li
+        ref={element => { cardRefs.current[task._id] = element; }}
+        data-task-id={task._id}
+        className={`board-card ${task.completed ? 'completed' : ''} ${
+          isGrabbed ? 'grabbed' : ''
+        } ${draggedId === task._id ? 'dragging' : ''} ${dueStatus === 'overdue' ? 'overdue' : ''}`}
+        tabIndex={0}
+        draggable
+        onDragStart={(e) => handleDragStart(e, task)}
+        onDragEnd={handleDragEnd}
+        onKeyDown={(e) => handleCardKeyDown(e, task)}
+        onBlur={() => handleCardBlur(task)}
+        aria-roledescription="movable card"
+        aria-describedby="board-instructions"
+      >
+        <div className="board-card-header">
+          <FiMove className="board-card-grip" aria-hidden="true" />
+          <h4 className="board-card-title">{task.title}</h4>
+          <button
+            onClick={() => onEdit(task)}
+            className="sidebar-action"
+            aria-label={`Edit "${task.title}"`}
+            title="Edit task"
+          >
+            <FiEdit2 />
+          </button>
+        </div>
+
+        <div className="board-card-meta">
+          <span className={`priority-text ${task.priority}`}>{task.priority}</span>
+          {projectsById.has(task.project) && (
+            <span className="project-chip">
+              <span
+                className="project-dot"
+                style={{ backgroundColor: projectsById.get(task.project).color }}
+              ></span>
+              {projectsById.get(task.project).name}
+            </span>
+          )}
+          {task.dueDate && (
+            <span className={`task-due ${dueStatus}`}>
+              <FiCalendar className="due-icon" />
+              {formatDueDate(task.dueDate)}
+            </span>
+          )}
+          {task.recurrence && <FiRepeat className="due-icon" title="Repeats" />}
+          {subtasks.length > 0 && (
+            <span className="board-card-subtasks">
+              <FiCheckSquare className="due-icon" />
+              {subtasks.filter(subtask => subtask.completed).length}/{subtasks.length}
+            </span>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  if (loading && columns.length === 0) {
+    return <div className="loading">Loading board...</div>;
+  }
+
+  return (
+    <div className="kanban-board">
+
+      {/* How to move cards with the keyboard (read with each card) */}
+      <p id="board-instructions" className="board-instructions">
+        Drag the cards to change their status or order. With the keyboard: Space picks a card up,
+        the arrow keys move it, Space drops it and Escape cancels.
+      </p>
+
+      {/* Steps of the keyboard moves, for screen readers */}
+      <div className="board-announcer" aria-live="assertive" role="status">
+        {announcement}
+      </div>
+
+      <div className="board-columns">
+        {columns.map(column => (
+          <section
+            key={column.key}
+            className={`board-column ${target && target.status === column.key ? 'drop-target' : ''}`}
+            aria-label={`${column.name} (${column.total})`}
+          >
+            <header className="board-column-header">
+              <h3>{column.name}</h3>
+              <span className="board-column-count">{column.total}</span>
+            </header>
+
+            <ul
+              className="board-cards"
+              onDragOver={(e) => handleDragOver(e, column)}
+              onDrop={handleDrop}
+            >
+              {column.tasks.map(task => (
+                <React.Fragment key={task._id}>
+                  {target && target.status === column.key && target.beforeId === task._id && renderDropMarker()}
+                  {renderCard(task)}
+                </React.Fragment>
+              ))}
+              {target && target.status === column.key && target.beforeId === null && renderDropMarker()}
+
+              {column.tasks.length === 0 && !target && (
+                <li className="board-empty">No tasks</li>
+              )}
+            </ul>
+
+            {/* Columns show their first cards only */}
+            {column.total > column.tasks.length && (
+              <p className="board-column-more">
+                +{column.total - column.tasks.length} more - use the list to see them all
+              </p>
+            )}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Export the component
+export default KanbanBoard;
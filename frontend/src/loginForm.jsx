@@ -0,0 +1,256 @@
+// Import React hooks for state
+import React, { useState } from 'react';
+
+// Import icons from react-icons library
+import { FiLogIn, FiUserPlus } from 'react-icons/fi';
+
+// Empty form values
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  password: ''
+};
+
+// LoginForm component - lets the user log in or create an account
+// onLogin(credentials) and onRegister(data) are provided by App and call the auth service
+const LoginForm = ({ onLogin, onRegister }) => {
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Which form is shown: 'login' or 'register'
+  const [mode, setMode] = useState('login');
+
+  // Form data state - stores all form field values
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Loading state for form submission
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Form validation errors
+  const [errors, setErrors] = useState({});
+
+  const isRegistering = mode === 'register';
+
+  // ========================================
+  // FORM HANDLING FUNCTIONS
+  // ========================================
+
+  // Handle input field changes
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  // Validate form data before submission
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (isRegistering && !formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+
+    if (!formData.email.trim()) {
+      newErrors.email = 'Email is required';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email.trim())) {
+      newErrors.email = 'Please enter a valid email';
+    }
+
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (isRegistering && formData.password.length < 8) {
+      newErrors.password = 'Password must be at least 8 characters long';
+    }
+
+    setErrors(newErrors);
+
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+
+      if (isRegistering) {
+        await onRegister({
+          name: formData.name.trim(),
+          email: formData.email.trim(),
+          password: formData.password
+        });
+      } else {
+        await onLogin({
+          email: formData.email.trim(),
+          password: formData.password
+        });
+      }
+
+    } catch (error) {
+      // Show the server's message (e.g. "Invalid email or password")
+      setErrors({
+        submit: error.message || 'Something went wrong. Please try again.'
+      });
+
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Switch between login and register forms
+  const toggleMode = () => {
+    setMode(isRegistering ? 'login' : 'register');
+    setErrors({});
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="task-form-container auth-form-container">
+
+      {/* Form header */}
+      <div className="form-header">
+        <h2>
+          {isRegistering ? (
+            <>
+              <FiUserPlus className="form-icon" />
+              Create Account
+            </>
+          ) : (
+            <>
+              <FiLogIn className="form-icon" />
+              Log In
+            </>
+          )}
+        </h2>
+      </div>
+
+      <form onSubmit={handleSubmit} className="task-form">
+
+        {/* Name field (register only) */}
+        {isRegistering && (
+          <div className="form-group">
+            <label htmlFor="name" className="form-label">
+              Name
+            </label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              className={`form-input ${errors.name ? 'error' : ''}`}
+              placeholder="Your name"
+              disabled={isSubmitting}
+              maxLength={50}
+              autoComplete="name"
+            />
+            {errors.name && (
+              <span className="error-text">{errors.name}</span>
+            )}
+          </div>
+        )}
+
+        {/* Email field */}
+        <div className="form-group">
+          <label htmlFor="email" className="form-label">
+            Email
+          </label>
+          <input
+            type="email"
+            id="email"
+            name="email"
+            value={formData.email}
+            onChange={handleInputChange}
+            className={`form-input ${errors.email ? 'error' : ''}`}
+            placeholder="you@example.com"
+            disabled={isSubmitting}
+            autoComplete="email"
+          />
+          {errors.email && (
+            <span className="error-text">{errors.email}</span>
+          )}
+        </div>
+
+        {/* Password field */}
+        <div className="form-group">
+          <label htmlFor="password" className="form-label">
+            Password
+          </label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            className={`form-input ${errors.password ? 'error' : ''}`}
+            placeholder={isRegistering ? 'At least 8 characters' : 'Your password'}
+            disabled={isSubmitting}
+            autoComplete={isRegistering ? 'new-password' : 'current-password'}
+          />
+          {errors.password && (
+            <span className="error-text">{errors.password}</span>
+          )}
+        </div>
+
+        {/* Submission errors */}
+        {errors.submit && (
+          <div className="form-error">
+            {errors.submit}
+          </div>
+        )}
+
+        {/* Form action buttons */}
+        <div className="form-actions">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <>
+                <span className="loading-spinner"></span>
+                {isRegistering ? 'Creating account...' : 'Logging in...'}
+              </>
+            ) : (
+              isRegistering ? 'Create Account' : 'Log In'
+            )}
+          </button>
+        </div>
+
+      </form>
+
+      {/* Switch between login and register */}
+      <p className="auth-switch">
+        {isRegistering ? 'Already have an account?' : "Don't have an account?"}
+        <button type="button" onClick={toggleMode} className="link-btn" disabled={isSubmitting}>
+          {isRegistering ? 'Log in' : 'Create one'}
+        </button>
+      </p>
+
+    </div>
+  );
+};
+
+// Export component as default
+export default LoginForm;
@@ -0,0 +1,140 @@
+// Import React to build the rendered elements
+import React from 'react';
+
+// ========================================
+// MARKDOWN HELPERS
+// ========================================
+
+// A small Markdown renderer for comments. It builds React elements (never HTML strings),
+// so the text of a comment can't inject markup. Supported:
+//   **bold**, *italic* / _italic_, `code`, [links](https://...), bare https:// links,
+//   @<email> mentions, "- " / "* " and "1. " lists, ``` code blocks, paragraphs and line breaks
+
+// Inline elements, tried at every position - the earliest match wins
+const INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`',                                   // 1: code
+  '\\*\\*([^*\\n]+)\\*\\*',                         // 2: bold
+  '\\*([^*\\n]+)\\*',                               // 3: italic
+  '(?<![\\w])_([^_\\n]+)_(?![\\w])',                // 4: italic
+  '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)',             // 5, 6: link text and url
+  '(https?:\\/\\/[^\\s<>()]+[^\\s<>().,;:!?])',     // 7: bare link
+  '(?<![\\w.@])@([\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+)' // 8: mention (same rule as the server)
+].join('|'), 'g');
+
+// Only these link targets are rendered as links (no 'javascript:' urls)
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+// List items: "- item", "* item" or "1. item"
+const BULLET_ITEM = /^\s*[-*]\s+(.*)$/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+
+// Render the inline elements of a piece of text
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+
+    const key = `${keyPrefix}-${match.index}`;
+    const [whole, code, bold, italic, underscored, linkText, linkUrl, bareUrl, mention] = match;
+
+    if (code !== undefined) {
+      nodes.push(<code key={key}>{code}</code>);
+    } else if (bold !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold, key)}</strong>);
+    } else if (italic !== undefined || underscored !== undefined) {
+      nodes.push(<em key={key}>{renderInline(italic ?? underscored, key)}</em>);
+    } else if (linkText !== undefined) {
+      nodes.push(SAFE_URL.test(linkUrl)
+        ? <a key={key} href={linkUrl} target="_blank" rel="noopener noreferrer">{renderInline(linkText, key)}</a>
+        : whole);
+    } else if (bareUrl !== undefined) {
+      nodes.push(<a key={key} href={bareUrl} target="_blank" rel="noopener noreferrer">{bareUrl}</a>);
+    } else if (mention !== undefined) {
+      nodes.push(<span key={key} className="mention">@{mention}</span>);
+    }
+
+    lastIndex = match.index + whole.length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+
+  return nodes;
+};
+
+// Render lines of text with line breaks between them
+const renderLines = (lines, keyPrefix) => lines.map((line, index) => (
+  <React.Fragment key={`${keyPrefix}-${index}`}>
+    {index > 0 && <br />}
+    {renderInline(line, `${keyPrefix}-${index}`)}
+  </React.Fragment>
+));
+
+// Render a Markdown text as a list of block elements (paragraphs, lists, code blocks)
+export const renderMarkdown = (text) => {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const key = `block-${index}`;
+
+    // Code block: everything until the closing ``` is shown as is
+    if (line.trim().startsWith('```')) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith('```')) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push(<pre key={key}><code>{code.join('\n')}</code></pre>);
+      continue;
+    }
+
+    // List: consecutive items of the same kind
+    const listPattern = BULLET_ITEM.test(line) ? BULLET_ITEM : NUMBERED_ITEM.test(line) ? NUMBERED_ITEM : null;
+    if (listPattern) {
+      const items = [];
+      while (index < lines.length && listPattern.test(lines[index])) {
+        items.push(lines[index].match(listPattern)[1]);
+        index += 1;
+      }
+      const List = listPattern === BULLET_ITEM ? 'ul' : 'ol';
+      blocks.push(
+        <List key={key}>
+          {items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item, `${key}-${itemIndex}`)}</li>)}
+        </List>
+      );
+      continue;
+    }
+
+    // Empty lines separate paragraphs
+    if (line.trim() === '') {
+      index += 1;
+      continue;
+    }
+
+    // Paragraph: lines until an empty line, a list or a code block
+    const paragraph = [];
+    while (
+      index < lines.length &&
+      lines[index].trim() !== '' &&
+      !lines[index].trim().startsWith('```') &&
+      !BULLET_ITEM.test(lines[index]) &&
+      !NUMBERED_ITEM.test(lines[index])
+    ) {
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+    blocks.push(<p key={key}>{renderLines(paragraph, key)}</p>);
+  }
+
+  return blocks;
+};
@@ -0,0 +1,389 @@
+// Import the browser database helpers
+import * as offlineStore from './offlineStore';
+
+// Import the task API calls the queued changes are sent with
+import * as taskService from './taskService';
+
+// Import the helper that turns a task into the fields of the task form (for the conflict dialog)
+import { toTaskData } from './taskMerge';
+
+// ========================================
+// OFFLINE SUPPORT
+// ========================================
+
+// Tasks are kept in IndexedDB (see offlineStore) so the app can show them at once and without a network.
+// Creating, updating and deleting a task works offline too: the change is applied to the saved copy and
+// queued, and the queue is sent in order once the server can be reached again (flushMutations).
+//
+// Tasks created offline get a temporary id ('temp-...') until the server creates them. The queued changes
+// of such a task are moved to its server id as soon as it exists, so they can be sent after it.
+//
+// Queued changes are one of:
+//   { type: 'create', taskId: tempId, data }
+//   { type: 'update', taskId, data, version, base } - 'version' is the version the change was based on
+//                                                     (null: the version left by the change queued before it),
+//                                                     'base' the form fields before the change
+//   { type: 'delete', taskId }
+
+// Prefix of the temporary ids
+const TEMP_PREFIX = 'temp-';
+
+// Functions called with the number of waiting changes every time it changes
+const queueListeners = new Set();
+
+// Server ids of the tasks created offline, by temporary id (for the rest of the session)
+// A task still shown with its temporary id can then be changed right after it was sent
+const serverIds = new Map();
+
+// Replay currently running (shared, so the queue is never sent twice at the same time)
+let flushPromise = null;
+
+// Set by prepareCache: resolves once the saved data belongs to the logged in user
+// Nothing is read before, so a user never sees the tasks another user left on the device
+let cacheReady = null;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Check if a task was created offline and doesn't exist on the server yet
+export const isTempId = (taskId) => String(taskId).startsWith(TEMP_PREFIX);
+
+// Check if an error means the server couldn't be reached (see the taskService interceptor)
+export const isNetworkError = (error) => !!(error && error.isNetworkError);
+
+// New temporary id
+const createTempId = () => `${TEMP_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Run a database call, but never fail because of the database (e.g. IndexedDB is disabled)
+// The app then simply works without the offline copy
+const safely = async (action, fallback) => {
+  try {
+    return await action();
+  } catch (error) {
+    console.error('Offline storage error:', error);
+    return fallback;
+  }
+};
+
+// Fields of the task form (and of the conflict dialog)
+const FORM_FIELDS = Object.keys(toTaskData({}));
+
+// Fields of a change that the task form has
+const pickFormFields = (data) => {
+  return Object.fromEntries(Object.entries(data).filter(([key]) => FORM_FIELDS.includes(key)));
+};
+
+// The other fields of a change (e.g. 'completed' from the list checkbox)
+const pickExtraFields = (data) => {
+  return Object.fromEntries(Object.entries(data).filter(([key]) => !FORM_FIELDS.includes(key)));
+};
+
+// Read saved data, once it is known to belong to the logged in user
+const readCache = async (action, fallback) => {
+  if (!cacheReady) {
+    return fallback;
+  }
+  await cacheReady;
+  return safely(action, fallback);
+};
+
+// Tell the listeners how many changes are waiting
+const notifyQueue = async () => {
+  const count = await safely(() => offlineStore.countMutations(), 0);
+  queueListeners.forEach(listener => listener(count));
+};
+
+// ========================================
+// CACHE FUNCTIONS
+// ========================================
+
+// Make sure the saved data belongs to the logged in user - another user's data is removed
+export const prepareCache = async (userId) => {
+  cacheReady = safely(async () => {
+    if ((await offlineStore.getMeta('userId')) !== userId) {
+      await offlineStore.clearAll();
+      await offlineStore.setMeta('userId', userId);
+    }
+  });
+  await cacheReady;
+  notifyQueue();
+};
+
+// Remove everything saved on this device (when the session ends)
+export const clearCache = async () => {
+  cacheReady = null;
+  serverIds.clear();
+  await safely(() => offlineStore.clearAll());
+  notifyQueue();
+};
+
+// Get every saved task (tasks changed offline have 'pending: true')
+export const getCachedTasks = () => readCache(() => offlineStore.getTasks(), []);
+
+// Save tasks received from the server
+export const cacheTasks = (tasks) => safely(() => offlineStore.putTasks(tasks.filter(Boolean)));
+
+// Remove saved tasks (deleted, or no longer on the server)
+export const uncacheTasks = (ids) => safely(() => offlineStore.deleteTasks(ids));
+
+// Save another list the app needs offline (e.g. 'projects', 'tags')
+export const cacheValue = (key, value) => safely(() => offlineStore.setMeta(key, value));
+
+// Get a saved list (undefined when it was never saved)
+export const getCachedValue = (key) => readCache(() => offlineStore.getMeta(key), undefined);
+
+// ========================================
+// QUEUE FUNCTIONS
+// ========================================
+
+// Listen to the number of waiting changes
+// Returns a function that stops listening
+export const onQueueChange = (listener) => {
+  queueListeners.add(listener);
+  notifyQueue();
+  return () => queueListeners.delete(listener);
+};
+
+// Send a change now, or queue it when the server can't be reached
+// Changes are queued as well while older ones are waiting, so they reach the server in order
+// Returns { task, queued }: the task from the server, or the saved copy changed by 'applyLocally'
+const sendOrQueue = async (mutation, send, applyLocally) => {
+  const waiting = await safely(() => offlineStore.countMutations(), 0);
+
+  if (navigator.onLine && waiting === 0) {
+    try {
+      return { task: await send(), queued: false };
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  // Without IndexedDB the change can't be kept - report the network error as before
+  const added = await safely(() => offlineStore.addMutation(mutation), null);
+  if (added === null) {
+    throw Object.assign(new Error('Network error. Please check your internet connection.'), { isNetworkError: true });
+  }
+
+  const task = await applyLocally();
+  notifyQueue();
+  return { task, queued: true };
+};
+
+// Create a task - offline it gets a temporary id until the queue is sent
+export const createTask = async (taskData) => {
+  const tempId = createTempId();
+
+  const result = await sendOrQueue(
+    { type: 'create', taskId: tempId, data: taskData },
+    () => taskService.createTask(taskData),
+    async () => {
+      const now = new Date().toISOString();
+      const task = {
+        completed: false,
+        tags: [],
+        subtasks: [],
+        commentCount: 0,
+        attachmentCount: 0,
+        ...taskData,
+        _id: tempId,
+        createdAt: now,
+        updatedAt: now,
+        pending: true
+      };
+      await cacheTasks([task]);
+      return task;
+    }
+  );
+
+  if (!result.queued) {
+    await cacheTasks([result.task]);
+  }
+  return result;
+};
+
+// Update a task - 'version' is the version the change is based on (see taskService.updateTask)
+export const updateTask = async (taskId, taskData, version) => {
+  const id = serverIds.get(taskId) || taskId;
+  const saved = await safely(() => offlineStore.getTask(id), undefined);
+
+  // A change queued after another change of the same task is based on the version that change leaves
+  const queued = await safely(() => offlineStore.getMutations(), []);
+  const followsQueued = queued.some(mutation => mutation.taskId === id);
+
+  const result = await sendOrQueue(
+    {
+      type: 'update',
+      taskId: id,
+      data: taskData,
+      version: followsQueued ? null : version ?? null,
+      base: saved ? toTaskData(saved) : null
+    },
+    () => taskService.updateTask(id, taskData, version),
+    async () => {
+      const task = { ...(saved || { _id: id }), ...taskData, updatedAt: new Date().toISOString(), pending: true };
+      await cacheTasks([task]);
+      return task;
+    }
+  );
+
+  if (!result.queued) {
+    await cacheTasks([result.task]);
+  }
+  return result;
+};
+
+// Delete a task (it goes to the trash)
+// A task created offline never reached the server: its queued changes are simply dropped
+export const deleteTask = async (taskId) => {
+  const id = serverIds.get(taskId) || taskId;
+  const saved = await safely(() => offlineStore.getTask(id), undefined);
+
+  if (isTempId(id)) {
+    const queued = await safely(() => offlineStore.getMutations(), []);
+    await safely(() => offlineStore.deleteMutations(
+      queued.filter(mutation => mutation.taskId === id).map(mutation => mutation.id)
+    ));
+    await uncacheTasks([id]);
+    notifyQueue();
+    return { task: saved || { _id: id }, queued: true };
+  }
+
+  const result = await sendOrQueue(
+    { type: 'delete', taskId: id },
+    () => taskService.deleteTask(id),
+    async () => saved || { _id: id }
+  );
+
+  await uncacheTasks([id]);
+  return result;
+};
+
+// ========================================
+// REPLAY
+// ========================================
+
+// Send one queued change, returns the task from the server (null for a delete)
+const sendMutation = async (mutation, version) => {
+  switch (mutation.type) {
+    case 'create':
+      return taskService.createTask(mutation.data);
+    case 'update':
+      return taskService.updateTask(mutation.taskId, mutation.data, version);
+    case 'delete':
+      await taskService.deleteTask(mutation.taskId);
+      return null;
+    default:
+      throw new Error(`Unknown change '${mutation.type}'`);
+  }
+};
+
+// Send the waiting changes in order
+// Stops at the first network error (the rest waits for the next try)
+// Returns { synced, conflicts, failed, offline }:
+//   conflicts - changes refused because the task was changed elsewhere meanwhile (409/412):
+//               [{ taskId, base, mine, extra, server }] in the shape of the conflict dialog
+//               ('extra' are the changed fields the form doesn't have, e.g. 'completed')
+//   failed    - changes the server refused for another reason: [{ mutation, message }]
+//   offline   - true when the server couldn't be reached (some changes are still waiting)
+const replayMutations = async () => {
+  const report = { synced: 0, conflicts: [], failed: [], offline: false };
+  const queue = await safely(() => offlineStore.getMutations(), []);
+
+  // Tasks created offline that the server refused - their other changes can't be sent
+  const refusedIds = new Set();
+
+  for (let index = 0; index < queue.length; index++) {
+    const mutation = queue[index];
+    const conflict = report.conflicts.find(item => item.taskId === mutation.taskId);
+
+    if (refusedIds.has(mutation.taskId)) {
+      await offlineStore.deleteMutations([mutation.id]);
+      continue;
+    }
+
+    // Later changes of a task in conflict join the conflict - the user decides about all of them
+    if (conflict && mutation.type === 'update') {
+      conflict.mine = { ...conflict.mine, ...pickFormFields(mutation.data) };
+      conflict.extra = { ...conflict.extra, ...pickExtraFields(mutation.data) };
+      await offlineStore.deleteMutations([mutation.id]);
+      continue;
+    }
+
+    try {
+      const task = await sendMutation(mutation, mutation.version ?? undefined);
+
+      if (task) {
+        // The other waiting changes of the task go to its server id (for a task created offline),
+        // and the next one is based on the version the server just returned
+        // (saved at once, so a replay stopped halfway continues from here)
+        const later = queue.slice(index + 1).filter(item => item.taskId === mutation.taskId);
+        const nextUpdate = later.find(item => item.type === 'update');
+
+        later.forEach(item => { item.taskId = task._id; });
+        if (nextUpdate && nextUpdate.version === null) {
+          nextUpdate.version = task.__v;
+        }
+        await offlineStore.putMutations(later);
+
+        if (mutation.type === 'create') {
+          serverIds.set(mutation.taskId, task._id);
+          await offlineStore.deleteTasks([mutation.taskId]);
+        }
+        await offlineStore.putTasks([task]);
+      }
+
+      await offlineStore.deleteMutations([mutation.id]);
+      report.synced += 1;
+
+    } catch (error) {
+      // Still offline - keep this change and the ones after it
+      if (isNetworkError(error)) {
+        report.offline = true;
+        break;
+      }
+
+      await offlineStore.deleteMutations([mutation.id]);
+
+      if ((error.status === 409 || error.status === 412) && error.data) {
+        // Keep the server's version on this device until the user decides
+        await offlineStore.putTasks([error.data]);
+
+        const base = mutation.base || toTaskData(error.data);
+        report.conflicts.push({
+          taskId: mutation.taskId,
+          base,
+          mine: { ...base, ...pickFormFields(mutation.data) },
+          extra: pickExtraFields(mutation.data),
+          server: error.data
+        });
+      } else if (mutation.type === 'delete' && error.status === 404) {
+        // Already deleted elsewhere - nothing left to do
+        report.synced += 1;
+      } else {
+        report.failed.push({ mutation, message: error.detail || error.message });
+
+        if (mutation.type === 'create') {
+          refusedIds.add(mutation.taskId);
+          await offlineStore.deleteTasks([mutation.taskId]);
+        }
+      }
+    }
+  }
+
+  notifyQueue();
+  return report;
+};
+
+// Send the waiting changes - see replayMutations for the result
+// Calls made while a replay is running get that replay's result
+export const flushMutations = () => {
+  if (!flushPromise) {
+    flushPromise = replayMutations().finally(() => {
+      flushPromise = null;
+    });
+  }
+  return flushPromise;
+};
@@ -0,0 +1,121 @@
+// ========================================
+// INDEXEDDB STORAGE
+// ========================================
+
+// The browser database that keeps the app usable offline (see offlineService):
+//   tasks     - the last known copy of every task the app has seen, by _id
+//   mutations - changes made offline, waiting to be sent (in the order they were made)
+//   meta      - small values: the user the data belongs to, the projects and tags
+const DB_NAME = 'task-manager';
+const DB_VERSION = 1;
+
+// Database opened once and shared by every call
+let databasePromise = null;
+
+// Open the database (creating the stores the first time)
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('tasks', { keyPath: '_id' });
+        db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore('meta');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Try again next time if the database can't be opened (e.g. private browsing)
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+
+  return databasePromise;
+};
+
+// Run 'action' in one transaction on the given stores
+// 'action' gets the stores and may return a request - its result is returned once the transaction is done
+const runTransaction = async (storeNames, mode, action) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = action(...storeNames.map(name => transaction.objectStore(name)));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// ========================================
+// TASKS
+// ========================================
+
+// Get every saved task
+export const getTasks = () => runTransaction(['tasks'], 'readonly', tasks => tasks.getAll());
+
+// Get one saved task (undefined when it isn't saved)
+export const getTask = (taskId) => runTransaction(['tasks'], 'readonly', tasks => tasks.get(taskId));
+
+// Save tasks (replacing the saved copies)
+export const putTasks = (list) => runTransaction(['tasks'], 'readwrite', tasks => {
+  list.forEach(task => tasks.put(task));
+});
+
+// Remove saved tasks
+export const deleteTasks = (ids) => runTransaction(['tasks'], 'readwrite', tasks => {
+  ids.forEach(id => tasks.delete(id));
+});
+
+// ========================================
+// MUTATIONS
+// ========================================
+
+// Get the waiting changes, oldest first (the ids grow with every new change)
+export const getMutations = () => runTransaction(['mutations'], 'readonly', mutations => mutations.getAll());
+
+// Count the waiting changes
+export const countMutations = () => runTransaction(['mutations'], 'readonly', mutations => mutations.count());
+
+// Add a change at the end of the queue
+export const addMutation = (mutation) => runTransaction(['mutations'], 'readwrite', mutations => mutations.add(mutation));
+
+// Save changes already in the queue (e.g. with the server id of a task created offline)
+export const putMutations = (list) => runTransaction(['mutations'], 'readwrite', mutations => {
+  list.forEach(mutation => mutations.put(mutation));
+});
+
+// Remove changes from the queue
+export const deleteMutations = (ids) => runTransaction(['mutations'], 'readwrite', mutations => {
+  ids.forEach(id => mutations.delete(id));
+});
+
+// ========================================
+// META VALUES
+// ========================================
+
+// Get a saved value (undefined when it isn't saved)
+export const getMeta = (key) => runTransaction(['meta'], 'readonly', meta => meta.get(key));
+
+// Save a value
+export const setMeta = (key, value) => runTransaction(['meta'], 'readwrite', meta => {
+  meta.put(value, key);
+});
+
+// Remove everything (another user logs in, or the session ends)
+export const clearAll = () => runTransaction(['tasks', 'mutations', 'meta'], 'readwrite', (tasks, mutations, meta) => {
+  tasks.clear();
+  mutations.clear();
+  meta.clear();
+});
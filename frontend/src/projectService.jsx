@@ -0,0 +1,77 @@
+// Import the configured axios instance (base URL, token and error interceptors)
+import { api } from './taskService';
+
+// ========================================
+// PROJECT API FUNCTIONS
+// ========================================
+
+// Get the user's projects
+// 'archived' can be false (default), true or 'all'
+export const getProjects = async (archived = false) => {
+  try {
+    const response = await api.get('/projects', { params: { archived } });
+    return response;
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    throw error;
+  }
+};
+
+// Create a new project
+export const createProject = async (projectData) => {
+  try {
+    // Validate required fields before sending
+    if (!projectData.name || projectData.name.trim() === '') {
+      throw new Error('Project name is required');
+    }
+
+    const response = await api.post('/projects', projectData);
+    return response;
+  } catch (error) {
+    console.error('Error creating project:', error);
+    throw error;
+  }
+};
+
+// Update an existing project (name, color, archived, order)
+export const updateProject = async (projectId, projectData) => {
+  try {
+    if (!projectId) {
+      throw new Error('Project ID is required for update');
+    }
+
+    const response = await api.put(`/projects/${projectId}`, projectData);
+    return response;
+  } catch (error) {
+    console.error('Error updating project:', error);
+    throw error;
+  }
+};
+
+// Save a new sidebar order (array of project ids)
+export const reorderProjects = async (projectIds) => {
+  try {
+    const response = await api.put('/projects/reorder', { ids: projectIds });
+    return response;
+  } catch (error) {
+    console.error('Error reordering projects:', error);
+    throw error;
+  }
+};
+
+// Delete a project
+// taskAction: 'cascade' deletes its tasks, 'move' moves them to 'moveTo' (a project id or 'none')
+export const deleteProject = async (projectId, taskAction, moveTo = 'none') => {
+  try {
+    if (!projectId) {
+      throw new Error('Project ID is required for deletion');
+    }
+
+    const params = taskAction === 'move' ? { tasks: 'move', moveTo } : { tasks: 'cascade' };
+    const response = await api.delete(`/projects/${projectId}`, { params });
+    return response;
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,422 @@
+// Import React hooks for state
+import React, { useState } from 'react';
+
+// Import icons from react-icons library
+import {
+  FiFolder,
+  FiInbox,
+  FiList,
+  FiPlus,
+  FiEdit2,
+  FiTrash2,
+  FiArchive,
+  FiArrowUp,
+  FiArrowDown,
+  FiCheck,
+  FiX,
+  FiBookmark,
+  FiStar,
+  FiUsers
+} from 'react-icons/fi';
+
+// Import the store hooks for the projects and the views
+import { useProjects, useViews } from './taskStore';
+
+// Color used for new projects
+const DEFAULT_COLOR = '#3b82f6';
+
+// ProjectSidebar component - lets the user switch between projects and manage them
+// The projects and the views are read from the store
+// selectedProject is 'all', 'none' (tasks without a project) or a project id
+// selectedView is the id of the view shown (null when none is)
+// trashSelected is true while the trash is shown instead of the tasks
+const ProjectSidebar = ({
+  selectedProject,
+  selectedView,
+  trashSelected,
+  onSelect,
+  onSelectView,
+  onPinView,
+  onSelectTrash,
+  onCreate,
+  onUpdate,
+  onDelete,
+  onMove
+}) => {
+  
+  // The user's projects (active and archived), and the views with the ids of the pinned ones
+  const projects = useProjects();
+  const { views, pinned } = useViews();
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Values of the create/edit form
+  const [formData, setFormData] = useState({ name: '', color: DEFAULT_COLOR });
+
+  // Project being edited (null when creating a new one)
+  const [editingId, setEditingId] = useState(null);
+
+  // True while the create/edit form is open
+  const [showForm, setShowForm] = useState(false);
+
+  // Project waiting for delete confirmation, and what to do with its tasks
+  const [deleting, setDeleting] = useState(null);
+  const [deleteAction, setDeleteAction] = useState('move');
+  const [moveTo, setMoveTo] = useState('none');
+
+  // Show archived projects section
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Show the views that aren't pinned
+  const [showAllViews, setShowAllViews] = useState(false);
+
+  // Error message for the last failed action
+  const [error, setError] = useState('');
+
+  const activeProjects = projects.filter(project => !project.archived);
+  const archivedProjects = projects.filter(project => project.archived);
+
+  // Pinned views in sidebar order, then the other views
+  const viewsById = new Map(views.map(view => [view._id, view]));
+  const pinnedViews = pinned.filter(id => viewsById.has(id)).map(id => viewsById.get(id));
+  const otherViews = views.filter(view => !view.pinned);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Run a parent action and show its error in the sidebar
+  const runAction = async (action) => {
+    try {
+      setError('');
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+      return false;
+    }
+  };
+
+  // Open the form to create a new project
+  const handleNew = () => {
+    setEditingId(null);
+    setFormData({ name: '', color: DEFAULT_COLOR });
+    setShowForm(true);
+  };
+
+  // Open the form to rename/recolor a project
+  const handleEdit = (project) => {
+    setEditingId(project._id);
+    setFormData({ name: project.name, color: project.color });
+    setShowForm(true);
+  };
+
+  // Close the form
+  const handleCancelForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+  };
+
+  // Save the create/edit form
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const data = { name: formData.name.trim(), color: formData.color };
+    if (!data.name) {
+      setError('Project name is required');
+      return;
+    }
+
+    const saved = await runAction(() => (editingId ? onUpdate(editingId, data) : onCreate(data)));
+    if (saved) {
+      handleCancelForm();
+    }
+  };
+
+  // Ask what to do with the tasks before deleting a project
+  const handleDeleteClick = (project) => {
+    setDeleting(project);
+    setDeleteAction('move');
+    setMoveTo('none');
+  };
+
+  // Delete the project after confirmation
+  const handleConfirmDelete = async () => {
+    const deleted = await runAction(() => onDelete(deleting._id, deleteAction, moveTo));
+    if (deleted) {
+      setDeleting(null);
+    }
+  };
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  // Render one project row with its actions
+  const renderProject = (project, index, list) => (
+    <li key={project._id} className={`sidebar-item ${selectedProject === project._id ? 'selected' : ''}`}>
+      <button className="sidebar-link" onClick={() => onSelect(project._id)}>
+        <span className="project-dot" style={{ backgroundColor: project.color }}></span>
+        <span className="sidebar-label">{project.name}</span>
+        {project.activeTaskCount > 0 && (
+          <span className="sidebar-count">{project.activeTaskCount}</span>
+        )}
+      </button>
+
+      <div className="sidebar-actions">
+        {!project.archived && (
+          <>
+            <button
+              onClick={() => runAction(() => onMove(project._id, -1))}
+              className="sidebar-action"
+              disabled={index === 0}
+              aria-label="Move project up"
+              title="Move up"
+            >
+              <FiArrowUp />
+            </button>
+            <button
+              onClick={() => runAction(() => onMove(project._id, 1))}
+              className="sidebar-action"
+              disabled={index === list.length - 1}
+              aria-label="Move project down"
+              title="Move down"
+            >
+              <FiArrowDown />
+            </button>
+          </>
+        )}
+        <button
+          onClick={() => handleEdit(project)}
+          className="sidebar-action"
+          aria-label="Edit project"
+          title="Edit project"
+        >
+          <FiEdit2 />
+        </button>
+        <button
+          onClick={() => runAction(() => onUpdate(project._id, { archived: !project.archived }))}
+          className="sidebar-action"
+          aria-label={project.archived ? 'Unarchive project' : 'Archive project'}
+          title={project.archived ? 'Unarchive project' : 'Archive project'}
+        >
+          <FiArchive />
+        </button>
+        <button
+          onClick={() => handleDeleteClick(project)}
+          className="sidebar-action delete"
+          aria-label="Delete project"
+          title="Delete project"
+        >
+          <FiTrash2 />
+        </button>
+      </div>
+
+      {/* Delete confirmation - the user picks what happens to the tasks */}
+      {deleting && deleting._id === project._id && (
+        <div className="sidebar-confirm">
+          <p>Delete "{project.name}"?</p>
+
+          <label className="sidebar-radio">
+            <input
+              type="radio"
+              name="deleteAction"
+              value="move"
+              checked={deleteAction === 'move'}
+              onChange={() => setDeleteAction('move')}
+            />
+            Move its tasks to
+          </label>
+          <select
+            value={moveTo}
+            onChange={(e) => setMoveTo(e.target.value)}
+            className="control-select"
+            disabled={deleteAction !== 'move'}
+          >
+            <option value="none">No project</option>
+            {projects
+              .filter(other => other._id !== project._id)
+              .map(other => (
+                <option key={other._id} value={other._id}>{other.name}</option>
+              ))}
+          </select>
+
+          <label className="sidebar-radio">
+            <input
+              type="radio"
+              name="deleteAction"
+              value="cascade"
+              checked={deleteAction === 'cascade'}
+              onChange={() => setDeleteAction('cascade')}
+            />
+            Delete its tasks too
+          </label>
+
+          <div className="sidebar-confirm-actions">
+            <button onClick={handleConfirmDelete} className="btn btn-danger">
+              <FiTrash2 className="btn-icon" />
+              Delete
+            </button>
+            <button onClick={() => setDeleting(null)} className="btn btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </li>
+  );
+
+  // Render one view row, with the button that pins or unpins it
+  const renderView = (view) => (
+    <li key={view._id} className={`sidebar-item ${selectedView === view._id ? 'selected' : ''}`}>
+      <button className="sidebar-link" onClick={() => onSelectView(view._id)}>
+        {view.builtIn || view.isOwner
+          ? <FiBookmark className="sidebar-icon" />
+          : <FiUsers className="sidebar-icon" title={`Shared by ${view.owner.name}`} />}
+        <span className="sidebar-label">{view.name}</span>
+      </button>
+
+      <div className="sidebar-actions">
+        <button
+          onClick={() => runAction(() => onPinView(view._id, !view.pinned))}
+          className={`sidebar-action ${view.pinned ? 'pinned' : ''}`}
+          aria-label={view.pinned ? `Unpin ${view.name}` : `Pin ${view.name}`}
+          title={view.pinned ? 'Unpin from the sidebar' : 'Pin to the sidebar'}
+        >
+          <FiStar />
+        </button>
+      </div>
+    </li>
+  );
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <nav className="project-sidebar" aria-label="Projects">
+
+      {/* Built-in views */}
+      <ul className="sidebar-list">
+        <li className={`sidebar-item ${selectedProject === 'all' ? 'selected' : ''}`}>
+          <button className="sidebar-link" onClick={() => onSelect('all')}>
+            <FiList className="sidebar-icon" />
+            <span className="sidebar-label">All Tasks</span>
+          </button>
+        </li>
+        <li className={`sidebar-item ${selectedProject === 'none' ? 'selected' : ''}`}>
+          <button className="sidebar-link" onClick={() => onSelect('none')}>
+            <FiInbox className="sidebar-icon" />
+            <span className="sidebar-label">No Project</span>
+          </button>
+        </li>
+      </ul>
+
+      {/* Pinned views - the others are listed below them on demand */}
+      <div className="sidebar-header">
+        <h3>
+          <FiBookmark className="sidebar-icon" />
+          Views
+        </h3>
+      </div>
+      <ul className="sidebar-list">
+        {pinnedViews.length === 0 && (
+          <li className="sidebar-empty">No pinned views</li>
+        )}
+        {pinnedViews.map(renderView)}
+      </ul>
+      {otherViews.length > 0 && (
+        <>
+          <button onClick={() => setShowAllViews(!showAllViews)} className="link-btn sidebar-toggle">
+            {showAllViews ? 'Hide' : 'Show'} other views ({otherViews.length})
+          </button>
+          {showAllViews && (
+            <ul className="sidebar-list">
+              {otherViews.map(renderView)}
+            </ul>
+          )}
+        </>
+      )}
+
+      {/* Projects header with add button */}
+      <div className="sidebar-header">
+        <h3>
+          <FiFolder className="sidebar-icon" />
+          Projects
+        </h3>
+        <button onClick={handleNew} className="sidebar-action" aria-label="New project" title="New project">
+          <FiPlus />
+        </button>
+      </div>
+
+      {/* Create/edit project form */}
+      {showForm && (
+        <form onSubmit={handleSubmit} className="sidebar-form">
+          <input
+            type="color"
+            value={formData.color}
+            onChange={(e) => setFormData(prev => ({ ...prev, color: e.target.value }))}
+            className="sidebar-color"
+            aria-label="Project color"
+          />
+          <input
+            type="text"
+            value={formData.name}
+            onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+            className="form-input"
+            placeholder="Project name"
+            maxLength={50}
+            autoFocus
+          />
+          <button type="submit" className="sidebar-action" aria-label="Save project" title="Save">
+            <FiCheck />
+          </button>
+          <button type="button" onClick={handleCancelForm} className="sidebar-action" aria-label="Cancel" title="Cancel">
+            <FiX />
+          </button>
+        </form>
+      )}
+
+      {/* Error of the last action */}
+      {error && <div className="form-error">{error}</div>}
+
+      {/* Active projects */}
+      <ul className="sidebar-list">
+        {activeProjects.length === 0 && !showForm && (
+          <li className="sidebar-empty">No projects yet</li>
+        )}
+        {activeProjects.map(renderProject)}
+      </ul>
+
+      {/* Archived projects (collapsed by default) */}
+      {archivedProjects.length > 0 && (
+        <>
+          <button onClick={() => setShowArchived(!showArchived)} className="link-btn sidebar-toggle">
+            {showArchived ? 'Hide' : 'Show'} archived ({archivedProjects.length})
+          </button>
+          {showArchived && (
+            <ul className="sidebar-list archived">
+              {archivedProjects.map(renderProject)}
+            </ul>
+          )}
+        </>
+      )}
+
+      {/* Deleted tasks */}
+      <ul className="sidebar-list sidebar-trash">
+        <li className={`sidebar-item ${trashSelected ? 'selected' : ''}`}>
+          <button className="sidebar-link" onClick={onSelectTrash}>
+            <FiTrash2 className="sidebar-icon" />
+            <span className="sidebar-label">Trash</span>
+          </button>
+        </li>
+      </ul>
+
+    </nav>
+  );
+};
+
+// Export component as default
+export default ProjectSidebar;
@@ -0,0 +1,426 @@
+// Import React hooks to read the store from components
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+
+// ========================================
+// CLIENT STORE
+// ========================================
+
+// One store for the data loaded from the server, shared by every component:
+//   entities - every task, project and tag loaded so far, by type and id. There is one copy of each:
+//              a task changed once is changed in every list that shows it
+//   queries  - the result of each request, by key (an array, e.g. ['projects'] or ['stats', 'all']):
+//              { key, entity, data, status, error, isFetching, updatedAt, stale }
+//              'status' is 'loading' until the first answer, then 'success' or 'error'.
+//              Lists of entities keep their ids only (see normalize) - the selectors give the entities back
+//   active   - the query a part of the page shows, by name (e.g. the list of tasks for the current filters)
+// Components read the store with useStore(selector) or useQuery(key, fetch), and are rendered again
+// when what they read changes.
+let state = { entities: {}, queries: {}, active: {} };
+
+// Components (and effects) to tell when the store changes
+const listeners = new Set();
+
+// Requests on their way, by query hash - the same request is only sent once at a time
+const inFlight = new Map();
+
+// Id of the newest request of each query - answers to older requests are ignored
+const latestRequests = new Map();
+
+// How each query is loaded ({ fetch, entity }) and how many parts of the page show it
+// Only the queries shown are loaded again in the background (invalidateQueries, window focus)
+const queryConfigs = new Map();
+
+// Id of the last request sent
+let requestCounter = 0;
+
+// A query answered longer ago than this is loaded again when shown, or when the window gets the focus
+export const STALE_TIME = 30 * 1000;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Turn a query key into the string that identifies it
+const hashKey = (key) => JSON.stringify(key);
+
+// Check if a query key starts with 'prefix' (['tasks'] matches every ['tasks', ...] key)
+const matchesPrefix = (key, prefix) => {
+  return prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+};
+
+// Replace the state and tell the listeners
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+// Add or replace entities of one type (objects with an _id)
+const withEntities = (entities, type, list) => {
+  if (!type || list.length === 0) {
+    return entities;
+  }
+
+  const byId = { ...entities[type] };
+  list.forEach(item => {
+    byId[item._id] = item;
+  });
+
+  return { ...entities, [type]: byId };
+};
+
+// Split an answer into the entities it contains and the data kept in the query:
+// an array of entities becomes an array of ids, { data: [...], ...rest } keeps 'rest' with the ids,
+// a single entity becomes its id. Answers of queries without an entity type are kept as they are.
+const normalize = (result, entity) => {
+  if (!entity || result === null || result === undefined) {
+    return { data: result, list: [] };
+  }
+  if (Array.isArray(result)) {
+    return { data: result.map(item => item._id), list: result };
+  }
+  if (Array.isArray(result.data)) {
+    return { data: { ...result, data: result.data.map(item => item._id) }, list: result.data };
+  }
+  return { data: result._id, list: [result] };
+};
+
+// Put the entities back into the data of a query (ids of removed entities are left out)
+const denormalize = (data, entity, entities) => {
+  if (!entity || data === null || data === undefined) {
+    return data;
+  }
+
+  const byId = entities[entity] || {};
+  const pick = ids => ids.map(id => byId[id]).filter(Boolean);
+
+  if (Array.isArray(data)) {
+    return pick(data);
+  }
+  if (Array.isArray(data.data)) {
+    return { ...data, data: pick(data.data) };
+  }
+  return byId[data];
+};
+
+// Change one query (creating it the first time)
+const updateQuery = (key, changes, list = []) => {
+  const hash = hashKey(key);
+  const current = state.queries[hash] || {
+    key,
+    entity: null,
+    data: undefined,
+    status: 'loading',
+    error: null,
+    isFetching: false,
+    updatedAt: 0,
+    stale: true
+  };
+
+  setState({
+    entities: withEntities(state.entities, changes.entity || current.entity, list),
+    queries: { ...state.queries, [hash]: { ...current, ...changes } }
+  });
+};
+
+// Check if two values a component read are the same (arrays and objects one level deep),
+// so a change elsewhere in the store doesn't render it again
+const isSameValue = (a, b, depth = 2) => {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (depth === 0 || !a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+
+  return keysA.length === keysB.length && keysA.every(key => isSameValue(a[key], b[key], depth - 1));
+};
+
+// ========================================
+// READING THE STORE
+// ========================================
+
+// Get the current state
+export const getState = () => state;
+
+// Call 'listener' after every change - returns the function that stops it
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// A query never loaded
+const NOT_LOADED = { data: undefined, status: 'loading', error: null, isFetching: false };
+
+// Get a query as components use it: { data (with the entities), status, error, isFetching }
+export const selectQuery = (current, key) => {
+  const query = current.queries[hashKey(key)];
+
+  if (!query) {
+    return NOT_LOADED;
+  }
+
+  return {
+    data: denormalize(query.data, query.entity, current.entities),
+    status: query.status,
+    error: query.error,
+    isFetching: query.isFetching
+  };
+};
+
+// Get the query shown under a name (see setActiveQuery)
+export const selectActiveQuery = (current, name) => {
+  const key = current.active[name];
+  return key ? selectQuery(current, key) : NOT_LOADED;
+};
+
+// Get one entity (undefined when it isn't loaded)
+export const selectEntity = (current, type, id) => {
+  return current.entities[type] ? current.entities[type][id] : undefined;
+};
+
+// Read part of the store in a component - rendered again when that part changes
+// 'selector' gets the state and returns what the component needs
+export const useStore = (selector) => {
+  const cache = useRef({ state: null, selector: null, value: undefined });
+
+  // The same state gives the same value (React asks several times per render)
+  const getSnapshot = () => {
+    const last = cache.current;
+
+    if (last.state !== state || last.selector !== selector) {
+      const value = selector(state);
+      cache.current = { state, selector, value: isSameValue(value, last.value) ? last.value : value };
+    }
+
+    return cache.current.value;
+  };
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+};
+
+// ========================================
+// LOADING QUERIES
+// ========================================
+
+// Send the request of a query and keep its answer (only the newest request of a query is kept)
+const runQuery = (hash) => {
+  const { key, fetch, entity } = queryConfigs.get(hash);
+  const requestId = ++requestCounter;
+  latestRequests.set(hash, requestId);
+
+  updateQuery(key, { entity, isFetching: true });
+
+  const promise = Promise.resolve()
+    .then(fetch)
+    .then((result) => {
+      if (latestRequests.get(hash) === requestId) {
+        const { data, list } = normalize(result, entity);
+        updateQuery(key, {
+          data,
+          status: 'success',
+          error: null,
+          isFetching: false,
+          updatedAt: Date.now(),
+          stale: false
+        }, list);
+      }
+      return result;
+    }, (err) => {
+      // The data loaded before stays shown with the error
+      if (latestRequests.get(hash) === requestId) {
+        updateQuery(key, { status: 'error', error: err, isFetching: false });
+      }
+      throw err;
+    })
+    .finally(() => {
+      if (inFlight.get(hash) === promise) {
+        inFlight.delete(hash);
+      }
+    });
+
+  inFlight.set(hash, promise);
+  return promise;
+};
+
+// Remember how a query is loaded: 'fetch' returns a promise of the answer,
+// 'entity' is the type of the entities in it (e.g. 'tasks'), if any
+const configureQuery = (key, fetch, entity) => {
+  const hash = hashKey(key);
+  const config = queryConfigs.get(hash);
+
+  queryConfigs.set(hash, { observers: 0, ...config, key, fetch, entity: entity || null });
+  return hash;
+};
+
+// Load a query - a request of the same query already on its way is shared instead of sent again
+// Returns a promise of the answer (it rejects with the request's error)
+export const fetchQuery = (key, fetch, { entity } = {}) => {
+  const hash = configureQuery(key, fetch, entity);
+  return inFlight.get(hash) || runQuery(hash);
+};
+
+// Load a query unless its answer is recent enough
+export const prefetchQuery = (key, fetch, { entity } = {}) => {
+  const query = state.queries[hashKey(key)];
+
+  if (query && !query.stale && Date.now() - query.updatedAt < STALE_TIME) {
+    configureQuery(key, fetch, entity);
+    return Promise.resolve(denormalize(query.data, query.entity, state.entities));
+  }
+
+  return fetchQuery(key, fetch, { entity }).catch(() => {
+    // The error is kept in the query
+  });
+};
+
+// A part of the page shows a query - it is loaded again in the background while shown
+// Returns the function to call when it is no longer shown
+export const observeQuery = (key) => {
+  const config = queryConfigs.get(hashKey(key));
+
+  if (!config) {
+    return () => {};
+  }
+
+  config.observers++;
+  return () => {
+    config.observers--;
+  };
+};
+
+// The data of the queries starting with 'prefix' changed on the server (e.g. after a task was saved):
+// the queries shown are loaded again (their current data stays shown meanwhile), the others
+// are loaded next time they are shown
+// Returns a promise resolved once the queries shown are loaded again (errors are kept in the queries)
+export const invalidateQueries = (prefix) => {
+  const requests = Object.values(state.queries)
+    .filter(query => matchesPrefix(query.key, prefix))
+    .map((query) => {
+      const hash = hashKey(query.key);
+      const config = queryConfigs.get(hash);
+
+      updateQuery(query.key, { stale: true });
+
+      // A new request - the answer to one sent before the change is ignored
+      if (!config || config.observers === 0) {
+        return null;
+      }
+      return runQuery(hash).catch(() => {
+        // The error is kept in the query
+      });
+    });
+
+  return Promise.all(requests);
+};
+
+// Ignore the answers to the requests of a query on their way (e.g. it was just changed here)
+export const cancelQuery = (key) => {
+  const hash = hashKey(key);
+  latestRequests.set(hash, ++requestCounter);
+  inFlight.delete(hash);
+
+  if (state.queries[hash] && state.queries[hash].isFetching) {
+    updateQuery(key, { isFetching: false });
+  }
+};
+
+// Load a query while a component shows it: { data, status, error, isFetching }
+// It is loaded when first shown (or when its answer is older than STALE_TIME), again after
+// invalidateQueries and when the window gets the focus. 'enabled: false' waits (e.g. until logged in).
+export const useQuery = (key, fetch, { entity, enabled = true } = {}) => {
+  const hash = hashKey(key);
+
+  // The newest fetch function of the component (it may read its props)
+  const latestFetch = useRef(fetch);
+  latestFetch.current = fetch;
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
+    const queryKey = JSON.parse(hash);
+    const load = () => latestFetch.current();
+
+    prefetchQuery(queryKey, load, { entity });
+    return observeQuery(queryKey);
+  }, [hash, entity, enabled]);
+
+  return useStore(current => selectQuery(current, JSON.parse(hash)));
+};
+
+// ========================================
+// CHANGING THE STORE
+// ========================================
+
+// Change the data of a query without a request (e.g. a new task shown before the list is loaded again)
+// 'updater' gets the current data (with the entities) and returns the new data, or is the new data
+export const setQueryData = (key, updater, { entity } = {}) => {
+  const query = state.queries[hashKey(key)];
+  const queryEntity = entity || (query ? query.entity : null);
+  const current = query ? denormalize(query.data, queryEntity, state.entities) : undefined;
+  const next = typeof updater === 'function' ? updater(current) : updater;
+  const { data, list } = normalize(next, queryEntity);
+
+  updateQuery(key, {
+    entity: queryEntity,
+    data,
+    status: query && query.status === 'error' ? 'error' : 'success',
+    updatedAt: query ? query.updatedAt : Date.now()
+  }, list);
+};
+
+// Add or replace entities in every query that shows them (e.g. a task saved on the server)
+export const setEntities = (type, list) => {
+  setState({ entities: withEntities(state.entities, type, list) });
+};
+
+// Remove entities - they disappear from every list that shows them
+export const removeEntities = (type, ids) => {
+  const byId = { ...state.entities[type] };
+  ids.forEach(id => delete byId[id]);
+  setState({ entities: { ...state.entities, [type]: byId } });
+};
+
+// Show a query under a name (e.g. 'taskList' is the list of tasks for the current filters)
+export const setActiveQuery = (name, key) => {
+  if (hashKey(state.active[name]) !== hashKey(key)) {
+    setState({ active: { ...state.active, [name]: key } });
+  }
+};
+
+// Forget the data loaded (the user logged out) - the names of the queries shown stay
+export const resetStore = () => {
+  inFlight.clear();
+  latestRequests.clear();
+  queryConfigs.clear();
+  setState({ entities: {}, queries: {} });
+};
+
+// ========================================
+// BACKGROUND REFETCH
+// ========================================
+
+// Load the queries shown again when the window gets the focus back, if their answer is old
+const refetchStaleQueries = () => {
+  queryConfigs.forEach((config, hash) => {
+    const query = state.queries[hash];
+
+    if (config.observers > 0 && query && !query.isFetching &&
+        (query.stale || Date.now() - query.updatedAt > STALE_TIME)) {
+      runQuery(hash).catch(() => {
+        // The error is kept in the query
+      });
+    }
+  });
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('focus', refetchStaleQueries);
+}
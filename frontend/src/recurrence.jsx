@@ -0,0 +1,66 @@
+// ========================================
+// RECURRENCE HELPERS
+// ========================================
+
+// Recurrence rules have the same shape as on the server:
+// { frequency, interval, byWeekday, byMonthDay, setPos, weekday, until, count }
+
+// Weekday names, index 0 = Sunday (same numbering as Date.getDay())
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Labels for the "n-th weekday of the month" positions
+export const SET_POSITIONS = [
+  { value: 1, label: '1st' },
+  { value: 2, label: '2nd' },
+  { value: 3, label: '3rd' },
+  { value: 4, label: '4th' },
+  { value: -1, label: 'last' }
+];
+
+// Unit names for each frequency (singular, plural)
+const UNITS = {
+  daily: ['day', 'days'],
+  weekly: ['week', 'weeks'],
+  monthly: ['month', 'months'],
+  yearly: ['year', 'years']
+};
+
+// Add the English ordinal suffix to a number: 1st, 2nd, 3rd, 4th, 11th, 21st...
+const ordinal = (number) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${number}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(number)]}`;
+};
+
+// Build a readable summary of a rule, e.g. "Every 2 weeks on Mon, Wed" or "Every month on the 2nd Monday"
+export const describeRecurrence = (rule) => {
+  if (!rule || !UNITS[rule.frequency]) {
+    return '';
+  }
+
+  const interval = rule.interval || 1;
+  const [singular, plural] = UNITS[rule.frequency];
+  let summary = interval === 1 ? `Every ${singular}` : `Every ${interval} ${plural}`;
+
+  // Which days of the week/month
+  if (rule.frequency === 'weekly' && rule.byWeekday && rule.byWeekday.length > 0) {
+    // List days starting from Monday
+    const days = [...rule.byWeekday]
+      .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+      .map(weekday => WEEKDAYS[weekday].slice(0, 3));
+    summary += ` on ${days.join(', ')}`;
+  } else if (rule.frequency === 'monthly' && rule.setPos) {
+    const position = SET_POSITIONS.find(p => p.value === rule.setPos);
+    summary += ` on the ${position ? position.label : rule.setPos} ${WEEKDAYS[rule.weekday]}`;
+  } else if (rule.frequency === 'monthly' && rule.byMonthDay) {
+    summary += ` on the ${ordinal(rule.byMonthDay)}`;
+  }
+
+  // When the series ends
+  if (rule.until) {
+    summary += `, until ${new Date(rule.until).toLocaleDateString()}`;
+  } else if (rule.count) {
+    summary += `, ${rule.count} times`;
+  }
+
+  return summary;
+};
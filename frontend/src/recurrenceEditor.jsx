@@ -0,0 +1,266 @@
+// Import React for component creation
+import React from 'react';
+
+// Import recurrence helpers for labels and the summary
+import { WEEKDAYS, SET_POSITIONS, describeRecurrence } from './recurrence';
+
+// Import due date helpers to convert the end date
+import { toDateInputs, fromDateInputs } from './dueDates';
+
+// Days in the order they are shown (Monday first)
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Build a new rule for a frequency, using the due date for sensible defaults
+// e.g. a task due on the 2nd Monday of the month repeats "on the 2nd Monday"
+const createRule = (frequency, previousRule, dueDate) => {
+  const date = dueDate ? new Date(`${dueDate}T00:00:00`) : new Date();
+  const rule = {
+    frequency,
+    interval: previousRule ? previousRule.interval : 1,
+    until: previousRule ? previousRule.until : undefined,
+    count: previousRule ? previousRule.count : undefined
+  };
+
+  if (frequency === 'weekly') {
+    rule.byWeekday = [date.getDay()];
+  }
+
+  if (frequency === 'monthly') {
+    rule.byMonthDay = date.getDate();
+  }
+
+  return rule;
+};
+
+// RecurrenceEditor component - edits the repeat rule of a task
+// value is the rule (or null when the task doesn't repeat), onChange receives the new rule
+// dueDate ('YYYY-MM-DD') is required: occurrences are calculated from it
+const RecurrenceEditor = ({ value, onChange, dueDate, disabled }) => {
+
+  const rule = value;
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Change one or more fields of the rule
+  const update = (changes) => {
+    onChange({ ...rule, ...changes });
+  };
+
+  // Pick a frequency, or stop repeating
+  const handleFrequencyChange = (e) => {
+    const frequency = e.target.value;
+    onChange(frequency ? createRule(frequency, rule, dueDate) : null);
+  };
+
+  // Toggle a day of the week (weekly rules)
+  const toggleWeekday = (weekday) => {
+    const current = rule.byWeekday || [];
+    const byWeekday = current.includes(weekday)
+      ? current.filter(day => day !== weekday)
+      : [...current, weekday];
+
+    update({ byWeekday });
+  };
+
+  // Switch monthly rules between "day N" and "n-th weekday"
+  const handleMonthlyModeChange = (e) => {
+    const date = dueDate ? new Date(`${dueDate}T00:00:00`) : new Date();
+
+    if (e.target.value === 'weekday') {
+      // Default to the position of the due date in its month (e.g. 2nd Monday)
+      const setPos = Math.min(Math.ceil(date.getDate() / 7), 4);
+      update({ byMonthDay: undefined, setPos, weekday: date.getDay() });
+    } else {
+      update({ setPos: undefined, weekday: undefined, byMonthDay: date.getDate() });
+    }
+  };
+
+  // Change how the series ends
+  const handleEndChange = (e) => {
+    switch (e.target.value) {
+      case 'until':
+        update({ count: undefined, until: fromDateInputs(dueDate || toDateInputs(new Date()).dueDate, '') });
+        break;
+      case 'count':
+        update({ until: undefined, count: 10 });
+        break;
+      default:
+        update({ until: undefined, count: undefined });
+    }
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  const endMode = rule && rule.until ? 'until' : rule && rule.count ? 'count' : 'never';
+
+  return (
+    <div className="recurrence-editor">
+
+      {/* Frequency and interval */}
+      <div className="form-row">
+        <select
+          id="recurrence"
+          value={rule ? rule.frequency : ''}
+          onChange={handleFrequencyChange}
+          className="form-select"
+          disabled={disabled || !dueDate}
+        >
+          <option value="">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+          <option value="yearly">Yearly</option>
+        </select>
+
+        {rule && (
+          <label className="recurrence-interval">
+            every
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={rule.interval}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className="form-input"
+              disabled={disabled}
+              aria-label="Repeat interval"
+            />
+          </label>
+        )}
+      </div>
+
+      {/* A recurring task needs a due date to calculate the next occurrences */}
+      {!dueDate && (
+        <small className="form-hint">Set a due date to make this task repeat.</small>
+      )}
+
+      {/* Weekly: days of the week */}
+      {rule && rule.frequency === 'weekly' && (
+        <div className="weekday-picker" role="group" aria-label="Repeat on">
+          {WEEKDAY_ORDER.map(weekday => (
+            <button
+              key={weekday}
+              type="button"
+              onClick={() => toggleWeekday(weekday)}
+              className={`weekday-btn ${(rule.byWeekday || []).includes(weekday) ? 'selected' : ''}`}
+              aria-pressed={(rule.byWeekday || []).includes(weekday)}
+              disabled={disabled}
+            >
+              {WEEKDAYS[weekday].slice(0, 2)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Monthly: day of the month, or n-th weekday */}
+      {rule && rule.frequency === 'monthly' && (
+        <div className="form-row">
+          <select
+            value={rule.setPos ? 'weekday' : 'day'}
+            onChange={handleMonthlyModeChange}
+            className="form-select"
+            disabled={disabled}
+            aria-label="Monthly repeat mode"
+          >
+            <option value="day">On day</option>
+            <option value="weekday">On the</option>
+          </select>
+
+          {rule.setPos ? (
+            <>
+              <select
+                value={rule.setPos}
+                onChange={(e) => update({ setPos: parseInt(e.target.value, 10) })}
+                className="form-select"
+                disabled={disabled}
+                aria-label="Week of the month"
+              >
+                {SET_POSITIONS.map(position => (
+                  <option key={position.value} value={position.value}>{position.label}</option>
+                ))}
+              </select>
+              <select
+                value={rule.weekday}
+                onChange={(e) => update({ weekday: parseInt(e.target.value, 10) })}
+                className="form-select"
+                disabled={disabled}
+                aria-label="Day of the week"
+              >
+                {WEEKDAY_ORDER.map(weekday => (
+                  <option key={weekday} value={weekday}>{WEEKDAYS[weekday]}</option>
+                ))}
+              </select>
+            </>
+          ) : (
+            <input
+              type="number"
+              min={1}
+              max={31}
+              value={rule.byMonthDay || 1}
+              onChange={(e) => update({ byMonthDay: Math.min(31, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+              className="form-input"
+              disabled={disabled}
+              aria-label="Day of the month"
+            />
+          )}
+        </div>
+      )}
+
+      {/* When the series ends */}
+      {rule && (
+        <div className="form-row">
+          <select
+            value={endMode}
+            onChange={handleEndChange}
+            className="form-select"
+            disabled={disabled}
+            aria-label="Repeat ends"
+          >
+            <option value="never">Never ends</option>
+            <option value="until">Ends on</option>
+            <option value="count">Ends after</option>
+          </select>
+
+          {endMode === 'until' && (
+            <input
+              type="date"
+              value={toDateInputs(rule.until).dueDate}
+              onChange={(e) => update({ until: fromDateInputs(e.target.value, '') || undefined })}
+              className="form-input"
+              disabled={disabled}
+              aria-label="End date"
+            />
+          )}
+
+          {endMode === 'count' && (
+            <label className="recurrence-interval">
+              <input
+                type="number"
+                min={1}
+                value={rule.count}
+                onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                className="form-input"
+                disabled={disabled}
+                aria-label="Number of occurrences"
+              />
+              times
+            </label>
+          )}
+        </div>
+      )}
+
+      {/* Readable summary of the rule */}
+      {rule && (
+        <small className="form-hint">{describeRecurrence(rule)}</small>
+      )}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default RecurrenceEditor;
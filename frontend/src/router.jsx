@@ -0,0 +1,141 @@
+// Import React hooks to follow the address bar
+import { useMemo, useSyncExternalStore } from 'react';
+
+// ========================================
+// CLIENT-SIDE ROUTING
+// ========================================
+
+// The page shown comes from the URL, so a page can be bookmarked, shared and reached with back/forward:
+//   /                        all tasks            /board                      board of all tasks
+//   /projects/:id            tasks of a project   /projects/:id/board         board of a project
+//   /trash                   deleted tasks        /tasks/:id                  one task
+//   /views/:id               a saved or built-in view (its filters, sort and grouping come from the server)
+// ':id' of a project can be 'none' (tasks without a project). The list filters and sort are in the
+// query string (?status=active&priority=high&sort=oldest), read and written by TaskList.
+// The server (and the service worker) answer every path with index.html, so links open the app.
+
+// Components following the URL, told when it changes
+const listeners = new Set();
+
+// Tell the listeners - called after navigate() and when the browser goes back or forward
+const notify = () => listeners.forEach(listener => listener());
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', notify);
+}
+
+// Call 'listener' when the URL changes - returns the function that stops it
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Current path and query string, e.g. '/projects/42?status=active'
+const getHref = () => window.location.pathname + window.location.search;
+
+// ========================================
+// NAVIGATION
+// ========================================
+
+// Go to a path (with its query string) - a new history entry, or the current one replaced with 'replace'
+// 'state' is kept with the entry and comes back with back/forward (see useLocation)
+export const navigate = (to, { replace = false, state = null } = {}) => {
+  if (to === getHref() && !state) {
+    return;
+  }
+
+  if (replace) {
+    window.history.replaceState(state, '', to);
+  } else {
+    window.history.pushState(state, '', to);
+  }
+
+  notify();
+};
+
+// Change some query string parameters of the current URL (null, '' or the default removes them)
+// 'defaults' are the values that are left out of the URL, e.g. { status: 'all' }
+export const setSearchParams = (changes, { replace = false, defaults = {} } = {}) => {
+  const params = new URLSearchParams(window.location.search);
+
+  Object.entries(changes).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === '' || value === defaults[name]) {
+      params.delete(name);
+    } else {
+      params.set(name, value);
+    }
+  });
+
+  const search = params.toString();
+  const to = window.location.pathname + (search ? `?${search}` : '');
+  if (to !== getHref()) {
+    navigate(to, { replace, state: window.history.state });
+  }
+};
+
+// ========================================
+// ROUTES
+// ========================================
+
+// Read a path: { name, project, view, viewId, taskId }
+//   name is 'tasks' (the list or the board of 'project', or the saved view 'viewId'), 'trash'
+//   or 'task' (the task 'taskId'). Unknown paths show all tasks
+export const matchRoute = (pathname) => {
+  let parts;
+  try {
+    parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // A broken link (e.g. a lone '%')
+    parts = [];
+  }
+
+  if (parts[0] === 'tasks' && parts[1] && parts.length === 2) {
+    return { name: 'task', taskId: parts[1], project: 'all', view: 'list' };
+  }
+
+  if (parts[0] === 'trash' && parts.length === 1) {
+    return { name: 'trash', project: 'all', view: 'list' };
+  }
+
+  if (parts[0] === 'views' && parts[1] && parts.length === 2) {
+    return { name: 'tasks', viewId: parts[1], project: 'all', view: 'list' };
+  }
+
+  if (parts[0] === 'projects' && parts[1] && (parts.length === 2 || (parts.length === 3 && parts[2] === 'board'))) {
+    return { name: 'tasks', project: parts[1], view: parts[2] === 'board' ? 'board' : 'list' };
+  }
+
+  return { name: 'tasks', project: 'all', view: parts[0] === 'board' && parts.length === 1 ? 'board' : 'list' };
+};
+
+// Path of the tasks of a project ('all', 'none' or a project id), as a list or a board
+export const getTasksPath = (project, view = 'list') => {
+  const base = project === 'all' ? '' : `/projects/${encodeURIComponent(project)}`;
+  return view === 'board' ? `${base}/board` : base || '/';
+};
+
+// Path of a saved or built-in view
+export const getViewPath = (viewId) => `/views/${encodeURIComponent(viewId)}`;
+
+// Path of a task
+export const getTaskPath = (taskId) => `/tasks/${encodeURIComponent(taskId)}`;
+
+// ========================================
+// HOOKS
+// ========================================
+
+// Current location: { pathname, search, params (URLSearchParams), state (see navigate) }
+// The component is rendered again when the URL changes
+export const useLocation = () => {
+  const href = useSyncExternalStore(subscribe, getHref);
+
+  return useMemo(() => {
+    const url = new URL(href, window.location.origin);
+    return {
+      pathname: url.pathname,
+      search: url.search,
+      params: url.searchParams,
+      state: window.history.state
+    };
+  }, [href]);
+};
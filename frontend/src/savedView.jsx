@@ -0,0 +1,337 @@
+// Import React hooks for state
+import React, { useState } from 'react';
+
+// Import icons from react-icons library
+import {
+  FiBookmark,
+  FiCheck,
+  FiEdit2,
+  FiTrash2,
+  FiCalendar,
+  FiUsers,
+  FiStar,
+  FiLogOut,
+  FiAlertCircle
+} from 'react-icons/fi';
+
+// Import the names of the columns
+import { COLUMN_OPTIONS } from './viewOptions';
+
+// Import due date helpers for highlighting and labels
+import { getDueStatus, formatDueDate } from './dueDates';
+
+// Import the store hooks for the loaded tasks, projects and tags
+import { useTaskList, useProjects, useTags } from './taskStore';
+
+// Import the router to link to each task
+import { navigate, getTaskPath } from './router';
+
+// Groups of each grouping, in the order they are shown: { key, label }
+// (project groups follow the order of the sidebar)
+const FIXED_GROUPS = {
+  priority: [
+    { key: 'high', label: 'High priority' },
+    { key: 'medium', label: 'Medium priority' },
+    { key: 'low', label: 'Low priority' }
+  ],
+  status: [
+    { key: 'active', label: 'Active' },
+    { key: 'completed', label: 'Completed' }
+  ],
+  due: [
+    { key: 'overdue', label: 'Overdue' },
+    { key: 'today', label: 'Today' },
+    { key: 'week', label: 'This week' },
+    { key: 'later', label: 'Later' },
+    { key: 'none', label: 'No due date' }
+  ]
+};
+
+// Group a task belongs to
+const getGroupKey = (task, groupBy) => {
+  switch (groupBy) {
+    case 'project':
+      return task.project || 'none';
+    case 'priority':
+      return task.priority;
+    case 'status':
+      return task.completed ? 'completed' : 'active';
+    case 'due':
+      return getDueStatus(task) || 'none';
+    default:
+      return 'all';
+  }
+};
+
+// SavedView component - the page of a saved or built-in view (/views/:id)
+// The server finds the tasks of the view (the parent loads them into the store, where they are read
+// like the list's); the page shows them grouped, with the columns chosen for the view
+const SavedView = ({
+  view,
+  loadingMore,
+  onLoadMore,
+  onToggleComplete,
+  onEdit,
+  onDelete,
+  onEditView,
+  onPinView,
+  onDeleteView
+}) => {
+
+  // The loaded pages of the view, and the user's projects and tags, read from the store
+  const { tasks, total, nextCursor, loading } = useTaskList();
+  const projects = useProjects();
+  const tags = useTags();
+
+  // Look up projects and tags by id to name them
+  const projectsById = new Map(projects.map(project => [project._id, project]));
+  const tagsById = new Map(tags.map(tag => [tag._id, tag]));
+
+  // Columns shown, in the order of the column options
+  const columns = COLUMN_OPTIONS.filter(option => view.columns.includes(option.value));
+
+  // Error message for the last failed action on the view
+  const [error, setError] = useState('');
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Run a parent action on the view and show its error
+  const runAction = async (action) => {
+    try {
+      setError('');
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+    }
+  };
+
+  // Open the page of a task (a real link, so it can also be opened in a new tab or copied)
+  const handleOpenTask = (e, taskId) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    e.preventDefault();
+    navigate(getTaskPath(taskId), { state: { from: window.location.pathname + window.location.search } });
+  };
+
+  // Delete the view (the owner) or remove it from the list (a view shared with the user)
+  const handleDeleteView = () => {
+    const question = view.isOwner
+      ? `Delete the view "${view.name}"? It is also removed for the people it is shared with.`
+      : `Remove "${view.name}" from your views? ${view.owner.name} can share it again.`;
+
+    if (window.confirm(question)) {
+      runAction(() => onDeleteView(view));
+    }
+  };
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  // Split the loaded tasks into the groups of the view (empty groups are left out)
+  const getGroups = () => {
+    if (view.groupBy === 'none') {
+      return [{ key: 'all', label: null, tasks }];
+    }
+
+    const groups = view.groupBy === 'project'
+      ? [...projects.map(project => ({ key: project._id, label: project.name })), { key: 'none', label: 'No project' }]
+      : FIXED_GROUPS[view.groupBy];
+
+    return groups
+      .map(group => ({ ...group, tasks: tasks.filter(task => getGroupKey(task, view.groupBy) === group.key) }))
+      .filter(group => group.tasks.length > 0);
+  };
+
+  // Content of one column for a task
+  const renderCell = (task, column) => {
+    switch (column) {
+      case 'priority':
+        return <span className={`priority-text ${task.priority}`}>{task.priority}</span>;
+      case 'project':
+        return projectsById.has(task.project) ? (
+          <span className="project-chip">
+            <span className="project-dot" style={{ backgroundColor: projectsById.get(task.project).color }}></span>
+            {projectsById.get(task.project).name}
+          </span>
+        ) : null;
+      case 'tags':
+        return (task.tags || []).filter(tagId => tagsById.has(tagId)).map(tagId => (
+          <span key={tagId} className="tag-chip" style={{ '--tag-color': tagsById.get(tagId).color }}>
+            {tagsById.get(tagId).name}
+          </span>
+        ));
+      case 'dueDate':
+        return task.dueDate ? (
+          <span className={`task-due ${getDueStatus(task)}`}>
+            <FiCalendar className="due-icon" />
+            {formatDueDate(task.dueDate)}
+          </span>
+        ) : null;
+      case 'status':
+        return task.completed ? 'Completed' : 'Active';
+      case 'subtasks': {
+        const subtasks = task.subtasks || [];
+        return subtasks.length > 0 ? `${subtasks.filter(subtask => subtask.completed).length}/${subtasks.length}` : null;
+      }
+      case 'createdAt':
+      case 'updatedAt':
+        return new Date(task[column]).toLocaleDateString();
+      default:
+        return null;
+    }
+  };
+
+  // One row of the table
+  const renderTask = (task) => (
+    <tr
+      key={task._id}
+      className={`view-row ${task.completed ? 'completed' : ''} ${getDueStatus(task) === 'overdue' ? 'overdue' : ''}`}
+    >
+      <td className="view-check">
+        <button
+          onClick={() => onToggleComplete(task._id, !task.completed)}
+          className={`checkbox-btn ${task.completed ? 'checked' : ''}`}
+          aria-label={task.completed ? 'Mark as incomplete' : 'Mark as complete'}
+        >
+          {task.completed && <FiCheck className="check-icon" />}
+        </button>
+      </td>
+      <td className={`view-title ${task.completed ? 'completed' : ''}`}>
+        <a href={getTaskPath(task._id)} onClick={(e) => handleOpenTask(e, task._id)} className="task-link">
+          {task.title}
+        </a>
+      </td>
+      {columns.map(column => (
+        <td key={column.value} className={`view-cell ${column.value}`}>
+          {renderCell(task, column.value)}
+        </td>
+      ))}
+      <td className="view-actions">
+        <button onClick={() => onEdit(task)} className="action-btn edit-btn" aria-label="Edit task" title="Edit task">
+          <FiEdit2 className="action-icon" />
+        </button>
+        <button onClick={() => onDelete(task._id)} className="action-btn delete-btn" aria-label="Move task to trash" title="Move to trash">
+          <FiTrash2 className="action-icon" />
+        </button>
+      </td>
+    </tr>
+  );
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="task-list-container saved-view">
+
+      {/* View header with its actions */}
+      <div className="list-header">
+        <h2>
+          <FiBookmark className="header-icon" />
+          {view.name} ({total})
+        </h2>
+
+        <div className="list-controls">
+          {/* Who made the view */}
+          {view.builtIn && <span className="view-owner">Smart list</span>}
+          {!view.builtIn && !view.isOwner && (
+            <span className="view-owner">
+              <FiUsers className="btn-icon" />
+              Shared by {view.owner.name}
+            </span>
+          )}
+          {view.isOwner && view.sharedWith.length > 0 && (
+            <span className="view-owner" title={view.sharedWith.map(user => user.email).join(', ')}>
+              <FiUsers className="btn-icon" />
+              Shared with {view.sharedWith.length}
+            </span>
+          )}
+
+          <button onClick={() => runAction(() => onPinView(view._id, !view.pinned))} className={`btn btn-secondary ${view.pinned ? 'active' : ''}`} aria-pressed={view.pinned}>
+            <FiStar className="btn-icon" />
+            {view.pinned ? 'Pinned' : 'Pin'}
+          </button>
+          {view.isOwner && (
+            <button onClick={() => onEditView(view)} className="btn btn-secondary">
+              <FiEdit2 className="btn-icon" />
+              Edit view
+            </button>
+          )}
+          {!view.builtIn && (
+            <button onClick={handleDeleteView} className="btn btn-secondary">
+              {view.isOwner ? <FiTrash2 className="btn-icon" /> : <FiLogOut className="btn-icon" />}
+              {view.isOwner ? 'Delete view' : 'Remove'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Error of the last action */}
+      {error && (
+        <p className="error-text">
+          <FiAlertCircle className="btn-icon" />
+          {error}
+        </p>
+      )}
+
+      {/* Tasks of the view */}
+      <div className="task-list">
+        {loading ? (
+          <div className="loading">Loading tasks...</div>
+        ) : tasks.length === 0 ? (
+          <div className="empty-state">
+            <h3>No tasks in this view</h3>
+            <p>Tasks matching its filters will show up here.</p>
+          </div>
+        ) : (
+          <table className="view-table">
+            <thead>
+              <tr>
+                <th aria-label="Done"></th>
+                <th>Title</th>
+                {columns.map(column => <th key={column.value}>{column.label}</th>)}
+                <th aria-label="Actions"></th>
+              </tr>
+            </thead>
+            {getGroups().map(group => (
+              <tbody key={group.key}>
+                {group.label && (
+                  <tr className="view-group">
+                    <th colSpan={columns.length + 3} scope="colgroup">
+                      {group.label} <span className="view-group-count">{group.tasks.length}</span>
+                    </th>
+                  </tr>
+                )}
+                {group.tasks.map(renderTask)}
+              </tbody>
+            ))}
+          </table>
+        )}
+      </div>
+
+      {/* Button to load the next page from the server */}
+      {!loading && nextCursor && (
+        <div className="load-more">
+          <button onClick={onLoadMore} className="btn btn-secondary" disabled={loadingMore}>
+            {loadingMore ? (
+              <>
+                <span className="loading-spinner"></span>
+                Loading...
+              </>
+            ) : (
+              'Load more tasks'
+            )}
+          </button>
+        </div>
+      )}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default SavedView;
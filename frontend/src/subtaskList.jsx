@@ -0,0 +1,166 @@
+// Import React hooks for state management
+import React, { useState } from 'react';
+
+// Import icons from react-icons library
+import {
+  FiCheck,
+  FiPlus,
+  FiTrash2,
+  FiArrowUp,
+  FiArrowDown
+} from 'react-icons/fi';
+
+// SubtaskList component - the checklist shown under an expanded task
+// Every action is handled by the parent, which sends it to the server
+// Errors are thrown back here and shown under the checklist
+const SubtaskList = ({ task, onAdd, onUpdate, onReorder, onDelete }) => {
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Title of the subtask being added
+  const [newTitle, setNewTitle] = useState('');
+
+  // True while a request is running (buttons are disabled)
+  const [busy, setBusy] = useState(false);
+
+  // Error message for the last failed action
+  const [error, setError] = useState('');
+
+  const subtasks = task.subtasks || [];
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Run a parent action and show its error in the checklist
+  const runAction = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Add a subtask at the end of the checklist
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    const title = newTitle.trim();
+    if (!title) {
+      return;
+    }
+
+    if (await runAction(() => onAdd(task._id, title))) {
+      setNewTitle('');
+    }
+  };
+
+  // Move a subtask one place up (-1) or down (+1)
+  const handleMove = (index, direction) => {
+    const ids = subtasks.map(subtask => subtask._id);
+    [ids[index], ids[index + direction]] = [ids[index + direction], ids[index]];
+
+    runAction(() => onReorder(task._id, ids));
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="subtask-list">
+
+      {subtasks.length > 0 && (
+        <ul className="subtask-items">
+          {subtasks.map((subtask, index) => (
+            <li key={subtask._id} className={`subtask-item ${subtask.completed ? 'completed' : ''}`}>
+
+              {/* Toggle the subtask */}
+              <button
+                onClick={() => runAction(() => onUpdate(task._id, subtask._id, { completed: !subtask.completed }))}
+                className={`checkbox-btn small ${subtask.completed ? 'checked' : ''}`}
+                disabled={busy}
+                aria-label={subtask.completed ? 'Mark subtask as incomplete' : 'Mark subtask as complete'}
+              >
+                {subtask.completed && <FiCheck className="check-icon" />}
+              </button>
+
+              <span className="subtask-title">{subtask.title}</span>
+
+              {/* Reorder and delete */}
+              <div className="subtask-actions">
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  className="sidebar-action"
+                  disabled={busy || index === 0}
+                  aria-label="Move subtask up"
+                  title="Move up"
+                >
+                  <FiArrowUp />
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  className="sidebar-action"
+                  disabled={busy || index === subtasks.length - 1}
+                  aria-label="Move subtask down"
+                  title="Move down"
+                >
+                  <FiArrowDown />
+                </button>
+                <button
+                  onClick={() => runAction(() => onDelete(task._id, subtask._id))}
+                  className="sidebar-action"
+                  disabled={busy}
+                  aria-label="Delete subtask"
+                  title="Delete subtask"
+                >
+                  <FiTrash2 />
+                </button>
+              </div>
+
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Add a new subtask */}
+      <form onSubmit={handleAdd} className="subtask-form">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          className="form-input"
+          placeholder="Add a subtask..."
+          maxLength={100}
+          disabled={busy}
+          aria-label="New subtask"
+        />
+        <button
+          type="submit"
+          className="btn btn-secondary"
+          disabled={busy || !newTitle.trim()}
+          aria-label="Add subtask"
+          title="Add subtask"
+        >
+          <FiPlus className="btn-icon" />
+        </button>
+      </form>
+
+      {error && (
+        <span className="error-text">{error}</span>
+      )}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default SubtaskList;
@@ -0,0 +1,209 @@
+// Import React hooks for state management
+import React, { useState } from 'react';
+
+// Import icons from react-icons library
+import { FiX, FiPlus } from 'react-icons/fi';
+
+// Import the store hook for the user's tags
+import { useTags } from './taskStore';
+
+// Maximum number of suggestions shown under the input
+const MAX_SUGGESTIONS = 6;
+
+// TagInput component - picks tags for a task, with autocomplete
+// value is the list of selected tag ids; the user's tags are read from the store
+// Typing a name that doesn't exist offers to create it with onCreateTag(name)
+const TagInput = ({ value = [], onChange, onCreateTag, disabled }) => {
+
+  // Every tag of the user (the suggestions)
+  const tags = useTags();
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Text typed in the input
+  const [text, setText] = useState('');
+
+  // True while the suggestion list is open
+  const [open, setOpen] = useState(false);
+
+  // Index of the highlighted suggestion (keyboard navigation)
+  const [highlighted, setHighlighted] = useState(0);
+
+  // Error message when a tag couldn't be created
+  const [error, setError] = useState('');
+
+  const tagsById = new Map(tags.map(tag => [tag._id, tag]));
+  const selectedTags = value.map(id => tagsById.get(id)).filter(Boolean);
+
+  // Tags matching the typed text that aren't selected yet
+  const query = text.trim().toLowerCase();
+  const matches = tags
+    .filter(tag => !value.includes(tag._id) && tag.name.toLowerCase().includes(query))
+    .slice(0, MAX_SUGGESTIONS);
+
+  // Offer to create a new tag when no tag has exactly this name
+  const canCreate = query !== '' && !tags.some(tag => tag.name.toLowerCase() === query);
+
+  // Suggestions shown in the list: existing tags, then the "create" option
+  const suggestions = [
+    ...matches.map(tag => ({ tag })),
+    ...(canCreate ? [{ create: text.trim() }] : [])
+  ];
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Add a tag to the selection
+  const addTag = (tagId) => {
+    onChange([...value, tagId]);
+    setText('');
+    setHighlighted(0);
+  };
+
+  // Remove a tag from the selection
+  const removeTag = (tagId) => {
+    onChange(value.filter(id => id !== tagId));
+  };
+
+  // Pick a suggestion - an existing tag, or a new one that is created first
+  const pickSuggestion = async (suggestion) => {
+    if (suggestion.tag) {
+      addTag(suggestion.tag._id);
+      return;
+    }
+
+    try {
+      setError('');
+      const newTag = await onCreateTag(suggestion.create);
+      addTag(newTag._id);
+    } catch (err) {
+      setError(err.message || 'Failed to create tag');
+    }
+  };
+
+  // Keyboard navigation in the suggestion list
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setOpen(true);
+        setHighlighted(prev => Math.min(prev + 1, suggestions.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setHighlighted(prev => Math.max(prev - 1, 0));
+        break;
+      case 'Enter':
+        // Enter picks a tag instead of submitting the task form
+        if (suggestions.length > 0) {
+          e.preventDefault();
+          pickSuggestion(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+        }
+        break;
+      case 'Backspace':
+        // Backspace in an empty input removes the last tag
+        if (text === '' && value.length > 0) {
+          removeTag(value[value.length - 1]);
+        }
+        break;
+      case 'Escape':
+        setOpen(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="tag-input">
+
+      <div className={`tag-input-box ${disabled ? 'disabled' : ''}`}>
+        {/* Selected tags */}
+        {selectedTags.map(tag => (
+          <span key={tag._id} className="tag-chip" style={{ '--tag-color': tag.color }}>
+            {tag.name}
+            <button
+              type="button"
+              onClick={() => removeTag(tag._id)}
+              className="tag-chip-remove"
+              disabled={disabled}
+              aria-label={`Remove tag ${tag.name}`}
+            >
+              <FiX />
+            </button>
+          </span>
+        ))}
+
+        <input
+          type="text"
+          id="tags"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setOpen(true);
+            setHighlighted(0);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          className="tag-input-field"
+          placeholder={selectedTags.length === 0 ? 'Add tags...' : ''}
+          maxLength={30}
+          disabled={disabled}
+          role="combobox"
+          aria-expanded={open && suggestions.length > 0}
+          aria-controls="tag-suggestions"
+          aria-autocomplete="list"
+        />
+      </div>
+
+      {/* Autocomplete suggestions */}
+      {open && suggestions.length > 0 && (
+        <ul id="tag-suggestions" className="tag-suggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.tag ? suggestion.tag._id : 'create'}
+              role="option"
+              aria-selected={index === highlighted}
+              className={`tag-suggestion ${index === highlighted ? 'highlighted' : ''}`}
+              // mousedown instead of click: the input loses focus (and closes the list) before a click
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pickSuggestion(suggestion);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+            >
+              {suggestion.tag ? (
+                <>
+                  <span className="project-dot" style={{ backgroundColor: suggestion.tag.color }}></span>
+                  {suggestion.tag.name}
+                  <span className="tag-suggestion-count">{suggestion.tag.taskCount || 0}</span>
+                </>
+              ) : (
+                <>
+                  <FiPlus />
+                  Create tag &quot;{suggestion.create}&quot;
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <span className="error-text">{error}</span>
+      )}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default TagInput;
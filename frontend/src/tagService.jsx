@@ -0,0 +1,74 @@
+// Import the configured axios instance (base URL, token and error interceptors)
+import { api } from './taskService';
+
+// ========================================
+// TAG API FUNCTIONS
+// ========================================
+
+// Get the user's tags, each with the number of tasks using it ('taskCount')
+export const getTags = async () => {
+  try {
+    const response = await api.get('/tags');
+    return response;
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    throw error;
+  }
+};
+
+// Create a new tag
+export const createTag = async (tagData) => {
+  try {
+    // Validate required fields before sending
+    if (!tagData.name || tagData.name.trim() === '') {
+      throw new Error('Tag name is required');
+    }
+
+    const response = await api.post('/tags', tagData);
+    return response;
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    throw error;
+  }
+};
+
+// Rename or recolor a tag
+export const updateTag = async (tagId, tagData) => {
+  try {
+    if (!tagId) {
+      throw new Error('Tag ID is required for update');
+    }
+
+    const response = await api.put(`/tags/${tagId}`, tagData);
+    return response;
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    throw error;
+  }
+};
+
+// Merge a tag into another one - its tasks get the other tag and it is deleted
+export const mergeTag = async (tagId, intoTagId) => {
+  try {
+    const response = await api.post(`/tags/${tagId}/merge`, { into: intoTagId });
+    return response;
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    throw error;
+  }
+};
+
+// Delete a tag (it is removed from every task)
+export const deleteTag = async (tagId) => {
+  try {
+    if (!tagId) {
+      throw new Error('Tag ID is required for deletion');
+    }
+
+    const response = await api.delete(`/tags/${tagId}`);
+    return response;
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    throw error;
+  }
+};
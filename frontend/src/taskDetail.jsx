@@ -0,0 +1,224 @@
+// Import React hooks for state management and keyboard handling
+import React, { useState, useEffect } from 'react';
+
+// Import icons from react-icons library
+import { FiCheck, FiEdit2, FiLink, FiX, FiAlertCircle, FiCalendar, FiRepeat, FiFolder, FiClock } from 'react-icons/fi';
+
+// Import the markdown renderer for the description
+import { renderMarkdown } from './markdown';
+
+// Import due date helpers for highlighting and labels
+import { getDueStatus, formatDueDate } from './dueDates';
+
+// Import recurrence helper for the repeat summary
+import { describeRecurrence } from './recurrence';
+
+// Import the store hooks for the task, projects and tags
+import { useTaskDetail, useProjects, useTags } from './taskStore';
+
+// Import the router to build the link of the task
+import { getTaskPath } from './router';
+
+// TaskDetail component - the page of one task (/tasks/:id), shown over the list
+// The parent loads the task into the store (a task already in the list shows at once);
+// a link to a task that was deleted, or that belongs to someone else, shows a message
+const TaskDetail = ({ taskId, onToggleComplete, onEdit, onClose }) => {
+
+  // The task, and the user's projects and tags to name them
+  const { task, loading, error } = useTaskDetail(taskId);
+  const projects = useProjects();
+  const tags = useTags();
+
+  // "Copied!" feedback of the copy link button, and the message when copying failed
+  const [copied, setCopied] = useState(false);
+  const [copyError, setCopyError] = useState('');
+
+  // ========================================
+  // KEYBOARD
+  // ========================================
+
+  // Escape closes the task, like the other dialogs
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Copy the link of the task (it opens this page)
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.origin + getTaskPath(taskId));
+      setCopied(true);
+      setCopyError('');
+    } catch {
+      setCopyError('Copying failed - copy the link from the address bar.');
+    }
+  };
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  // Why the task can't be shown (a deleted task has no entity left in the store)
+  const getMissingMessage = () => {
+    if (error && !error.isNetworkError && ![400, 404, 422].includes(error.status)) {
+      return 'Failed to load the task. Please try again.';
+    }
+    if (error && error.isNetworkError) {
+      return 'This task isn\'t saved on this device. It will load when the connection is back.';
+    }
+    return 'This task doesn\'t exist or was deleted.';
+  };
+
+  const project = task && projects.find(item => item._id === task.project);
+  const taskTags = task ? tags.filter(tag => (task.tags || []).includes(tag._id)) : [];
+  const subtasks = task ? task.subtasks || [] : [];
+  const dueStatus = task ? getDueStatus(task) : '';
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="modal-overlay" role="presentation" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal task-detail" role="dialog" aria-modal="true" aria-labelledby="task-detail-title">
+
+        {loading && <div className="loading">Loading task...</div>}
+
+        {/* Deleted, someone else's, or not loaded */}
+        {!loading && !task && (
+          <>
+            <h3 id="task-detail-title">Task not found</h3>
+            <p className="error-text">
+              <FiAlertCircle className="btn-icon" />
+              {getMissingMessage()}
+            </p>
+          </>
+        )}
+
+        {task && (
+          <>
+            <h3 id="task-detail-title" className={`task-title ${task.completed ? 'completed' : ''}`}>
+              {task.title}
+            </h3>
+
+            {/* Status, priority, project and tags */}
+            <div className="task-detail-badges">
+              <span className={`task-detail-status ${task.completed ? 'completed' : 'active'}`}>
+                {task.completed ? 'Completed' : 'Active'}
+              </span>
+              <span className={`priority-text ${task.priority}`}>{task.priority} priority</span>
+              {project && (
+                <span className="project-chip">
+                  <span className="project-dot" style={{ backgroundColor: project.color }}></span>
+                  <FiFolder className="btn-icon" />
+                  {project.name}
+                </span>
+              )}
+              {taskTags.map(tag => (
+                <span key={tag._id} className="tag-chip" style={{ '--tag-color': tag.color }}>
+                  {tag.name}
+                </span>
+              ))}
+            </div>
+
+            {/* Due date, repeat rule, checklist progress and dates */}
+            <div className="task-meta">
+              {task.dueDate && (
+                <span className={`task-due ${dueStatus}`}>
+                  <FiCalendar className="due-icon" />
+                  {dueStatus === 'overdue' ? 'Overdue · ' : 'Due '}
+                  {formatDueDate(task.dueDate)}
+                </span>
+              )}
+              {task.recurrence && (
+                <span className="task-recurrence">
+                  <FiRepeat className="due-icon" />
+                  {describeRecurrence(task.recurrence)}
+                </span>
+              )}
+              {subtasks.length > 0 && (
+                <span className="task-date">
+                  <FiCheck className="due-icon" />
+                  {subtasks.filter(subtask => subtask.completed).length}/{subtasks.length} subtasks done
+                </span>
+              )}
+              <span className="task-date">
+                <FiClock className="due-icon" />
+                Created {new Date(task.createdAt).toLocaleString()}
+              </span>
+            </div>
+
+            {/* Description, with the same formatting as the comments */}
+            {task.description ? (
+              <div className="task-detail-description">{renderMarkdown(task.description)}</div>
+            ) : (
+              <p className="task-detail-empty">No description.</p>
+            )}
+
+            {/* Checklist */}
+            {subtasks.length > 0 && (
+              <ul className="task-detail-subtasks">
+                {subtasks.map(subtask => (
+                  <li key={subtask._id} className={subtask.completed ? 'completed' : ''}>
+                    {subtask.completed ? <FiCheck className="btn-icon" /> : <span className="task-detail-bullet"></span>}
+                    {subtask.title}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {(task.commentCount > 0 || task.attachmentCount > 0) && (
+              <p className="task-detail-empty">
+                {task.commentCount || 0} comment(s) · {task.attachmentCount || 0} attachment(s)
+              </p>
+            )}
+          </>
+        )}
+
+        {copyError && (
+          <p className="error-text">
+            <FiAlertCircle className="btn-icon" />
+            {copyError}
+          </p>
+        )}
+
+        <div className="form-actions">
+          {task && (
+            <>
+              <button type="button" onClick={() => onEdit(task)} className="btn btn-primary">
+                <FiEdit2 className="btn-icon" />
+                Edit
+              </button>
+              <button type="button" onClick={() => onToggleComplete(task._id, !task.completed)} className="btn btn-secondary">
+                <FiCheck className="btn-icon" />
+                {task.completed ? 'Mark as incomplete' : 'Mark as complete'}
+              </button>
+              <button type="button" onClick={handleCopyLink} className="btn btn-secondary">
+                <FiLink className="btn-icon" />
+                {copied ? 'Copied!' : 'Copy link'}
+              </button>
+            </>
+          )}
+          <button type="button" onClick={onClose} className="btn btn-secondary">
+            <FiX className="btn-icon" />
+            Close
+          </button>
+        </div>
+
+      </div>
+    </div>
+  );
+};
+
+// Export component as default
+export default TaskDetail;
@@ -4,19 +4,114 @@ import React, { useState, useEffect } from 'react';
 // Import icons from react-icons library
 import { FiPlus, FiEdit, FiX } from 'react-icons/fi';
 
+// Import due date helpers to convert between form inputs and server dates
+import { getTimeZone, toDateInputs, fromDateInputs } from './dueDates';
+
+// Import the repeat rule editor
+import RecurrenceEditor from './recurrenceEditor';
+
+// Import the tag picker with autocomplete
+import TagInput from './tagInput';
+
+// Import the dialog shown when the task was changed by someone else, and its helpers
+import ConflictDialog from './conflictDialog';
+import { toTaskData } from './taskMerge';
+
+// Import the drag-and-drop zone for the task's files
+import AttachmentZone from './attachmentZone';
+
+// Import the number of files sent per upload request
+import { MAX_FILES_PER_UPLOAD } from './attachmentService';
+
+// Import the store hook for the project choices
+import { useProjects } from './taskStore';
+
+// Build the empty form values (used for new tasks and after reset)
+// defaultProject pre-selects the project currently open in the sidebar
+const getEmptyForm = (defaultProject = '') => ({
+  title: '',                  // Task title
+  description: '',            // Task description
+  priority: 'medium',         // Task priority (default: medium)
+  project: defaultProject,    // Project id ('' means no project)
+  tags: [],                   // Tag ids
+  dueDate: '',                // Due day ('YYYY-MM-DD', '' means no due date)
+  dueTime: '',                // Optional due time ('HH:MM', '' means end of day)
+  recurrence: null,           // Repeat rule (null means the task doesn't repeat)
+  completeWithSubtasks: false // Complete the task when all its subtasks are done
+});
+
+// Fill the form with the values of a task
+const taskToForm = (task) => ({
+  title: task.title || '',
+  description: task.description || '',
+  priority: task.priority || 'medium',
+  project: task.project || '',
+  tags: task.tags || [],
+  ...toDateInputs(task.dueDate),
+  recurrence: task.recurrence || null,
+  completeWithSubtasks: !!task.completeWithSubtasks
+});
+
+// Form field that shows the server error of each task field
+// The due date, its time zone and the repeat rule are all edited next to the due date
+const getErrorField = (field) => {
+  if (field === 'title' || field === 'description') {
+    return field;
+  }
+  if (field.startsWith('dueDate') || field.startsWith('dueTimeZone') || field.startsWith('recurrence')) {
+    return 'dueDate';
+  }
+  return 'submit';
+};
+
+// Turn the field errors of a refused request (422) into form errors, e.g.
+// { location: 'body', field: 'title', message: 'must be at least 3 characters long' }
+// -> { title: 'Title must be at least 3 characters long' }
+// Returns null when the error has no field errors
+const getFieldErrors = (error) => {
+  const fieldErrors = (error.errors || []).filter(item => item.location === 'body');
+
+  if (error.status !== 422 || fieldErrors.length === 0) {
+    return null;
+  }
+
+  return fieldErrors.reduce((result, { field, message }) => {
+    const formField = getErrorField(field);
+    const text = formField === field ? `${field.charAt(0).toUpperCase()}${field.slice(1)} ${message}` : `${field} ${message}`;
+
+    // Keep the first error of each form field
+    return result[formField] ? result : { ...result, [formField]: text };
+  }, {});
+};
+
 // TaskForm component for creating and editing tasks
-const TaskForm = ({ onSubmit, initialData, isEditing, onCancel }) => {
+// When editing, onSubmit(data, version) gets the version of the task the form started from:
+// if someone else saved the task meanwhile, the server refuses the change (409/412)
+// and a dialog lets the user merge the two versions
+// When creating, onSubmit returns the new task, so the files dropped on the form can be uploaded to it
+const TaskForm = ({
+  onSubmit,
+  initialData,
+  isEditing,
+  onCancel,
+  defaultProject = '',
+  onCreateTag,
+  onLoadAttachments,
+  onUploadAttachments,
+  onDownloadAttachment,
+  onLoadThumbnail,
+  onDeleteAttachment
+}) => {
+  
+  // The user's projects, read from the store (TagInput reads the tags itself)
+  const projects = useProjects();
   
   // ========================================
   // STATE MANAGEMENT
   // ========================================
   
   // Form data state - stores all form field values
-  const [formData, setFormData] = useState({
-    title: '',           // Task title
-    description: '',     // Task description
-    priority: 'medium'   // Task priority (default: medium)
-  });
+  const [formData, setFormData] = useState(getEmptyForm(defaultProject));
   
   // Loading state for form submission
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -24,6 +119,16 @@ const TaskForm = ({ onSubmit, initialData, isEditing, onCancel }) => {
   // Form validation errors
   const [errors, setErrors] = useState({});
   
+  // The task as it was when editing started, and its version
+  // (after a merge they are the server's copy the merge was based on)
+  const [baseTask, setBaseTask] = useState(null);
+  
+  // Rejected save waiting for the user to merge: { mine: data sent, server: current task }
+  const [conflict, setConflict] = useState(null);
+  
+  // Files dropped on the form of a new task - uploaded once the task is created
+  const [pendingFiles, setPendingFiles] = useState([]);
+  
   // ========================================
   // POPULATE FORM WHEN EDITING
   // ========================================
@@ -32,25 +137,22 @@ const TaskForm = ({ onSubmit, initialData, isEditing, onCancel }) => {
   useEffect(() => {
     if (initialData && isEditing) {
       // If we have initial data and we're in edit mode, populate form
-      setFormData({
-        title: initialData.title || '',
-        description: initialData.description || '',
-        priority: initialData.priority || 'medium'
-      });
+      setFormData(taskToForm(initialData));
+      setBaseTask(initialData);
       
       // Clear any previous errors
       setErrors({});
       
     } else {
       // If not editing, reset form to empty state
-      setFormData({
-        title: '',
-        description: '',
-        priority: 'medium'
-      });
+      setFormData(getEmptyForm(defaultProject));
+      setBaseTask(null);
       setErrors({});
     }
-  }, [initialData, isEditing]); // Re-run when initialData or isEditing changes
+    
+    setConflict(null);
+    setPendingFiles([]);
+  }, [initialData, isEditing, defaultProject]); // Re-run when initialData, isEditing or defaultProject changes
   
   // ========================================
   // FORM HANDLING FUNCTIONS
@@ -94,6 +196,16 @@ const TaskForm = ({ onSubmit, initialData, isEditing, onCancel }) => {
       newErrors.description = 'Description must be less than 250 characters';
     }
     
+    // A time without a day doesn't mean anything
+    if (formData.dueTime && !formData.dueDate) {
+      newErrors.dueDate = 'Pick a due date for this time';
+    }
+    
+    // Next occurrences are calculated from the due date
+    if (formData.recurrence && !formData.dueDate) {
+      newErrors.dueDate = 'A repeating task needs a due date';
+    }
+    
     // Set errors state
     setErrors(newErrors);
     
@@ -101,46 +213,57 @@ const TaskForm = ({ onSubmit, initialData, isEditing, onCancel }) => {
     return Object.keys(newErrors).length === 0;
   };
   
-  // Handle form submission
-  const handleSubmit = async (e) => {
-    // Prevent default form submission behavior
-    e.preventDefault();
-    
-    // Validate form data
-    if (!validateForm()) {
-      return; // Stop if validation fails
-    }
-    
+  // Send the task data to the parent, based on 'version' of the task
+  // A conflict (409/412 with the current task) opens the merge dialog
+  const saveTask = async (dataToSubmit, version) => {
     try {
       // Set submitting state to show loading
       setIsSubmitting(true);
       
-      // Prepare data for submission (trim whitespace)
-      const dataToSubmit = {
-        title: formData.title.trim(),
-        description: formData.description.trim(),
-        priority: formData.priority
-      };
-      
       // Call parent component's submit handler
-      await onSubmit(dataToSubmit);
+      const savedTask = await onSubmit(dataToSubmit, version);
+      
+      // Clear any errors
+      setErrors({});
       
       // Reset form only if not editing (creating new task)
       if (!isEditing) {
-        setFormData({
-          title: '',
-          description: '',
-          priority: 'medium'
-        });
+        setFormData(getEmptyForm(defaultProject));
+        
+        // Upload the files dropped on the form to the new task
+        if (savedTask && pendingFiles.length > 0) {
+          const files = pendingFiles;
+          setPendingFiles([]);
+          
+          try {
+            for (let start = 0; start < files.length; start += MAX_FILES_PER_UPLOAD) {
+              await onUploadAttachments(savedTask._id, files.slice(start, start + MAX_FILES_PER_UPLOAD));
+            }
+          } catch (uploadError) {
+            setErrors({
+              submit: `The task was created, but its files could not be uploaded: ${uploadError.message}`
+            });
+          }
+        }
       }
       
-      // Clear any errors
-      setErrors({});
-      
     } catch (error) {
+      // Someone else saved the task since the form was filled - let the user merge
+      if ((error.status === 409 || error.status === 412) && error.data) {
+        setConflict({ mine: dataToSubmit, server: error.data });
+        return;
+      }
+      
       // Handle submission errors
       console.error('Form submission error:', error);
       
+      // The server checks the same limits - show its field errors next to the fields
+      const fieldErrors = getFieldErrors(error);
+      if (fieldErrors) {
+        setErrors(fieldErrors);
+        return;
+      }
+      
       // Set general error message
       setErrors({
         submit: error.message || 'Failed to save task. Please try again.'
@@ -152,14 +275,55 @@ const TaskForm = ({ onSubmit, initialData, isEditing, onCancel }) => {
     }
   };
   
+  // Handle form submission
+  const handleSubmit = (e) => {
+    // Prevent default form submission behavior
+    e.preventDefault();
+    
+    // Validate form data
+    if (!validateForm()) {
+      return; // Stop if validation fails
+    }
+    
+    // Prepare data for submission (trim whitespace)
+    const dataToSubmit = {
+      title: formData.title.trim(),
+      description: formData.description.trim(),
+      priority: formData.priority,
+      project: formData.project || null,
+      tags: formData.tags,
+      
+      // Due date is sent in UTC together with the time zone it was picked in
+      dueDate: fromDateInputs(formData.dueDate, formData.dueTime),
+      dueTimeZone: formData.dueDate ? getTimeZone() : null,
+      recurrence: formData.recurrence,
+      completeWithSubtasks: formData.completeWithSubtasks
+    };
+    
+    saveTask(dataToSubmit, baseTask?.__v);
+  };
+  
+  // Save the merged version - it is based on the server's current copy
+  const handleMerge = (merged) => {
+    const server = conflict.server;
+    setConflict(null);
+    setBaseTask(server);
+    setFormData(taskToForm(merged));
+    saveTask(merged, server.__v);
+  };
+  
+  // Drop the user's changes and continue from the server's copy
+  const handleUseServer = () => {
+    const server = conflict.server;
+    setConflict(null);
+    setBaseTask(server);
+    setFormData(taskToForm(server));
+  };
+  
   // Handle cancel button click (for editing mode)
   const handleCancel = () => {
     // Clear form data
-    setFormData({
-      title: '',
-      description: '',
-      priority: 'medium'
-    });
+    setFormData(getEmptyForm(defaultProject));
     
     // Clear errors
     setErrors({});
@@ -265,6 +429,131 @@ const TaskForm = ({ onSubmit, initialData, isEditing, onCancel }) => {
           </select>
         </div>
         
+        {/* Due date fields - the time is optional */}
+        <div className="form-group">
+          <label htmlFor="dueDate" className="form-label">
+            Due Date
+          </label>
+          <div className="form-row">
+            <input
+              type="date"
+              id="dueDate"
+              name="dueDate"
+              value={formData.dueDate}
+              onChange={handleInputChange}
+              className={`form-input ${errors.dueDate ? 'error' : ''}`}
+              disabled={isSubmitting}
+            />
+            <input
+              type="time"
+              id="dueTime"
+              name="dueTime"
+              value={formData.dueTime}
+              onChange={handleInputChange}
+              className="form-input"
+              disabled={isSubmitting || !formData.dueDate}
+              aria-label="Due time"
+            />
+            {/* Clear the due date */}
+            {formData.dueDate && (
+              <button
+                type="button"
+                onClick={() => setFormData(prev => ({ ...prev, dueDate: '', dueTime: '', recurrence: null }))}
+                className="btn btn-secondary"
+                disabled={isSubmitting}
+                aria-label="Remove due date"
+                title="Remove due date"
+              >
+                <FiX className="btn-icon" />
+              </button>
+            )}
+          </div>
+          {errors.dueDate && (
+            <span className="error-text">{errors.dueDate}</span>
+          )}
+        </div>
+        
+        {/* Repeat rule - a new task is created when this one is completed */}
+        <div className="form-group">
+          <label htmlFor="recurrence" className="form-label">
+            Repeat
+          </label>
+          <RecurrenceEditor
+            value={formData.recurrence}
+            onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+            dueDate={formData.dueDate}
+            disabled={isSubmitting}
+          />
+        </div>
+        
+        {/* Project select field */}
+        <div className="form-group">
+          <label htmlFor="project" className="form-label">
+            Project
+          </label>
+          <select
+            id="project"
+            name="project"
+            value={formData.project}
+            onChange={handleInputChange}
+            className="form-select"
+            disabled={isSubmitting}
+          >
+            <option value="">No project</option>
+            {/* Archived projects are hidden, unless the task is already in one */}
+            {projects
+              .filter(project => !project.archived || project._id === formData.project)
+              .map(project => (
+                <option key={project._id} value={project._id}>
+                  {project.name}
+                </option>
+              ))}
+          </select>
+        </div>
+        
+        {/* Tags field - existing tags are suggested while typing */}
+        <div className="form-group">
+          <label htmlFor="tags" className="form-label">
+            Tags
+          </label>
+          <TagInput
+            value={formData.tags}
+            onChange={(tagIds) => setFormData(prev => ({ ...prev, tags: tagIds }))}
+            onCreateTag={onCreateTag}
+            disabled={isSubmitting}
+          />
+        </div>
+        
+        {/* Subtasks are added from the task list - this only decides what happens when they are all done */}
+        <div className="form-group">
+          <label className="form-checkbox">
+            <input
+              type="checkbox"
+              name="completeWithSubtasks"
+              checked={formData.completeWithSubtasks}
+              onChange={(e) => setFormData(prev => ({ ...prev, completeWithSubtasks: e.target.checked }))}
+              disabled={isSubmitting}
+            />
+            Complete this task automatically when all its subtasks are done
+          </label>
+        </div>
+        
+        {/* Files - dropped files of a new task are uploaded when it is created */}
+        <div className="form-group">
+          <span className="form-label">Attachments</span>
+          <AttachmentZone
+            taskId={isEditing && initialData ? initialData._id : null}
+            pendingFiles={pendingFiles}
+            onPendingFilesChange={setPendingFiles}
+            onLoadAttachments={onLoadAttachments}
+            onUploadAttachments={onUploadAttachments}
+            onDownloadAttachment={onDownloadAttachment}
+            onLoadThumbnail={onLoadThumbnail}
+            onDeleteAttachment={onDeleteAttachment}
+            disabled={isSubmitting}
+          />
+        </div>
+        
         {/* Form submission errors */}
         {errors.submit && (
           <div className="form-error">
@@ -322,6 +611,18 @@ const TaskForm = ({ onSubmit, initialData, isEditing, onCancel }) => {
         
       </form>
       
+      {/* Merge dialog after a rejected save */}
+      {conflict && (
+        <ConflictDialog
+          base={toTaskData(baseTask)}
+          mine={conflict.mine}
+          server={toTaskData(conflict.server)}
+          onMerge={handleMerge}
+          onUseServer={handleUseServer}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+      
     </div>
   );
 };
@@ -1,5 +1,5 @@
 // Import React hooks and components
-import React, { useState, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 
 // Import icons from react-icons library
 import { 
@@ -8,128 +8,332 @@ import {
   FiEdit2, 
   FiTrash2, 
   FiFilter,
+  FiSearch,
   FiAlertCircle,
-  FiClock
+  FiClock,
+  FiCalendar,
+  FiRepeat,
+  FiChevronDown,
+  FiChevronRight,
+  FiMessageSquare,
+  FiPaperclip,
+  FiDownload,
+  FiUpload,
+  FiUploadCloud,
+  FiBookmark
 } from 'react-icons/fi';
 
+// Import the toolbar shown when tasks are selected
+import BulkToolbar from './bulkToolbar';
+
+// Import the checklist shown under expanded tasks
+import SubtaskList from './subtaskList';
+
+// Import the list of changes shown when a task's history is open
+import HistoryPanel from './historyPanel';
+
+// Import the discussion shown when a task's comments are open
+import CommentThread from './commentThread';
+
+// Import due date helpers for highlighting and labels
+import { getDueStatus, formatDueDate } from './dueDates';
+
+// Import recurrence helper for the repeat summary
+import { describeRecurrence } from './recurrence';
+
+// Import the store hooks for the loaded tasks, projects and tags
+import { useTaskList, useProjects, useTags } from './taskStore';
+
+// Import the router to keep the filters in the address bar and to link to each task
+import { navigate, setSearchParams, getTaskPath } from './router';
+
+// Query parameters sent to the server for each sort option
+const SORT_PARAMS = {
+  newest: { sort: 'createdAt', order: 'desc' },
+  oldest: { sort: 'createdAt', order: 'asc' },
+  priority: { sort: 'priority', order: 'desc' },
+  alphabetical: { sort: 'title', order: 'asc' },
+  dueDate: { sort: 'dueDate', order: 'asc' },
+  relevance: { sort: 'relevance', order: 'desc' }
+};
+
+// Wait this long after the last key press before searching (milliseconds)
+const SEARCH_DELAY = 300;
+
+// Filter and sort settings left out of the address bar when they have these values
+const PARAM_DEFAULTS = { status: 'all', sort: 'newest', tagMode: 'any' };
+
+// Read the filter and sort settings from a query string, e.g. '?status=active&priority=high&sort=oldest'
+// Unknown values fall back to the defaults, so an edited or outdated link still shows a list
+const readListSettings = (queryString) => {
+  const params = new URLSearchParams(queryString);
+  const pick = (name, allowed, fallback = '') => (allowed.includes(params.get(name)) ? params.get(name) : fallback);
+  
+  return {
+    search: (params.get('q') || '').trim(),
+    filter: pick('status', ['all', 'active', 'completed'], 'all'),
+    priorityFilter: pick('priority', ['high', 'medium', 'low']),
+    dueFilter: pick('due', ['overdue', 'today', 'week', 'scheduled', 'none']),
+    sortBy: pick('sort', Object.keys(SORT_PARAMS), 'newest'),
+    tagFilter: (params.get('tags') || '').split(',').filter(Boolean),
+    tagMode: pick('tagMode', ['any', 'all'], 'any')
+  };
+};
+
+// Render text segments from the search, with the matching parts highlighted
+const renderHighlighted = (segments) => segments.map((segment, index) => (
+  segment.match ? <mark key={index}>{segment.text}</mark> : <React.Fragment key={index}>{segment.text}</React.Fragment>
+));
+
+// Count the completed subtasks of a task, e.g. { done: 3, total: 5 }
+const getSubtaskProgress = (task) => {
+  const subtasks = task.subtasks || [];
+  
+  return {
+    done: subtasks.filter(subtask => subtask.completed).length,
+    total: subtasks.length
+  };
+};
+
 // TaskList component to display and manage tasks
-const TaskList = ({ tasks, onToggleComplete, onEdit, onDelete }) => {
+// Filtering and sorting happen on the server: TaskList reports its settings through
+// onQueryChange and the parent loads the matching pages into the store, where TaskList reads them
+// The settings live in the query string of the page ('listParams'), so a filtered list can be
+// bookmarked or shared, and back/forward go through the filters chosen before
+const TaskList = ({
+  listParams,
+  loadingMore,
+  currentUserId,
+  onQueryChange,
+  onLoadMore,
+  onToggleComplete,
+  onEdit,
+  onDelete,
+  onBulkAction,
+  onAddSubtask,
+  onUpdateSubtask,
+  onReorderSubtasks,
+  onDeleteSubtask,
+  onLoadHistory,
+  onRevertTask,
+  onLoadComments,
+  onAddComment,
+  onUpdateComment,
+  onDeleteComment,
+  onExport,
+  onImport,
+  onSaveView
+}) => {
+  
+  // The loaded pages of the list, and the user's projects and tags, read from the store
+  const { tasks, total, nextCursor, loading } = useTaskList();
+  const hasMore = !!nextCursor;
+  const projects = useProjects();
+  const tags = useTags();
   
   // ========================================
   // STATE MANAGEMENT
   // ========================================
   
-  // Filter state - controls which tasks are visible
-  const [filter, setFilter] = useState('all'); // 'all', 'active', 'completed'
+  // Filter and sort settings, read from the address bar (read again only when it changes,
+  // so tagFilter stays the same array between renders)
+  const {
+    search, // Text searched (the search bar waits for the user to stop typing, see below)
+    filter, // 'all', 'active', 'completed'
+    priorityFilter, // '' (any), 'high', 'medium', 'low'
+    dueFilter, // '', 'overdue', 'today', 'week', 'scheduled', 'none'
+    sortBy, // 'newest', 'oldest', 'priority', 'alphabetical', 'dueDate', 'relevance'
+    tagFilter, // Tag ids chosen by clicking tag chips
+    tagMode // How the tags combine: 'any', 'all'
+  } = useMemo(() => readListSettings(listParams), [listParams]);
+  
+  // Text in the search bar
+  const [searchText, setSearchText] = useState(search);
+  
+  // Tasks whose checklist is open
+  const [expandedTasks, setExpandedTasks] = useState(new Set());
+  
+  // Tasks whose history is open
+  const [historyTasks, setHistoryTasks] = useState(new Set());
+  
+  // Tasks whose comments are open
+  const [commentTasks, setCommentTasks] = useState(new Set());
+  
+  // Tasks selected for bulk actions, and the last one clicked (where a shift-click range starts)
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [lastSelectedId, setLastSelectedId] = useState(null);
+  
+  // Selected tasks that are still in the list (a task may leave it, e.g. when it is completed elsewhere)
+  const selectedTaskIds = tasks.filter(task => selectedIds.has(task._id)).map(task => task._id);
   
-  // Sort state - controls task ordering
-  const [sortBy, setSortBy] = useState('newest'); // 'newest', 'oldest', 'priority', 'alphabetical'
+  // Look up projects by id to show the project chip on each task
+  const projectsById = new Map(projects.map(project => [project._id, project]));
   
-  // Loading states for individual tasks (for optimistic updates)
-  const [loadingTasks, setLoadingTasks] = useState(new Set());
+  // Look up tags by id to show the tag chips
+  const tagsById = new Map(tags.map(tag => [tag._id, tag]));
+  
+  // File format of the export button, and true while an export is downloading
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
   
   // ========================================
-  // MEMOIZED COMPUTED VALUES
+  // SERVER QUERY
   // ========================================
   
-  // Filter and sort tasks based on current filter and sort settings
-  const filteredAndSortedTasks = useMemo(() => {
-    
-    // First, filter tasks based on selected filter
-    let filtered = tasks.filter(task => {
-      switch (filter) {
-        case 'active':
-          // Show only incomplete tasks
-          return !task.completed;
-        case 'completed':
-          // Show only completed tasks
-          return task.completed;
-        case 'all':
-        default:
-          // Show all tasks
-          return true;
+  // Change some settings in the address bar
+  // Each choice is a new history entry (back goes to the previous filters); typing replaces it
+  const updateSettings = (changes, replace = false) => {
+    setSearchParams(changes, { replace, defaults: PARAM_DEFAULTS });
+  };
+  
+  // Search only when the user stops typing, not on every key press
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const text = searchText.trim();
+      if (text === search) {
+        return;
       }
-    });
-    
-    // Then, sort filtered tasks based on selected sort option
-    const sorted = [...filtered].sort((a, b) => {
-      switch (sortBy) {
-        case 'oldest':
-          // Sort by creation date, oldest first
-          return new Date(a.createdAt) - new Date(b.createdAt);
-          
-        case 'priority':
-          // Sort by priority level (high > medium > low)
-          { const priorityOrder = { high: 3, medium: 2, low: 1 };
-          return priorityOrder[b.priority] - priorityOrder[a.priority]; }
-          
-        case 'alphabetical':
-          // Sort by title alphabetically
-          return a.title.toLowerCase().localeCompare(b.title.toLowerCase());
-          
-        case 'newest':
-        default:
-          // Sort by creation date, newest first (default)
-          return new Date(b.createdAt) - new Date(a.createdAt);
+      
+      // Best matches first while searching, back to newest first when the search is cleared
+      let sort = sortBy;
+      if (text && sortBy === 'newest') {
+        sort = 'relevance';
+      } else if (!text && sortBy === 'relevance') {
+        sort = 'newest';
       }
-    });
+      
+      updateSettings({ q: text, sort }, true);
+    }, SEARCH_DELAY);
     
-    return sorted;
+    // Typing again before the delay cancels the previous timer
+    return () => clearTimeout(timer);
+  }, [searchText, search, sortBy]);
+  
+  // Show the searched text in the search bar when it changes with back/forward or a link
+  useEffect(() => {
+    setSearchText(prev => (prev.trim() === search ? prev : search));
+  }, [search]);
+  
+  // Tell the parent which tasks to load every time filter, search or sort changes
+  useEffect(() => {
+    onQueryChange({
+      ...(search && { q: search }),
+      status: filter,
+      ...(priorityFilter && { priority: priorityFilter }),
+      ...(dueFilter && { due: dueFilter }),
+      ...(tagFilter.length > 0 && { tags: tagFilter.join(','), tagMode }),
+      ...SORT_PARAMS[sortBy]
+    });
     
-  }, [tasks, filter, sortBy]); // Recompute when tasks, filter, or sortBy changes
+    // Another list is loaded - start with nothing selected
+    setSelectedIds(new Set());
+    setLastSelectedId(null);
+  }, [search, filter, priorityFilter, dueFilter, tagFilter, tagMode, sortBy, onQueryChange]); // Re-run when search, any filter or sortBy changes
   
   // ========================================
   // EVENT HANDLERS
   // ========================================
   
-  // Handle task completion toggle with loading state
-  const handleToggleComplete = async (taskId, completed) => {
-    try {
-      // Add task to loading set
-      setLoadingTasks(prev => new Set(prev).add(taskId));
-      
-      // Call parent handler
-      await onToggleComplete(taskId, completed);
-      
-    } catch (error) {
-      console.error('Error toggling task:', error);
-    } finally {
-      // Remove task from loading set
-      setLoadingTasks(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(taskId);
-        return newSet;
-      });
+  // Select or unselect a task
+  // With shift, every task between the last clicked one and this one gets the same state
+  const handleSelectTask = (taskId, shiftKey) => {
+    const selected = !selectedIds.has(taskId);
+    const from = tasks.findIndex(task => task._id === lastSelectedId);
+    const to = tasks.findIndex(task => task._id === taskId);
+    
+    const rangeIds = shiftKey && from !== -1
+      ? tasks.slice(Math.min(from, to), Math.max(from, to) + 1).map(task => task._id)
+      : [taskId];
+    
+    setSelectedIds(prev => {
+      const newSet = new Set(prev);
+      rangeIds.forEach(id => (selected ? newSet.add(id) : newSet.delete(id)));
+      return newSet;
+    });
+    setLastSelectedId(taskId);
+  };
+  
+  // Run a bulk action on the selected tasks
+  // Tasks that couldn't be changed stay selected, so the action can be tried again
+  const handleBulkAction = async (action, value) => {
+    const result = await onBulkAction(selectedTaskIds, action, value);
+    setSelectedIds(new Set(result.results.filter(item => !item.success).map(item => item.id)));
+    return result;
+  };
+  
+  // Filter by a tag (clicked on a task chip)
+  const addTagFilter = (tagId) => {
+    if (!tagFilter.includes(tagId)) {
+      updateSettings({ tags: [...tagFilter, tagId].join(',') });
     }
   };
   
-  // Handle task deletion with confirmation
-  const handleDelete = async (taskId, taskTitle) => {
-    // Show confirmation dialog
-    const confirmed = window.confirm(
-      `Are you sure you want to delete "${taskTitle}"?\nThis action cannot be undone.`
-    );
-    
-    if (!confirmed) {
-      return; // User cancelled
+  // Remove a tag from the tag filter (the mode is forgotten with the last tag)
+  const removeTagFilter = (tagId) => {
+    const remaining = tagFilter.filter(id => id !== tagId);
+    updateSettings({ tags: remaining.join(','), ...(remaining.length === 0 && { tagMode: null }) });
+  };
+  
+  // Open the page of a task (a real link, so it can also be opened in a new tab or copied)
+  // The page shown now is kept to go back to when the task is closed
+  const handleOpenTask = (e, taskId) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
     }
-    
+    e.preventDefault();
+    navigate(getTaskPath(taskId), { state: { from: window.location.pathname + window.location.search } });
+  };
+  
+  // Open or close the checklist of a task
+  const toggleExpanded = (taskId) => {
+    setExpandedTasks(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(taskId)) {
+        newSet.delete(taskId);
+      } else {
+        newSet.add(taskId);
+      }
+      return newSet;
+    });
+  };
+  
+  // Open or close the history of a task
+  const toggleHistory = (taskId) => {
+    setHistoryTasks(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(taskId)) {
+        newSet.delete(taskId);
+      } else {
+        newSet.add(taskId);
+      }
+      return newSet;
+    });
+  };
+  
+  // Open or close the comments of a task
+  const toggleComments = (taskId) => {
+    setCommentTasks(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(taskId)) {
+        newSet.delete(taskId);
+      } else {
+        newSet.add(taskId);
+      }
+      return newSet;
+    });
+  };
+  
+  
+  // Download the tasks matching the current filters (every page, not only the loaded ones)
+  // The parent shows the error message if the export fails
+  const handleExport = async () => {
     try {
-      // Add task to loading set
-      setLoadingTasks(prev => new Set(prev).add(taskId));
-      
-      // Call parent handler
-      await onDelete(taskId);
-      
+      setExporting(true);
+      await onExport(exportFormat);
     } catch (error) {
-      console.error('Error deleting task:', error);
+      console.error('Error exporting tasks:', error);
     } finally {
-      // Remove task from loading set
-      setLoadingTasks(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(taskId);
-        return newSet;
-      });
+      setExporting(false);
     }
   };
   
@@ -166,6 +370,23 @@ const TaskList = ({ tasks, onToggleComplete, onEdit, onDelete }) => {
     }
   };
   
+  // Button showing the subtask progress ("3/5 done") that opens the checklist
+  const renderSubtaskToggle = (task) => {
+    const { done, total: subtaskTotal } = getSubtaskProgress(task);
+    const expanded = expandedTasks.has(task._id);
+    
+    return (
+      <button
+        onClick={() => toggleExpanded(task._id)}
+        className={`subtask-toggle ${subtaskTotal > 0 && done === subtaskTotal ? 'done' : ''}`}
+        aria-expanded={expanded}
+      >
+        {expanded ? <FiChevronDown /> : <FiChevronRight />}
+        {subtaskTotal > 0 ? `${done}/${subtaskTotal} done` : 'Subtasks'}
+      </button>
+    );
+  };
+  
   // ========================================
   // RENDER COMPONENT
   // ========================================
@@ -177,19 +398,32 @@ const TaskList = ({ tasks, onToggleComplete, onEdit, onDelete }) => {
       <div className="list-header">
         <h2>
           <FiFilter className="header-icon" />
-          Tasks ({filteredAndSortedTasks.length})
+          Tasks ({total})
         </h2>
         
         {/* Filter and sort controls */}
         <div className="list-controls">
           
+          {/* Search bar - works together with the filters below */}
+          <div className="control-group search-group">
+            <FiSearch className="search-icon" />
+            <input
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              className="search-input"
+              placeholder="Search tasks..."
+              aria-label="Search tasks"
+            />
+          </div>
+          
           {/* Filter dropdown */}
           <div className="control-group">
             <label htmlFor="filter">Filter:</label>
             <select
               id="filter"
               value={filter}
-              onChange={(e) => setFilter(e.target.value)}
+              onChange={(e) => updateSettings({ status: e.target.value })}
               className="control-select"
             >
               <option value="all">All Tasks</option>
@@ -198,32 +432,152 @@ const TaskList = ({ tasks, onToggleComplete, onEdit, onDelete }) => {
             </select>
           </div>
           
+          {/* Priority filter dropdown */}
+          <div className="control-group">
+            <label htmlFor="priority">Priority:</label>
+            <select
+              id="priority"
+              value={priorityFilter}
+              onChange={(e) => updateSettings({ priority: e.target.value })}
+              className="control-select"
+            >
+              <option value="">Any Priority</option>
+              <option value="high">High</option>
+              <option value="medium">Medium</option>
+              <option value="low">Low</option>
+            </select>
+          </div>
+          
+          {/* Due date filter dropdown */}
+          <div className="control-group">
+            <label htmlFor="due">Due:</label>
+            <select
+              id="due"
+              value={dueFilter}
+              onChange={(e) => updateSettings({ due: e.target.value })}
+              className="control-select"
+            >
+              <option value="">Any Time</option>
+              <option value="overdue">Overdue</option>
+              <option value="today">Due Today</option>
+              <option value="week">Due This Week</option>
+              <option value="scheduled">With Due Date</option>
+              <option value="none">No Due Date</option>
+            </select>
+          </div>
+          
           {/* Sort dropdown */}
           <div className="control-group">
             <label htmlFor="sort">Sort by:</label>
             <select
               id="sort"
               value={sortBy}
-              onChange={(e) => setSortBy(e.target.value)}
+              onChange={(e) => updateSettings({ sort: e.target.value })}
               className="control-select"
             >
               <option value="newest">Newest First</option>
               <option value="oldest">Oldest First</option>
               <option value="priority">Priority</option>
               <option value="alphabetical">Alphabetical</option>
+              <option value="dueDate">Due Date</option>
+              {/* Relevance only makes sense while searching */}
+              {search && <option value="relevance">Best Match</option>}
+            </select>
+          </div>
+          
+          {/* Save the filters and sort as a view (on the server, to pin or share it) */}
+          <div className="control-group">
+            <button onClick={onSaveView} className="btn btn-secondary">
+              <FiBookmark className="btn-icon" />
+              Save view
+            </button>
+          </div>
+          
+          {/* Export the tasks matching the filters above, or import tasks from a file */}
+          <div className="control-group file-actions">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="control-select"
+              aria-label="Export format"
+            >
+              <option value="csv">CSV</option>
+              <option value="json">JSON</option>
             </select>
+            <button onClick={handleExport} className="btn btn-secondary" disabled={exporting || total === 0}>
+              <FiDownload className="btn-icon" />
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+            <button onClick={onImport} className="btn btn-secondary">
+              <FiUpload className="btn-icon" />
+              Import
+            </button>
           </div>
           
         </div>
       </div>
       
+      {/* Active tag filter - click a tag chip on a task to add it */}
+      {tagFilter.length > 0 && (
+        <div className="tag-filter-bar">
+          <span className="tag-filter-label">Tags:</span>
+          {tagFilter.map(tagId => tagsById.get(tagId) || { _id: tagId, name: 'Unknown tag' }).map(tag => (
+            <span key={tag._id} className="tag-chip" style={{ '--tag-color': tag.color }}>
+              {tag.name}
+              <button
+                onClick={() => removeTagFilter(tag._id)}
+                className="tag-chip-remove"
+                aria-label="Remove tag filter"
+              >
+                <FiX />
+              </button>
+            </span>
+          ))}
+          {/* With more than one tag, choose if a task needs any or all of them */}
+          {tagFilter.length > 1 && (
+            <select
+              value={tagMode}
+              onChange={(e) => updateSettings({ tagMode: e.target.value })}
+              className="control-select"
+              aria-label="Tag filter mode"
+            >
+              <option value="any">Any of these</option>
+              <option value="all">All of these</option>
+            </select>
+          )}
+          <button onClick={() => updateSettings({ tags: null, tagMode: null })} className="tag-filter-clear">
+            Clear
+          </button>
+        </div>
+      )}
+      
+      {/* Actions for the selected tasks */}
+      {selectedTaskIds.length > 0 && (
+        <BulkToolbar
+          count={selectedTaskIds.length}
+          allSelected={selectedTaskIds.length === tasks.length}
+          onAction={handleBulkAction}
+          onSelectAll={() => setSelectedIds(new Set(tasks.map(task => task._id)))}
+          onClear={() => setSelectedIds(new Set())}
+        />
+      )}
+      
       {/* Task list */}
       <div className="task-list">
         
-        {/* Show message if no tasks match filter */}
-        {filteredAndSortedTasks.length === 0 ? (
+        {/* Show loading message while the first page is fetched */}
+        {loading ? (
+          <div className="loading">Loading tasks...</div>
+        ) : tasks.length === 0 ? (
+          // Show message if no tasks match filter
           <div className="empty-state">
-            {tasks.length === 0 ? (
+            {search ? (
+              // Nothing matches the search
+              <div>
+                <h3>No tasks match &quot;{search}&quot;</h3>
+                <p>Try other words or change your filter settings.</p>
+              </div>
+            ) : filter === 'all' && !priorityFilter && !dueFilter && tagFilter.length === 0 ? (
               // No tasks at all
               <div>
                 <h3>No tasks yet!</h3>
@@ -239,20 +593,30 @@ const TaskList = ({ tasks, onToggleComplete, onEdit, onDelete }) => {
           </div>
         ) : (
           // Show filtered tasks
-          filteredAndSortedTasks.map((task) => (
+          tasks.map((task) => (
             <div
               key={task._id}
               className={`task-item ${task.completed ? 'completed' : 'active'} ${
-                loadingTasks.has(task._id) ? 'loading' : ''
+                getDueStatus(task) === 'overdue' ? 'overdue' : ''
+              } ${
+                selectedIds.has(task._id) ? 'selected' : ''
               }`}
             >
               
+              {/* Selection for bulk actions (shift-click selects a range) */}
+              <input
+                type="checkbox"
+                className="task-select"
+                checked={selectedIds.has(task._id)}
+                onChange={(e) => handleSelectTask(task._id, e.nativeEvent.shiftKey)}
+                aria-label={`Select "${task.title}"`}
+              />
+              
               {/* Task completion checkbox */}
               <div className="task-checkbox">
                 <button
-                  onClick={() => handleToggleComplete(task._id, !task.completed)}
+                  onClick={() => onToggleComplete(task._id, !task.completed)}
                   className={`checkbox-btn ${task.completed ? 'checked' : ''}`}
-                  disabled={loadingTasks.has(task._id)}
                   aria-label={task.completed ? 'Mark as incomplete' : 'Mark as complete'}
                 >
                   {task.completed && <FiCheck className="check-icon" />}
@@ -265,25 +629,107 @@ const TaskList = ({ tasks, onToggleComplete, onEdit, onDelete }) => {
                 {/* Task header with title and priority */}
                 <div className="task-header">
                   <h3 className={`task-title ${task.completed ? 'completed' : ''}`}>
-                    {task.title}
+                    {/* Search results show the matching words highlighted */}
+                    {/* The title links to the page of the task */}
+                    <a
+                      href={getTaskPath(task._id)}
+                      onClick={(e) => handleOpenTask(e, task._id)}
+                      className="task-link"
+                    >
+                      {task.snippets ? renderHighlighted(task.snippets.title) : task.title}
+                    </a>
                   </h3>
-                  <div className="task-priority">
-                    {getPriorityIcon(task.priority)}
-                    <span className={`priority-text ${task.priority}`}>
-                      {task.priority}
-                    </span>
+                  <div className="task-badges">
+                    {/* Project chip (if the task is in a project) */}
+                    {projectsById.has(task.project) && (
+                      <span className="project-chip">
+                        <span
+                          className="project-dot"
+                          style={{ backgroundColor: projectsById.get(task.project).color }}
+                        ></span>
+                        {projectsById.get(task.project).name}
+                      </span>
+                    )}
+                    {/* Tag chips - click one to show only tasks with that tag */}
+                    {(task.tags || []).filter(tagId => tagsById.has(tagId)).map(tagId => (
+                      <button
+                        key={tagId}
+                        onClick={() => addTagFilter(tagId)}
+                        className={`tag-chip clickable ${
+                          task.snippets && task.snippets.tags.includes(tagsById.get(tagId).name) ? 'matched' : ''
+                        }`}
+                        style={{ '--tag-color': tagsById.get(tagId).color }}
+                        title={`Show tasks tagged "${tagsById.get(tagId).name}"`}
+                      >
+                        {tagsById.get(tagId).name}
+                      </button>
+                    ))}
+                    <div className="task-priority">
+                      {getPriorityIcon(task.priority)}
+                      <span className={`priority-text ${task.priority}`}>
+                        {task.priority}
+                      </span>
+                    </div>
                   </div>
                 </div>
                 
                 {/* Task description (if exists) */}
                 {task.description && (
                   <p className="task-description">
-                    {task.description}
+                    {task.snippets && task.snippets.description.length > 0
+                      ? renderHighlighted(task.snippets.description)
+                      : task.description}
                   </p>
                 )}
                 
                 {/* Task metadata */} //optional
                 <div className="task-meta">
+                  {/* Changed offline - waiting to be sent */}
+                  {task.pending && (
+                    <span className="task-pending" title="Saved on this device - it will be sent when the connection is back">
+                      <FiUploadCloud className="due-icon" />
+                      Not synced yet
+                    </span>
+                  )}
+                  {/* Due date label - red when overdue, highlighted when due today */}
+                  {task.dueDate && (
+                    <span className={`task-due ${getDueStatus(task)}`}>
+                      <FiCalendar className="due-icon" />
+                      {getDueStatus(task) === 'overdue' ? 'Overdue · ' : 'Due '}
+                      {formatDueDate(task.dueDate)}
+                    </span>
+                  )}
+                  {/* Repeat rule of recurring tasks */}
+                  {task.recurrence && (
+                    <span className="task-recurrence" title={describeRecurrence(task.recurrence)}>
+                      <FiRepeat className="due-icon" />
+                      {describeRecurrence(task.recurrence)}
+                    </span>
+                  )}
+                  {/* Subtask progress - also opens the checklist */}
+                  {renderSubtaskToggle(task)}
+                  {/* Number of attached files - opens the task form, where they are listed */}
+                  {task.attachmentCount > 0 && (
+                    <button
+                      onClick={() => onEdit(task)}
+                      className="attachment-indicator"
+                      title={`${task.attachmentCount} attachment(s)`}
+                      aria-label={`${task.attachmentCount} attachment(s), open task`}
+                    >
+                      <FiPaperclip />
+                      {task.attachmentCount}
+                    </button>
+                  )}
+                  {/* Comment count - also opens the comments */}
+                  <button
+                    onClick={() => toggleComments(task._id)}
+                    className={`comment-toggle ${commentTasks.has(task._id) ? 'active' : ''}`}
+                    aria-expanded={commentTasks.has(task._id)}
+                    title={commentTasks.has(task._id) ? 'Hide comments' : 'Show comments'}
+                  >
+                    <FiMessageSquare />
+                    {task.commentCount > 0 ? task.commentCount : 'Comment'}
+                  </button>
                   <span className="task-date">
                     Created {formatDate(task.createdAt)}
                   </span>
@@ -294,6 +740,38 @@ const TaskList = ({ tasks, onToggleComplete, onEdit, onDelete }) => {
                   )}
                 </div>
                 
+                {/* Checklist (when expanded) */}
+                {expandedTasks.has(task._id) && (
+                  <SubtaskList
+                    task={task}
+                    onAdd={onAddSubtask}
+                    onUpdate={onUpdateSubtask}
+                    onReorder={onReorderSubtasks}
+                    onDelete={onDeleteSubtask}
+                  />
+                )}
+                
+                {/* Comments (when open) */}
+                {commentTasks.has(task._id) && (
+                  <CommentThread
+                    task={task}
+                    currentUserId={currentUserId}
+                    onLoadComments={onLoadComments}
+                    onAddComment={onAddComment}
+                    onUpdateComment={onUpdateComment}
+                    onDeleteComment={onDeleteComment}
+                  />
+                )}
+                
+                {/* Change history (when open) */}
+                {historyTasks.has(task._id) && (
+                  <HistoryPanel
+                    task={task}
+                    onLoadHistory={onLoadHistory}
+                    onRevert={onRevertTask}
+                  />
+                )}
+                
               </div>
               
               {/* Task actions */}
@@ -303,45 +781,70 @@ const TaskList = ({ tasks, onToggleComplete, onEdit, onDelete }) => {
                 <button
                   onClick={() => onEdit(task)}
                   className="action-btn edit-btn"
-                  disabled={loadingTasks.has(task._id)}
                   aria-label="Edit task"
                   title="Edit task"
                 >
                   <FiEdit2 className="action-icon" />
                 </button>
                 
-                {/* Delete button */}
+                {/* History button */}
+                <button
+                  onClick={() => toggleHistory(task._id)}
+                  className={`action-btn history-btn ${historyTasks.has(task._id) ? 'active' : ''}`}
+                  aria-label="Show task history"
+                  aria-expanded={historyTasks.has(task._id)}
+                  title="History"
+                >
+                  <FiClock className="action-icon" />
+                </button>
+                
+                {/* Delete button - no confirmation: deleted tasks go to the trash and can be restored */}
                 <button
-                  onClick={() => handleDelete(task._id, task.title)}
+                  onClick={() => onDelete(task._id)}
                   className="action-btn delete-btn"
-                  disabled={loadingTasks.has(task._id)}
-                  aria-label="Delete task"
-                  title="Delete task"
+                  aria-label="Move task to trash"
+                  title="Move to trash"
                 >
                   <FiTrash2 className="action-icon" />
                 </button>
                 
               </div>
               
-              {/* Loading overlay for individual task */}
-              {loadingTasks.has(task._id) && (
-                <div className="task-loading-overlay">
-                  <span className="loading-spinner"></span>
-                </div>
-              )}
-              
             </div>
           ))
         )}
         
       </div>
       
+      {/* Button to load the next page from the server */}
+      {!loading && hasMore && (
+        <div className="load-more">
+          <button
+            onClick={onLoadMore}
+            className="btn btn-secondary"
+            disabled={loadingMore}
+          >
+            {loadingMore ? (
+              <>
+                <span className="loading-spinner"></span>
+                Loading...
+              </>
+            ) : (
+              'Load more tasks'
+            )}
+          </button>
+        </div>
+      )}
+      
       {/* List footer with summary */}
-      {tasks.length > 0 && (
+      {!loading && tasks.length > 0 && (
         <div className="list-footer">
           <p className="task-summary">
-            Showing {filteredAndSortedTasks.length} of {tasks.length} tasks
+            Showing {tasks.length} of {total} tasks
+            {search && ` matching "${search}"`}
             {filter !== 'all' && ` (${filter})`}
+            {priorityFilter && ` (${priorityFilter} priority)`}
+            {dueFilter && ` (due: ${dueFilter})`}
           </p>
         </div>
       )}
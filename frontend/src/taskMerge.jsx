@@ -0,0 +1,104 @@
+// ========================================
+// TASK MERGE HELPERS
+// ========================================
+
+// Used when saving a task fails because someone else changed it meanwhile (409/412).
+// Three versions are compared field by field:
+//   base   - the task as it was when the user started editing
+//   mine   - what the user wants to save
+//   server - the task as it is now on the server
+// A field changed on one side only keeps that change; a field changed on both sides
+// is a conflict the user has to decide.
+
+// Fields of the task form, in the order they are shown
+export const MERGE_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'dueDate', label: 'Due date' },
+  { key: 'recurrence', label: 'Repeat' },
+  { key: 'project', label: 'Project' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'completeWithSubtasks', label: 'Complete with subtasks' }
+];
+
+// Get the form fields of a task, in the shape TaskForm sends them
+export const toTaskData = (task) => ({
+  title: task.title || '',
+  description: task.description || '',
+  priority: task.priority || 'medium',
+  project: task.project || null,
+  tags: task.tags || [],
+  dueDate: task.dueDate || null,
+  dueTimeZone: task.dueDate ? task.dueTimeZone || null : null,
+  recurrence: task.recurrence || null,
+  completeWithSubtasks: !!task.completeWithSubtasks
+});
+
+// Copy of a repeat rule without ids and empty values, with sorted keys, for comparing
+const normalizeRecurrence = (recurrence) => {
+  if (!recurrence) {
+    return null;
+  }
+
+  return Object.keys(recurrence)
+    .filter(key => key !== '_id')
+    .filter(key => recurrence[key] !== null && recurrence[key] !== undefined && recurrence[key] !== '')
+    .filter(key => !(Array.isArray(recurrence[key]) && recurrence[key].length === 0))
+    .sort()
+    .reduce((copy, key) => ({ ...copy, [key]: recurrence[key] }), {});
+};
+
+// Check if two values of a field are the same
+export const isSameValue = (key, a, b) => {
+  switch (key) {
+    case 'dueDate':
+      return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+    case 'tags':
+      return [...(a || [])].sort().join(',') === [...(b || [])].sort().join(',');
+    case 'project':
+      return String(a || '') === String(b || '');
+    case 'recurrence':
+      return JSON.stringify(normalizeRecurrence(a)) === JSON.stringify(normalizeRecurrence(b));
+    default:
+      return a === b;
+  }
+};
+
+// Compare the three versions of a task
+// Returns the fields where mine and server differ, each with the side picked by default:
+// the side that changed it, or 'mine' when both changed it (conflict: true)
+export const compareVersions = (base, mine, server) => {
+  return MERGE_FIELDS
+    .filter(({ key }) => !isSameValue(key, mine[key], server[key]))
+    .map(({ key, label }) => {
+      const changedByMe = !isSameValue(key, base[key], mine[key]);
+      const changedOnServer = !isSameValue(key, base[key], server[key]);
+
+      return {
+        key,
+        label,
+        conflict: changedByMe && changedOnServer,
+        choice: changedOnServer && !changedByMe ? 'server' : 'mine'
+      };
+    });
+};
+
+// Build the task data to save from the side chosen for each field
+// Fields that are the same on both sides come from the server
+export const mergeVersions = (mine, server, choices) => {
+  const merged = { ...server };
+
+  Object.entries(choices).forEach(([key, side]) => {
+    if (side === 'mine') {
+      merged[key] = mine[key];
+
+      // The time zone goes together with the due date it was picked in
+      if (key === 'dueDate') {
+        merged.dueTimeZone = mine.dueTimeZone;
+      }
+    }
+  });
+
+  return merged;
+};
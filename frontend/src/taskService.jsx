@@ -1,6 +1,12 @@
 // Import axios for making HTTP requests
 import axios from 'axios';
 
+// Import session helpers to authenticate requests
+import { getAccessToken, refreshSession, clearSession } from './authService';
+
+// Import the helper that reads the browser's time zone
+import { getTimeZone } from './dueDates';
+
 // ========================================
 // API CONFIGURATION
 // ========================================
@@ -10,6 +16,10 @@ import axios from 'axios';
 // eslint-disable-next-line no-undef
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
+// Id of this browser tab, sent with every request
+// The server uses it to not send the tab's own changes back to it over the event stream
+export const CLIENT_ID = Math.random().toString(36).slice(2) + Date.now().toString(36);
+
 // Create axios instance with default configuration
 const api = axios.create({
   // Set base URL for all requests
@@ -18,6 +28,7 @@ const api = axios.create({
   // Set default headers
   headers: {
     'Content-Type': 'application/json',
+    'X-Client-Id': CLIENT_ID,
   },
   
   // Set request timeout (5 seconds)
@@ -32,6 +43,12 @@ const api = axios.create({
 //to create this interceptor, but it can be avoidable)
 api.interceptors.request.use(
   (config) => {
+    // Attach the access token so the server knows who is making the request
+    const accessToken = getAccessToken();
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+    
     // Log request details in development
     // eslint-disable-next-line no-undef
     if (process.env.NODE_ENV === 'development') {
@@ -59,24 +76,64 @@ api.interceptors.response.use(
       console.log('API Response:', response.data);
     }
     
+    // Requests made with { fullResponse: true } need the whole body (e.g. pagination info)
+    if (response.config.fullResponse) {
+      return response.data;
+    }
+    
     // Return the data part of response (our API sends data in response.data.data)
     return response.data.data || response.data;
   },
-  (error) => {
+  async (error) => {
     // Handle different types of errors
     
+    // 401 means the access token expired: refresh it once and repeat the request
+    if (error.response && error.response.status === 401 && !error.config._retried) {
+      error.config._retried = true;
+      
+      try {
+        await refreshSession();
+      } catch (refreshError) {
+        // The server can't be reached - the session may still be valid, keep it
+        if (refreshError.isNetworkError) {
+          throw refreshError;
+        }
+        
+        // The refresh token is invalid too - the user has to log in again
+        console.error('Session refresh failed:', refreshError);
+        clearSession();
+        throw new Error('Your session has expired. Please log in again.');
+      }
+      
+      // Repeat the original request (the request interceptor adds the new token)
+      return api(error.config);
+    }
+    
     if (error.response) {
       // Server responded with error status (4xx, 5xx)
       console.error('API Error Response:', error.response.data);
       
       // Extract error message from response
       const errorMessage = error.response.data.message || 'An error occurred';
-      throw new Error(errorMessage);
+      
+      // Keep the status, the details and the data sent with the error
+      // (e.g. a conflict (409/412) comes with the current version of the task)
+      const apiError = new Error(errorMessage);
+      apiError.status = error.response.status;
+      apiError.detail = error.response.data.error;
+      apiError.data = error.response.data.data;
+      
+      // A request the server refused (422) lists the invalid fields: [{ location, field, message }]
+      apiError.errors = error.response.data.errors || [];
+      throw apiError;
       
     } else if (error.request) {
       // Request was made but no response received (network error)
+      // 'isNetworkError' tells the offline queue to keep the change and send it later
       console.error('Network Error:', error.request);
-      throw new Error('Network error. Please check your internet connection.');
+      const networkError = new Error('Network error. Please check your internet connection.');
+      networkError.isNetworkError = true;
+      throw networkError;
       
     } else {
       // Something else happened in setting up the request
@@ -90,14 +147,22 @@ api.interceptors.response.use(
 // API FUNCTIONS
 // ========================================
 
-// Get all tasks from the server
-export const getAllTasks = async () => {
+// Get one page of tasks from the server
+// 'params' is sent as the query string, e.g. { status: 'active', sort: 'priority', order: 'desc', cursor }
+// Returns { data, total, nextCursor } so the caller can request the following page
+export const getTasks = async (params = {}) => {
   try {
     // Make GET request to /api/tasks endpoint
-    const response = await api.get('/tasks');
+    // The time zone makes 'due=today' and 'due=week' match the user's calendar
+    // fullResponse keeps 'total' and 'nextCursor' next to the task data
+    const response = await api.get('/tasks', { params: { ...params, tz: getTimeZone() }, fullResponse: true });
     
-    // Return the tasks data
-    return response;
+    // Return the page of tasks with pagination info
+    return {
+      data: response.data,
+      total: response.total,
+      nextCursor: response.nextCursor
+    };
     
   } catch (error) {
     // Log error for debugging
@@ -108,6 +173,41 @@ export const getAllTasks = async () => {
   }
 };
 
+// Search tasks by text (titles, descriptions and tag names) - 'params.q' is the search text
+// Accepts the same filters as getTasks; results are sorted by relevance unless 'sort' is given
+// Each result has 'snippets' with the matching parts of the text marked
+export const searchTasks = async (params = {}) => {
+  try {
+    const response = await api.get('/tasks/search', { params: { ...params, tz: getTimeZone() }, fullResponse: true });
+    
+    return {
+      data: response.data,
+      total: response.total,
+      nextCursor: response.nextCursor
+    };
+    
+  } catch (error) {
+    console.error('Error searching tasks:', error);
+    throw error;
+  }
+};
+
+// Get task statistics (totals, completion, priorities) from the server
+// 'params' can limit the statistics to one project, e.g. { project: projectId }
+export const getTaskStats = async (params = {}) => {
+  try {
+    // Send the browser's time zone so "this week" matches the user's calendar
+    const response = await api.get('/tasks/stats', { params: { ...params, tz: getTimeZone() } });
+    
+    // Return the statistics object
+    return response;
+    
+  } catch (error) {
+    console.error('Error fetching task stats:', error);
+    throw error;
+  }
+};
+
 // Get a single task by ID
 export const getTaskById = async (taskId) => {
   try {
@@ -144,7 +244,9 @@ export const createTask = async (taskData) => {
 };
 
 // Update an existing task
-export const updateTask = async (taskId, taskData) => {
+// With 'version' (the task's __v) the server only applies the change if nobody changed
+// the task since; otherwise the error has status 412 and 'data' is the current task
+export const updateTask = async (taskId, taskData, version) => {
   try {
     // Validate task ID
     if (!taskId) {
@@ -152,7 +254,9 @@ export const updateTask = async (taskId, taskData) => {
     }
     
     // Make PUT request to /api/tasks/:id endpoint with updated data
-    const response = await api.put(`/tasks/${taskId}`, taskData);
+    const response = await api.put(`/tasks/${taskId}`, taskData, {
+      headers: version !== undefined && version !== null ? { 'If-Match': `"${version}"` } : {}
+    });
     
     // Return the updated task
     return response;
@@ -163,7 +267,7 @@ export const updateTask = async (taskId, taskData) => {
   }
 };
 
-// Delete a task
+// Delete a task (it is moved to the trash and can be restored)
 export const deleteTask = async (taskId) => {
   try {
     // Validate task ID
@@ -183,6 +287,234 @@ export const deleteTask = async (taskId) => {
   }
 };
 
+// Change many tasks at once
+// action: complete, reopen, delete, priority, project or addTag ('value' is the priority, project id or tag id)
+// Returns the whole response: 'results' has one { id, success, data | error } per task
+export const bulkUpdateTasks = async (ids, action, value) => {
+  try {
+    const response = await api.post('/tasks/bulk', { ids, action, value }, { fullResponse: true });
+    return response;
+  } catch (error) {
+    console.error('Error updating tasks:', error);
+    throw error;
+  }
+};
+
+// ========================================
+// BOARD FUNCTIONS
+// ========================================
+
+// Get the columns of the board: [{ key, name, done, total, tasks }], one per workflow status
+// 'params' takes the same filters as getTasks, e.g. { project: projectId }
+export const getBoard = async (params = {}) => {
+  try {
+    const response = await api.get('/tasks/board', { params: { ...params, tz: getTimeZone() } });
+    return response;
+  } catch (error) {
+    console.error('Error fetching board:', error);
+    throw error;
+  }
+};
+
+// Move a card on the board: into the 'status' column, just above the task 'beforeId'
+// (at the bottom of the column when beforeId is null)
+// Returns the moved task - a new status also completes or reopens it
+export const moveTask = async (taskId, status, beforeId = null) => {
+  try {
+    const response = await api.put(`/tasks/${taskId}/move`, { status, before: beforeId });
+    return response;
+  } catch (error) {
+    console.error('Error moving task:', error);
+    throw error;
+  }
+};
+
+// ========================================
+// SUBTASK FUNCTIONS
+// ========================================
+// Each of these returns the whole parent task with its updated checklist
+
+// Add a subtask at the end of a task's checklist
+export const addSubtask = async (taskId, title) => {
+  try {
+    const response = await api.post(`/tasks/${taskId}/subtasks`, { title });
+    return response;
+  } catch (error) {
+    console.error('Error adding subtask:', error);
+    throw error;
+  }
+};
+
+// Rename or toggle a subtask (changes: { title, completed })
+export const updateSubtask = async (taskId, subtaskId, changes) => {
+  try {
+    const response = await api.put(`/tasks/${taskId}/subtasks/${subtaskId}`, changes);
+    return response;
+  } catch (error) {
+    console.error('Error updating subtask:', error);
+    throw error;
+  }
+};
+
+// Save the order of a task's checklist (ids of every subtask, in the new order)
+export const reorderSubtasks = async (taskId, ids) => {
+  try {
+    const response = await api.put(`/tasks/${taskId}/subtasks/reorder`, { ids });
+    return response;
+  } catch (error) {
+    console.error('Error reordering subtasks:', error);
+    throw error;
+  }
+};
+
+// Remove a subtask
+export const deleteSubtask = async (taskId, subtaskId) => {
+  try {
+    const response = await api.delete(`/tasks/${taskId}/subtasks/${subtaskId}`);
+    return response;
+  } catch (error) {
+    console.error('Error deleting subtask:', error);
+    throw error;
+  }
+};
+
+// ========================================
+// TRASH FUNCTIONS
+// ========================================
+// Deleted tasks stay in the trash until they are restored or purged
+
+// Get a page of deleted tasks, most recently deleted first
+// Each task has 'purgeAt', the date it will be deleted permanently
+export const getTrash = async (params = {}) => {
+  try {
+    const response = await api.get('/tasks/trash', { params, fullResponse: true });
+    
+    return {
+      data: response.data,
+      total: response.total,
+      nextCursor: response.nextCursor,
+      retentionDays: response.retentionDays
+    };
+    
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    throw error;
+  }
+};
+
+// Take a task out of the trash (also used to undo a delete)
+export const restoreTask = async (taskId) => {
+  try {
+    const response = await api.post(`/tasks/${taskId}/restore`);
+    return response;
+  } catch (error) {
+    console.error('Error restoring task:', error);
+    throw error;
+  }
+};
+
+// Delete a task in the trash permanently
+export const purgeTask = async (taskId) => {
+  try {
+    const response = await api.delete(`/tasks/trash/${taskId}`);
+    return response;
+  } catch (error) {
+    console.error('Error deleting task permanently:', error);
+    throw error;
+  }
+};
+
+// Delete every task in the trash permanently
+export const emptyTrash = async () => {
+  try {
+    const response = await api.delete('/tasks/trash', { fullResponse: true });
+    return response;
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    throw error;
+  }
+};
+
+// ========================================
+// HISTORY FUNCTIONS
+// ========================================
+
+// Get the changes made to a task, newest first
+// Each entry has the action, who made it (actorName), when (createdAt) and the changed fields
+export const getTaskHistory = async (taskId) => {
+  try {
+    const response = await api.get(`/tasks/${taskId}/history`);
+    return response;
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    throw error;
+  }
+};
+
+// Bring a task back to the version after one of its history entries
+// Returns the reverted task
+export const revertTask = async (taskId, entryId) => {
+  try {
+    const response = await api.post(`/tasks/${taskId}/history/${entryId}/revert`);
+    return response;
+  } catch (error) {
+    console.error('Error reverting task:', error);
+    throw error;
+  }
+};
+
+// ========================================
+// IMPORT / EXPORT FUNCTIONS
+// ========================================
+
+// Exports and imports can take longer than the usual 5 second request timeout
+const FILE_TIMEOUT = 120000;
+
+// Download every task matching the list filters as a file - returns it as a Blob
+// 'params' are the list query parameters (page options are ignored), 'format' is 'csv' or 'json'
+export const exportTasks = async (params = {}, format = 'csv') => {
+  try {
+    const response = await api.get('/tasks/export', {
+      params: { ...params, format, tz: getTimeZone() },
+      responseType: 'blob',
+      timeout: FILE_TIMEOUT
+    });
+    return response;
+  } catch (error) {
+    console.error('Error exporting tasks:', error);
+    throw error;
+  }
+};
+
+// Import tasks from a CSV or JSON file
+// options: { mapping: { taskField: column }, duplicates: 'skip'|'import', dryRun }
+// With dryRun nothing is saved: the response is the preview of the import
+// Returns the whole response: columns, mapping, summary, newProjects, newTags and one result per row in 'data'
+export const importTasks = async (file, { mapping, duplicates = 'skip', dryRun = false } = {}) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('duplicates', duplicates);
+    formData.append('dryRun', String(dryRun));
+    formData.append('tz', getTimeZone());
+    if (mapping) {
+      formData.append('mapping', JSON.stringify(mapping));
+    }
+
+    const response = await api.post('/tasks/import', formData, {
+      fullResponse: true,
+      timeout: FILE_TIMEOUT,
+
+      // Lets the browser set the multipart boundary instead of the default JSON type
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response;
+  } catch (error) {
+    console.error('Error importing tasks:', error);
+    throw error;
+  }
+};
+
 // ========================================
 // UTILITY FUNCTIONS
 // ========================================
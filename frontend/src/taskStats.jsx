@@ -7,53 +7,52 @@ import {
   FiCircle, 
   FiAlertCircle, 
   FiBarChart3,
-  FiTrendingUp
+  FiCalendar,
+  FiCheckSquare
 } from 'react-icons/fi';
 
+// Import the store hook for the statistics shown
+import { useStats } from './taskStore';
+
+// Empty statistics used until the server answers
+const EMPTY_STATS = {
+  total: 0,
+  completed: 0,
+  active: 0,
+  byPriority: { high: 0, medium: 0, low: 0 },
+  completedByPriority: { high: 0, medium: 0, low: 0 },
+  overdue: 0,
+  dueThisWeek: 0,
+  subtasks: { total: 0, completed: 0 }
+};
+
 // TaskStats component to display task statistics and progress
-const TaskStats = ({ tasks }) => {
+// The task list is paginated, so the counts come from the server (GET /api/tasks/stats),
+// loaded by the parent into the store for the selected project
+const TaskStats = () => {
+  
+  // Statistics of the selected project (null until loaded)
+  const stats = useStats();
   
   // ========================================
-  // CALCULATE STATISTICS
+  // READ STATISTICS
   // ========================================
   
-  // Calculate total number of tasks
-  const totalTasks = tasks.length;
-  
-  // Calculate completed tasks
-  const completedTasks = tasks.filter(task => task.completed).length;
-  
-  // Calculate active (incomplete) tasks
-  const activeTasks = totalTasks - completedTasks;
+  // Use empty statistics while loading
+  const {
+    total: totalTasks,
+    completed: completedTasks,
+    active: activeTasks,
+    byPriority: tasksByPriority,
+    completedByPriority,
+    overdue: overdueTasks,
+    dueThisWeek: dueThisWeekTasks,
+    subtasks = EMPTY_STATS.subtasks
+  } = stats || EMPTY_STATS;
   
   // Calculate completion percentage
   const completionPercentage = totalTasks === 0 ? 0 : Math.round((completedTasks / totalTasks) * 100);
   
-  // Calculate tasks by priority
-  const tasksByPriority = tasks.reduce((acc, task) => {
-    // Count tasks for each priority level
-    acc[task.priority] = (acc[task.priority] || 0) + 1;
-    return acc;
-  }, { high: 0, medium: 0, low: 0 });
-  
-  // Calculate completed tasks by priority
-  const completedByPriority = tasks
-    .filter(task => task.completed)
-    .reduce((acc, task) => {
-      acc[task.priority] = (acc[task.priority] || 0) + 1;
-      return acc;
-    }, { high: 0, medium: 0, low: 0 });
-  
-  // Calculate today's tasks (created today)
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Set to start of day
-  
-  const todaysTasks = tasks.filter(task => {
-    const taskDate = new Date(task.createdAt);
-    taskDate.setHours(0, 0, 0, 0);
-    return taskDate.getTime() === today.getTime();
-  }).length; //(not so useful)
-  
   // ========================================
   // UTILITY FUNCTIONS
   // ========================================
@@ -134,17 +133,41 @@ const TaskStats = ({ tasks }) => {
           </div>
         </div>
         
-        {/* Today's tasks card */}
-        <div className="stat-card today">
+        {/* Overdue tasks card */}
+        <div className="stat-card overdue">
           <div className="stat-icon-container">
-            <FiTrendingUp className="stat-icon" />
+            <FiAlertCircle className="stat-icon" />
           </div>
           <div className="stat-content">
-            <div className="stat-number">{todaysTasks}</div>
-            <div className="stat-label">Created Today</div>
+            <div className="stat-number">{overdueTasks}</div>
+            <div className="stat-label">Overdue</div>
           </div>
         </div>
         
+        {/* Tasks due this week card */}
+        <div className="stat-card due-soon">
+          <div className="stat-icon-container">
+            <FiCalendar className="stat-icon" />
+          </div>
+          <div className="stat-content">
+            <div className="stat-number">{dueThisWeekTasks}</div>
+            <div className="stat-label">Due This Week</div>
+          </div>
+        </div>
+        
+        {/* Subtasks card (only when some task has a checklist) */}
+        {subtasks.total > 0 && (
+          <div className="stat-card subtasks">
+            <div className="stat-icon-container">
+              <FiCheckSquare className="stat-icon" />
+            </div>
+            <div className="stat-content">
+              <div className="stat-number">{subtasks.completed}/{subtasks.total}</div>
+              <div className="stat-label">Subtasks Done</div>
+            </div>
+          </div>
+        )}
+        
       </div>
       
       {/* Progress section */}
@@ -0,0 +1,102 @@
+// Import the client store
+import { useStore, selectQuery, selectActiveQuery, selectEntity } from './queryStore';
+
+// ========================================
+// QUERY KEYS
+// ========================================
+
+// Keys of the queries of the app in the store (see queryStore)
+// Prefixes invalidate every query of a kind, e.g. invalidateQueries(taskKeys.stats()) after a task changed
+export const taskKeys = {
+  // Every list of tasks, or one page of tasks for a list query (filters, sort and project)
+  lists: () => ['tasks'],
+  list: (query) => ['tasks', query],
+  
+  // One task (its page, see TaskDetail)
+  detail: (taskId) => ['task', taskId],
+
+  // Board columns and statistics, of every project or of one ('all', 'none' or a project id)
+  board: (project) => (project === undefined ? ['board'] : ['board', project]),
+  stats: (project) => (project === undefined ? ['stats'] : ['stats', project]),
+
+  // The user's projects (active and archived) and tags (with usage counts)
+  projects: () => ['projects'],
+  tags: () => ['tags'],
+
+  // The saved and built-in views, with the ids of the ones pinned to the sidebar
+  views: () => ['views']
+};
+
+// Entity types in the store
+export const TASKS = 'tasks';
+export const PROJECTS = 'projects';
+export const TAGS = 'tags';
+
+// Names of the queries shown (set by App with setActiveQuery)
+export const TASK_LIST = 'taskList';
+export const BOARD = 'board';
+export const STATS = 'stats';
+
+// Shared empty list, so components reading nothing aren't rendered again
+const NONE = [];
+
+// ========================================
+// SELECTORS
+// ========================================
+
+// The list of tasks shown for the current filters: { tasks, total, nextCursor, loading, error }
+// 'loading' is only true before the first page is shown (a refetch keeps showing the tasks)
+export const selectTaskList = (state) => {
+  const { data, status, error } = selectActiveQuery(state, TASK_LIST);
+
+  return {
+    tasks: data ? data.data : NONE,
+    total: data ? data.total : 0,
+    nextCursor: data ? data.nextCursor : null,
+    loading: !data && status === 'loading',
+    error
+  };
+};
+
+// One task, wherever it was loaded (undefined when it isn't loaded)
+export const selectTask = (state, taskId) => selectEntity(state, TASKS, taskId);
+
+// The task of a task page: { task, loading, error }
+// A task already loaded in a list is shown at once, while it is loaded again
+// 'task' is undefined once the task is deleted (its entity is removed)
+export const selectTaskDetail = (state, taskId) => {
+  const { data, status, error } = selectQuery(state, taskKeys.detail(taskId));
+  const task = data || selectTask(state, taskId);
+  
+  return { task, loading: !task && status === 'loading', error };
+};
+
+// The user's projects and tags (empty until loaded)
+export const selectProjects = (state) => selectQuery(state, taskKeys.projects()).data || NONE;
+export const selectTags = (state) => selectQuery(state, taskKeys.tags()).data || NONE;
+
+// The views: { views, pinned } - 'pinned' is the ids of the views in the sidebar, in order
+export const selectViews = (state) => selectQuery(state, taskKeys.views()).data || { views: NONE, pinned: NONE };
+
+// The board columns shown: { columns, loading }
+export const selectBoard = (state) => {
+  const { data, status } = selectActiveQuery(state, BOARD);
+  return { columns: data || NONE, loading: status === 'loading' };
+};
+
+// The statistics shown (null until loaded)
+export const selectStats = (state) => selectActiveQuery(state, STATS).data || null;
+
+// ========================================
+// HOOKS
+// ========================================
+
+// Read the store from any component, without passing the data down through props
+export const useTaskList = () => useStore(selectTaskList);
+export const useTask = (taskId) => useStore(state => selectTask(state, taskId));
+export const useTaskDetail = (taskId) => useStore(state => selectTaskDetail(state, taskId));
+export const useProjects = () => useStore(selectProjects);
+export const useTags = () => useStore(selectTags);
+export const useViews = () => useStore(selectViews);
+export const useBoard = () => useStore(selectBoard);
+export const useStats = () => useStore(selectStats);
@@ -0,0 +1,171 @@
+// Import React hooks for state management
+import React, { useState } from 'react';
+
+// Import icons from react-icons library
+import {
+  FiTrash2,
+  FiRotateCcw,
+  FiArrowLeft
+} from 'react-icons/fi';
+
+// TrashView component - lists the deleted tasks so they can be restored or deleted for good
+// The list is loaded by the parent; every action is sent to the server by the parent
+// Errors are thrown back here and shown above the list
+const TrashView = ({
+  tasks,
+  total,
+  retentionDays,
+  loading,
+  hasMore,
+  onLoadMore,
+  onRestore,
+  onPurge,
+  onEmpty,
+  onClose
+}) => {
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // True while a request is running (buttons are disabled)
+  const [busy, setBusy] = useState(false);
+
+  // Error message for the last failed action
+  const [error, setError] = useState('');
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Run a parent action and show its error above the list
+  const runAction = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Permanent deletes can't be undone, so they are confirmed first
+  const handlePurge = (task) => {
+    if (window.confirm(`Delete "${task.title}" permanently?\nThis action cannot be undone.`)) {
+      runAction(() => onPurge(task._id));
+    }
+  };
+
+  const handleEmpty = () => {
+    if (window.confirm(`Delete all ${total} task(s) in the trash permanently?\nThis action cannot be undone.`)) {
+      runAction(onEmpty);
+    }
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="task-list-container trash-view">
+
+      {/* Header with back and empty buttons */}
+      <div className="list-header">
+        <h2>
+          <FiTrash2 className="header-icon" />
+          Trash ({total})
+        </h2>
+
+        <div className="trash-controls">
+          <button onClick={onClose} className="btn btn-secondary">
+            <FiArrowLeft className="btn-icon" />
+            Back to tasks
+          </button>
+          <button onClick={handleEmpty} className="btn btn-danger" disabled={busy || total === 0}>
+            <FiTrash2 className="btn-icon" />
+            Empty trash
+          </button>
+        </div>
+      </div>
+
+      <p className="trash-info">
+        Deleted tasks are kept for {retentionDays} days, then deleted permanently.
+      </p>
+
+      {/* Error of the last action */}
+      {error && <div className="form-error">{error}</div>}
+
+      <div className="task-list">
+        {loading ? (
+          <div className="loading">Loading trash...</div>
+        ) : tasks.length === 0 ? (
+          <div className="empty-state">
+            <h3>The trash is empty</h3>
+            <p>Deleted tasks show up here.</p>
+          </div>
+        ) : (
+          tasks.map((task) => (
+            <div key={task._id} className={`task-item trash-item ${task.completed ? 'completed' : 'active'}`}>
+
+              <div className="task-content">
+                <div className="task-header">
+                  <h3 className="task-title">{task.title}</h3>
+                </div>
+
+                {task.description && (
+                  <p className="task-description">{task.description}</p>
+                )}
+
+                <div className="task-meta">
+                  <span className="task-date">
+                    Deleted {new Date(task.deletedAt).toLocaleString()}
+                  </span>
+                  <span className="task-date purge-date">
+                    • Deleted permanently on {new Date(task.purgeAt).toLocaleDateString()}
+                  </span>
+                </div>
+              </div>
+
+              <div className="task-actions">
+                <button
+                  onClick={() => runAction(() => onRestore(task._id))}
+                  className="action-btn edit-btn"
+                  disabled={busy}
+                  aria-label="Restore task"
+                  title="Restore task"
+                >
+                  <FiRotateCcw className="action-icon" />
+                </button>
+                <button
+                  onClick={() => handlePurge(task)}
+                  className="action-btn delete-btn"
+                  disabled={busy}
+                  aria-label="Delete permanently"
+                  title="Delete permanently"
+                >
+                  <FiTrash2 className="action-icon" />
+                </button>
+              </div>
+
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Button to load the next page from the server */}
+      {!loading && hasMore && (
+        <div className="load-more">
+          <button onClick={onLoadMore} className="btn btn-secondary" disabled={busy}>
+            Load more
+          </button>
+        </div>
+      )}
+
+    </div>
+  );
+};
+
+// Export component as default
+export default TrashView;
@@ -0,0 +1,279 @@
+// Import React hooks for state management and keyboard handling
+import React, { useState, useEffect } from 'react';
+
+// Import icons from react-icons library
+import { FiBookmark, FiSave, FiX, FiAlertCircle } from 'react-icons/fi';
+
+// Import the settings a view can have
+import { GROUP_OPTIONS, COLUMN_OPTIONS, SORT_OPTIONS, DEFAULT_COLUMNS, MAX_SHARES } from './viewOptions';
+
+// ViewDialog component - saves the current list as a view, or changes a view
+// 'view' is the view being changed (null for a new one); a new view gets the filters and sort
+// of the list shown ('filters', 'sort' and 'order'). The filters of a view don't change here:
+// to filter differently, save the list again as a new view.
+// onSave gets { name, sort, order, groupBy, columns, sharedWith, pinned } and throws its errors
+const ViewDialog = ({ view, filters, sort, order, onSave, onClose }) => {
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+
+  // Values of the form, from the view or from the list shown
+  const [formData, setFormData] = useState(() => ({
+    name: view ? view.name : '',
+    sort: view ? view.sort : sort || 'createdAt',
+    order: view ? view.order : order || 'desc',
+    groupBy: view ? view.groupBy : 'none',
+    columns: view ? view.columns : DEFAULT_COLUMNS,
+    sharedWith: view ? view.sharedWith.map(user => user.email).join(', ') : '',
+    pinned: view ? view.pinned : true
+  }));
+
+  // True while the server is working, and the message of the last failure
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Filters of the view, shown as a summary
+  const viewFilters = view ? view.filters : filters;
+  const hasSearch = !!(viewFilters && viewFilters.q);
+
+  // ========================================
+  // KEYBOARD
+  // ========================================
+
+  // Escape closes the dialog, like the other dialogs
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !busy) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [busy, onClose]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  // Change one field of the form
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Show or hide a column (they stay in the order of COLUMN_OPTIONS)
+  const toggleColumn = (column) => {
+    setFormData(prev => ({
+      ...prev,
+      columns: COLUMN_OPTIONS
+        .map(option => option.value)
+        .filter(value => (value === column ? !prev.columns.includes(value) : prev.columns.includes(value)))
+    }));
+  };
+
+  // Save the view
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const name = formData.name.trim();
+    if (!name) {
+      setError('View name is required');
+      return;
+    }
+
+    // Emails separated by commas, spaces or new lines
+    const sharedWith = [...new Set(formData.sharedWith.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean))];
+    if (sharedWith.length > MAX_SHARES) {
+      setError(`A view can be shared with at most ${MAX_SHARES} people`);
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError('');
+      await onSave({
+        name,
+        sort: formData.sort === 'relevance' && !hasSearch ? 'createdAt' : formData.sort,
+        order: formData.order,
+        groupBy: formData.groupBy,
+        columns: formData.columns,
+        sharedWith,
+        pinned: formData.pinned
+      });
+    } catch (err) {
+      setError(err.detail || err.message || 'Failed to save the view.');
+      setBusy(false);
+    }
+  };
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  // Describe the filters, e.g. 'Active · high priority · due today · search "report"'
+  const describeFilters = () => {
+    if (!viewFilters) {
+      return 'All tasks';
+    }
+
+    const parts = [];
+    if (viewFilters.status && viewFilters.status !== 'all') {
+      parts.push(viewFilters.status === 'active' ? 'Active' : 'Completed');
+    }
+    if (viewFilters.priority && viewFilters.priority.length > 0) {
+      parts.push(`${viewFilters.priority.join(' or ')} priority`);
+    }
+    if (viewFilters.project) {
+      parts.push(viewFilters.project === 'none' ? 'no project' : 'one project');
+    }
+    if (viewFilters.due) {
+      parts.push(`due: ${viewFilters.due}`);
+    }
+    if (viewFilters.tags && viewFilters.tags.length > 0) {
+      parts.push(`${viewFilters.tags.length} tag(s) (${viewFilters.tagMode || 'any'})`);
+    }
+    if (viewFilters.updatedWithin) {
+      parts.push(`changed in the last ${viewFilters.updatedWithin} days`);
+    }
+    if (viewFilters.q) {
+      parts.push(`search "${viewFilters.q}"`);
+    }
+    return parts.length > 0 ? parts.join(' · ') : 'All tasks';
+  };
+
+  // ========================================
+  // RENDER COMPONENT
+  // ========================================
+
+  return (
+    <div className="modal-overlay" role="presentation">
+      <form className="modal view-dialog" role="dialog" aria-modal="true" aria-labelledby="view-dialog-title" onSubmit={handleSubmit}>
+
+        <h3 id="view-dialog-title">
+          <FiBookmark className="form-icon" />
+          {view ? 'Edit view' : 'Save as view'}
+        </h3>
+
+        <p className="view-dialog-filters">
+          <strong>Filters:</strong> {describeFilters()}
+        </p>
+
+        <div className="form-group">
+          <label htmlFor="view-name">Name</label>
+          <input
+            id="view-name"
+            type="text"
+            value={formData.name}
+            onChange={(e) => handleChange('name', e.target.value)}
+            className="form-input"
+            placeholder="e.g. Bugs this week"
+            maxLength={50}
+            autoFocus
+          />
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="view-sort">Sort by</label>
+            <select
+              id="view-sort"
+              value={formData.sort}
+              onChange={(e) => handleChange('sort', e.target.value)}
+              className="form-select"
+            >
+              {SORT_OPTIONS
+                .filter(option => option.value !== 'relevance' || hasSearch)
+                .map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="view-order">Order</label>
+            <select
+              id="view-order"
+              value={formData.order}
+              onChange={(e) => handleChange('order', e.target.value)}
+              className="form-select"
+            >
+              <option value="asc">Ascending</option>
+              <option value="desc">Descending</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="view-group">Group by</label>
+            <select
+              id="view-group"
+              value={formData.groupBy}
+              onChange={(e) => handleChange('groupBy', e.target.value)}
+              className="form-select"
+            >
+              {GROUP_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {/* Fields shown for each task */}
+        <fieldset className="view-dialog-columns">
+          <legend>Columns</legend>
+          {COLUMN_OPTIONS.map(option => (
+            <label key={option.value} className="view-dialog-check">
+              <input
+                type="checkbox"
+                checked={formData.columns.includes(option.value)}
+                onChange={() => toggleColumn(option.value)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </fieldset>
+
+        {/* Teammates see the view in their list, with their own tasks */}
+        <div className="form-group">
+          <label htmlFor="view-share">Share with (emails)</label>
+          <input
+            id="view-share"
+            type="text"
+            value={formData.sharedWith}
+            onChange={(e) => handleChange('sharedWith', e.target.value)}
+            className="form-input"
+            placeholder="alice@example.com, bob@example.com"
+          />
+          <small className="form-hint">
+            They see this view with their own tasks. Projects and tags are matched by name.
+          </small>
+        </div>
+
+        <label className="view-dialog-check">
+          <input
+            type="checkbox"
+            checked={formData.pinned}
+            onChange={(e) => handleChange('pinned', e.target.checked)}
+          />
+          Pin to the sidebar
+        </label>
+
+        {error && (
+          <p className="error-text">
+            <FiAlertCircle className="btn-icon" />
+            {error}
+          </p>
+        )}
+
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary" disabled={busy}>
+            <FiSave className="btn-icon" />
+            {busy ? 'Saving...' : 'Save view'}
+          </button>
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={busy}>
+            <FiX className="btn-icon" />
+            Cancel
+          </button>
+        </div>
+
+      </form>
+    </div>
+  );
+};
+
+// Export component as default
+export default ViewDialog;
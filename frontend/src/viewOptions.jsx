@@ -0,0 +1,42 @@
+// ========================================
+// VIEW SETTINGS
+// ========================================
+
+// The settings a saved view can have - the same values as the server (see viewQuery.js)
+
+// How the tasks of a view can be grouped
+export const GROUP_OPTIONS = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'project', label: 'Project' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'status', label: 'Status' },
+  { value: 'due', label: 'Due date' }
+];
+
+// Fields that can be shown for each task, in the order they are shown
+export const COLUMN_OPTIONS = [
+  { value: 'priority', label: 'Priority' },
+  { value: 'project', label: 'Project' },
+  { value: 'tags', label: 'Tags' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'status', label: 'Status' },
+  { value: 'subtasks', label: 'Subtasks' },
+  { value: 'createdAt', label: 'Created' },
+  { value: 'updatedAt', label: 'Updated' }
+];
+
+// Sort fields of a view (relevance only with a search text)
+export const SORT_OPTIONS = [
+  { value: 'createdAt', label: 'Created' },
+  { value: 'updatedAt', label: 'Updated' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'title', label: 'Title' },
+  { value: 'relevance', label: 'Best match' }
+];
+
+// Columns of a new view
+export const DEFAULT_COLUMNS = ['priority', 'project', 'dueDate'];
+
+// A user can share a view with at most this many users (see MAX_VIEW_SHARES in viewQuery.js)
+export const MAX_SHARES = 20;
@@ -0,0 +1,100 @@
+// Import the configured axios instance (base URL, token and error interceptors)
+import { api } from './taskService';
+
+// Import the helper that reads the browser's time zone
+import { getTimeZone } from './dueDates';
+
+// ========================================
+// VIEW API FUNCTIONS
+// ========================================
+
+// Get the built-in views, the user's views and the views shared with them
+// Returns { views, pinned } - 'pinned' is the ids of the views in the sidebar, in order
+// Each view has its 'query': the GET /api/tasks parameters it stands for (in the browser's time zone)
+export const getViews = async () => {
+  try {
+    const response = await api.get('/views', { params: { tz: getTimeZone() }, fullResponse: true });
+    return { views: response.data, pinned: response.pinned };
+  } catch (error) {
+    console.error('Error fetching views:', error);
+    throw error;
+  }
+};
+
+// Save a view: { name, filters, sort, order, groupBy, columns, sharedWith: [email, ...] }
+export const createView = async (viewData) => {
+  try {
+    // Validate required fields before sending
+    if (!viewData.name || viewData.name.trim() === '') {
+      throw new Error('View name is required');
+    }
+
+    const response = await api.post('/views', viewData, { params: { tz: getTimeZone() } });
+    return response;
+  } catch (error) {
+    console.error('Error creating view:', error);
+    throw error;
+  }
+};
+
+// Update a view (only its owner can) - 'filters' and 'sharedWith' replace the previous ones
+export const updateView = async (viewId, viewData) => {
+  try {
+    if (!viewId) {
+      throw new Error('View ID is required for update');
+    }
+
+    const response = await api.put(`/views/${viewId}`, viewData, { params: { tz: getTimeZone() } });
+    return response;
+  } catch (error) {
+    console.error('Error updating view:', error);
+    throw error;
+  }
+};
+
+// Delete a view - a view shared with the user is only removed from their list
+export const deleteView = async (viewId) => {
+  try {
+    if (!viewId) {
+      throw new Error('View ID is required for deletion');
+    }
+
+    const response = await api.delete(`/views/${viewId}`);
+    return response;
+  } catch (error) {
+    console.error('Error deleting view:', error);
+    throw error;
+  }
+};
+
+// Pin a view to the sidebar, or unpin it - returns the ids of the pinned views
+export const pinView = async (viewId, pinned) => {
+  try {
+    const response = await api.put(`/views/${viewId}/pin`, { pinned });
+    return response;
+  } catch (error) {
+    console.error('Error pinning view:', error);
+    throw error;
+  }
+};
+
+// Get one page of the tasks of a view, found by the server with the task list query
+// 'params' can have the 'cursor' of the next page
+// Returns { data, total, nextCursor } like getTasks
+export const getViewTasks = async (viewId, params = {}) => {
+  try {
+    const response = await api.get(`/views/${viewId}/tasks`, {
+      params: { ...(params.cursor && { cursor: params.cursor }), tz: getTimeZone() },
+      fullResponse: true
+    });
+
+    return {
+      data: response.data,
+      total: response.total,
+      nextCursor: response.nextCursor
+    };
+  } catch (error) {
+    console.error('Error fetching view tasks:', error);
+    throw error;
+  }
+};